@@ -0,0 +1,33 @@
+// Fenced blocks with a widget language (```quiz, ```exercise) in module markdown.
+// Their YAML bodies are parsed at build time and swapped for JSON, so the app
+// never needs a YAML parser.
+
+const { classifyLines } = require('./curriculumMarkdown');
+
+// Find closed blocks fenced with the given language, skipping ones shown inside other
+// code blocks
+function findFencedBlocks(content, language) {
+  const lines = content.split('\n');
+  return classifyLines(lines)
+    .filter(({ type, fence }, index) => type === 'fence' && fence.start === index)
+    .map(({ fence }) => fence)
+    .filter(fence => fence.language === language && fence.end !== null)
+    .map(({ start, end }) => ({ start, end, source: lines.slice(start + 1, end).join('\n') }));
+}
+
+// Replace each block's body with a single line of JSON from toBody(block)
+function replaceBlockBodies(content, blocks, toBody) {
+  const lines = content.split('\n');
+
+  // Replace from the end so earlier line numbers stay valid
+  [...blocks].reverse().forEach(block => {
+    lines.splice(block.start + 1, block.end - block.start - 1, JSON.stringify(toBody(block)));
+  });
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  findFencedBlocks,
+  replaceBlockBodies
+};
@@ -0,0 +1,92 @@
+// Auto-graded coding exercises embedded in module markdown.
+//
+// A fenced block with the `exercise` language holds YAML:
+//
+//   ```exercise
+//   id: format-price                # optional, defaults to exercise-<n>
+//   title: Format a property price
+//   language: javascript            # javascript | html
+//   instructions: |
+//     Write `formatPrice(amount)` so it returns the price in dollars.
+//   starter: |
+//     function formatPrice(amount) {
+//     }
+//   tests:
+//     - name: formats whole dollars
+//       code: assert.equal(formatPrice(500000), '$500,000');
+//   ```
+//
+// Test code runs after the learner's code, in the same sandboxed page, with an
+// `assert` helper in scope. The rendered markdown only gets the exercise card;
+// starter code and tests are exported separately for the IDE's exercise mode.
+
+const yaml = require('js-yaml');
+const { findFencedBlocks, replaceBlockBodies } = require('./curriculumBlocks');
+
+const EXERCISE_LANGUAGES = ['javascript', 'html'];
+
+// Parse and validate one exercise block; `number` is its 1-based position in the module
+function parseExercise(source, number) {
+  const data = yaml.load(source);
+  if (!data || typeof data !== 'object') throw new Error('exercise must be a YAML mapping');
+
+  const language = data.language || 'javascript';
+  if (!EXERCISE_LANGUAGES.includes(language)) {
+    throw new Error(`unknown language "${language}" (expected ${EXERCISE_LANGUAGES.join(', ')})`);
+  }
+  if (!data.instructions) throw new Error('exercise has no instructions');
+  if (!Array.isArray(data.tests) || data.tests.length === 0) throw new Error('exercise needs a non-empty "tests" list');
+
+  const tests = data.tests.map((test, index) => {
+    if (!test || !test.code) throw new Error(`test ${index + 1} has no code`);
+    return { name: test.name ? String(test.name) : `Test ${index + 1}`, code: String(test.code) };
+  });
+
+  return {
+    id: data.id ? String(data.id) : `exercise-${number}`,
+    title: data.title ? String(data.title) : `Exercise ${number}`,
+    language,
+    instructions: String(data.instructions),
+    starter: data.starter ? String(data.starter) : '',
+    tests
+  };
+}
+
+// Every exercise in a module, with errors reported per block instead of thrown
+function parseExerciseBlocks(content) {
+  const seenIds = new Set();
+
+  return findFencedBlocks(content, 'exercise').map((block, index) => {
+    try {
+      const exercise = parseExercise(block.source, index + 1);
+      if (seenIds.has(exercise.id)) throw new Error(`exercise id "${exercise.id}" is used more than once`);
+      seenIds.add(exercise.id);
+      return { ...block, exercise };
+    } catch (error) {
+      return { ...block, error: error.message.split('\n')[0] };
+    }
+  });
+}
+
+// Swap each exercise block for its card data and collect the full exercises by id
+function compileExerciseBlocks(content) {
+  const blocks = parseExerciseBlocks(content);
+  const exercises = {};
+  blocks.filter(block => block.exercise).forEach(({ exercise }) => {
+    exercises[exercise.id] = exercise;
+  });
+
+  const compiled = replaceBlockBodies(content, blocks, block => {
+    if (block.error) return { error: block.error };
+    const { id, title, language, instructions, tests } = block.exercise;
+    return { id, title, language, instructions, testCount: tests.length };
+  });
+
+  return { content: compiled, exercises, blocks };
+}
+
+module.exports = {
+  EXERCISE_LANGUAGES,
+  parseExerciseBlocks,
+  compileExerciseBlocks
+};
@@ -0,0 +1,32 @@
+// Heading ids for the section data and the search index. The curriculum plugin also
+// serves these two functions to the app as `virtual:curriculum/headings`, which
+// MarkdownViewer slugs rendered headings with, so the ids always agree. They are sent
+// as source: keep them self-contained, referring to nothing but each other.
+
+function slugify(text) {
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // links and images keep their text
+    .replace(/<[^>]+>/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+// Repeated headings get -1, -2... suffixes in document order
+function createSlugger() {
+  const seen = new Map();
+  return {
+    slug(text) {
+      const base = slugify(text) || 'section';
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return count === 0 ? base : `${base}-${count}`;
+    }
+  };
+}
+
+module.exports = {
+  slugify,
+  createSlugger
+};
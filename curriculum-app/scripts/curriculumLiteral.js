@@ -0,0 +1,14 @@
+// Serialising values into the JavaScript modules the curriculum scripts generate.
+
+// Vite's define plugin rewrites `process.env.*` and `import.meta.env.*` as plain text,
+// even inside string literals, so escape the dot to keep code samples intact.
+// Every `process.` in JSON output is inside a string, where the escape is valid. There
+// is no word boundary check: `\nprocess.env` has none before `process`, and escaping
+// a dot that didn't need it does no harm.
+function toLiteral(value) {
+  return JSON.stringify(value).replace(/(process|meta)\./g, '$1\\u002e');
+}
+
+module.exports = {
+  toLiteral
+};
@@ -0,0 +1,49 @@
+// Line-level markdown scanning shared by the curriculum scripts, so the generator,
+// search index, linter and widget blocks agree on what is code and what is a heading.
+// Fences follow CommonMark: a block only closes on a bare fence of the same character
+// at least as long as its opener, so ``` lines inside a ```` block are its content.
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})(.*)$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+
+// What each line is, in an array parallel to `lines`:
+//   { type: 'fence', fence }            the opening or closing line of a code block
+//   { type: 'code', fence }             a line inside one
+//   { type: 'heading', level, title }
+//   { type: 'text' }
+// Lines of one block share its fence, { marker, info, language, start, end }: the
+// info string after the opening marker, its first word, and the indexes of the
+// opening and closing lines. `end` is null for a block left open at the end.
+function classifyLines(lines) {
+  let openFence = null;
+
+  return lines.map((line, index) => {
+    const fence = line.match(FENCE_PATTERN);
+
+    if (openFence) {
+      const current = openFence;
+      if (fence && fence[1][0] === current.marker[0] && fence[1].length >= current.marker.length && !fence[2].trim()) {
+        current.end = index;
+        openFence = null;
+        return { type: 'fence', fence: current };
+      }
+      return { type: 'code', fence: current };
+    }
+
+    if (fence) {
+      const info = fence[2].trim();
+      openFence = { marker: fence[1], info, language: info.match(/^[^`\s]*/)[0], start: index, end: null };
+      return { type: 'fence', fence: openFence };
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      return { type: 'heading', level: heading[1].length, title: heading[2] };
+    }
+    return { type: 'text' };
+  });
+}
+
+module.exports = {
+  classifyLines
+};
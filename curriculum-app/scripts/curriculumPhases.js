@@ -0,0 +1,95 @@
+// Shared phase discovery for the curriculum scripts.
+// Phases are the `Phase-<n>-*` directories at the repository root; their
+// title, description and colour come from an optional `phase.json` manifest,
+// then the phase README, then defaults derived from the directory name.
+
+const fs = require('fs');
+const path = require('path');
+
+const CURRICULUM_ROOT = path.join(__dirname, '../..');
+const PHASE_DIRECTORY_PATTERN = /^Phase-(\d+)-/;
+
+// Used when a phase has no manifest colour, picked by phase number
+const DEFAULT_PHASE_COLORS = [
+  'from-green-400 to-green-600',
+  'from-blue-400 to-blue-600',
+  'from-purple-400 to-purple-600',
+  'from-teal-400 to-teal-600',
+  'from-orange-400 to-orange-600',
+  'from-red-400 to-red-600',
+  'from-indigo-400 to-indigo-600',
+  'from-pink-400 to-pink-600',
+  'from-yellow-400 to-yellow-600'
+];
+
+// Read `phase.json` if the phase has one
+function readPhaseManifest(phasePath) {
+  const manifestPath = path.join(phasePath, 'phase.json');
+  if (!fs.existsSync(manifestPath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (error) {
+    console.error(`Error reading ${manifestPath}:`, error.message);
+    return {};
+  }
+}
+
+// Pull the first heading and the first paragraph under "## Overview" from the phase README
+function readPhaseReadme(phasePath) {
+  const readmePath = path.join(phasePath, 'README.md');
+  if (!fs.existsSync(readmePath)) return {};
+
+  const lines = fs.readFileSync(readmePath, 'utf-8').split('\n');
+  let title = '';
+  let description = '';
+  let foundOverview = false;
+
+  for (const line of lines) {
+    if (line.startsWith('# ') && !title) {
+      title = line.substring(2).trim();
+      continue;
+    }
+    if (line.includes('##') && (line.toLowerCase().includes('overview') || line.toLowerCase().includes('description'))) {
+      foundOverview = true;
+      continue;
+    }
+    if (foundOverview && line.trim() && !line.startsWith('#')) {
+      description = line.trim();
+      break;
+    }
+  }
+
+  return { title, description };
+}
+
+// Find every phase directory under rootPath, ordered by phase number
+function discoverPhases(rootPath = CURRICULUM_ROOT) {
+  return fs.readdirSync(rootPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && PHASE_DIRECTORY_PATTERN.test(entry.name))
+    .map(entry => {
+      const directory = entry.name;
+      const number = Number(directory.match(PHASE_DIRECTORY_PATTERN)[1]);
+      const phasePath = path.join(rootPath, directory);
+      const manifest = readPhaseManifest(phasePath);
+      const readme = readPhaseReadme(phasePath);
+      const topic = directory.replace(PHASE_DIRECTORY_PATTERN, '').replace(/-/g, ' ');
+
+      return {
+        id: `phase-${number}`,
+        number,
+        directory,
+        path: phasePath,
+        title: manifest.title || readme.title || `Phase ${number}: ${topic}`,
+        description: manifest.description || readme.description || `Advanced curriculum phase covering ${topic.toLowerCase()}`,
+        color: manifest.color || DEFAULT_PHASE_COLORS[number % DEFAULT_PHASE_COLORS.length]
+      };
+    })
+    .sort((a, b) => a.number - b.number);
+}
+
+module.exports = {
+  CURRICULUM_ROOT,
+  DEFAULT_PHASE_COLORS,
+  discoverPhases
+};
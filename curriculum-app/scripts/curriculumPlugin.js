@@ -0,0 +1,165 @@
+// Vite plugin that bundles the curriculum markdown and keeps it in sync while authoring.
+//
+// - `virtual:curriculum` exports `contentLoaders`, a map of module id to a
+//   dynamic import of that module's content, so every module becomes its own
+//   hashed chunk.
+// - `virtual:curriculum/<moduleId>` default-exports the module markdown with
+//   its frontmatter stripped and its quiz and exercise blocks compiled to JSON,
+//   and exports `exercises`, the full exercises (starter code and tests) by id.
+// - `virtual:curriculum/headings` exports `slugify` and `createSlugger` from
+//   curriculumHeadings.js, so the app gives headings the ids the scripts computed.
+// - `virtual:curriculum/search` exports `searchIndex`, built by curriculumSearch.js
+//   when the search palette first imports it.
+//
+// In dev it also regenerates src/data/curriculumData.js on start and watches the
+// Phase-* directories: editing a module re-parses only that file, rewrites the data
+// module, rebuilds the search index and hot-updates the content module the viewer
+// imported.
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { CURRICULUM_ROOT, discoverPhases } = require('./curriculumPhases');
+const { generateCurriculumData, saveCurriculumData } = require('./generateCurriculum');
+const { slugify, createSlugger } = require('./curriculumHeadings');
+const { toLiteral } = require('./curriculumLiteral');
+const { buildSearchIndex } = require('./curriculumSearch');
+const { compileQuizBlocks } = require('./curriculumQuizzes');
+const { compileExerciseBlocks } = require('./curriculumExercises');
+
+const INDEX_ID = 'virtual:curriculum';
+const CONTENT_PREFIX = `${INDEX_ID}/`;
+const HEADINGS_ID = `${CONTENT_PREFIX}headings`;
+const SEARCH_ID = `${CONTENT_PREFIX}search`;
+// Rollup convention: a leading \0 marks ids that other plugins must not touch
+const RESOLVED_INDEX_ID = `\0${INDEX_ID}`;
+const RESOLVED_HEADINGS_ID = `\0${HEADINGS_ID}`;
+const RESOLVED_SEARCH_ID = `\0${SEARCH_ID}`;
+const RESOLVED_CONTENT_PREFIX = `\0${CONTENT_PREFIX}`;
+
+// Resolve a changed path to its phase directory, or null if it isn't curriculum content
+function locateCurriculumFile(filePath) {
+  const relativePath = path.relative(CURRICULUM_ROOT, filePath);
+  const [phaseDir, fileName, ...rest] = relativePath.split(path.sep);
+
+  if (rest.length > 0 || !fileName || !/^Phase-\d+-/.test(phaseDir)) return null;
+  if (!fileName.endsWith('.md') && fileName !== 'phase.json') return null;
+  return { phaseDir, fileName };
+}
+
+function curriculumPlugin() {
+  const moduleCache = new Map();
+  let curriculumData = null;
+  let server = null;
+
+  // Re-read the curriculum; in dev the data module is rewritten so Vite hot-reloads
+  // it, and the search index is built again the next time it is imported
+  const refresh = () => {
+    curriculumData = generateCurriculumData({ moduleCache, quiet: true });
+    if (server) {
+      saveCurriculumData(curriculumData);
+      const searchModule = server.moduleGraph.getModuleById(RESOLVED_SEARCH_ID);
+      if (searchModule) server.moduleGraph.invalidateModule(searchModule);
+    }
+  };
+
+  const allModules = () => curriculumData.phases.flatMap(phase => phase.modules);
+  const findModule = (predicate) => allModules().find(predicate);
+
+  return {
+    name: 'curriculum',
+
+    buildStart() {
+      if (!curriculumData) refresh();
+    },
+
+    configureServer(devServer) {
+      server = devServer;
+      refresh();
+
+      server.watcher.add(discoverPhases().map(phase => phase.path));
+
+      // Adding or removing a module changes the loader map, so reload the page
+      const onFileAddedOrRemoved = (event) => (filePath) => {
+        const location = locateCurriculumFile(filePath);
+        if (!location) return;
+
+        moduleCache.delete(filePath);
+        refresh();
+        const indexModule = server.moduleGraph.getModuleById(RESOLVED_INDEX_ID);
+        if (indexModule) server.moduleGraph.invalidateModule(indexModule);
+        server.ws.send({ type: 'full-reload' });
+        server.config.logger.info(`curriculum: ${event} ${location.phaseDir}/${location.fileName}`, { timestamp: true });
+      };
+
+      server.watcher.on('add', onFileAddedOrRemoved('add'));
+      server.watcher.on('unlink', onFileAddedOrRemoved('unlink'));
+    },
+
+    resolveId(id) {
+      if (id === INDEX_ID || id.startsWith(CONTENT_PREFIX)) {
+        return `\0${id}`;
+      }
+      return null;
+    },
+
+    load(id) {
+      if (id === RESOLVED_INDEX_ID) {
+        const loaders = allModules()
+          .map(module => `  ${JSON.stringify(module.id)}: () => import(${JSON.stringify(CONTENT_PREFIX + module.id)})`)
+          .join(',\n');
+        return `export const contentLoaders = {\n${loaders}\n};\n`;
+      }
+
+      if (id === RESOLVED_HEADINGS_ID) {
+        return `${slugify}\n\n${createSlugger}\n\nexport { slugify, createSlugger };\n`;
+      }
+
+      if (id === RESOLVED_SEARCH_ID) {
+        return `export const searchIndex = ${toLiteral(buildSearchIndex(curriculumData))};\n`;
+      }
+
+      if (id.startsWith(RESOLVED_CONTENT_PREFIX)) {
+        const moduleId = id.slice(RESOLVED_CONTENT_PREFIX.length);
+        const module = findModule(m => m.id === moduleId);
+        if (!module) {
+          this.error(`No curriculum module with id "${moduleId}"`);
+        }
+
+        const filePath = path.join(CURRICULUM_ROOT, module.contentPath);
+        this.addWatchFile(filePath);
+        const quizzes = compileQuizBlocks(matter(fs.readFileSync(filePath, 'utf-8')).content);
+        const { content, exercises, blocks } = compileExerciseBlocks(quizzes.content);
+        // Broken blocks still render, as an error message in place of the widget
+        quizzes.blocks.filter(block => block.error).forEach(block => {
+          this.warn(`Invalid quiz in ${module.contentPath}: ${block.error}`);
+        });
+        blocks.filter(block => block.error).forEach(block => {
+          this.warn(`Invalid exercise in ${module.contentPath}: ${block.error}`);
+        });
+        return `export default ${toLiteral(content)};\nexport const exercises = ${toLiteral(exercises)};\n`;
+      }
+
+      return null;
+    },
+
+    handleHotUpdate({ file }) {
+      const location = locateCurriculumFile(file);
+      if (!location) return undefined;
+
+      // Only this file needs parsing again; README and manifest changes are read on every run
+      moduleCache.delete(file);
+      refresh();
+      server.config.logger.info(`curriculum: change ${location.phaseDir}/${location.fileName}`, { timestamp: true });
+
+      const contentPath = `${location.phaseDir}/${location.fileName}`;
+      const module = findModule(m => m.contentPath === contentPath);
+      return [
+        module && server.moduleGraph.getModuleById(RESOLVED_CONTENT_PREFIX + module.id),
+        server.moduleGraph.getModuleById(RESOLVED_INDEX_ID)
+      ].filter(Boolean);
+    }
+  };
+}
+
+module.exports = curriculumPlugin;
@@ -0,0 +1,91 @@
+// Shared prerequisite resolution for the curriculum scripts.
+// Modules list their prerequisites as free text under `## Prerequisites`
+// ("Completion of Module 1.1: ...", "Completed Phase 0", "React (Phases 1-2)")
+// and optionally as module ids in the `prerequisites` frontmatter key. This
+// turns both into module and phase ids the app can build a graph from.
+
+const MODULE_NUMBER_PATTERN = /^Module-(\d+\.\d+)-/;
+const MODULE_REFERENCE_PATTERN = /Module (\d+\.\d+)/g;
+// "Phase 0", "Phases 1-2", "Phases 3 and 4"
+const PHASE_REFERENCE_PATTERN = /Phases? (\d+)(?:\s*(?:-|–|to|and|&)\s*(\d+))?/g;
+
+// "1.2" for Module-1.2-Advanced-CSS.md, null for files without a number
+function getModuleNumber(fileName) {
+  return (fileName.match(MODULE_NUMBER_PATTERN) || [])[1] || null;
+}
+
+// Module numbers and phase numbers mentioned in one line of prerequisite text
+function findPrerequisiteReferences(text) {
+  const modules = [...text.matchAll(MODULE_REFERENCE_PATTERN)].map(([, number]) => number);
+  const phases = [...text.matchAll(PHASE_REFERENCE_PATTERN)].flatMap(([, from, to]) => {
+    const start = Number(from);
+    const end = to === undefined ? start : Number(to);
+    return Array.from({ length: Math.max(0, end - start) + 1 }, (_, i) => start + i);
+  });
+  return { modules, phases };
+}
+
+// Replace each module's frontmatter `prerequisiteIds` with every module id it depends
+// on, and add `prerequisitePhaseIds` for whole phases it expects to be done. Modules
+// need their `number` (see getModuleNumber). References to modules or phases that
+// don't exist, to the module itself or to its own phase are dropped; the curriculum
+// linter reports the ones that don't exist.
+function resolvePrerequisites(phases) {
+  const modules = phases.flatMap(phase => phase.modules);
+  const idsByNumber = new Map(modules.filter(module => module.number).map(module => [module.number, module.id]));
+  const moduleIds = new Set(modules.map(module => module.id));
+  const phaseIds = new Set(phases.map(phase => phase.id));
+
+  phases.forEach(phase => {
+    phase.modules.forEach(module => {
+      const references = module.prerequisites.map(findPrerequisiteReferences);
+      const referencedIds = references.flatMap(({ modules: numbers }) => numbers.map(number => idsByNumber.get(number)));
+      const referencedPhases = references.flatMap(({ phases: numbers }) => numbers.map(number => `phase-${number}`));
+
+      module.prerequisiteIds = [...new Set([...module.prerequisiteIds, ...referencedIds])]
+        .filter(id => id && id !== module.id && moduleIds.has(id));
+      module.prerequisitePhaseIds = [...new Set(referencedPhases)]
+        .filter(id => id !== phase.id && phaseIds.has(id));
+    });
+  });
+
+  findPrerequisiteCycles(phases).forEach(cycle => {
+    console.warn(`Prerequisite cycle: ${cycle.join(' -> ')}`);
+  });
+  return phases;
+}
+
+// Chains of module prerequisites that lead back to where they started. Modules in a
+// cycle could never be unlocked. As in the app's prerequisite graph, a phase
+// prerequisite stands for every module in that phase.
+function findPrerequisiteCycles(phases) {
+  const moduleIdsByPhase = new Map(phases.map(phase => [phase.id, phase.modules.map(module => module.id)]));
+  const prerequisitesById = new Map(phases.flatMap(phase => phase.modules).map(module => [module.id, [
+    ...(module.prerequisiteIds || []),
+    ...(module.prerequisitePhaseIds || []).flatMap(phaseId => moduleIdsByPhase.get(phaseId) || [])
+  ].filter(id => id !== module.id)]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const cycles = [];
+
+  const visit = (id, trail) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      cycles.push([...trail.slice(trail.indexOf(id)), id]);
+      return;
+    }
+    state.set(id, 'visiting');
+    (prerequisitesById.get(id) || []).forEach(next => visit(next, [...trail, id]));
+    state.set(id, 'done');
+  };
+
+  prerequisitesById.forEach((prerequisites, id) => visit(id, []));
+  return cycles;
+}
+
+module.exports = {
+  MODULE_NUMBER_PATTERN,
+  getModuleNumber,
+  findPrerequisiteReferences,
+  resolvePrerequisites,
+  findPrerequisiteCycles
+};
@@ -0,0 +1,110 @@
+// Quiz blocks embedded in module markdown.
+//
+// A fenced block with the `quiz` language holds YAML:
+//
+//   ```quiz
+//   id: closures-check            # optional, defaults to quiz-<n>
+//   title: Check your understanding
+//   questions:
+//     - type: single              # single | multiple | true-false | short-answer
+//       prompt: What does `typeof null` return?
+//       options: ['"null"', '"object"', '"undefined"']
+//       answer: '"object"'        # option text; a list for multiple
+//       explanation: A long-standing quirk of the language.
+//   ```
+//
+// Option answers are converted to indexes when the block is compiled to JSON.
+
+const yaml = require('js-yaml');
+const { findFencedBlocks, replaceBlockBodies } = require('./curriculumBlocks');
+
+const QUESTION_TYPES = ['single', 'multiple', 'true-false', 'short-answer'];
+
+// Check one question and convert option answers to indexes
+function normaliseQuestion(question, index) {
+  const label = `question ${index + 1}`;
+  if (!question || typeof question !== 'object') throw new Error(`${label} must be a mapping`);
+
+  const type = question.type || 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new Error(`${label} has unknown type "${type}" (expected ${QUESTION_TYPES.join(', ')})`);
+  }
+  if (!question.prompt) throw new Error(`${label} has no prompt`);
+
+  const normalised = {
+    id: `q${index + 1}`,
+    type,
+    prompt: String(question.prompt),
+    explanation: question.explanation ? String(question.explanation) : ''
+  };
+
+  if (type === 'single' || type === 'multiple') {
+    const options = (question.options || []).map(String);
+    if (options.length < 2) throw new Error(`${label} needs at least two options`);
+
+    const answers = [].concat(question.answer ?? []).map(String);
+    const indexes = answers.map(answer => {
+      const optionIndex = options.indexOf(answer);
+      if (optionIndex === -1) throw new Error(`${label} answer "${answer}" is not one of its options`);
+      return optionIndex;
+    });
+    if (indexes.length === 0) throw new Error(`${label} has no answer`);
+    if (type === 'single' && indexes.length > 1) throw new Error(`${label} is single choice but lists ${indexes.length} answers`);
+
+    return { ...normalised, options, answer: type === 'single' ? indexes[0] : indexes.sort((a, b) => a - b) };
+  }
+
+  if (type === 'true-false') {
+    if (typeof question.answer !== 'boolean') throw new Error(`${label} answer must be true or false`);
+    return { ...normalised, answer: question.answer };
+  }
+
+  const accepted = [].concat(question.answer ?? []).map(answer => String(answer).trim()).filter(Boolean);
+  if (accepted.length === 0) throw new Error(`${label} has no accepted answers`);
+  return { ...normalised, answer: accepted };
+}
+
+// Parse and validate one quiz block; `number` is its 1-based position in the module
+function parseQuiz(source, number) {
+  const data = yaml.load(source);
+  if (!data || !Array.isArray(data.questions) || data.questions.length === 0) {
+    throw new Error('quiz needs a non-empty "questions" list');
+  }
+
+  return {
+    id: data.id ? String(data.id) : `quiz-${number}`,
+    title: data.title ? String(data.title) : '',
+    questions: data.questions.map(normaliseQuestion)
+  };
+}
+
+// Every quiz in a module, with errors reported per block instead of thrown
+function parseQuizBlocks(content) {
+  const seenIds = new Set();
+
+  return findFencedBlocks(content, 'quiz').map((block, index) => {
+    try {
+      const quiz = parseQuiz(block.source, index + 1);
+      if (seenIds.has(quiz.id)) throw new Error(`quiz id "${quiz.id}" is used more than once`);
+      seenIds.add(quiz.id);
+      return { ...block, quiz };
+    } catch (error) {
+      return { ...block, error: error.message.split('\n')[0] };
+    }
+  });
+}
+
+// Rewrite each quiz block's YAML as JSON for the viewer; broken blocks carry their error
+function compileQuizBlocks(content) {
+  const blocks = parseQuizBlocks(content);
+  return {
+    content: replaceBlockBodies(content, blocks, block => (block.error ? { error: block.error } : block.quiz)),
+    blocks
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  parseQuizBlocks,
+  compileQuizBlocks
+};
@@ -0,0 +1,93 @@
+// Build-time full-text search index for the app's search palette, served as
+// `virtual:curriculum/search` by curriculumPlugin.js.
+// Every module is split at its headings into documents the app searches and
+// deep-links to; the text before the first `##` heading goes into a document
+// for the module itself, along with its description, objectives, topics and tags.
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { CURRICULUM_ROOT } = require('./curriculumPhases');
+const { createSlugger } = require('./curriculumHeadings');
+const { classifyLines } = require('./curriculumMarkdown');
+
+// Widget blocks hold YAML for quizzes and exercises rather than code to search
+const WIDGET_LANGUAGES = ['quiz', 'exercise'];
+
+// Markdown syntax out, words in
+function toPlainText(line) {
+  return line
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+    .replace(/^\s*>\s?/, '')
+    .replace(/[*_`~]+/g, '')
+    // Table cells: unescaped pipes separate them, divider rows have no words
+    .replace(/(?<!\\)\|/g, ' ')
+    .replace(/\\\|/g, '|')
+    .replace(/^[\s:-]+$/, '')
+    .trim();
+}
+
+const joinLines = (lines) => lines.filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+
+// Search documents for one module:
+//   { moduleId, headingId, title, text, code }
+// headingId is null for the module's own document, which comes first
+function indexModule(module) {
+  const source = fs.readFileSync(path.join(CURRICULUM_ROOT, module.contentPath), 'utf-8');
+  const lines = matter(source).content.split('\n');
+  const slugger = createSlugger();
+  const moduleDocument = { title: module.title, headingId: null, text: [], code: [] };
+  const documents = [moduleDocument];
+  let current = moduleDocument;
+
+  classifyLines(lines).forEach(({ type, fence, level, title }, index) => {
+    if (type === 'code') {
+      if (!WIDGET_LANGUAGES.includes(fence.language)) current.code.push(lines[index].trim());
+      return;
+    }
+    if (type === 'fence') return;
+
+    if (type === 'heading') {
+      // Every heading takes a slug so the ids match the rendered ones, but only
+      // headings below the module title start a document
+      const headingId = slugger.slug(title);
+      if (level > 1) {
+        current = { title: toPlainText(title), headingId, text: [], code: [] };
+        documents.push(current);
+      }
+      return;
+    }
+
+    current.text.push(toPlainText(lines[index]));
+  });
+
+  // The description is usually the first paragraph already
+  const introduction = joinLines(moduleDocument.text);
+  moduleDocument.text = [
+    introduction.includes(module.description) ? '' : module.description,
+    introduction,
+    ...module.learningObjectives,
+    ...module.topics,
+    ...module.tags
+  ];
+
+  return documents.map(document => ({
+    moduleId: module.id,
+    headingId: document.headingId,
+    title: document.title,
+    text: joinLines(document.text),
+    code: joinLines(document.code)
+  }));
+}
+
+function buildSearchIndex(curriculumData) {
+  return {
+    documents: curriculumData.phases.flatMap(phase => phase.modules.flatMap(indexModule))
+  };
+}
+
+module.exports = {
+  buildSearchIndex
+};
@@ -2,11 +2,26 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const matter = require('gray-matter');
+const { discoverPhases } = require('./curriculumPhases');
+const { parseQuizBlocks } = require('./curriculumQuizzes');
+const { parseExerciseBlocks } = require('./curriculumExercises');
+const { createSlugger } = require('./curriculumHeadings');
+const { classifyLines } = require('./curriculumMarkdown');
+const { getModuleNumber, resolvePrerequisites } = require('./curriculumPrerequisites');
 
-// Parse a markdown file to extract module information
+const DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+const WORDS_PER_MINUTE = 200;
+const OUTPUT_PATH = path.join(__dirname, '../src/data/curriculumData.js');
+
+// Parse a markdown file to extract module information.
+// Values from the YAML frontmatter block win; the line-scanning heuristics
+// below only fill in whatever the frontmatter leaves out.
 function parseModuleMarkdown(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf-8');
+    const source = fs.readFileSync(filePath, 'utf-8');
+    const { data: frontmatter, content } = matter(source);
     const lines = content.split('\n');
     
     let title = '';
@@ -17,12 +32,39 @@ function parseModuleMarkdown(filePath) {
     let topics = [];
     let projects = [];
     
-    let currentSection = '';
     let inLearningObjectives = false;
     let inPrerequisites = false;
+    const lineTypes = classifyLines(lines);
+    const slugger = createSlugger();
+    // Sections still accumulating words: a level-2 section stays open across its level-3 children
+    let openSections = [];
     
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
+      const words = line.split(/\s+/).filter(Boolean).length;
+      
+      // Code blocks count towards reading time but their `#` lines are not headings
+      const { type, level, title: headingTitle } = lineTypes[i];
+      if (type === 'fence' || type === 'code') {
+        openSections.forEach(section => { section.wordCount += words; });
+        continue;
+      }
+      
+      if (type === 'heading') {
+        const id = slugger.slug(headingTitle);
+        openSections = openSections.filter(section => section.level < level);
+        
+        if (level === 2 || level === 3) {
+          const section = { id, title: headingTitle, level, wordCount: 0 };
+          openSections.push(section);
+          // Objectives and prerequisites have their own fields
+          if (!['Learning Objectives', 'Prerequisites'].includes(section.title)) {
+            sections.push(section);
+          }
+        }
+      } else {
+        openSections.forEach(section => { section.wordCount += words; });
+      }
       
       // Extract title (first h1)
       if (line.startsWith('# ') && !title) {
@@ -44,11 +86,9 @@ function parseModuleMarkdown(filePath) {
       }
       
       // Stop collecting objectives/prerequisites when hitting new section
-      if (line.startsWith('## ') && line !== '## Learning Objectives' && line !== '## Prerequisites') {
+      if (line.startsWith('## ')) {
         inLearningObjectives = false;
         inPrerequisites = false;
-        currentSection = line.substring(3).trim();
-        sections.push(currentSection);
         continue;
       }
       
@@ -77,6 +117,11 @@ function parseModuleMarkdown(filePath) {
       }
     }
     
+    sections.forEach(section => {
+      section.readingMinutes = Math.max(1, Math.round(section.wordCount / WORDS_PER_MINUTE));
+    });
+    const sectionTitles = sections.filter(section => section.level === 2).map(section => section.title);
+    
     // Extract description from the first paragraph after the title
     const descriptionStart = content.indexOf('\n\n') + 2;
     const descriptionEnd = content.indexOf('\n## ');
@@ -87,15 +132,40 @@ function parseModuleMarkdown(filePath) {
       description = firstLine.length > 0 ? firstLine : description.substring(0, 150) + '...';
     }
     
+    const quizzes = parseQuizBlocks(content).flatMap(block => {
+      if (block.error) {
+        console.warn(`Invalid quiz in ${filePath} (line ${block.start + 1}): ${block.error}`);
+        return [];
+      }
+      return [{ id: block.quiz.id, title: block.quiz.title, questionCount: block.quiz.questions.length }];
+    });
+    const exercises = parseExerciseBlocks(content).flatMap(block => {
+      if (block.error) {
+        console.warn(`Invalid exercise in ${filePath} (line ${block.start + 1}): ${block.error}`);
+        return [];
+      }
+      return [{ id: block.exercise.id, title: block.exercise.title, testCount: block.exercise.tests.length }];
+    });
+    
     return {
-      title: title || path.basename(filePath, '.md'),
-      description: description || 'Comprehensive module covering essential development concepts.',
+      id: frontmatter.id,
+      order: typeof frontmatter.order === 'number' ? frontmatter.order : null,
+      title: frontmatter.title || title || path.basename(filePath, '.md'),
+      description: frontmatter.description || description || 'Comprehensive module covering essential development concepts.',
       learningObjectives,
       prerequisites,
+      // Module ids from the frontmatter; resolvePrerequisites adds the ones named in the text
+      prerequisiteIds: toList(frontmatter.prerequisites),
+      prerequisitePhaseIds: [],
       sections,
-      topics: topics.length > 0 ? topics : sections,
-      projects: projects.length > 0 ? projects : [],
-      difficulty: determineDifficulty(filePath, content)
+      topics: frontmatter.topics ? toList(frontmatter.topics) : (topics.length > 0 ? topics : sectionTitles),
+      projects: frontmatter.projects ? toList(frontmatter.projects) : projects,
+      tags: toList(frontmatter.tags),
+      quizzes,
+      exercises,
+      difficulty: normaliseDifficulty(frontmatter.difficulty, filePath) || determineDifficulty(filePath, content),
+      estimatedMinutes: Number(frontmatter.estimatedMinutes) || estimateMinutes(content),
+      contentHash: crypto.createHash('sha256').update(source).digest('hex').slice(0, 12)
     };
     
   } catch (error) {
@@ -106,112 +176,97 @@ function parseModuleMarkdown(filePath) {
 
 
 
+// Accept a single frontmatter value or a YAML list and always return an array of strings
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Map a frontmatter difficulty ("beginner", "ADVANCED"...) onto the labels the app styles
+function normaliseDifficulty(value, filePath) {
+  if (!value) return null;
+  const difficulty = DIFFICULTIES.find(level => level.toLowerCase() === String(value).trim().toLowerCase());
+  if (!difficulty) {
+    console.warn(`Unknown difficulty "${value}" in ${filePath} - expected one of ${DIFFICULTIES.join(', ')}`);
+  }
+  return difficulty || null;
+}
+
+// Rough reading time for modules that don't declare estimatedMinutes
+function estimateMinutes(content) {
+  const words = content.split(/\s+/).filter(Boolean).length;
+  return Math.max(5, Math.ceil(words / WORDS_PER_MINUTE / 5) * 5);
+}
+
 // Determine difficulty based on phase and content
 function determineDifficulty(filePath, content) {
-  if (filePath.includes('Phase-0')) return 'Beginner';
-  if (filePath.includes('Phase-1')) return 'Beginner';
-  if (filePath.includes('Phase-2') || filePath.includes('Phase-3')) return 'Intermediate';
-  if (filePath.includes('Phase-4') || filePath.includes('Phase-5')) return 'Intermediate';
+  const match = filePath.match(/Phase-(\d+)-/);
+  const phaseNumber = match ? Number(match[1]) : Infinity;
+  if (phaseNumber <= 1) return 'Beginner';
+  if (phaseNumber <= 5) return 'Intermediate';
   return 'Advanced';
 }
 
-// Generate curriculum data from actual files
-function generateCurriculumData() {
+// Module markdown files in a phase directory, in filename order
+function listModuleFiles(phasePath) {
+  return fs.readdirSync(phasePath)
+    .filter(file => (file.startsWith('Module-') || file === 'Core-Syntax-Overview.md') && file.endsWith('.md'))
+    .sort();
+}
+
+// Generate module ID from filename unless the frontmatter sets one
+function getModuleId(fileName, frontmatterId) {
+  if (frontmatterId) return frontmatterId;
+  if (fileName === 'Core-Syntax-Overview.md') return 'core-syntax-overview';
+  return fileName.replace('.md', '').toLowerCase().replace(/\./g, '-');
+}
+
+// Generate curriculum data from actual files.
+// Parsed modules are kept in `moduleCache` (keyed by file path) so watch mode
+// can drop a single entry and only re-parse the file that changed.
+function generateCurriculumData({ moduleCache = new Map(), quiet = false } = {}) {
   const phases = [];
-  const rootPath = path.join(__dirname, '../..');
+  const log = quiet ? () => {} : console.log;
   
-  // Phase directories in order
-  const phaseDirectories = [
-    'Phase-0-Absolute-Beginnings',
-    'Phase-1-Foundation-Technologies', 
-    'Phase-2-React-Development-Mastery',
-    'Phase-3-Geographic-Information-Systems',
-    'Phase-4-3D-Visualisation-and-Graphics',
-    'Phase-5-Database-Systems-and-Backend',
-    'Phase-6-Build-Tools-and-Development-Workflow',
-    'Phase-7-Cloud-Deployment-and-DevOps',
-    'Phase-8-Advanced-Integration-Patterns'
-  ];
-  
-  const phaseColors = [
-    'from-green-400 to-green-600',
-    'from-blue-400 to-blue-600',
-    'from-purple-400 to-purple-600',
-    'from-teal-400 to-teal-600',
-    'from-orange-400 to-orange-600',
-    'from-red-400 to-red-600',
-    'from-indigo-400 to-indigo-600',
-    'from-pink-400 to-pink-600',
-    'from-yellow-400 to-yellow-600'
-  ];
-  
-  phaseDirectories.forEach((dirName, index) => {
-    const phasePath = path.join(rootPath, dirName);
-    
-    if (!fs.existsSync(phasePath)) {
-      console.log(`Skipping ${dirName} - directory not found`);
-      return;
-    }
-    
+  discoverPhases().forEach(phaseInfo => {
+    const { directory: dirName, path: phasePath } = phaseInfo;
     const modules = [];
     
     try {
-      const files = fs.readdirSync(phasePath);
-      const moduleFiles = files
-        .filter(file => (file.startsWith('Module-') || file === 'Core-Syntax-Overview.md') && file.endsWith('.md'))
-        .sort(); // Sort to maintain order
+      const moduleFiles = listModuleFiles(phasePath);
       
-      console.log(`Processing ${dirName}: found ${moduleFiles.length} modules`);
+      log(`Processing ${dirName}: found ${moduleFiles.length} modules`);
       
       moduleFiles.forEach(fileName => {
         const modulePath = path.join(phasePath, fileName);
-        const moduleData = parseModuleMarkdown(modulePath);
+        if (!moduleCache.has(modulePath)) {
+          moduleCache.set(modulePath, parseModuleMarkdown(modulePath));
+        }
+        const moduleData = moduleCache.get(modulePath);
         
         if (moduleData) {
-          // Generate module ID from filename
-          let moduleId;
-          if (fileName === 'Core-Syntax-Overview.md') {
-            moduleId = 'core-syntax-overview';
-          } else {
-            moduleId = fileName.replace('.md', '').toLowerCase().replace(/\./g, '-');
-          }
-          
           modules.push({
-            id: moduleId,
-            ...moduleData
+            ...moduleData,
+            id: getModuleId(fileName, moduleData.id),
+            number: getModuleNumber(fileName),
+            // Path from the repository root, read by the curriculum Vite plugin
+            contentPath: `${dirName}/${fileName}`
           });
-          console.log(`  - ${moduleData.title}`);
+          log(`  - ${moduleData.title}`);
         }
       });
-      
-      // Read phase README for description
-      let phaseDescription = '';
-      const readmePath = path.join(phasePath, 'README.md');
-      if (fs.existsSync(readmePath)) {
-        const readmeContent = fs.readFileSync(readmePath, 'utf-8');
-        // Try to extract overview or description
-        const lines = readmeContent.split('\n');
-        let foundOverview = false;
-        for (const line of lines) {
-          if (line.includes('##') && (line.toLowerCase().includes('overview') || line.toLowerCase().includes('description'))) {
-            foundOverview = true;
-            continue;
-          }
-          if (foundOverview && line.trim() && !line.startsWith('#')) {
-            phaseDescription = line.trim();
-            break;
-          }
-        }
-      }
-      
-      // Generate phase title and description
-      const phaseTitle = dirName.replace(/-/g, ' ').replace(/Phase (\d+)/, 'Phase $1:');
+
+      // Frontmatter `order` takes precedence; files without one keep their filename order after them
+      const orderOf = module => (module.order === null ? Number.MAX_SAFE_INTEGER : module.order);
+      modules.sort((a, b) => orderOf(a) - orderOf(b));
+      modules.forEach(module => delete module.order);
       
       phases.push({
-        id: `phase-${index}`,
-        title: phaseTitle,
-        description: phaseDescription || `Advanced curriculum phase covering ${dirName.replace(/Phase-\d+-/, '').replace(/-/g, ' ').toLowerCase()}`,
-        color: phaseColors[index],
+        id: phaseInfo.id,
+        title: phaseInfo.title,
+        description: phaseInfo.description,
+        color: phaseInfo.color,
+        directory: dirName,
         modules
       });
       
@@ -220,6 +275,10 @@ function generateCurriculumData() {
     }
   });
   
+  // Turn "Module 1.1" and "Phase 0" in the prerequisite text into ids
+  resolvePrerequisites(phases);
+  phases.forEach(phase => phase.modules.forEach(module => delete module.number));
+  
   return {
     title: "Comprehensive Coding Curriculum - Property Analysis Platform",
     description: "A sophisticated curriculum designed around enterprise-level web development, GIS technologies, 3D visualisation, database systems, and cloud deployment.",
@@ -227,35 +286,55 @@ function generateCurriculumData() {
   };
 }
 
-// Main execution
-console.log('Generating curriculum data from markdown files...');
-const curriculumData = generateCurriculumData();
-
-// Write to data file
-const outputPath = path.join(__dirname, '../src/data/curriculumData.js');
-const outputContent = `// Auto-generated curriculum data from markdown files
+// Serialise curriculum data into the module the app imports
+function saveCurriculumData(curriculumData) {
+  const outputContent = `// Auto-generated curriculum data from markdown files
 // Generated on ${new Date().toISOString()}
 
 export const curriculumData = ${JSON.stringify(curriculumData, null, 2)};
 `;
 
-fs.writeFileSync(outputPath, outputContent);
-console.log(`✅ Curriculum data generated successfully!`);
-console.log(`📊 Total phases: ${curriculumData.phases.length}`);
-console.log(`📚 Total modules: ${curriculumData.phases.reduce((acc, phase) => acc + phase.modules.length, 0)}`);
-console.log(`📝 Output written to: ${outputPath}`);
+  fs.writeFileSync(OUTPUT_PATH, outputContent);
+  return OUTPUT_PATH;
+}
 
-// Also create a summary
-const summary = curriculumData.phases.map(phase => ({
-  phase: phase.title,
-  modules: phase.modules.length,
-  moduleList: phase.modules.map(m => m.title)
-}));
+// Write src/data/curriculumData.js and print a summary
+function writeCurriculumData() {
+  console.log('Generating curriculum data from markdown files...');
+  const curriculumData = generateCurriculumData();
 
-console.log('\n📋 Curriculum Summary:');
-summary.forEach(phase => {
-  console.log(`\n${phase.phase} (${phase.modules} modules):`);
-  phase.moduleList.forEach(module => {
-    console.log(`  • ${module}`);
-  });
-}); 
\ No newline at end of file
+  // Write to data file
+  const outputPath = saveCurriculumData(curriculumData);
+  console.log(`✅ Curriculum data generated successfully!`);
+  console.log(`📊 Total phases: ${curriculumData.phases.length}`);
+  console.log(`📚 Total modules: ${curriculumData.phases.reduce((acc, phase) => acc + phase.modules.length, 0)}`);
+  console.log(`📝 Output written to: ${outputPath}`);
+
+  // Also create a summary
+  const summary = curriculumData.phases.map(phase => ({
+    phase: phase.title,
+    modules: phase.modules.length,
+    moduleList: phase.modules.map(m => m.title)
+  }));
+
+  console.log('\n📋 Curriculum Summary:');
+  summary.forEach(phase => {
+    console.log(`\n${phase.phase} (${phase.modules} modules):`);
+    phase.moduleList.forEach(module => {
+      console.log(`  • ${module}`);
+    });
+  }); 
+}
+
+if (require.main === module) {
+  writeCurriculumData();
+}
+
+module.exports = {
+  parseModuleMarkdown,
+  listModuleFiles,
+  getModuleId,
+  generateCurriculumData,
+  saveCurriculumData,
+  writeCurriculumData
+};
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+// Validate the structure of every curriculum module and print file:line diagnostics.
+// Usage: node scripts/lintCurriculum.js [file ...]
+// With file arguments only those files are reported on, but cross-module checks
+// (duplicate numbers, prerequisite ids) still look at the whole curriculum.
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { CURRICULUM_ROOT, discoverPhases } = require('./curriculumPhases');
+const { listModuleFiles, getModuleId } = require('./generateCurriculum');
+const { parseQuizBlocks } = require('./curriculumQuizzes');
+const { parseExerciseBlocks } = require('./curriculumExercises');
+const { getModuleNumber, findPrerequisiteReferences } = require('./curriculumPrerequisites');
+const { classifyLines } = require('./curriculumMarkdown');
+
+const REQUIRED_SECTIONS = ['Learning Objectives', 'Prerequisites', 'Summary'];
+const LINK_PATTERN = /\[[^\]]*\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+// Split a module file into headings and fenced code blocks, keeping 1-based line
+// numbers. Fences are matched as in curriculumMarkdown.js.
+function scanMarkdown(source) {
+  const lines = source.split('\n');
+  let startLine = 0;
+
+  // Skip the frontmatter block so its `---` delimiters and keys aren't read as content
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) startLine = end + 1;
+  }
+
+  const headings = [];
+  const fences = [];
+  classifyLines(lines.slice(startLine)).forEach(({ type, fence, level, title }, offset) => {
+    const index = startLine + offset;
+    if (type === 'heading') {
+      headings.push({ level, title, line: index + 1, index });
+    } else if (type === 'fence' && fence.start === offset) {
+      fences.push({ marker: fence.marker, line: index + 1, info: fence.info });
+    }
+  });
+
+  return { lines, headings, fences, startLine };
+}
+
+// Lines belonging to a heading, up to the next heading of the same or higher level
+function sectionBody(scan, headingIndex) {
+  const heading = scan.headings[headingIndex];
+  const next = scan.headings.slice(headingIndex + 1).find(h => h.level <= heading.level);
+  const end = next ? next.index : scan.lines.length;
+  return scan.lines
+    .slice(heading.index + 1, end)
+    .map((text, offset) => ({ text, line: heading.index + offset + 2 }));
+}
+
+// Collect every module with the facts the cross-module checks need
+function loadModules() {
+  const modules = [];
+
+  discoverPhases().forEach(({ path: phasePath }) => {
+    listModuleFiles(phasePath).forEach(fileName => {
+      const filePath = path.join(phasePath, fileName);
+      const source = fs.readFileSync(filePath, 'utf-8');
+      let frontmatter = {};
+      try {
+        frontmatter = matter(source).data;
+      } catch (error) {
+        frontmatter = { error: error.message };
+      }
+
+      modules.push({
+        filePath,
+        fileName,
+        source,
+        frontmatter,
+        id: getModuleId(fileName, frontmatter.id),
+        number: getModuleNumber(fileName),
+        scan: scanMarkdown(source)
+      });
+    });
+  });
+
+  return modules;
+}
+
+function lintModule(module, context, report) {
+  const { scan, frontmatter } = module;
+  const h2 = scan.headings.filter(h => h.level === 2);
+
+  if (frontmatter.error) {
+    report(module, 1, 'frontmatter', `Invalid YAML frontmatter: ${frontmatter.error}`);
+  }
+
+  REQUIRED_SECTIONS.forEach(section => {
+    if (!h2.some(h => h.title === section)) {
+      report(module, 1, 'missing-section', `Missing "## ${section}" section`);
+    }
+  });
+
+  scan.headings.forEach((heading, index) => {
+    const hasContent = sectionBody(scan, index).some(({ text }) => text.trim() && !/^\s*(-{3,}|\*{3,})\s*$/.test(text));
+    if (!hasContent) {
+      report(module, heading.line, 'empty-section', `Section "${heading.title}" has no content`);
+    }
+  });
+
+  scan.fences.filter(fence => !fence.info).forEach(fence => {
+    report(module, fence.line, 'unlabelled-code-block', 'Fenced code block has no language (use ```text for plain output)');
+  });
+
+  scan.headings.forEach((heading, index) => {
+    if (heading.level !== 2 || heading.title !== 'Navigation') return;
+
+    sectionBody(scan, index).forEach(({ text, line }) => {
+      for (const [, target] of text.matchAll(LINK_PATTERN)) {
+        if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('#')) continue;
+
+        const relativePath = decodeURI(target.split('#')[0]);
+        if (!fs.existsSync(path.resolve(path.dirname(module.filePath), relativePath))) {
+          report(module, line, 'broken-link', `Navigation link target "${target}" does not exist`);
+        }
+      }
+    });
+  });
+
+  // Quiz and exercise line numbers are relative to the body after the frontmatter
+  const body = scan.lines.slice(scan.startLine).join('\n');
+  parseQuizBlocks(body).filter(block => block.error).forEach(block => {
+    report(module, scan.startLine + block.start + 1, 'quiz', block.error);
+  });
+  parseExerciseBlocks(body).filter(block => block.error).forEach(block => {
+    report(module, scan.startLine + block.start + 1, 'exercise', block.error);
+  });
+
+  // Look in the frontmatter only, so `prerequisites:` in the body isn't taken for the key
+  const prerequisiteLine = scan.lines.slice(0, scan.startLine).findIndex(line => /^prerequisites\s*:/.test(line)) + 1 || 1;
+  [].concat(frontmatter.prerequisites || []).forEach(id => {
+    if (!context.moduleIds.has(String(id))) {
+      report(module, prerequisiteLine, 'unknown-prerequisite', `Prerequisite "${id}" is not a module id`);
+    }
+  });
+
+  scan.headings.forEach((heading, index) => {
+    if (heading.level !== 2 || heading.title !== 'Prerequisites') return;
+
+    sectionBody(scan, index).forEach(({ text, line }) => {
+      const references = findPrerequisiteReferences(text);
+      references.modules.filter(number => !context.moduleNumbers.has(number)).forEach(number => {
+        report(module, line, 'unknown-prerequisite', `Prerequisite refers to Module ${number}, which does not exist`);
+      });
+      references.phases.filter(number => !context.phaseNumbers.has(number)).forEach(number => {
+        report(module, line, 'unknown-prerequisite', `Prerequisite refers to Phase ${number}, which does not exist`);
+      });
+    });
+  });
+}
+
+function lintCurriculum(onlyFiles = []) {
+  const modules = loadModules();
+  const diagnostics = [];
+  const selected = new Set(onlyFiles.map(file => path.resolve(file)));
+  const report = (module, line, rule, message) => {
+    if (selected.size > 0 && !selected.has(module.filePath)) return;
+    diagnostics.push({ file: path.relative(CURRICULUM_ROOT, module.filePath), line, rule, message });
+  };
+
+  const context = {
+    moduleIds: new Set(modules.map(m => m.id)),
+    moduleNumbers: new Set(modules.map(m => m.number).filter(Boolean)),
+    phaseNumbers: new Set(discoverPhases().map(phase => phase.number))
+  };
+
+  const seenNumbers = new Map();
+  const seenIds = new Map();
+  modules.forEach(module => {
+    if (module.number && seenNumbers.has(module.number)) {
+      report(module, 1, 'duplicate-module-number', `Module ${module.number} is also used by ${path.relative(CURRICULUM_ROOT, seenNumbers.get(module.number))}`);
+    } else if (module.number) {
+      seenNumbers.set(module.number, module.filePath);
+    }
+
+    if (seenIds.has(module.id)) {
+      report(module, 1, 'duplicate-module-id', `Module id "${module.id}" is also used by ${path.relative(CURRICULUM_ROOT, seenIds.get(module.id))}`);
+    } else {
+      seenIds.set(module.id, module.filePath);
+    }
+
+    lintModule(module, context, report);
+  });
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+if (require.main === module) {
+  const diagnostics = lintCurriculum(process.argv.slice(2));
+
+  diagnostics.forEach(({ file, line, rule, message }) => {
+    console.log(`${file}:${line}: [${rule}] ${message}`);
+  });
+
+  if (diagnostics.length > 0) {
+    const counts = diagnostics.reduce((acc, { rule }) => ({ ...acc, [rule]: (acc[rule] || 0) + 1 }), {});
+    console.log(`\n❌ ${diagnostics.length} problem(s) found`);
+    Object.entries(counts).forEach(([rule, count]) => console.log(`  ${rule}: ${count}`));
+    process.exit(1);
+  }
+
+  console.log('✅ Curriculum lint passed');
+}
+
+module.exports = { lintCurriculum };
@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+// Reference backend for the HTTP storage adapter (src/storage/httpAdapter.js), so
+// progress can be synced across devices and the sync path tested locally.
+// Accounts, sessions, progress, bookmarks and settings are kept in one JSON file.
+// Usage: node server/index.js
+//   PORT          port to listen on (default 8787)
+//   CURRICULUM_DB path of the data file (default server/data/db.json)
+//   CORS_ORIGIN   allowed origin (default *)
+//
+// REST contract. Bodies are JSON; routes marked * need `Authorization: Bearer <token>`.
+//
+//   POST   /api/auth/signup     { name, email, password }         201 { token, user, expiresAt }
+//   POST   /api/auth/signin     { email, password }               200 { token, user, expiresAt }
+//   POST   /api/auth/signout  *                                   204
+//   GET    /api/auth/session  *                                   200 { user, expiresAt }
+//   POST   /api/auth/password * { currentPassword, newPassword }  200 { token, user, expiresAt }
+//   DELETE /api/account       * { password }                      204
+//   GET    /api/progress      *                                   200 progress document
+//   PUT    /api/progress      * progress document                 204
+//   DELETE /api/progress      *                                   204, clears progress and bookmarks
+//   POST   /api/sync          * { changes }                       200 { progress, bookmarks }
+//   GET    /api/bookmarks     *                                   200 { [key]: bookmark }
+//   PUT    /api/bookmarks     * bookmarks                         204
+//   GET    /api/settings      *                                   200 settings
+//   PUT    /api/settings      * settings                          204
+//
+// `user` is { id, name, email, joinDate, lastActive }, with the email as id. A
+// progress document is { version, modules: { [moduleId]: record }, collections,
+// activity } as described in src/context/progressStorage.js. Bookmarks are keyed by
+// module id, or `<moduleId>#<headingId>` for a section, and each is { addedAt,
+// moduleId, headingId, note, collectionId } (see src/context/bookmarks.js). The
+// collections a bookmark's collectionId refers to are kept in the progress
+// document, not with the bookmarks. Documents are stored as sent and start out as {}.
+//
+// /api/sync applies field-level changes from src/storage/changes.js to progress and
+// bookmarks (paths starting with 'bookmarks' go to the bookmarks document). Queued
+// changes can arrive late and out of order, so a 'set' or 'delete' loses to a newer
+// write already applied to the same field or one containing it, while 'add' always
+// applies. Change ids are remembered so a retried request isn't counted twice.
+//
+// Errors are { error, field? }, where `field` names the form field a sign-in or
+// account error belongs to: 400 invalid request, 401 missing, expired or revoked
+// token, 403 wrong password, 404 unknown account or route, 409 email already
+// registered, 413 body too large, 423 locked after too many wrong passwords.
+// Changing the password or deleting the account ends every session of the account.
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const PORT = Number(process.env.PORT) || 8787;
+const DB_PATH = process.env.CURRICULUM_DB || path.join(__dirname, 'data', 'db.json');
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+
+// Same parameters as the local accounts in src/contexts/accountStorage.js
+const PBKDF2_ITERATIONS = 600000;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+const SESSION_DAYS = 7;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_BODY_BYTES = 1024 * 1024;
+// How many applied change ids to remember per account
+const MAX_APPLIED_CHANGE_IDS = 1000;
+// Keys a change path may not use, so a change can't reach Object.prototype
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+class HttpError extends Error {
+  constructor(status, message, field) {
+    super(message);
+    this.status = status;
+    this.field = field;
+  }
+}
+
+// Emails and tokens come from requests, so the maps keyed by them have no prototype:
+// looking up `toString` or `__proto__` finds nothing instead of an Object method
+const toMap = (entries) => Object.assign(Object.create(null), entries);
+
+// The whole database: { accounts: { [email]: account }, sessions: { [token]: session },
+// documents: { [email]: { progress, bookmarks, settings, clocks, appliedChangeIds } } },
+// where clocks has the time of the last write to each field /api/sync has touched
+function loadDatabase(dbPath) {
+  const data = fs.existsSync(dbPath) ? JSON.parse(fs.readFileSync(dbPath, 'utf8')) : {};
+  return {
+    accounts: toMap(data.accounts),
+    sessions: toMap(data.sessions),
+    documents: toMap(data.documents)
+  };
+}
+
+// Write to a temporary file first so a crash never leaves half a database behind
+function saveDatabase(dbPath, db) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const tempPath = `${dbPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(db, null, 2));
+  fs.renameSync(tempPath, dbPath);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+  return { hash: hash.toString('base64'), salt: salt.toString('base64'), iterations: PBKDF2_ITERATIONS };
+}
+
+async function verifyPassword(password, stored) {
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = await pbkdf2(password, Buffer.from(stored.salt, 'base64'), stored.iterations, expected.length, 'sha256');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const toUser = (account) => ({
+  id: account.email,
+  name: account.name,
+  email: account.email,
+  joinDate: account.createdAt,
+  lastActive: new Date().toISOString()
+});
+
+const lockoutMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+function createApp(dbPath = DB_PATH) {
+  const db = loadDatabase(dbPath);
+  const save = () => saveDatabase(dbPath, db);
+
+  const startSession = (account) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    db.sessions[token] = { email: account.email, expiresAt };
+    save();
+    return { token, user: toUser(account), expiresAt };
+  };
+
+  const endSessions = (email) => {
+    Object.keys(db.sessions).forEach(token => {
+      if (db.sessions[token].email === email) delete db.sessions[token];
+    });
+  };
+
+  // Check a password, counting failures towards a lockout
+  const authenticate = async (email, password, field = 'password') => {
+    const account = db.accounts[email];
+    if (!account) {
+      throw new HttpError(404, 'No account found with this email address', 'email');
+    }
+    if (account.lockedUntil && new Date(account.lockedUntil) > new Date()) {
+      throw new HttpError(423, lockoutMessage(account.lockedUntil), field);
+    }
+
+    if (!(await verifyPassword(String(password || ''), account.password))) {
+      const failedAttempts = (account.failedAttempts || 0) + 1;
+      const lockedUntil = failedAttempts >= MAX_FAILED_ATTEMPTS
+        ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+        : null;
+      account.failedAttempts = lockedUntil ? 0 : failedAttempts;
+      account.lockedUntil = lockedUntil;
+      save();
+      throw lockedUntil
+        ? new HttpError(423, lockoutMessage(lockedUntil), field)
+        : new HttpError(403, 'Incorrect password', field);
+    }
+
+    account.failedAttempts = 0;
+    account.lockedUntil = null;
+    return account;
+  };
+
+  // The account a bearer token belongs to, with the token itself
+  const requireSession = (req) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = db.sessions[token];
+    if (!session || new Date(session.expiresAt) <= new Date() || !db.accounts[session.email]) {
+      if (session) {
+        delete db.sessions[token];
+        save();
+      }
+      throw new HttpError(401, 'Not signed in');
+    }
+    return { token, session, account: db.accounts[session.email] };
+  };
+
+  const documentsFor = (email) => {
+    db.documents[email] = db.documents[email] || { progress: {}, bookmarks: {}, settings: {} };
+    return db.documents[email];
+  };
+
+  const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const isValidChange = (change) => isPlainObject(change)
+    && Array.isArray(change.path) && change.path.length > 0
+    && change.path.every(key => typeof key === 'string' && !UNSAFE_KEYS.includes(key))
+    && ['set', 'delete', 'add'].includes(change.op)
+    && (change.op !== 'add' || typeof change.value === 'number')
+    && typeof change.at === 'number';
+
+  const applyChange = (documents, change) => {
+    const clocks = documents.clocks = documents.clocks || {};
+    const applied = documents.appliedChangeIds = documents.appliedChangeIds || [];
+    if (change.id && applied.includes(change.id)) return;
+
+    const keys = change.path.map((key, index) => change.path.slice(0, index + 1).join('/'));
+    const clockOf = (key) => (Object.hasOwn(clocks, key) ? clocks[key] : 0);
+    if (change.op !== 'add' && keys.some(key => clockOf(key) > change.at)) return;
+
+    const [root, ...rest] = change.path;
+    const [name, fieldPath] = root === 'bookmarks' ? ['bookmarks', rest] : ['progress', change.path];
+    if (fieldPath.length === 0) {
+      documents[name] = change.op === 'set' && isPlainObject(change.value) ? change.value : {};
+    } else {
+      let target = documents[name];
+      fieldPath.slice(0, -1).forEach(key => {
+        if (!isPlainObject(target[key])) target[key] = {};
+        target = target[key];
+      });
+      const field = fieldPath[fieldPath.length - 1];
+      if (change.op === 'delete') {
+        delete target[field];
+      } else if (change.op === 'add') {
+        target[field] = (Number(target[field]) || 0) + change.value;
+      } else {
+        target[field] = change.value;
+      }
+    }
+
+    const fieldKey = keys[keys.length - 1];
+    clocks[fieldKey] = Math.max(clockOf(fieldKey), change.at);
+    if (change.id) {
+      applied.push(change.id);
+      applied.splice(0, applied.length - MAX_APPLIED_CHANGE_IDS);
+    }
+  };
+
+  const requireObject = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Expected a JSON object');
+    }
+    return body;
+  };
+
+  const documentRoutes = (name) => ({
+    [`GET /api/${name}`]: async (req) => [200, documentsFor(requireSession(req).account.email)[name]],
+    [`PUT /api/${name}`]: async (req, body) => {
+      const { account } = requireSession(req);
+      documentsFor(account.email)[name] = requireObject(body);
+      save();
+      return [204];
+    }
+  });
+
+  const routes = {
+    'POST /api/auth/signup': async (req, body) => {
+      const { name, email, password } = requireObject(body);
+      if (!name) throw new HttpError(400, 'Name is required', 'name');
+      if (typeof email !== 'string' || !/\S+@\S+\.\S+/.test(email)) {
+        throw new HttpError(400, 'Please enter a valid email address', 'email');
+      }
+      if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'password');
+      }
+      if (db.accounts[email]) throw new HttpError(409, 'An account with this email already exists', 'email');
+
+      db.accounts[email] = {
+        name: String(name),
+        email,
+        createdAt: new Date().toISOString(),
+        password: await hashPassword(String(password)),
+        failedAttempts: 0,
+        lockedUntil: null
+      };
+      return [201, startSession(db.accounts[email])];
+    },
+
+    'POST /api/auth/signin': async (req, body) => {
+      const { email, password } = requireObject(body);
+      const account = await authenticate(email, password);
+      return [200, startSession(account)];
+    },
+
+    'POST /api/auth/signout': async (req) => {
+      const { token } = requireSession(req);
+      delete db.sessions[token];
+      save();
+      return [204];
+    },
+
+    'GET /api/auth/session': async (req) => {
+      const { session, account } = requireSession(req);
+      return [200, { user: toUser(account), expiresAt: session.expiresAt }];
+    },
+
+    'POST /api/auth/password': async (req, body) => {
+      const { currentPassword, newPassword } = requireObject(body);
+      const { account } = requireSession(req);
+      await authenticate(account.email, currentPassword, 'currentPassword');
+      if (String(newPassword || '').length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'newPassword');
+      }
+      account.password = await hashPassword(String(newPassword));
+      endSessions(account.email);
+      return [200, startSession(account)];
+    },
+
+    'DELETE /api/account': async (req, body) => {
+      const { password } = requireObject(body);
+      const { account } = requireSession(req);
+      await authenticate(account.email, password);
+      endSessions(account.email);
+      delete db.accounts[account.email];
+      delete db.documents[account.email];
+      save();
+      return [204];
+    },
+
+    ...documentRoutes('progress'),
+    ...documentRoutes('bookmarks'),
+    ...documentRoutes('settings'),
+
+    'DELETE /api/progress': async (req) => {
+      const documents = documentsFor(requireSession(req).account.email);
+      documents.progress = {};
+      documents.bookmarks = {};
+      documents.clocks = {};
+      save();
+      return [204];
+    },
+
+    'POST /api/sync': async (req, body) => {
+      const { changes } = requireObject(body);
+      const documents = documentsFor(requireSession(req).account.email);
+      if (!Array.isArray(changes) || !changes.every(isValidChange)) {
+        throw new HttpError(400, 'Expected { changes } with a path, op and time for each change');
+      }
+      changes.forEach(change => applyChange(documents, change));
+      save();
+      return [200, { progress: documents.progress, bookmarks: documents.bookmarks }];
+    }
+  };
+
+  const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+  return async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', CORS_ORIGIN);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+    const send = (status, data) => {
+      if (data === undefined) {
+        res.writeHead(status);
+        res.end();
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${pathname}`];
+
+    try {
+      if (!route) throw new HttpError(404, `No route for ${req.method} ${pathname}`);
+      const [status, data] = await route(req, await readBody(req));
+      send(status, data);
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error(error);
+      const status = error instanceof HttpError ? error.status : 500;
+      send(status, {
+        error: error instanceof HttpError ? error.message : 'Internal server error',
+        ...(error.field && { field: error.field })
+      });
+    }
+  };
+}
+
+module.exports = {
+  createApp
+};
+
+if (require.main === module) {
+  http.createServer(createApp()).listen(PORT, () => {
+    console.log(`Curriculum sync server listening on http://localhost:${PORT} (data in ${DB_PATH})`);
+  });
+}
@@ -7,8 +7,13 @@ import Dashboard from './components/Dashboard';
 import PhaseView from './components/PhaseView';
 import ModuleView from './components/ModuleView';
 import LoginModal from './components/LoginModal';
+import AccountModal from './components/AccountModal';
 import ProgressPage from './components/ProgressPage';
 import CodeIDE from './components/CodeIDE';
+import CurriculumMap from './components/CurriculumMap';
+import NotesPage from './components/NotesPage';
+import BookmarksPage from './components/BookmarksPage';
+import SearchPalette from './components/SearchPalette';
 import ProgressProvider from './context/ProgressContext';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import { curriculumData } from './data/curriculumData';
@@ -16,6 +21,8 @@ import { curriculumData } from './data/curriculumData';
 function AppContent() {
   const [darkMode, setDarkMode] = useState(false);
   const [showLoginModal, setShowLoginModal] = useState(false);
+  const [showAccountModal, setShowAccountModal] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
   const { isAuthenticated, user, logout } = useAuth();
 
   useEffect(() => {
@@ -59,6 +66,8 @@ function AppContent() {
               user={user}
               onLogin={() => setShowLoginModal(true)}
               onLogout={logout}
+              onAccount={() => setShowAccountModal(true)}
+              onSearch={() => setShowSearch(true)}
             />
             
             <main className="container mx-auto px-4 py-8">
@@ -71,26 +80,52 @@ function AppContent() {
                   path="/progress" 
                   element={<ProgressPage curriculum={curriculumData} />} 
                 />
+                <Route 
+                  path="/map" 
+                  element={<CurriculumMap curriculumData={curriculumData} />} 
+                />
+                <Route 
+                  path="/notes" 
+                  element={<NotesPage curriculumData={curriculumData} />} 
+                />
+                <Route 
+                  path="/bookmarks" 
+                  element={<BookmarksPage curriculumData={curriculumData} />} 
+                />
                 <Route 
                   path="/ide" 
-                  element={<CodeIDE />} 
+                  element={<CodeIDE curriculumData={curriculumData} />} 
                 />
                 <Route 
                   path="/phase/:phaseId" 
                   element={<PhaseView curriculumData={curriculumData} />} 
                 />
                 <Route 
-                  path="/phase/:phaseId/module/:moduleId" 
+                  path="/phase/:phaseId/module/:moduleId/:tab?" 
                   element={<ModuleView curriculumData={curriculumData} />} 
                 />
               </Routes>
             </main>
             
+            {/* Search Palette */}
+            <SearchPalette
+              curriculumData={curriculumData}
+              isOpen={showSearch}
+              onOpen={() => setShowSearch(true)}
+              onClose={() => setShowSearch(false)}
+            />
+
             {/* Login Modal */}
             <LoginModal 
               isOpen={showLoginModal} 
               onClose={() => setShowLoginModal(false)} 
             />
+
+            {/* Account Modal */}
+            <AccountModal
+              isOpen={showAccountModal}
+              onClose={() => setShowAccountModal(false)}
+            />
           </div>
         </div>
       </Router>
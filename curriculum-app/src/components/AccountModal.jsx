@@ -0,0 +1,237 @@
+import { useState } from 'react';
+import { X, KeyRound, Trash2, CheckCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { AuthError } from '../storage';
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const AccountModal = ({ isOpen, onClose }) => {
+  const { user, sessionExpiresAt, changePassword, deleteAccount } = useAuth();
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [deletePassword, setDeletePassword] = useState('');
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [passwordChanged, setPasswordChanged] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const close = () => {
+    setPasswordForm(EMPTY_PASSWORD_FORM);
+    setDeletePassword('');
+    setConfirmDelete(false);
+    setErrors({});
+    setPasswordChanged(false);
+    onClose();
+  };
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswordForm(prev => ({ ...prev, [name]: value }));
+    setPasswordChanged(false);
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const showError = (error) => {
+    if (error instanceof AuthError) {
+      setErrors({ [error.field]: error.message });
+    } else {
+      console.error('Error updating account:', error);
+      setErrors({ general: 'Something went wrong. Please try again.' });
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!passwordForm.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+    if (passwordForm.newPassword.length < 6) {
+      newErrors.newPassword = 'Password must be at least 6 characters';
+    }
+    if (passwordForm.confirmPassword !== passwordForm.newPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setIsLoading(true);
+    try {
+      await changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+      setPasswordForm(EMPTY_PASSWORD_FORM);
+      setPasswordChanged(true);
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+
+    if (!deletePassword) {
+      setErrors({ password: 'Enter your password to delete your account' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await deleteAccount(deletePassword);
+      close();
+    } catch (error) {
+      showError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isOpen || !user) return null;
+
+  const inputClassName = (field) => `w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+    errors[field] ? 'border-red-300' : 'border-gray-300'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Your Account</h2>
+            <p className="text-sm text-gray-600">{user.email}</p>
+          </div>
+          <button
+            onClick={close}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {errors.general && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+              {errors.general}
+            </div>
+          )}
+
+          {/* Change password */}
+          <form onSubmit={handleChangePassword} className="space-y-4">
+            <h3 className="flex items-center text-lg font-semibold text-gray-900">
+              <KeyRound className="mr-2 text-blue-600" size={20} />
+              Change Password
+            </h3>
+
+            {[
+              { name: 'currentPassword', label: 'Current Password' },
+              { name: 'newPassword', label: 'New Password' },
+              { name: 'confirmPassword', label: 'Confirm New Password' }
+            ].map(({ name, label }) => (
+              <div key={name}>
+                <label htmlFor={name} className="block text-sm font-medium text-gray-700 mb-1">
+                  {label}
+                </label>
+                <input
+                  type="password"
+                  id={name}
+                  name={name}
+                  value={passwordForm[name]}
+                  onChange={handlePasswordChange}
+                  className={inputClassName(name)}
+                />
+                {errors[name] && (
+                  <p className="mt-1 text-sm text-red-600">{errors[name]}</p>
+                )}
+              </div>
+            ))}
+
+            {passwordChanged && (
+              <div className="flex items-center text-sm text-green-700">
+                <CheckCircle className="mr-2" size={16} />
+                Password changed. You stay signed in on this browser.
+              </div>
+            )}
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {isLoading ? 'Saving...' : 'Change Password'}
+            </button>
+          </form>
+
+          {/* Delete account */}
+          <form onSubmit={handleDeleteAccount} className="space-y-4 pt-6 border-t">
+            <h3 className="flex items-center text-lg font-semibold text-red-700">
+              <Trash2 className="mr-2" size={20} />
+              Delete Account
+            </h3>
+            <p className="text-sm text-gray-600">
+              This removes your account along with its progress, bookmarks and settings. It can't be undone.
+            </p>
+
+            {confirmDelete ? (
+              <>
+                <div>
+                  <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    id="deletePassword"
+                    value={deletePassword}
+                    onChange={(e) => {
+                      setDeletePassword(e.target.value);
+                      setErrors(prev => ({ ...prev, password: '' }));
+                    }}
+                    className={inputClassName('password')}
+                  />
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600">{errors.password}</p>
+                  )}
+                </div>
+                <div className="flex space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setConfirmDelete(false)}
+                    className="flex-1 py-2 px-4 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="flex-1 bg-red-600 text-white py-2 px-4 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {isLoading ? 'Deleting...' : 'Delete Forever'}
+                  </button>
+                </div>
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setConfirmDelete(true)}
+                className="w-full py-2 px-4 rounded-lg border border-red-300 text-red-700 hover:bg-red-50 transition-colors"
+              >
+                Delete My Account
+              </button>
+            )}
+          </form>
+        </div>
+
+        {/* Session info */}
+        {sessionExpiresAt && (
+          <div className="bg-gray-50 px-6 py-4 rounded-b-lg text-xs text-gray-600">
+            You'll be signed out automatically on {new Date(sessionExpiresAt).toLocaleString()}.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountModal;
@@ -0,0 +1,85 @@
+import { getDailyActivity } from '../context/activityLog';
+
+const WEEKS = 53;
+const DAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+const LEVELS = [
+  { min: 10, className: 'bg-green-700 dark:bg-green-400' },
+  { min: 6, className: 'bg-green-500' },
+  { min: 3, className: 'bg-green-400 dark:bg-green-700' },
+  { min: 1, className: 'bg-green-200 dark:bg-green-900' },
+  { min: 0, className: 'bg-gray-100 dark:bg-gray-700' }
+];
+
+const levelClassName = (count) => LEVELS.find(level => count >= level.min).className;
+
+const describeDay = (day) => {
+  const date = new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+  });
+  if (day.count === 0 && day.minutes === 0) return `No activity on ${date}`;
+  const minutes = Math.round(day.minutes);
+  return `${day.count} activit${day.count === 1 ? 'y' : 'ies'}${minutes > 0 ? `, ${minutes} min` : ''} on ${date}`;
+};
+
+// GitHub-style calendar of the past year, one square per day, darker for more activity
+const ActivityHeatmap = ({ entries }) => {
+  const today = new Date();
+  // Start on a Sunday so every column is one week
+  const days = getDailyActivity(entries, (WEEKS - 1) * 7 + today.getDay() + 1, today);
+  const weeks = Array.from({ length: WEEKS }, (_, i) => days.slice(i * 7, i * 7 + 7));
+
+  // Label a column with its month when the month starts in that week
+  const monthLabels = weeks.map((week, i) => {
+    const month = new Date(`${week[0].date}T00:00:00`).getMonth();
+    const previousMonth = i > 0 ? new Date(`${weeks[i - 1][0].date}T00:00:00`).getMonth() : null;
+    return month !== previousMonth
+      ? new Date(`${week[0].date}T00:00:00`).toLocaleDateString(undefined, { month: 'short' })
+      : '';
+  });
+
+  return (
+    <div className="overflow-x-auto">
+      <div className="inline-flex flex-col text-xs text-gray-500 dark:text-gray-400">
+        {/* Month labels */}
+        <div className="flex ml-8 mb-1">
+          {monthLabels.map((label, i) => (
+            <div key={i} className="w-3 mr-1 overflow-visible whitespace-nowrap">{label}</div>
+          ))}
+        </div>
+
+        <div className="flex">
+          {/* Weekday labels */}
+          <div className="flex flex-col w-8">
+            {DAY_LABELS.map((label, i) => (
+              <div key={i} className="h-3 mb-1 leading-3">{label}</div>
+            ))}
+          </div>
+
+          {weeks.map((week, i) => (
+            <div key={i} className="flex flex-col mr-1">
+              {week.map(day => (
+                <div
+                  key={day.date}
+                  title={describeDay(day)}
+                  className={`w-3 h-3 mb-1 rounded-sm ${levelClassName(day.count)}`}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {/* Legend */}
+        <div className="flex items-center justify-end mt-2 space-x-1">
+          <span className="mr-1">Less</span>
+          {[...LEVELS].reverse().map(level => (
+            <div key={level.min} className={`w-3 h-3 rounded-sm ${level.className}`} />
+          ))}
+          <span className="ml-1">More</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Pencil, Trash2, ChevronRight } from 'lucide-react';
+import AnnotationColorPicker from './AnnotationColorPicker';
+import { DEFAULT_ANNOTATION_COLOR } from '../utils/annotations';
+
+const QUOTE_BORDERS = {
+  yellow: 'border-yellow-400',
+  green: 'border-green-400',
+  blue: 'border-sky-400',
+  pink: 'border-pink-400'
+};
+
+// One highlight or note in a list, with its quote, its note (editable in place), where
+// it is and a link there. `location` names where it is, e.g. the section title.
+const AnnotationCard = ({ annotation, location, href, onUpdate, onRemove }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(annotation.note);
+  const color = annotation.color || DEFAULT_ANNOTATION_COLOR;
+
+  const saveNote = () => {
+    onUpdate({ note: draft.trim() });
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+      <blockquote className={`border-l-4 ${QUOTE_BORDERS[color]} pl-3 text-sm italic text-gray-600 dark:text-gray-300 line-clamp-4`}>
+        {annotation.quote}
+      </blockquote>
+
+      {isEditing ? (
+        <div className="mt-3 space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={3}
+            autoFocus
+            placeholder="Write a note…"
+            className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => {
+                setDraft(annotation.note);
+                setIsEditing(false);
+              }}
+              className="px-3 py-1 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={saveNote}
+              className="px-3 py-1 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : annotation.note && (
+        <p className="mt-3 text-sm text-gray-900 dark:text-gray-100 whitespace-pre-wrap">{annotation.note}</p>
+      )}
+
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-gray-500 dark:text-gray-400">
+        <Link to={href} className="flex items-center font-medium text-primary-600 dark:text-primary-400 hover:underline min-w-0">
+          <span className="truncate">{location}</span>
+          <ChevronRight className="h-3 w-3 flex-shrink-0" />
+        </Link>
+        <span>{new Date(annotation.updatedAt).toLocaleDateString()}</span>
+        <div className="flex-1" />
+        <AnnotationColorPicker value={color} onChange={(nextColor) => onUpdate({ color: nextColor })} />
+        <button
+          onClick={() => {
+            setDraft(annotation.note);
+            setIsEditing(true);
+          }}
+          aria-label={annotation.note ? 'Edit note' : 'Add a note'}
+          className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 transition-colors"
+        >
+          <Pencil className="h-4 w-4" />
+        </button>
+        <button
+          onClick={onRemove}
+          aria-label="Delete"
+          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationCard;
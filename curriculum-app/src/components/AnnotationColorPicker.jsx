@@ -0,0 +1,28 @@
+import { ANNOTATION_COLORS } from '../utils/annotations';
+
+const SWATCHES = {
+  yellow: 'bg-yellow-300',
+  green: 'bg-green-300',
+  blue: 'bg-sky-300',
+  pink: 'bg-pink-300'
+};
+
+// A row of swatches for a highlight's colour
+const AnnotationColorPicker = ({ value, onChange }) => (
+  <div className="flex items-center space-x-1">
+    {ANNOTATION_COLORS.map(color => (
+      <button
+        key={color}
+        type="button"
+        onClick={() => onChange(color)}
+        aria-label={`Highlight ${color}`}
+        aria-pressed={color === value}
+        className={`w-5 h-5 rounded-full ${SWATCHES[color]} border-2 transition-transform hover:scale-110 ${
+          color === value ? 'border-gray-700 dark:border-gray-100' : 'border-transparent'
+        }`}
+      />
+    ))}
+  </div>
+);
+
+export default AnnotationColorPicker;
@@ -0,0 +1,243 @@
+import { useState, useEffect, useRef } from 'react';
+import { Highlighter, StickyNote, Trash2, Pencil } from 'lucide-react';
+import AnnotationColorPicker from './AnnotationColorPicker';
+import {
+  ANNOTATION_COLORS,
+  DEFAULT_ANNOTATION_COLOR,
+  describeRange,
+  locateAnnotations
+} from '../utils/annotations';
+
+const POPOVER_WIDTH = 288;
+// Highlights are drawn with the CSS Custom Highlight API, styled in index.css, so the
+// rendered markdown is never modified. Browsers without it still keep the notes.
+const supportsHighlights = typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight !== 'undefined';
+const highlightName = (color) => `annotation-${color}`;
+const NOTE_HIGHLIGHT = 'annotation-note';
+
+// The DOM point under the pointer
+const caretPoint = (x, y) => {
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    return position && { node: position.offsetNode, offset: position.offset };
+  }
+  const range = document.caretRangeFromPoint?.(x, y);
+  return range && { node: range.startContainer, offset: range.startOffset };
+};
+
+// Highlights and notes over MarkdownViewer's content. Selecting text offers to
+// highlight it or add a note; clicking a highlight shows its note and lets it be
+// recoloured, edited or deleted. `annotations` is [{ id, ...annotation }] and
+// onCreate receives the anchor from utils/annotations with a colour and note.
+const AnnotationLayer = ({ contentRef, contentKey, annotations, onCreate, onUpdate, onRemove }) => {
+  // null, { type: 'selection', rect, anchor } or { type: 'annotation', rect, id }
+  const [popover, setPopover] = useState(null);
+  const [isWritingNote, setIsWritingNote] = useState(false);
+  const [noteText, setNoteText] = useState('');
+  const popoverRef = useRef(null);
+  const rangesRef = useRef(new Map());
+  const annotationsRef = useRef(annotations);
+  annotationsRef.current = annotations;
+
+  const openPopover = (next) => {
+    setPopover(next);
+    setIsWritingNote(false);
+    setNoteText(next.type === 'annotation' ? annotationsRef.current.find(candidate => candidate.id === next.id)?.note || '' : '');
+  };
+
+  // Find every annotation in the content and draw it, again whenever the content
+  // changes underneath (code blocks and quizzes render after the markdown)
+  useEffect(() => {
+    const element = contentRef.current;
+    if (!element) return undefined;
+
+    let frame = null;
+    const draw = () => {
+      frame = null;
+      rangesRef.current = locateAnnotations(element, annotations);
+      if (!supportsHighlights) return;
+      const rangesOf = (matches) => annotations
+        .filter(annotation => matches(annotation) && rangesRef.current.has(annotation.id))
+        .map(annotation => rangesRef.current.get(annotation.id));
+      ANNOTATION_COLORS.forEach(color => {
+        CSS.highlights.set(highlightName(color), new Highlight(
+          ...rangesOf(annotation => (annotation.color || DEFAULT_ANNOTATION_COLOR) === color)
+        ));
+      });
+      CSS.highlights.set(NOTE_HIGHLIGHT, new Highlight(...rangesOf(annotation => annotation.note)));
+    };
+
+    draw();
+    const observer = new MutationObserver(() => {
+      if (frame === null) frame = requestAnimationFrame(draw);
+    });
+    observer.observe(element, { childList: true, subtree: true, characterData: true });
+    return () => {
+      observer.disconnect();
+      if (frame !== null) cancelAnimationFrame(frame);
+      if (supportsHighlights) {
+        [...ANNOTATION_COLORS.map(highlightName), NOTE_HIGHLIGHT].forEach(name => CSS.highlights.delete(name));
+      }
+    };
+  }, [contentRef, contentKey, annotations]);
+
+  // Offer to annotate a selection, or open the highlight that was clicked
+  useEffect(() => {
+    const element = contentRef.current;
+    if (!element) return undefined;
+
+    const handleSelection = (e) => {
+      // Text being edited, such as a runnable code block, isn't annotated
+      if (e.target.closest?.('textarea, input, [contenteditable="true"]')) return;
+      const selection = window.getSelection();
+      if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+        const range = selection.getRangeAt(0);
+        if (!element.contains(range.commonAncestorContainer)) return;
+        const anchor = describeRange(element, range);
+        if (anchor) openPopover({ type: 'selection', rect: range.getBoundingClientRect(), anchor });
+        return;
+      }
+      if (e.type !== 'mouseup') return;
+
+      const point = caretPoint(e.clientX, e.clientY);
+      if (!point) return;
+      const hit = [...rangesRef.current].find(([, range]) => range.isPointInRange(point.node, point.offset));
+      if (hit) openPopover({ type: 'annotation', rect: hit[1].getBoundingClientRect(), id: hit[0] });
+    };
+
+    element.addEventListener('mouseup', handleSelection);
+    element.addEventListener('keyup', handleSelection);
+    return () => {
+      element.removeEventListener('mouseup', handleSelection);
+      element.removeEventListener('keyup', handleSelection);
+    };
+  }, [contentRef, contentKey]);
+
+  // The popover is placed against the page, so it closes when anything scrolls
+  useEffect(() => {
+    if (!popover) return undefined;
+    const close = () => setPopover(null);
+    const handleMouseDown = (e) => {
+      if (!popoverRef.current?.contains(e.target)) close();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') close();
+    };
+    window.addEventListener('scroll', close, true);
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      window.removeEventListener('scroll', close, true);
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [popover]);
+
+  const annotation = popover?.type === 'annotation' && annotations.find(candidate => candidate.id === popover.id);
+  if (!popover || (popover.type === 'annotation' && !annotation)) return null;
+
+  const create = (color, note = '') => {
+    onCreate({ ...popover.anchor, color, note });
+    window.getSelection()?.removeAllRanges();
+    setPopover(null);
+  };
+
+  const saveNote = () => {
+    if (annotation) {
+      onUpdate(annotation.id, { note: noteText.trim() });
+      setIsWritingNote(false);
+    } else {
+      create(DEFAULT_ANNOTATION_COLOR, noteText.trim());
+    }
+  };
+
+  const buttonClassName = 'flex items-center space-x-1 px-2 py-1 text-sm rounded-md text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors';
+
+  return (
+    <div
+      ref={popoverRef}
+      role="dialog"
+      aria-label={annotation ? 'Highlight' : 'Annotate selection'}
+      style={{
+        top: popover.rect.bottom + 8,
+        left: Math.max(8, Math.min(popover.rect.left, window.innerWidth - POPOVER_WIDTH - 8)),
+        width: POPOVER_WIDTH
+      }}
+      className="fixed z-40 p-3 bg-white dark:bg-gray-800 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 space-y-3"
+      // Keep the text selected while using the popover
+      onMouseDown={(e) => {
+        if (!['TEXTAREA', 'INPUT'].includes(e.target.tagName)) e.preventDefault();
+      }}
+    >
+      {isWritingNote ? (
+        <div className="space-y-2">
+          <textarea
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) saveNote();
+            }}
+            rows={3}
+            autoFocus
+            placeholder="Write a note…"
+            className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setIsWritingNote(false)} className={buttonClassName}>
+              Cancel
+            </button>
+            <button
+              onClick={saveNote}
+              className="px-3 py-1 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : annotation ? (
+        <>
+          {annotation.note && (
+            <p className="text-sm text-gray-900 dark:text-gray-100 whitespace-pre-wrap max-h-40 overflow-y-auto">
+              {annotation.note}
+            </p>
+          )}
+          <div className="flex items-center justify-between">
+            <AnnotationColorPicker
+              value={annotation.color || DEFAULT_ANNOTATION_COLOR}
+              onChange={(color) => onUpdate(annotation.id, { color })}
+            />
+            <div className="flex items-center">
+              <button onClick={() => setIsWritingNote(true)} className={buttonClassName}>
+                <Pencil className="h-4 w-4" />
+                <span>{annotation.note ? 'Edit' : 'Note'}</span>
+              </button>
+              <button
+                onClick={() => {
+                  onRemove(annotation.id);
+                  setPopover(null);
+                }}
+                aria-label="Delete highlight"
+                className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </>
+      ) : (
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <Highlighter className="h-4 w-4 text-gray-400" />
+            <AnnotationColorPicker value={null} onChange={(color) => create(color)} />
+          </div>
+          <button onClick={() => setIsWritingNote(true)} className={buttonClassName}>
+            <StickyNote className="h-4 w-4" />
+            <span>Add note</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnnotationLayer;
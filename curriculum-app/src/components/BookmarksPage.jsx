@@ -0,0 +1,355 @@
+import { useState, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Star, Search, BookOpen, Hash, Pencil, Trash2, Plus, Folder, Inbox } from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+import { tokenize } from '../utils/search';
+
+const UNSORTED = 'unsorted';
+
+const SORT_OPTIONS = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'curriculum', label: 'Curriculum order' },
+  { id: 'title', label: 'Title' }
+];
+
+const inputClassName = 'text-sm px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+const BookmarkCard = ({ bookmark, collections, onUpdate, onRemove }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(bookmark.note);
+  const Icon = bookmark.section ? Hash : BookOpen;
+
+  return (
+    <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="flex items-start space-x-3">
+        <Icon className="h-5 w-5 mt-0.5 text-primary-600 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          {bookmark.href ? (
+            <Link to={bookmark.href} className="font-semibold text-gray-900 dark:text-white hover:text-primary-600 dark:hover:text-primary-400">
+              {bookmark.title}
+            </Link>
+          ) : (
+            <span className="font-semibold text-gray-900 dark:text-white">{bookmark.title}</span>
+          )}
+          <div className="text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+            {[bookmark.section && bookmark.module?.title, bookmark.phase?.title || 'No longer in the curriculum', bookmark.addedAt && `Added ${new Date(bookmark.addedAt).toLocaleDateString()}`]
+              .filter(Boolean)
+              .join(' · ')}
+          </div>
+
+          {isEditing ? (
+            <div className="mt-3 space-y-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={2}
+                autoFocus
+                placeholder="Why this is worth coming back to…"
+                className={`w-full ${inputClassName}`}
+              />
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => setIsEditing(false)}
+                  className="px-3 py-1 text-sm text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => {
+                    onUpdate({ note: draft.trim() });
+                    setIsEditing(false);
+                  }}
+                  className="px-3 py-1 text-sm bg-primary-600 text-white rounded-md hover:bg-primary-700 transition-colors"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+          ) : bookmark.note && (
+            <p className="mt-2 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap">{bookmark.note}</p>
+          )}
+        </div>
+
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          <select
+            value={bookmark.collectionId || ''}
+            onChange={(e) => onUpdate({ collectionId: e.target.value || null })}
+            aria-label="Collection"
+            className="text-xs px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-primary-500 max-w-[10rem]"
+          >
+            <option value="">No collection</option>
+            {collections.map(collection => (
+              <option key={collection.id} value={collection.id}>{collection.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => {
+              setDraft(bookmark.note);
+              setIsEditing(true);
+            }}
+            aria-label={bookmark.note ? 'Edit note' : 'Add a note'}
+            className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 transition-colors"
+          >
+            <Pencil className="h-4 w-4" />
+          </button>
+          <button
+            onClick={onRemove}
+            aria-label="Remove bookmark"
+            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Bookmarked modules and sections, sorted into the learner's own collections. The
+// collection being shown is kept in the URL (`/bookmarks?collection=<id>`).
+const BookmarksPage = ({ curriculumData }) => {
+  const {
+    bookmarkList,
+    collections,
+    updateBookmark,
+    removeBookmark,
+    createCollection,
+    renameCollection,
+    deleteCollection
+  } = useProgress();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [query, setQuery] = useState('');
+  const [phaseId, setPhaseId] = useState('');
+  const [sort, setSort] = useState('newest');
+  const [newCollectionName, setNewCollectionName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+
+  const collectionParam = searchParams.get('collection');
+  const activeCollection = collections.find(collection => collection.id === collectionParam);
+  const selected = collectionParam === UNSORTED || activeCollection ? collectionParam : null;
+
+  const showCollection = (collectionId) => {
+    setSearchParams(collectionId ? { collection: collectionId } : {});
+    setRenaming(null);
+  };
+
+  // Each bookmark with its module, phase, title, link and place in the curriculum
+  const bookmarks = useMemo(() => {
+    const modules = new Map(curriculumData.phases.flatMap(phase => phase.modules.map(module => [module.id, { module, phase }])));
+    const order = new Map([...modules.keys()].map((moduleId, index) => [moduleId, index]));
+    return bookmarkList.map(bookmark => {
+      const { module, phase } = modules.get(bookmark.moduleId) || {};
+      const sectionIndex = module?.sections?.findIndex(section => section.id === bookmark.headingId) ?? -1;
+      const section = sectionIndex === -1 ? null : module.sections[sectionIndex];
+      const moduleUrl = module && `/phase/${phase.id}/module/${module.id}`;
+      return {
+        ...bookmark,
+        module,
+        phase,
+        section,
+        title: section?.title || module?.title || bookmark.key,
+        href: moduleUrl && (bookmark.headingId ? `${moduleUrl}/content#${bookmark.headingId}` : moduleUrl),
+        position: [order.get(bookmark.moduleId) ?? order.size, sectionIndex]
+      };
+    });
+  }, [bookmarkList, curriculumData]);
+
+  const countIn = (collectionId) => bookmarks.filter(bookmark => (
+    collectionId === UNSORTED ? !collections.some(collection => collection.id === bookmark.collectionId) : bookmark.collectionId === collectionId
+  )).length;
+
+  const terms = tokenize(query);
+  const compare = {
+    newest: (a, b) => (b.addedAt || '').localeCompare(a.addedAt || ''),
+    oldest: (a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''),
+    curriculum: (a, b) => a.position[0] - b.position[0] || a.position[1] - b.position[1],
+    title: (a, b) => a.title.localeCompare(b.title)
+  }[sort];
+  const visible = bookmarks
+    .filter(bookmark => {
+      if (selected === UNSORTED && collections.some(collection => collection.id === bookmark.collectionId)) return false;
+      if (activeCollection && bookmark.collectionId !== activeCollection.id) return false;
+      if (phaseId && bookmark.phase?.id !== phaseId) return false;
+      const haystack = [bookmark.title, bookmark.module?.title, bookmark.note].join(' ').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    })
+    .sort(compare);
+
+  const handleCreateCollection = (e) => {
+    e.preventDefault();
+    const name = newCollectionName.trim();
+    if (!name) return;
+    showCollection(createCollection(name));
+    setNewCollectionName('');
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (renaming.trim()) renameCollection(activeCollection.id, renaming.trim());
+    setRenaming(null);
+  };
+
+  const collectionButtonClassName = (isActive) => `w-full flex items-center space-x-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+    isActive
+      ? 'bg-primary-100 dark:bg-primary-900/40 text-primary-700 dark:text-primary-300 font-medium'
+      : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+  }`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white flex items-center">
+            <Star className="h-8 w-8 mr-3 text-primary-600" />
+            Bookmarks
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mt-2">
+            Modules and sections you saved to come back to. Bookmark a section with the star beside its heading.
+          </p>
+        </div>
+        {bookmarks.length > 0 && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search bookmarks…"
+                className={`w-full sm:w-56 pl-9 ${inputClassName}`}
+              />
+            </div>
+            <select value={phaseId} onChange={(e) => setPhaseId(e.target.value)} className={inputClassName}>
+              <option value="">All phases</option>
+              {curriculumData.phases.map(phase => (
+                <option key={phase.id} value={phase.id}>{phase.title}</option>
+              ))}
+            </select>
+            <select value={sort} onChange={(e) => setSort(e.target.value)} className={inputClassName}>
+              {SORT_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="lg:grid lg:grid-cols-[16rem_minmax(0,1fr)] lg:gap-6 lg:items-start space-y-6 lg:space-y-0">
+        {/* Collections */}
+        <aside className="glass-card rounded-xl p-4 space-y-1">
+          <button onClick={() => showCollection(null)} className={collectionButtonClassName(!selected)}>
+            <Star className="h-4 w-4 flex-shrink-0" />
+            <span className="flex-1">All bookmarks</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{bookmarks.length}</span>
+          </button>
+          <button onClick={() => showCollection(UNSORTED)} className={collectionButtonClassName(selected === UNSORTED)}>
+            <Inbox className="h-4 w-4 flex-shrink-0" />
+            <span className="flex-1">Not in a collection</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{countIn(UNSORTED)}</span>
+          </button>
+          {collections.map(collection => (
+            <button
+              key={collection.id}
+              onClick={() => showCollection(collection.id)}
+              className={collectionButtonClassName(selected === collection.id)}
+            >
+              <Folder className="h-4 w-4 flex-shrink-0" />
+              <span className="flex-1 truncate">{collection.name}</span>
+              <span className="text-xs text-gray-500 dark:text-gray-400">{countIn(collection.id)}</span>
+            </button>
+          ))}
+          <form onSubmit={handleCreateCollection} className="flex items-center space-x-2 pt-3">
+            <input
+              type="text"
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              placeholder="New collection"
+              aria-label="New collection name"
+              className={`flex-1 min-w-0 ${inputClassName}`}
+            />
+            <button
+              type="submit"
+              disabled={!newCollectionName.trim()}
+              aria-label="Create collection"
+              className="p-2 rounded-lg bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50 transition-colors"
+            >
+              <Plus className="h-4 w-4" />
+            </button>
+          </form>
+        </aside>
+
+        {/* Bookmarks */}
+        <div className="space-y-3">
+          {activeCollection && (
+            <div className="flex items-center justify-between gap-3">
+              {renaming !== null ? (
+                <form onSubmit={handleRename} className="flex items-center gap-2 flex-1">
+                  <input
+                    type="text"
+                    value={renaming}
+                    onChange={(e) => setRenaming(e.target.value)}
+                    autoFocus
+                    aria-label="Collection name"
+                    className={`flex-1 ${inputClassName}`}
+                  />
+                  <button type="submit" className="px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors">
+                    Save
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <h2 className="text-xl font-semibold text-gray-900 dark:text-white truncate">{activeCollection.name}</h2>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => setRenaming(activeCollection.name)}
+                      aria-label="Rename collection"
+                      className="p-2 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 transition-colors"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Delete the collection "${activeCollection.name}"? Its bookmarks are kept.`)) {
+                          deleteCollection(activeCollection.id);
+                          showCollection(null);
+                        }
+                      }}
+                      aria-label="Delete collection"
+                      className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
+          {bookmarks.length === 0 ? (
+            <div className="glass-card rounded-xl p-8 text-center text-gray-600 dark:text-gray-400">
+              Nothing bookmarked yet. Use the star on a module, or beside a section heading in its Full Content tab, to save it here.
+            </div>
+          ) : visible.length === 0 ? (
+            <div className="glass-card rounded-xl p-8 text-center text-gray-600 dark:text-gray-400">
+              {terms.length > 0 || phaseId ? 'No bookmarks match your search.' : 'There are no bookmarks here yet. Move one here with its collection menu.'}
+            </div>
+          ) : (
+            visible.map(bookmark => (
+              <BookmarkCard
+                key={bookmark.key}
+                bookmark={bookmark}
+                collections={collections}
+                onUpdate={(changes) => updateBookmark(bookmark.key, changes)}
+                onRemove={() => removeBookmark(bookmark.key)}
+              />
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookmarksPage;
@@ -1,20 +1,36 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useSearchParams, Link } from 'react-router-dom';
 import { 
   RotateCcw, 
   Download, 
   Upload,
   Maximize2,
   Minimize2,
-  Code
+  Code,
+  ChevronLeft
 } from 'lucide-react';
 import CodeMirror from '@uiw/react-codemirror';
 import { html } from '@codemirror/lang-html';
 import { javascript } from '@codemirror/lang-javascript';
 import { css } from '@codemirror/lang-css';
 import { oneDark } from '@codemirror/theme-one-dark';
+import { contentLoaders } from 'virtual:curriculum';
+import { buildSnippetDocument, buildRunnableDocument } from '../utils/snippetRunner';
+import { useProgress } from '../context/ProgressContext';
+import ExercisePanel from './ExercisePanel';
 
-const CodeIDE = () => {
-  const [code, setCode] = useState(`<!DOCTYPE html>
+const CodeIDE = ({ curriculumData }) => {
+  // Set when a module's code block was opened with "Open in IDE"
+  const snippet = useLocation().state?.snippet;
+  // Exercise mode: /ide?module=<moduleId>&exercise=<exerciseId>
+  const [searchParams] = useSearchParams();
+  const exerciseModuleId = searchParams.get('module');
+  const exerciseId = searchParams.get('exercise');
+  const { getExerciseResults, isLoading } = useProgress();
+  const [exercise, setExercise] = useState(null);
+  const [exerciseError, setExerciseError] = useState(null);
+
+  const [code, setCode] = useState(() => snippet ? buildSnippetDocument(snippet.language, snippet.code) : `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
@@ -83,13 +99,15 @@ const CodeIDE = () => {
 </body>
 </html>`);
 
-  const [language, setLanguage] = useState('html');
+  const [language, setLanguage] = useState(snippet?.language === 'javascript' ? 'javascript' : 'html');
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [fontSize, setFontSize] = useState(14);
   
   const codeRef = useRef(null);
   const previewRef = useRef(null);
   const timeoutRef = useRef(null);
+  // Mode whose template is in the editor; a snippet counts as its mode's template
+  const templateLanguageRef = useRef(snippet ? language : null);
 
   // Language templates
   const templates = {
@@ -339,11 +357,56 @@ const CodeIDE = () => {
 </html>`
   };
 
+  const exercisePhase = exerciseModuleId && curriculumData.phases.find(phase => phase.modules.some(m => m.id === exerciseModuleId));
+  const exerciseModule = exercisePhase?.modules.find(m => m.id === exerciseModuleId);
+
+  // Load the exercise's starter code, or the learner's code from their last test run
+  useEffect(() => {
+    if (!exerciseModuleId || !exerciseId) {
+      setExercise(null);
+      return;
+    }
+    // The last attempt is only known once progress has loaded; showing the starter code
+    // before then would overwrite that attempt on the next test run
+    if (isLoading) return;
+
+    let cancelled = false;
+    const loadExercise = async () => {
+      try {
+        setExerciseError(null);
+        const loadContent = contentLoaders[exerciseModuleId];
+        if (!loadContent) throw new Error(`No module with id ${exerciseModuleId}`);
+
+        const { exercises } = await loadContent();
+        const loaded = exercises[exerciseId];
+        if (!loaded) throw new Error(`Module ${exerciseModuleId} has no exercise "${exerciseId}"`);
+        if (cancelled) return;
+
+        const savedCode = getExerciseResults(exerciseModuleId)[exerciseId]?.code;
+        const exerciseLanguage = loaded.language === 'javascript' ? 'javascript' : 'html';
+        templateLanguageRef.current = exerciseLanguage;
+        setLanguage(exerciseLanguage);
+        setExercise(loaded);
+        setCode(savedCode ?? loaded.starter);
+      } catch (err) {
+        console.error('Error loading exercise:', err);
+        if (!cancelled) setExerciseError(err.message);
+      }
+    };
+
+    loadExercise();
+    return () => {
+      cancelled = true;
+    };
+  }, [exerciseModuleId, exerciseId, isLoading]);
+
   // Auto-update preview with debouncing
   const updatePreview = useCallback(() => {
     if (previewRef.current) {
       try {
         const iframe = previewRef.current;
+        // Exercise code is a bare script or fragment, so wrap it into a page
+        const previewDocument = exercise ? buildRunnableDocument(exercise.language, code) : code;
         
         // For JavaScript mode, we need to handle variable scope issues
         if (language === 'javascript') {
@@ -352,21 +415,21 @@ const CodeIDE = () => {
           setTimeout(() => {
             const doc = iframe.contentDocument || iframe.contentWindow.document;
             doc.open();
-            doc.write(code);
+            doc.write(previewDocument);
             doc.close();
           }, 10);
         } else {
           // For HTML and CSS modes, direct write is fine
           const doc = iframe.contentDocument || iframe.contentWindow.document;
           doc.open();
-          doc.write(code);
+          doc.write(previewDocument);
           doc.close();
         }
       } catch (error) {
         console.error('Error updating preview:', error);
       }
     }
-  }, [code, language]);
+  }, [code, language, exercise]);
 
   // Debounced update function
   const debouncedUpdate = useCallback(() => {
@@ -377,7 +440,7 @@ const CodeIDE = () => {
   }, [updatePreview]);
 
   const resetCode = () => {
-    setCode(templates[language]);
+    setCode(exercise ? exercise.starter : templates[language]);
   };
 
   const downloadCode = () => {
@@ -414,6 +477,8 @@ const CodeIDE = () => {
 
   // Update code when language changes
   useEffect(() => {
+    if (templateLanguageRef.current === language) return;
+    templateLanguageRef.current = language;
     setCode(templates[language]);
   }, [language]);
 
@@ -424,6 +489,7 @@ const CodeIDE = () => {
 
   // Get language extension for CodeMirror
   const getLanguageExtension = () => {
+    if (exercise?.language === 'javascript') return [javascript()];
     switch (language) {
       case 'html':
         return [html()];
@@ -449,17 +515,29 @@ const CodeIDE = () => {
                   Live Code Editor
                 </h1>
               </div>
+
+              {snippet?.source && (
+                <Link
+                  to={snippet.source.path}
+                  className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                  <span>Snippet from {snippet.source.title}</span>
+                </Link>
+              )}
               
               {/* Language Selector */}
-              <select
-                value={language}
-                onChange={(e) => setLanguage(e.target.value)}
-                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
-              >
-                <option value="html">HTML + CSS + JS</option>
-                <option value="javascript">JavaScript Console</option>
-                <option value="css">CSS Playground</option>
-              </select>
+              {!exercise && (
+                <select
+                  value={language}
+                  onChange={(e) => setLanguage(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                >
+                  <option value="html">HTML + CSS + JS</option>
+                  <option value="javascript">JavaScript Console</option>
+                  <option value="css">CSS Playground</option>
+                </select>
+              )}
             </div>
 
             {/* Controls */}
@@ -499,6 +577,21 @@ const CodeIDE = () => {
           </div>
         </div>
 
+        {exerciseError && (
+          <div className="bg-amber-50 dark:bg-amber-900/30 border-x border-b border-amber-200 dark:border-amber-700 p-3 text-sm text-amber-800 dark:text-amber-200">
+            Unable to load the exercise: {exerciseError}
+          </div>
+        )}
+
+        {exercise && exerciseModule && (
+          <ExercisePanel
+            phaseId={exercisePhase.id}
+            module={exerciseModule}
+            exercise={exercise}
+            code={code}
+          />
+        )}
+
         {/* Split View: Code Editor + Live Preview */}
         <div className="bg-white dark:bg-gray-800 shadow-lg border-x border-gray-200 dark:border-gray-700">
           <div className={`grid grid-cols-1 lg:grid-cols-2 ${isFullscreen ? 'h-[calc(100vh-120px)]' : 'min-h-[600px]'}`}>
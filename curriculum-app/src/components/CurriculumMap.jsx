@@ -0,0 +1,432 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Network, ZoomIn, ZoomOut, Maximize, X, ChevronRight } from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+import {
+  buildPrerequisiteGraph,
+  getMissingPrerequisites,
+  getPrerequisiteClosure
+} from '../utils/prerequisiteGraph';
+
+const NODE_WIDTH = 220;
+const NODE_HEIGHT = 56;
+const PHASE_HEIGHT = 64;
+const COLUMN_GAP = 100;
+const ROW_GAP = 28;
+const PADDING = 48;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 2;
+// Pointer movement that turns a press into a drag rather than a click
+const DRAG_THRESHOLD = 4;
+
+const STATUS_STYLES = {
+  completed: {
+    label: 'Completed',
+    node: 'fill-green-50 stroke-green-500 dark:fill-green-900 dark:stroke-green-400',
+    text: 'fill-gray-900 dark:fill-white'
+  },
+  'in-progress': {
+    label: 'In progress',
+    node: 'fill-blue-50 stroke-blue-500 dark:fill-blue-900 dark:stroke-blue-400',
+    text: 'fill-gray-900 dark:fill-white'
+  },
+  available: {
+    label: 'Ready to start',
+    node: 'fill-white stroke-gray-400 dark:fill-gray-800 dark:stroke-gray-500',
+    text: 'fill-gray-900 dark:fill-white'
+  },
+  locked: {
+    label: 'Prerequisites not complete',
+    node: 'fill-gray-100 stroke-gray-300 dark:fill-gray-900 dark:stroke-gray-600',
+    text: 'fill-gray-500 dark:fill-gray-400'
+  }
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// "Module 1.2: Styling and UI Framework" -> ["Module 1.2", "Styling and UI Framework"]
+const splitTitle = (title) => {
+  const index = title.indexOf(': ');
+  return index > 0 ? [title.slice(0, index), title.slice(index + 2)] : [null, title];
+};
+
+// One column per phase: the phase on top and its modules below it in order
+const layoutCurriculum = (curriculumData) => {
+  const phases = new Map();
+  const modules = new Map();
+  let height = 0;
+
+  curriculumData.phases.forEach((phase, column) => {
+    const x = PADDING + column * (NODE_WIDTH + COLUMN_GAP);
+    phases.set(phase.id, { phase, x, y: PADDING, width: NODE_WIDTH, height: PHASE_HEIGHT });
+    phase.modules.forEach((module, row) => {
+      const y = PADDING + PHASE_HEIGHT + ROW_GAP + row * (NODE_HEIGHT + ROW_GAP);
+      modules.set(module.id, { module, phase, x, y, width: NODE_WIDTH, height: NODE_HEIGHT });
+      height = Math.max(height, y + NODE_HEIGHT);
+    });
+  });
+
+  // Module prerequisites, and phase prerequisites drawn from the phase itself
+  const edges = [...modules.values()].flatMap(({ module }) => [
+    ...(module.prerequisiteIds || [])
+      .filter(id => modules.has(id))
+      .map(id => ({ key: `${id}>${module.id}`, from: modules.get(id), to: modules.get(module.id), fromId: id, toId: module.id })),
+    ...(module.prerequisitePhaseIds || [])
+      .filter(id => phases.has(id))
+      .map(id => ({ key: `${id}>${module.id}`, from: phases.get(id), to: modules.get(module.id), fromId: id, toId: module.id }))
+  ]);
+
+  return {
+    phases,
+    modules,
+    edges,
+    width: PADDING * 2 + curriculumData.phases.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP,
+    height: Math.max(height, PADDING + PHASE_HEIGHT) + PADDING
+  };
+};
+
+// From the right of one box to the left of the next; boxes in the same column are
+// joined by a loop out to their left
+const edgePath = (from, to) => {
+  if (from.x === to.x) {
+    const x = from.x;
+    const y1 = from.y + from.height / 2;
+    const y2 = to.y + to.height / 2;
+    return `M ${x} ${y1} C ${x - 48} ${y1}, ${x - 48} ${y2}, ${x} ${y2}`;
+  }
+  const x1 = from.x + from.width;
+  const y1 = from.y + from.height / 2;
+  const x2 = to.x;
+  const y2 = to.y + to.height / 2;
+  const bend = (x2 - x1) / 2;
+  return `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+};
+
+// The whole curriculum as a graph of phases and modules with their prerequisites.
+// Drag to pan, scroll or use the buttons to zoom. Clicking a module shows the path of
+// prerequisites leading to it; double-clicking opens it.
+const CurriculumMap = ({ curriculumData }) => {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { completedModules, getModuleCompletion, getPhaseProgress } = useProgress();
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, scale: 1 });
+
+  const graph = useMemo(() => buildPrerequisiteGraph(curriculumData), [curriculumData]);
+  const layout = useMemo(() => layoutCurriculum(curriculumData), [curriculumData]);
+
+  const targetId = graph.modules.has(searchParams.get('target')) ? searchParams.get('target') : null;
+  const target = targetId && graph.modules.get(targetId);
+  const pathIds = useMemo(() => (
+    targetId ? new Set([targetId, ...getPrerequisiteClosure(graph, targetId)]) : null
+  ), [graph, targetId]);
+  const pathPhaseIds = useMemo(() => (
+    pathIds ? new Set([...pathIds].flatMap(id => graph.modules.get(id).module.prerequisitePhaseIds || [])) : null
+  ), [graph, pathIds]);
+
+  const selectTarget = (moduleId) => {
+    setSearchParams(moduleId ? { target: moduleId } : {}, { replace: true });
+  };
+
+  const getStatus = (module) => {
+    if (completedModules.has(module.id)) return 'completed';
+    if (getModuleCompletion(module) > 0) return 'in-progress';
+    return getMissingPrerequisites(graph, module.id, completedModules).length > 0 ? 'locked' : 'available';
+  };
+
+  // Scale the whole map to fit the container
+  const fitToView = () => {
+    const { clientWidth, clientHeight } = containerRef.current;
+    const scale = Math.min(clientWidth / layout.width, clientHeight / layout.height, 1);
+    setView({
+      x: (clientWidth - layout.width * scale) / 2,
+      y: (clientHeight - layout.height * scale) / 2,
+      scale
+    });
+  };
+
+  useEffect(fitToView, [layout]);
+
+  // Keep the point under (originX, originY) in place while zooming
+  const zoom = (factor, originX = containerRef.current.clientWidth / 2, originY = containerRef.current.clientHeight / 2) => {
+    setView(current => {
+      const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+      const ratio = scale / current.scale;
+      return {
+        x: originX - (originX - current.x) * ratio,
+        y: originY - (originY - current.y) * ratio,
+        scale
+      };
+    });
+  };
+
+  // React's wheel listener is passive, so the page would scroll as well
+  useEffect(() => {
+    const svg = svgRef.current;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const bounds = svg.getBoundingClientRect();
+      zoom(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - bounds.left, e.clientY - bounds.top);
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    dragRef.current = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, view, dragging: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== e.pointerId) return;
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.dragging) {
+      if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      // Only capture once it's a drag, so a plain click still reaches the node
+      drag.dragging = true;
+      svgRef.current.setPointerCapture(e.pointerId);
+    }
+    setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const openModule = (moduleId) => {
+    const { phase } = graph.modules.get(moduleId);
+    navigate(`/phase/${phase.id}/module/${moduleId}`);
+  };
+
+  const isDimmed = (moduleId) => pathIds && !pathIds.has(moduleId);
+  const isEdgeOnPath = (edge) => pathIds && pathIds.has(edge.toId) && (pathIds.has(edge.fromId) || pathPhaseIds.has(edge.fromId));
+
+  const targetMissing = target ? [...pathIds].filter(id => id !== targetId && !completedModules.has(id)).length : 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white flex items-center">
+            <Network className="h-8 w-8 mr-3 text-primary-600" />
+            Curriculum Map
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mt-2">
+            How the phases and modules build on each other. Choose a module to see everything that leads up to it.
+          </p>
+        </div>
+        <select
+          value={targetId || ''}
+          onChange={(e) => selectTarget(e.target.value)}
+          className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+        >
+          <option value="">Show the path to…</option>
+          {curriculumData.phases.filter(phase => phase.modules.length > 0).map(phase => (
+            <optgroup key={phase.id} label={phase.title}>
+              {phase.modules.map(module => (
+                <option key={module.id} value={module.id}>{module.title}</option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+      </div>
+
+      {/* Selected Module */}
+      {target && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700">
+          <div className="flex-1 min-w-0">
+            <div className="text-sm text-gray-500 dark:text-gray-400">{target.phase.title}</div>
+            <div className="text-lg font-semibold text-gray-900 dark:text-white truncate">{target.module.title}</div>
+            <div className="text-sm text-gray-600 dark:text-gray-300">
+              {STATUS_STYLES[getStatus(target.module)].label}
+              {pathIds.size > 1 && (
+                targetMissing > 0
+                  ? ` · ${targetMissing} of ${pathIds.size - 1} modules on the way still to complete`
+                  : ` · all ${pathIds.size - 1} modules on the way are complete`
+              )}
+            </div>
+          </div>
+          <div className="flex items-center space-x-3 flex-shrink-0">
+            <Link
+              to={`/phase/${target.phase.id}/module/${targetId}`}
+              className="flex items-center space-x-2 bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+            >
+              <span>Open module</span>
+              <ChevronRight className="h-4 w-4" />
+            </Link>
+            <button
+              onClick={() => selectTarget(null)}
+              className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-colors"
+              title="Clear"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Graph */}
+      <div
+        ref={containerRef}
+        className="relative h-[70vh] bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 overflow-hidden"
+      >
+        <svg
+          ref={svgRef}
+          className="w-full h-full cursor-grab active:cursor-grabbing select-none touch-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        >
+          <defs>
+            <marker id="map-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" className="fill-gray-300 dark:fill-gray-600" />
+            </marker>
+            <marker id="map-arrow-path" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" className="fill-primary-500" />
+            </marker>
+          </defs>
+
+          <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+            {/* Prerequisite edges, the highlighted path drawn last so it sits on top */}
+            {[...layout.edges].sort((a, b) => isEdgeOnPath(a) - isEdgeOnPath(b)).map(edge => (
+              <path
+                key={edge.key}
+                d={edgePath(edge.from, edge.to)}
+                fill="none"
+                strokeWidth={isEdgeOnPath(edge) ? 2.5 : 1.5}
+                markerEnd={`url(#${isEdgeOnPath(edge) ? 'map-arrow-path' : 'map-arrow'})`}
+                className={isEdgeOnPath(edge)
+                  ? 'stroke-primary-500'
+                  : `stroke-gray-300 dark:stroke-gray-600 ${pathIds ? 'opacity-30' : ''}`}
+              />
+            ))}
+
+            {/* Phases */}
+            {[...layout.phases.values()].map(({ phase, x, y, width, height }) => {
+              const phaseProgress = getPhaseProgress(phase.modules);
+              const [number, title] = splitTitle(phase.title);
+              const isComplete = phaseProgress.total > 0 && phaseProgress.completed === phaseProgress.total;
+              return (
+                <g
+                  key={phase.id}
+                  transform={`translate(${x} ${y})`}
+                  onClick={() => { if (!dragRef.current?.dragging) navigate(`/phase/${phase.id}`); }}
+                  className={`cursor-pointer ${pathPhaseIds && !pathPhaseIds.has(phase.id) ? 'opacity-40' : ''}`}
+                >
+                  <title>{phase.title}</title>
+                  <rect
+                    width={width}
+                    height={height}
+                    rx="10"
+                    strokeWidth="2"
+                    className={isComplete
+                      ? 'fill-green-500 stroke-green-600'
+                      : 'fill-gray-700 stroke-gray-800 dark:fill-gray-600 dark:stroke-gray-500'}
+                  />
+                  <text x="14" y="24" className="fill-white text-xs font-medium opacity-80">
+                    {number || 'Phase'} · {phaseProgress.completed}/{phaseProgress.total}
+                  </text>
+                  <text x="14" y="46" className="fill-white text-sm font-semibold">
+                    {truncate(title, 26)}
+                  </text>
+                </g>
+              );
+            })}
+
+            {/* Modules */}
+            {[...layout.modules.values()].map(({ module, phase, x, y, width, height }) => {
+              const status = getStatus(module);
+              const style = STATUS_STYLES[status];
+              const completion = getModuleCompletion(module);
+              const [number, title] = splitTitle(module.title);
+              const isTarget = module.id === targetId;
+              return (
+                <g
+                  key={module.id}
+                  transform={`translate(${x} ${y})`}
+                  role="button"
+                  tabIndex={0}
+                  onClick={() => { if (!dragRef.current?.dragging) selectTarget(module.id); }}
+                  onDoubleClick={() => openModule(module.id)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') openModule(module.id);
+                    if (e.key === ' ') {
+                      e.preventDefault();
+                      selectTarget(module.id);
+                    }
+                  }}
+                  className={`cursor-pointer focus:outline-none ${isDimmed(module.id) ? 'opacity-30' : ''}`}
+                >
+                  <title>{`${module.title} (${style.label})`}</title>
+                  <rect
+                    width={width}
+                    height={height}
+                    rx="8"
+                    strokeWidth={isTarget ? 3 : 1.5}
+                    strokeDasharray={status === 'locked' ? '4 3' : undefined}
+                    className={isTarget ? `${style.node} !stroke-primary-600` : style.node}
+                  />
+                  <text x="12" y="21" className="fill-gray-500 dark:fill-gray-400 text-xs">
+                    {number || splitTitle(phase.title)[0]}
+                  </text>
+                  <text x="12" y="40" className={`${style.text} text-sm font-medium`}>
+                    {truncate(title, 28)}
+                  </text>
+                  {status === 'in-progress' && (
+                    <rect x="12" y={height - 8} width={(width - 24) * completion} height="3" rx="1.5" className="fill-blue-500" />
+                  )}
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+
+        {/* Zoom Controls */}
+        <div className="absolute top-4 right-4 flex flex-col bg-white dark:bg-gray-700 rounded-lg shadow border border-gray-200 dark:border-gray-600">
+          {[
+            { label: 'Zoom in', icon: ZoomIn, onClick: () => zoom(1.25) },
+            { label: 'Zoom out', icon: ZoomOut, onClick: () => zoom(1 / 1.25) },
+            { label: 'Fit to view', icon: Maximize, onClick: fitToView }
+          ].map(({ label, icon: Icon, onClick }) => (
+            <button
+              key={label}
+              onClick={onClick}
+              title={label}
+              className="p-2 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-600 first:rounded-t-lg last:rounded-b-lg transition-colors"
+            >
+              <Icon className="h-5 w-5" />
+            </button>
+          ))}
+        </div>
+
+        {/* Legend */}
+        <div className="absolute bottom-4 left-4 flex flex-wrap gap-3 p-3 bg-white/90 dark:bg-gray-800/90 rounded-lg border border-gray-200 dark:border-gray-700 text-xs text-gray-600 dark:text-gray-300">
+          {Object.entries(STATUS_STYLES).map(([status, style]) => (
+            <div key={status} className="flex items-center space-x-1.5">
+              <svg width="14" height="14">
+                <rect
+                  x="1"
+                  y="1"
+                  width="12"
+                  height="12"
+                  rx="3"
+                  strokeWidth="1.5"
+                  strokeDasharray={status === 'locked' ? '3 2' : undefined}
+                  className={style.node}
+                />
+              </svg>
+              <span>{style.label}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurriculumMap;
@@ -1,3 +1,4 @@
+import { useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
@@ -7,14 +8,30 @@ import {
   BookOpen,
   Target,
   TrendingUp,
-  Star
+  Star,
+  PlayCircle,
+  Award
 } from 'lucide-react';
 import { useProgress } from '../context/ProgressContext';
+import { buildPrerequisiteGraph, recommendNextModule } from '../utils/prerequisiteGraph';
+
+const RECOMMENDATION_REASONS = {
+  'in-progress': () => 'Pick up where you left off',
+  unlocked: (after) => `Builds on ${after.title}, which you just finished`,
+  next: () => 'Next in the curriculum'
+};
 
 const Dashboard = ({ curriculumData }) => {
-  const { getTotalProgress, getPhaseProgress, completedModules, bookmarks } = useProgress();
+  const { getTotalProgress, getPhaseProgress, getModuleCompletion, getLastReadPosition, completedModules, bookmarks, bookmarkList, progress, activity, isLoading } = useProgress();
 
   const totalProgress = getTotalProgress(curriculumData.phases);
+  const prerequisiteGraph = useMemo(() => buildPrerequisiteGraph(curriculumData), [curriculumData]);
+  const recommendation = isLoading ? null : recommendNextModule(prerequisiteGraph, { completedModules, progress, activity });
+
+  // The section last being read, in any module
+  const lastRead = isLoading ? null : getLastReadPosition();
+  const resume = lastRead && prerequisiteGraph.modules.get(lastRead.moduleId);
+  const resumeSection = resume && resume.module.sections?.find(section => section.id === lastRead.headingId);
   
   const getDifficultyColor = (difficulty) => {
     switch (difficulty?.toLowerCase()) {
@@ -88,7 +105,7 @@ const Dashboard = ({ curriculumData }) => {
           
           <div className="text-center">
             <div className="text-3xl font-bold text-purple-600 mb-1">
-              {bookmarks.size}
+              {bookmarkList.length}
             </div>
             <div className="text-sm text-gray-600 dark:text-gray-400">Bookmarked</div>
           </div>
@@ -104,6 +121,69 @@ const Dashboard = ({ curriculumData }) => {
         </div>
       </motion.div>
 
+      {/* Continue Learning */}
+      {!isLoading && totalProgress.total > 0 && (
+        <motion.div variants={itemVariants} className="glass-card rounded-xl p-6">
+          {recommendation ? (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+              <div className={`w-12 h-12 rounded-lg bg-gradient-to-r ${recommendation.phase.color} flex items-center justify-center text-white flex-shrink-0`}>
+                <PlayCircle className="h-6 w-6" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <div className="text-sm font-medium text-primary-600 dark:text-primary-400">
+                  Continue learning · {RECOMMENDATION_REASONS[recommendation.reason](recommendation.after)}
+                </div>
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white truncate">
+                  {recommendation.module.title}
+                </h2>
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {recommendation.phase.title}
+                </div>
+                {getModuleCompletion(recommendation.module) > 0 && (
+                  <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5 mt-2">
+                    <div
+                      className="bg-gradient-to-r from-primary-500 to-blue-500 h-1.5 rounded-full"
+                      style={{ width: `${getModuleCompletion(recommendation.module) * 100}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+              <Link
+                to={`/phase/${recommendation.phase.id}/module/${recommendation.module.id}`}
+                className="flex items-center justify-center space-x-2 bg-primary-600 text-white px-4 py-2 rounded-lg hover:bg-primary-700 transition-colors flex-shrink-0"
+              >
+                <span>{recommendation.reason === 'in-progress' ? 'Continue' : 'Start'}</span>
+                <ChevronRight className="h-4 w-4" />
+              </Link>
+            </div>
+          ) : (
+            <div className="flex items-center space-x-4">
+              <Award className="h-10 w-10 text-green-500 flex-shrink-0" />
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
+                  Curriculum complete
+                </h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  You've completed every module. Revisit any of them below.
+                </p>
+              </div>
+            </div>
+          )}
+          {resumeSection && (
+            <Link
+              to={`/phase/${resume.phase.id}/module/${resume.module.id}/content#${resumeSection.id}`}
+              className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <BookOpen className="h-4 w-4 flex-shrink-0" />
+              <span className="flex-1 truncate">
+                Resume: Module {curriculumData.phases.indexOf(resume.phase)}.{resume.phase.modules.indexOf(resume.module) + 1} · {resume.module.title} — {resumeSection.title}
+              </span>
+              <ChevronRight className="h-4 w-4 flex-shrink-0" />
+            </Link>
+          )}
+        </motion.div>
+      )}
+
       {/* Phases Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {curriculumData.phases.map((phase, index) => {
@@ -153,7 +233,9 @@ const Dashboard = ({ curriculumData }) => {
                   {/* Module Previews */}
                   {phase.modules.length > 0 && (
                     <div className="grid grid-cols-1 gap-2 mt-4">
-                      {phase.modules.slice(0, 3).map((module) => (
+                      {phase.modules.slice(0, 3).map((module) => {
+                        const completion = getModuleCompletion(module);
+                        return (
                         <div 
                           key={module.id}
                           className="flex items-center space-x-3 p-2 rounded-lg bg-gray-50 dark:bg-gray-700/50"
@@ -167,13 +249,21 @@ const Dashboard = ({ curriculumData }) => {
                             <div className="text-sm font-medium text-gray-900 dark:text-white truncate">
                               {module.title}
                             </div>
-
+                            {!completedModules.has(module.id) && completion > 0 && (
+                              <div className="w-full bg-gray-200 dark:bg-gray-600 rounded-full h-1 mt-1">
+                                <div
+                                  className="bg-primary-500 h-1 rounded-full"
+                                  style={{ width: `${completion * 100}%` }}
+                                />
+                              </div>
+                            )}
                           </div>
                           {bookmarks.has(module.id) && (
                             <Star className="h-4 w-4 text-yellow-500 flex-shrink-0 fill-current" />
                           )}
                         </div>
-                      ))}
+                        );
+                      })}
                       {phase.modules.length > 3 && (
                         <div className="text-xs text-gray-500 dark:text-gray-400 text-center py-1">
                           +{phase.modules.length - 3} more modules
@@ -210,11 +300,14 @@ const Dashboard = ({ curriculumData }) => {
             <div className="text-sm opacity-90">Begin with Phase 0</div>
           </Link>
           
-          <button className="p-4 rounded-lg bg-gradient-to-r from-blue-400 to-blue-600 text-white hover:from-blue-500 hover:to-blue-700 transition-all duration-200 transform hover:scale-105">
+          <Link 
+            to="/bookmarks"
+            className="p-4 rounded-lg bg-gradient-to-r from-blue-400 to-blue-600 text-white hover:from-blue-500 hover:to-blue-700 transition-all duration-200 transform hover:scale-105"
+          >
             <Star className="h-6 w-6 mb-2" />
             <div className="font-semibold">Bookmarks</div>
-            <div className="text-sm opacity-90">View saved modules</div>
-          </button>
+            <div className="text-sm opacity-90">View saved modules and sections</div>
+          </Link>
           
           <button className="p-4 rounded-lg bg-gradient-to-r from-purple-400 to-purple-600 text-white hover:from-purple-500 hover:to-purple-700 transition-all duration-200 transform hover:scale-105">
             <TrendingUp className="h-6 w-6 mb-2" />
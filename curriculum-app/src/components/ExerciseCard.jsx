@@ -0,0 +1,72 @@
+import { useNavigate } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import {
+  Code,
+  CheckCircle,
+  PlayCircle,
+  AlertTriangle
+} from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+
+// The card an ```exercise block renders as; the exercise itself is done in the IDE
+const ExerciseCard = ({ moduleId, exercise }) => {
+  const navigate = useNavigate();
+  const { getExerciseResults } = useProgress();
+
+  if (exercise.error) {
+    return (
+      <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded-lg">
+        <div className="flex items-center space-x-2 text-amber-800 dark:text-amber-200 text-sm">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          <span>This exercise could not be loaded: {exercise.error}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const result = getExerciseResults(moduleId)[exercise.id];
+  const isPassed = Boolean(result?.completedAt);
+
+  const getStatus = () => {
+    if (isPassed) return 'All tests passed';
+    if (result) return `${result.passedCount}/${result.total} tests passing`;
+    return `${exercise.testCount} ${exercise.testCount === 1 ? 'test' : 'tests'}`;
+  };
+
+  return (
+    <div className={`mb-6 p-6 rounded-lg border ${
+      isPassed
+        ? 'border-green-200 dark:border-green-800 bg-green-50 dark:bg-green-900/20'
+        : 'border-purple-200 dark:border-purple-800 bg-purple-50 dark:bg-purple-900/20'
+    }`}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          {isPassed ? (
+            <CheckCircle className="h-5 w-5 text-green-500" />
+          ) : (
+            <Code className="h-5 w-5 text-purple-600" />
+          )}
+          <span className="font-semibold text-gray-900 dark:text-white">{exercise.title}</span>
+          <span className="text-xs px-2 py-0.5 rounded-full bg-white/70 dark:bg-gray-800 text-gray-600 dark:text-gray-300 font-mono">
+            {exercise.language}
+          </span>
+        </div>
+        <span className="text-sm text-gray-600 dark:text-gray-400">{getStatus()}</span>
+      </div>
+
+      <div className="text-gray-700 dark:text-gray-200 text-sm leading-relaxed mb-4">
+        <ReactMarkdown>{exercise.instructions}</ReactMarkdown>
+      </div>
+
+      <button
+        onClick={() => navigate(`/ide?module=${encodeURIComponent(moduleId)}&exercise=${encodeURIComponent(exercise.id)}`)}
+        className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-purple-600 text-white hover:bg-purple-700 transition-colors"
+      >
+        <PlayCircle className="h-4 w-4" />
+        <span>{result ? 'Continue Exercise' : 'Start Exercise'}</span>
+      </button>
+    </div>
+  );
+};
+
+export default ExerciseCard;
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import ReactMarkdown from 'react-markdown';
+import {
+  ChevronLeft,
+  CheckCircle,
+  XCircle,
+  FlaskConical,
+  Trophy,
+  AlertTriangle
+} from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+import { runExerciseTests } from '../utils/exerciseRunner';
+
+// Instructions and test results shown above the editor in the IDE's exercise mode
+const ExercisePanel = ({ phaseId, module, exercise, code }) => {
+  const { getExerciseResults, saveExerciseResult } = useProgress();
+  const [running, setRunning] = useState(false);
+  const [outcome, setOutcome] = useState(null);
+
+  const savedResult = getExerciseResults(module.id)[exercise.id];
+  const allPassed = outcome && outcome.results.every(result => result.passed);
+
+  const handleRunTests = async () => {
+    setRunning(true);
+    const testOutcome = await runExerciseTests(exercise, code);
+    setOutcome(testOutcome);
+    setRunning(false);
+    saveExerciseResult(module.id, exercise.id, {
+      code,
+      passedCount: testOutcome.results.filter(result => result.passed).length,
+      total: testOutcome.results.length
+    });
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow-lg border-x border-b border-gray-200 dark:border-gray-700 p-4">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Instructions */}
+        <div>
+          <Link
+            to={`/phase/${phaseId}/module/${module.id}`}
+            className="flex items-center space-x-1 text-sm text-gray-600 dark:text-gray-400 hover:text-primary-600 dark:hover:text-primary-400 mb-2"
+          >
+            <ChevronLeft className="h-4 w-4" />
+            <span>{module.title}</span>
+          </Link>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-2 flex items-center">
+            {exercise.title}
+            {savedResult?.completedAt && <CheckCircle className="h-5 w-5 text-green-500 ml-2" />}
+          </h2>
+          <div className="text-sm text-gray-700 dark:text-gray-300 leading-relaxed space-y-2">
+            <ReactMarkdown>{exercise.instructions}</ReactMarkdown>
+          </div>
+        </div>
+
+        {/* Tests */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+              Tests ({exercise.tests.length})
+            </span>
+            <button
+              onClick={handleRunTests}
+              disabled={running}
+              className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors"
+            >
+              <FlaskConical className="h-4 w-4" />
+              <span>{running ? 'Running...' : 'Run Tests'}</span>
+            </button>
+          </div>
+
+          {outcome?.loadError && (
+            <div className="mb-3 p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded-lg flex items-start space-x-2 text-sm text-amber-800 dark:text-amber-200">
+              <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+              <span className="font-mono">{outcome.loadError}</span>
+            </div>
+          )}
+
+          {allPassed && (
+            <div className="mb-3 p-3 bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg flex items-center space-x-2 text-sm text-green-800 dark:text-green-200">
+              <Trophy className="h-4 w-4 flex-shrink-0" />
+              <span>All tests passed. This exercise now counts towards the module.</span>
+            </div>
+          )}
+
+          {outcome ? (
+            <ul className="space-y-2">
+              {outcome.results.map((result, index) => (
+                <li key={index} className="flex items-start space-x-2 text-sm">
+                  {result.passed ? (
+                    <CheckCircle className="h-4 w-4 text-green-500 mt-0.5 flex-shrink-0" />
+                  ) : (
+                    <XCircle className="h-4 w-4 text-red-500 mt-0.5 flex-shrink-0" />
+                  )}
+                  <div>
+                    <div className="text-gray-800 dark:text-gray-200">{result.name}</div>
+                    {!result.passed && result.message && (
+                      <div className="text-xs font-mono text-red-600 dark:text-red-400">{result.message}</div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {savedResult
+                ? `Last run: ${savedResult.passedCount}/${savedResult.total} tests passed.`
+                : 'Write your solution in the editor, then run the tests.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExercisePanel;
@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import { X, User, Mail, Eye, EyeOff } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useProgress } from '../context/ProgressContext';
+import { AuthError } from '../storage';
 
 const LoginModal = ({ isOpen, onClose }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -10,10 +12,13 @@ const LoginModal = ({ isOpen, onClose }) => {
     email: '',
     password: ''
   });
+  const [mergeGuestProgress, setMergeGuestProgress] = useState(true);
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
 
-  const { login } = useAuth();
+  const { signIn, signUp } = useAuth();
+  const { isGuest, hasAnyProgress, mergeGuestProgressOnSignIn } = useProgress();
+  const canMergeGuestProgress = isGuest && hasAnyProgress;
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -61,60 +66,31 @@ const LoginModal = ({ isOpen, onClose }) => {
     setIsLoading(true);
 
     try {
-      // Simulate API delay for better UX
-      await new Promise(resolve => setTimeout(resolve, 500));
-
       if (isLogin) {
-        // For login, check if user exists in localStorage
-        const existingUsers = JSON.parse(localStorage.getItem('curriculum_users') || '{}');
-        const user = existingUsers[formData.email];
-        
-        if (!user) {
-          setErrors({ email: 'No account found with this email address' });
-          setIsLoading(false);
-          return;
-        }
-
-        if (user.password !== formData.password) {
-          setErrors({ password: 'Incorrect password' });
-          setIsLoading(false);
-          return;
-        }
-
-        // Login successful
-        await login({
-          name: user.name,
-          email: user.email
+        await signIn({
+          email: formData.email,
+          password: formData.password
         });
       } else {
-        // For signup, save user to localStorage
-        const existingUsers = JSON.parse(localStorage.getItem('curriculum_users') || '{}');
-        
-        if (existingUsers[formData.email]) {
-          setErrors({ email: 'An account with this email already exists' });
-          setIsLoading(false);
-          return;
-        }
-
-        // Save new user
-        existingUsers[formData.email] = {
+        // Sign in after signup, taking the guest's progress along if asked to
+        mergeGuestProgressOnSignIn(canMergeGuestProgress && mergeGuestProgress);
+        await signUp({
           name: formData.name,
           email: formData.email,
-          password: formData.password,
-          createdAt: new Date().toISOString()
-        };
-        localStorage.setItem('curriculum_users', JSON.stringify(existingUsers));
-
-        // Auto-login after signup
-        await login({
-          name: formData.name,
-          email: formData.email
+          password: formData.password
         });
       }
 
+      resetForm();
       onClose();
     } catch (error) {
-      setErrors({ general: 'Something went wrong. Please try again.' });
+      mergeGuestProgressOnSignIn(false);
+      if (error instanceof AuthError) {
+        setErrors({ [error.field]: error.message });
+      } else {
+        console.error('Error signing in:', error);
+        setErrors({ general: 'Something went wrong. Please try again.' });
+      }
     } finally {
       setIsLoading(false);
     }
@@ -124,6 +100,7 @@ const LoginModal = ({ isOpen, onClose }) => {
     setFormData({ name: '', email: '', password: '' });
     setErrors({});
     setShowPassword(false);
+    setMergeGuestProgress(true);
   };
 
   const switchMode = () => {
@@ -237,6 +214,19 @@ const LoginModal = ({ isOpen, onClose }) => {
             )}
           </div>
 
+          {/* Guest progress (signup only) */}
+          {!isLogin && canMergeGuestProgress && (
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={mergeGuestProgress}
+                onChange={(e) => setMergeGuestProgress(e.target.checked)}
+                className="mt-0.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Add the progress made on this browser without an account to my new account</span>
+            </label>
+          )}
+
           {/* Submit button */}
           <button
             type="submit"
@@ -273,7 +263,8 @@ const LoginModal = ({ isOpen, onClose }) => {
           <div className="text-sm text-gray-600">
             <h4 className="font-medium mb-2">Your data is stored locally:</h4>
             <ul className="space-y-1 text-xs">
-              <li>• Progress is saved in your browser</li>
+              <li>• Progress is saved in your browser, separately for each account</li>
+              <li>• Passwords are stored only as salted hashes</li>
               <li>• No external servers or databases</li>
               <li>• Data persists across browser sessions</li>
               <li>• Clear browser data to reset progress</li>
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useMemo, createContext, useContext } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import rehypeHighlight from 'rehype-highlight';
@@ -9,15 +9,103 @@ import {
   ExternalLink,
   ChevronDown,
   ChevronUp,
-  Book
+  Book,
+  Link2,
+  Star
 } from 'lucide-react';
+import { contentLoaders } from 'virtual:curriculum';
+import { remarkHeadingIds, safeDecode } from '../utils/headingIds';
+import Quiz from './Quiz';
+import ExerciseCard from './ExerciseCard';
+import RunnableCodeBlock from './RunnableCodeBlock';
+import AnnotationLayer from './AnnotationLayer';
+import { getSnippetLanguage } from '../utils/snippetRunner';
 
-const MarkdownViewer = ({ phaseId, moduleId, title }) => {
+const NO_SECTIONS = [];
+const NO_ANNOTATIONS = [];
+const NO_BOOKMARKS = new Set();
+// How far below the top of the content a heading counts as the one being read
+const ACTIVE_HEADING_OFFSET = 24;
+// Reading positions are reported once scrolling has stopped for this long
+const POSITION_REPORT_DELAY_MS = 2000;
+
+// Bookmarked sections and how to toggle one, read through context so bookmarking a
+// section doesn't re-create the memoised renderers
+const HeadingBookmarksContext = createContext(null);
+
+const HeadingBookmarkButton = ({ id }) => {
+  const headingBookmarks = useContext(HeadingBookmarksContext);
+  if (!headingBookmarks) return null;
+  const isBookmarked = headingBookmarks.bookmarked.has(id);
+  return (
+    <button
+      type="button"
+      onClick={() => headingBookmarks.onToggle(id)}
+      aria-label={isBookmarked ? 'Remove bookmark from this section' : 'Bookmark this section'}
+      aria-pressed={isBookmarked}
+      className={`ml-1 inline-block align-middle transition-opacity ${
+        isBookmarked
+          ? 'text-yellow-500'
+          : 'opacity-0 group-hover:opacity-100 focus:opacity-100 text-gray-400 hover:text-yellow-500'
+      }`}
+    >
+      <Star className={`h-4 w-4 ${isBookmarked ? 'fill-current' : ''}`} />
+    </button>
+  );
+};
+
+// scrollToId scrolls to a heading once the content is shown, and again whenever
+// scrollKey changes. Without one, the content is scrolled to savedScrollTop, where
+// reading of moduleId last stopped, once that is known (null until then). onActiveHeadingChange(id) reports the section being read,
+// onPositionChange(moduleId, { headingId, scrollTop }) where reading stopped, and
+// onHeadingLink(id) is called when a heading's anchor or an in-page link is clicked.
+// With onAnnotationCreate, text can be highlighted and annotated (see AnnotationLayer),
+// and with onHeadingBookmark(id) sections can be bookmarked.
+const MarkdownViewer = ({
+  moduleId,
+  contentHash,
+  title,
+  sections = NO_SECTIONS,
+  readSections = {},
+  onSectionRead,
+  scrollToId,
+  scrollKey,
+  savedScrollTop = null,
+  onActiveHeadingChange,
+  onPositionChange,
+  onHeadingLink,
+  annotations = NO_ANNOTATIONS,
+  onAnnotationCreate,
+  onAnnotationUpdate,
+  onAnnotationRemove,
+  bookmarkedHeadings = NO_BOOKMARKS,
+  onHeadingBookmark
+}) => {
   const [content, setContent] = useState('');
+  // Module the content belongs to; it trails moduleId while the next module loads
+  const [contentModuleId, setContentModuleId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isExpanded, setIsExpanded] = useState(true);
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const scrollRef = useRef(null);
+  const contentRef = useRef(null);
+  const readSectionsRef = useRef(readSections);
+  const onSectionReadRef = useRef(onSectionRead);
+  const onActiveHeadingChangeRef = useRef(onActiveHeadingChange);
+  const onPositionChangeRef = useRef(onPositionChange);
+  const onHeadingLinkRef = useRef(onHeadingLink);
+  const onHeadingBookmarkRef = useRef(onHeadingBookmark);
+  // The content the last scroll happened in, so a new heading in the same content scrolls smoothly
+  const scrolledContentRef = useRef(null);
+  // The module whose saved scroll position has been used, so it only moves the content once
+  const restoredModuleRef = useRef(null);
+  readSectionsRef.current = readSections;
+  onSectionReadRef.current = onSectionRead;
+  onActiveHeadingChangeRef.current = onActiveHeadingChange;
+  onPositionChangeRef.current = onPositionChange;
+  onHeadingLinkRef.current = onHeadingLink;
+  onHeadingBookmarkRef.current = onHeadingBookmark;
 
   // Check for dark mode
   useEffect(() => {
@@ -37,148 +125,189 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
     return () => observer.disconnect();
   }, []);
 
-  // Map phase IDs to directory names
-  const getPhaseDirectory = (phaseId) => {
-    const phaseMap = {
-      'phase-0': 'Phase-0-Absolute-Beginnings',
-      'phase-1': 'Phase-1-Foundation-Technologies',
-      'phase-2': 'Phase-2-React-Development-Mastery',
-      'phase-3': 'Phase-3-Geographic-Information-Systems',
-      'phase-4': 'Phase-4-3D-Visualisation-and-Graphics',
-      'phase-5': 'Phase-5-Database-Systems-and-Backend',
-      'phase-6': 'Phase-6-Build-Tools-and-Development-Workflow',
-      'phase-7': 'Phase-7-Cloud-Deployment-and-DevOps',
-      'phase-8': 'Phase-8-Advanced-Integration-Patterns'
-    };
-    return phaseMap[phaseId];
-  };
-
-  // Convert module ID back to filename
-  const getModuleFileName = (moduleId) => {
-    // Handle special case for Core Syntax Overview
-    if (moduleId === 'core-syntax-overview') {
-      return 'Core-Syntax-Overview.md';
-    }
-    
-    // moduleId format: "module-0-1-development-environment-setup"
-    // filename format: "Module-0.1-Development-Environment-Setup.md"
-    
-    if (moduleId.startsWith('module-')) {
-      // Remove 'module-' prefix
-      const withoutPrefix = moduleId.substring(7);
-      
-      // Split by hyphens
-      const parts = withoutPrefix.split('-');
-      
-      // First two parts are the module number (e.g., "0", "1")
-      const moduleNumber = `${parts[0]}.${parts[1]}`;
-      
-      // Handle special case for three-js-fundamentals
-      if (withoutPrefix === '4-1-three-js-fundamentals') {
-        return 'Module-4.1-Three.js-Fundamentals.md';
-      }
-      
-      // Remaining parts are the title, capitalize each word with special handling
-      const titleParts = parts.slice(2).map(part => {
-        // Special cases for proper nouns/abbreviations
-        if (part.toLowerCase() === 'typescript') return 'TypeScript';
-        if (part.toLowerCase() === 'javascript') return 'JavaScript';
-        if (part.toLowerCase() === 'html') return 'HTML';
-        if (part.toLowerCase() === 'css') return 'CSS';
-        if (part.toLowerCase() === 'api') return 'API';
-        if (part.toLowerCase() === 'ui') return 'UI';
-        if (part.toLowerCase() === 'gis') return 'GIS';
-        if (part.toLowerCase() === 'ci') return 'CI';
-        if (part.toLowerCase() === 'cd') return 'CD';
-        if (part.toLowerCase() === 'devops') return 'DevOps';
-        if (part.toLowerCase() === 'nodejs') return 'NodeJS';
-        if (part.toLowerCase() === 'npm') return 'NPM';
-        if (part.toLowerCase() === 'supabase') return 'Supabase';
-        if (part.toLowerCase() === 'postgresql') return 'PostgreSQL';
-        if (part.toLowerCase() === 'and') return 'and';
-        
-        // Default capitalization
-        return part.charAt(0).toUpperCase() + part.slice(1);
-      });
-      
-      return `Module-${moduleNumber}-${titleParts.join('-')}.md`;
-    }
-    
-    // Fallback for unexpected formats
-    return moduleId + '.md';
-  };
-
   useEffect(() => {
+    // A slower load for the module left behind must not replace this one's content
+    let cancelled = false;
     const loadMarkdownContent = async () => {
       try {
         setLoading(true);
         setError(null);
 
-        const phaseDir = getPhaseDirectory(phaseId);
-        const fileName = getModuleFileName(moduleId);
-        
-        if (!phaseDir) {
-          throw new Error('Phase not found');
-        }
-
-        // Try to fetch the markdown file from the public directory
-        // We'll need to copy the markdown files to public for this to work
-        const response = await fetch(`/curriculum/${phaseDir}/${fileName}`);
-        
-        if (!response.ok) {
-          throw new Error(`Failed to load module content: ${response.status}`);
+        // Each module's markdown is bundled as its own chunk (see scripts/curriculumPlugin.js)
+        const loadContent = contentLoaders[moduleId];
+        if (!loadContent) {
+          throw new Error(`No content bundled for module ${moduleId}`);
         }
 
-        const markdownContent = await response.text();
+        const { default: markdownContent } = await loadContent();
+        if (cancelled) return;
         setContent(markdownContent);
       } catch (err) {
         console.error('Error loading markdown:', err);
-        const fileName = getModuleFileName(moduleId);
-        setError(`Unable to load ${fileName}. The file may not exist or the server may not be serving static files correctly.`);
+        if (cancelled) return;
+        setError(`Unable to load content for ${moduleId}. The module may have been renamed or removed since the curriculum data was generated.`);
         // Set fallback content
-        setContent(`# ${title}\n\nThe full content for this module should be loaded from the curriculum files. If you're seeing this message, it means the markdown file couldn't be loaded.\n\n**File being requested:** \`${fileName}\`\n\n**Suggested solutions:**\n- Ensure the file exists in the curriculum directory\n- Restart the development server\n- Check that the file naming matches exactly\n\nFor now, you can refer to the original curriculum files in your project directory.`);
+        setContent(`# ${title}\n\nThe full content for this module should be loaded from the curriculum files. If you're seeing this message, it means the markdown file couldn't be loaded.\n\n**Module being requested:** \`${moduleId}\`\n\n**Suggested solutions:**\n- Ensure the file exists in the curriculum directory\n- Run \`npm run generate-curriculum\` to regenerate the curriculum data\n- Restart the development server\n\nFor now, you can refer to the original curriculum files in your project directory.`);
       } finally {
-        setLoading(false);
+        if (!cancelled) {
+          setContentModuleId(moduleId);
+          setLoading(false);
+        }
       }
     };
 
-    if (phaseId && moduleId) {
+    if (moduleId) {
       loadMarkdownContent();
     }
-  }, [phaseId, moduleId, title]);
+    return () => {
+      cancelled = true;
+    };
+    // contentHash changes when the markdown is edited, which reloads it during dev
+  }, [moduleId, contentHash, title]);
 
-  const customComponents = {
-    // Custom heading renderer with better styling
-    h1: ({ children }) => (
-      <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-6 pb-3 border-b border-gray-200 dark:border-gray-600">
-        {children}
-      </h1>
-    ),
-    h2: ({ children }) => (
-      <h2 className="text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-4 mt-8">
-        {children}
-      </h2>
-    ),
-    h3: ({ children }) => (
-      <h3 className="text-xl font-medium text-gray-700 dark:text-gray-200 mb-3 mt-6">
-        {children}
-      </h3>
-    ),
-    h4: ({ children }) => (
-      <h4 className="text-lg font-medium text-gray-700 dark:text-gray-200 mb-2 mt-4">
-        {children}
-      </h4>
-    ),
-    h5: ({ children }) => (
-      <h5 className="text-base font-medium text-gray-700 dark:text-gray-200 mb-2 mt-3">
-        {children}
-      </h5>
-    ),
-    h6: ({ children }) => (
-      <h6 className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2 mt-3">
-        {children}
-      </h6>
-    ),
+  // Bring a linked heading into view once the content has rendered, or else go back
+  // to where this module was last scrolled to
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (loading || !container) return;
+    const isNewContent = scrolledContentRef.current !== content;
+    scrolledContentRef.current = content;
+
+    if (isNewContent) restoredModuleRef.current = null;
+
+    const heading = scrollToId && document.getElementById(scrollToId);
+    if (heading) {
+      heading.scrollIntoView({ block: 'start', behavior: isNewContent ? 'auto' : 'smooth' });
+      restoredModuleRef.current = contentModuleId;
+    } else if (restoredModuleRef.current !== contentModuleId && contentModuleId === moduleId && savedScrollTop !== null) {
+      container.scrollTop = savedScrollTop;
+      restoredModuleRef.current = contentModuleId;
+    } else if (isNewContent) {
+      container.scrollTop = 0;
+    }
+  }, [loading, isExpanded, content, contentModuleId, scrollToId, scrollKey, savedScrollTop]);
+
+  // Report which section is being read, and where reading stopped
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || loading || !contentModuleId) return undefined;
+    const sectionIds = new Set(sections.map(section => section.id));
+
+    let frame = null;
+    let activeId = null;
+    let positionTimer = null;
+    const reportPosition = () => {
+      positionTimer = null;
+      onPositionChangeRef.current?.(contentModuleId, { headingId: activeId, scrollTop: Math.round(container.scrollTop) });
+    };
+    const update = () => {
+      frame = null;
+
+      const top = container.getBoundingClientRect().top + ACTIVE_HEADING_OFFSET;
+      const headings = [...container.querySelectorAll('h2[id], h3[id]')].filter(heading => sectionIds.has(heading.id));
+      const current = headings.filter(heading => heading.getBoundingClientRect().top <= top).pop() || headings[0];
+      const id = current?.id || null;
+      if (id !== activeId) {
+        activeId = id;
+        onActiveHeadingChangeRef.current?.(id);
+      }
+    };
+    const onScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+      clearTimeout(positionTimer);
+      positionTimer = setTimeout(reportPosition, POSITION_REPORT_DELAY_MS);
+    };
+
+    update();
+    container.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      container.removeEventListener('scroll', onScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+      // Leaving straight after scrolling still records the position
+      if (positionTimer !== null) {
+        clearTimeout(positionTimer);
+        reportPosition();
+      }
+    };
+  }, [content, loading, isExpanded, sections, contentModuleId]);
+
+  // Mark a top-level section read once whatever follows it has scrolled into view
+  useEffect(() => {
+    const container = scrollRef.current;
+    const trackedSections = sections.filter(section => section.level === 2);
+    if (!container || loading || trackedSections.length === 0) return undefined;
+
+    let frame = null;
+    const checkReadSections = () => {
+      frame = null;
+      const { bottom } = container.getBoundingClientRect();
+      const headings = [...container.querySelectorAll('h2')];
+
+      trackedSections.forEach(section => {
+        if (readSectionsRef.current[section.id]) return;
+        const index = headings.findIndex(heading => heading.id === section.id);
+        if (index === -1) return;
+
+        const next = headings[index + 1];
+        // The last section ends with the content, so it needs scrolling to the bottom
+        const end = next
+          ? next.getBoundingClientRect().top
+          : bottom + container.scrollHeight - container.scrollTop - container.clientHeight;
+        if (end <= bottom + 1) {
+          onSectionReadRef.current?.(section.id);
+        }
+      });
+    };
+    const onScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(checkReadSections);
+    };
+
+    checkReadSections();
+    container.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      container.removeEventListener('scroll', onScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+  }, [content, loading, isExpanded, sections]);
+
+  const followHeadingLink = (e, id) => {
+    if (!onHeadingLinkRef.current) return;
+    e.preventDefault();
+    onHeadingLinkRef.current(id);
+  };
+
+  const headingBookmarks = useMemo(() => (onHeadingBookmark ? {
+    bookmarked: bookmarkedHeadings,
+    onToggle: (id) => onHeadingBookmarkRef.current(id)
+  } : null), [Boolean(onHeadingBookmark), bookmarkedHeadings]);
+
+  // Sections (the `##` and `###` headings) can be bookmarked as well as linked to
+  const createHeading = (Tag, className, isSection = false) => ({ children, id }) => (
+    <Tag id={id} className={`group scroll-mt-4 ${className}`}>
+      {children}
+      {id && (
+        <a
+          href={`#${id}`}
+          onClick={(e) => followHeadingLink(e, id)}
+          aria-label="Link to this section"
+          className="ml-2 inline-block align-middle opacity-0 group-hover:opacity-100 focus:opacity-100 text-gray-400 hover:text-primary-600 transition-opacity"
+        >
+          <Link2 className="h-4 w-4" />
+        </a>
+      )}
+      {id && isSection && <HeadingBookmarkButton id={id} />}
+    </Tag>
+  );
+
+  // Memoised so re-renders (e.g. a section being marked read) don't remount quizzes and runnable blocks
+  const customComponents = useMemo(() => ({
+    // Headings with an anchor link that shows on hover
+    h1: createHeading('h1', 'text-3xl font-bold text-gray-900 dark:text-gray-100 mb-6 pb-3 border-b border-gray-200 dark:border-gray-600'),
+    h2: createHeading('h2', 'text-2xl font-semibold text-gray-800 dark:text-gray-100 mb-4 mt-8', true),
+    h3: createHeading('h3', 'text-xl font-medium text-gray-700 dark:text-gray-200 mb-3 mt-6', true),
+    h4: createHeading('h4', 'text-lg font-medium text-gray-700 dark:text-gray-200 mb-2 mt-4'),
+    h5: createHeading('h5', 'text-base font-medium text-gray-700 dark:text-gray-200 mb-2 mt-3'),
+    h6: createHeading('h6', 'text-sm font-medium text-gray-700 dark:text-gray-200 mb-2 mt-3'),
     // Better paragraph spacing
     p: ({ children }) => (
       <p className="text-gray-700 dark:text-gray-200 mb-4 leading-relaxed text-base">
@@ -202,6 +331,8 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
         {children}
       </li>
     ),
+    // Code blocks render their own <pre>, and quizzes aren't preformatted text
+    pre: ({ children }) => <>{children}</>,
     // Code blocks with syntax highlighting
     code: ({ inline, className, children, ...props }) => {
       const match = /language-(\w+)/.exec(className || '');
@@ -215,6 +346,47 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
         );
       }
       
+      // The curriculum plugin compiles quiz and exercise blocks to JSON at build time
+      if (language === 'quiz' || language === 'exercise') {
+        let block;
+        try {
+          block = JSON.parse(String(children));
+        } catch (err) {
+          block = { error: `the ${language} block is not valid JSON` };
+        }
+        return language === 'quiz'
+          ? <Quiz moduleId={moduleId} quiz={block} />
+          : <ExerciseCard moduleId={moduleId} exercise={block} />;
+      }
+      
+      const code = String(children).replace(/\n$/, '');
+      const highlighted = (
+        <SyntaxHighlighter
+          language={language || 'text'}
+          style={isDarkMode ? oneDark : oneLight}
+          customStyle={{
+            margin: 0,
+            borderRadius: 0,
+            fontSize: '14px',
+            lineHeight: '1.5'
+          }}
+          showLineNumbers={true}
+          wrapLines={true}
+          {...props}
+        >
+          {code}
+        </SyntaxHighlighter>
+      );
+      
+      const snippetLanguage = getSnippetLanguage(language);
+      if (snippetLanguage) {
+        return (
+          <RunnableCodeBlock language={snippetLanguage} label={language} code={code} moduleTitle={title}>
+            {highlighted}
+          </RunnableCodeBlock>
+        );
+      }
+      
       return (
         <div className="mb-4 rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
           {language && (
@@ -222,21 +394,7 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
               {language.toUpperCase()}
             </div>
           )}
-          <SyntaxHighlighter
-            language={language || 'text'}
-            style={isDarkMode ? oneDark : oneLight}
-            customStyle={{
-              margin: 0,
-              borderRadius: 0,
-              fontSize: '14px',
-              lineHeight: '1.5'
-            }}
-            showLineNumbers={true}
-            wrapLines={true}
-            {...props}
-          >
-            {String(children).replace(/\n$/, '')}
-          </SyntaxHighlighter>
+          {highlighted}
         </div>
       );
     },
@@ -264,8 +422,16 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
         {children}
       </td>
     ),
-    // Links
-    a: ({ href, children }) => (
+    // Links; ones to a heading in this module stay on the page
+    a: ({ href, children }) => href?.startsWith('#') ? (
+      <a
+        href={href}
+        onClick={(e) => followHeadingLink(e, safeDecode(href.slice(1)))}
+        className="text-primary-600 hover:text-primary-700 dark:text-primary-300 dark:hover:text-primary-200 underline underline-offset-2 font-medium"
+      >
+        {children}
+      </a>
+    ) : (
       <a 
         href={href} 
         target="_blank" 
@@ -288,7 +454,7 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
         {children}
       </em>
     )
-  };
+  }), [isDarkMode, moduleId, title]);
 
   if (loading) {
     return (
@@ -326,7 +492,7 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
 
       {/* Content */}
       {isExpanded && (
-        <div className="p-6 max-h-[70vh] overflow-y-auto bg-white dark:bg-gray-900">
+        <div ref={scrollRef} className="p-6 max-h-[70vh] overflow-y-auto bg-white dark:bg-gray-900">
           {error && (
             <div className="mb-4 p-3 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded-lg">
               <div className="flex items-center space-x-2 text-amber-800 dark:text-amber-200 text-sm">
@@ -336,14 +502,26 @@ const MarkdownViewer = ({ phaseId, moduleId, title }) => {
             </div>
           )}
           
-          <div className="prose prose-gray dark:prose-invert max-w-none text-gray-700 dark:text-gray-200">
-            <ReactMarkdown 
-              components={customComponents}
-              remarkPlugins={[remarkGfm]}
-            >
-              {content}
-            </ReactMarkdown>
+          <div ref={contentRef} className="prose prose-gray dark:prose-invert max-w-none text-gray-700 dark:text-gray-200">
+            <HeadingBookmarksContext.Provider value={headingBookmarks}>
+              <ReactMarkdown 
+                components={customComponents}
+                remarkPlugins={[remarkGfm, remarkHeadingIds]}
+              >
+                {content}
+              </ReactMarkdown>
+            </HeadingBookmarksContext.Provider>
           </div>
+          {onAnnotationCreate && (
+            <AnnotationLayer
+              contentRef={contentRef}
+              contentKey={content}
+              annotations={annotations}
+              onCreate={onAnnotationCreate}
+              onUpdate={onAnnotationUpdate}
+              onRemove={onAnnotationRemove}
+            />
+          )}
         </div>
       )}
     </div>
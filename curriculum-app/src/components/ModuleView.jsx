@@ -1,5 +1,5 @@
-import { useParams, Link, useNavigate } from 'react-router-dom';
-import { useState } from 'react';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
+import { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import { 
   ChevronLeft, 
@@ -11,28 +11,94 @@ import {
   Target,
   Code,
   ExternalLink,
-  FileText
+  FileText,
+  Tag,
+  Lock,
+  Network,
+  PlayCircle,
+  X,
+  StickyNote
 } from 'lucide-react';
 import { useProgress } from '../context/ProgressContext';
+import { useAuth } from '../contexts/AuthContext';
+import { buildPrerequisiteGraph, getMissingPrerequisites } from '../utils/prerequisiteGraph';
+import { listAnnotations } from '../utils/annotations';
+import { safeDecode } from '../utils/headingIds';
 import MarkdownViewer from './MarkdownViewer';
+import SectionChecklist from './SectionChecklist';
+import AnnotationCard from './AnnotationCard';
+import TableOfContents from './TableOfContents';
+import TimeSpent from './TimeSpent';
+import useReadingTimer from '../hooks/useReadingTimer';
 
 const ModuleView = ({ curriculumData }) => {
-  const { phaseId, moduleId } = useParams();
+  const { phaseId, moduleId, tab: routeTab } = useParams();
   const navigate = useNavigate();
   const { 
     completedModules, 
     bookmarks, 
+    bookmarkList,
     toggleBookmark, 
     markModuleComplete, 
-    markModuleIncomplete 
+    markModuleIncomplete,
+    getModuleProgress,
+    updateModuleProgress,
+    recordModuleVisit,
+    recordTimeSpent,
+    recordReadingPosition,
+    addAnnotation,
+    updateAnnotation,
+    removeAnnotation,
+    progress,
+    namespace,
+    isLoading
   } = useProgress();
 
-  const [activeTab, setActiveTab] = useState('overview');
+  const { settings } = useAuth();
+  const prerequisiteGraph = useMemo(() => buildPrerequisiteGraph(curriculumData), [curriculumData]);
+
+  const location = useLocation();
+  // The tab is part of the path and the heading being linked to is the hash:
+  // /phase/:phaseId/module/:moduleId/content#heading-id
+  const moduleUrl = `/phase/${phaseId}/module/${moduleId}`;
+  const activeTab = ['content', 'notes'].includes(routeTab) ? routeTab : 'overview';
+  const tabUrl = (tabId) => (tabId === 'overview' ? moduleUrl : `${moduleUrl}/${tabId}`);
+  const headingId = safeDecode(location.hash.slice(1));
+  const [activeHeadingId, setActiveHeadingId] = useState(null);
+
+  // A heading linked on the module itself is in the full content
+  useEffect(() => {
+    if (!routeTab && headingId) navigate(`${tabUrl('content')}${location.hash}`, { replace: true });
+  }, [routeTab, headingId]);
 
   const phase = curriculumData.phases.find(p => p.id === phaseId);
   const module = phase?.modules.find(m => m.id === moduleId);
   const moduleIndex = phase?.modules.findIndex(m => m.id === moduleId);
   const phaseIndex = curriculumData.phases.findIndex(p => p.id === phaseId);
+
+  useEffect(() => {
+    if (module) recordModuleVisit(moduleId);
+  }, [moduleId]);
+
+  useReadingTimer(module ? moduleId : null, recordTimeSpent, namespace);
+
+  const savedAnnotations = progress[moduleId]?.annotations;
+  const annotations = useMemo(
+    () => listAnnotations(savedAnnotations, module?.sections),
+    [savedAnnotations, module]
+  );
+
+  const bookmarkedHeadings = useMemo(() => new Set(
+    bookmarkList
+      .filter(bookmark => bookmark.moduleId === moduleId && bookmark.headingId)
+      .map(bookmark => bookmark.headingId)
+  ), [bookmarkList, moduleId]);
+
+  // Where reading stopped last time, offered until the learner goes there or dismisses it
+  const [resumePosition, setResumePosition] = useState(null);
+  useEffect(() => {
+    if (!isLoading) setResumePosition(getModuleProgress(moduleId).lastPosition);
+  }, [moduleId, isLoading]);
   
   if (!phase || !module) {
     return (
@@ -49,6 +115,15 @@ const ModuleView = ({ curriculumData }) => {
 
   const isCompleted = completedModules.has(moduleId);
   const isBookmarked = bookmarks.has(moduleId);
+  const { sections: readSections, timeSpent } = getModuleProgress(moduleId);
+  const checklistSections = (module.sections || []).filter(section => section.level === 2);
+  const prerequisiteModules = (prerequisiteGraph.prerequisites.get(moduleId) || []).map(id => prerequisiteGraph.modules.get(id));
+  const missingPrerequisites = getMissingPrerequisites(prerequisiteGraph, moduleId, completedModules);
+  const isLocked = settings.lockModules && !isCompleted && missingPrerequisites.length > 0;
+  const resumeSection = resumePosition?.headingId
+    && !headingId
+    && resumePosition.headingId !== activeHeadingId
+    && module.sections?.find(section => section.id === resumePosition.headingId);
   
   const nextModule = phase.modules[moduleIndex + 1];
   const prevModule = phase.modules[moduleIndex - 1];
@@ -70,9 +145,19 @@ const ModuleView = ({ curriculumData }) => {
     }
   };
 
+  // Replacing the history entry keeps Back for leaving the module
+  const goToHeading = (sectionId) => {
+    navigate(`${tabUrl('content')}#${sectionId}`, { replace: true });
+  };
+
+  const sectionTitle = (sectionId) => (
+    module.sections?.find(section => section.id === sectionId)?.title || 'Introduction'
+  );
+
   const tabs = [
     { id: 'overview', label: 'Overview', icon: BookOpen },
-    { id: 'content', label: 'Full Content', icon: FileText }
+    { id: 'content', label: 'Full Content', icon: FileText },
+    { id: 'notes', label: annotations.length > 0 ? `Notes (${annotations.length})` : 'Notes', icon: StickyNote }
   ];
 
   const containerVariants = {
@@ -150,6 +235,50 @@ const ModuleView = ({ curriculumData }) => {
         </div>
       </motion.div>
 
+      {/* Locked Notice */}
+      {isLocked && (
+        <motion.div variants={itemVariants} className="flex items-start space-x-3 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg text-sm">
+          <Lock className="h-5 w-5 text-amber-600 dark:text-amber-400 flex-shrink-0" />
+          <div className="text-gray-700 dark:text-gray-300">
+            This module builds on{' '}
+            {missingPrerequisites.map((prerequisite, index) => (
+              <span key={prerequisite.id}>
+                {index > 0 && (index === missingPrerequisites.length - 1 ? ' and ' : ', ')}
+                <Link
+                  to={`/phase/${prerequisiteGraph.modules.get(prerequisite.id).phase.id}/module/${prerequisite.id}`}
+                  className="font-medium text-primary-600 dark:text-primary-400 hover:underline"
+                >
+                  {prerequisite.title}
+                </Link>
+              </span>
+            ))}
+            , which you haven't completed yet. You can still read it now.
+          </div>
+        </motion.div>
+      )}
+
+      {resumeSection && (
+        <motion.div variants={itemVariants} className="flex items-center space-x-3 p-4 bg-primary-50 dark:bg-primary-900/20 border border-primary-200 dark:border-primary-800 rounded-lg text-sm">
+          <PlayCircle className="h-5 w-5 text-primary-600 dark:text-primary-400 flex-shrink-0" />
+          <div className="flex-1 text-gray-700 dark:text-gray-300">
+            You stopped reading at <span className="font-medium">{resumeSection.title}</span>.
+          </div>
+          <Link
+            to={`${tabUrl('content')}#${resumeSection.id}`}
+            className="font-medium text-primary-600 dark:text-primary-400 hover:underline flex-shrink-0"
+          >
+            Resume
+          </Link>
+          <button
+            onClick={() => setResumePosition(null)}
+            aria-label="Dismiss"
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-colors flex-shrink-0"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        </motion.div>
+      )}
+
       {/* Module Header */}
       <motion.div variants={itemVariants} className="glass-card rounded-xl p-8">
         <div className="flex items-start space-x-6">
@@ -170,7 +299,15 @@ const ModuleView = ({ curriculumData }) => {
             <p className="text-lg text-gray-600 dark:text-gray-300 mb-6">
               {module.description}
             </p>
-            
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
+              <TimeSpent spentSeconds={timeSpent} estimatedMinutes={module.estimatedMinutes} showBar />
+              {module.tags?.map(tag => (
+                <span key={tag} className="flex items-center space-x-1 px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700">
+                  <Tag className="h-3 w-3" />
+                  <span>{tag}</span>
+                </span>
+              ))}
+            </div>
 
           </div>
         </div>
@@ -180,9 +317,10 @@ const ModuleView = ({ curriculumData }) => {
       <motion.div variants={itemVariants} className="glass-card rounded-xl p-2">
         <div className="flex space-x-1">
           {tabs.map(tab => (
-            <button
+            <Link
               key={tab.id}
-              onClick={() => setActiveTab(tab.id)}
+              to={tabUrl(tab.id)}
+              replace
               className={`flex items-center space-x-2 px-4 py-2 rounded-lg transition-all ${
                 activeTab === tab.id
                   ? 'bg-primary-100 text-primary-700 dark:bg-primary-900 dark:text-primary-300'
@@ -191,7 +329,7 @@ const ModuleView = ({ curriculumData }) => {
             >
               <tab.icon className="h-4 w-4" />
               <span className="font-medium">{tab.label}</span>
-            </button>
+            </Link>
           ))}
         </div>
       </motion.div>
@@ -230,11 +368,22 @@ const ModuleView = ({ curriculumData }) => {
               )}
             </div>
 
-            {module.prerequisites && module.prerequisites.length > 0 && (
+            {(module.prerequisites?.length > 0 || prerequisiteModules.length > 0) && (
               <div>
-                <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-                  Prerequisites
-                </h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                    Prerequisites
+                  </h3>
+                  {prerequisiteModules.length > 0 && (
+                    <Link
+                      to={`/map?target=${moduleId}`}
+                      className="flex items-center space-x-1 text-sm text-primary-600 dark:text-primary-400 hover:underline"
+                    >
+                      <Network className="h-4 w-4" />
+                      <span>Show on map</span>
+                    </Link>
+                  )}
+                </div>
                 <div className="space-y-2">
                   {module.prerequisites.map((prereq, index) => (
                     <div key={index} className="flex items-start space-x-3 p-3 bg-amber-50 dark:bg-amber-900/20 rounded-lg">
@@ -243,6 +392,25 @@ const ModuleView = ({ curriculumData }) => {
                     </div>
                   ))}
                 </div>
+                {prerequisiteModules.length > 0 && (
+                  <div className="mt-4 space-y-2">
+                    {prerequisiteModules.map(({ module: prerequisite, phase: prerequisitePhase }) => (
+                      <Link
+                        key={prerequisite.id}
+                        to={`/phase/${prerequisitePhase.id}/module/${prerequisite.id}`}
+                        className="flex items-center space-x-3 p-3 rounded-lg border border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors"
+                      >
+                        {completedModules.has(prerequisite.id) ? (
+                          <CheckCircle className="h-5 w-5 text-green-500 flex-shrink-0" />
+                        ) : (
+                          <Circle className="h-5 w-5 text-gray-400 flex-shrink-0" />
+                        )}
+                        <span className="text-gray-900 dark:text-white">{prerequisite.title}</span>
+                        <span className="text-sm text-gray-500 dark:text-gray-400">{prerequisitePhase.title}</span>
+                      </Link>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -253,11 +421,79 @@ const ModuleView = ({ curriculumData }) => {
             <h2 className="text-2xl font-semibold text-gray-900 dark:text-white mb-4">
               Complete Module Content
             </h2>
-            <MarkdownViewer 
-              phaseId={phaseId} 
-              moduleId={moduleId} 
-              title={module.title} 
-            />
+            {checklistSections.length > 0 && (
+              <SectionChecklist
+                sections={checklistSections}
+                readSections={readSections}
+                onToggle={(sectionId, read) => updateModuleProgress(moduleId, sectionId, read)}
+              />
+            )}
+            <div className="lg:grid lg:grid-cols-[minmax(0,1fr)_16rem] lg:gap-6 lg:items-start">
+              <MarkdownViewer 
+                moduleId={moduleId} 
+                contentHash={module.contentHash} 
+                title={module.title} 
+                sections={module.sections}
+                readSections={readSections}
+                onSectionRead={(sectionId) => updateModuleProgress(moduleId, sectionId)}
+                scrollToId={headingId}
+                scrollKey={location.key}
+                savedScrollTop={isLoading ? null : getModuleProgress(moduleId).lastPosition?.scrollTop ?? 0}
+                onActiveHeadingChange={setActiveHeadingId}
+                onPositionChange={recordReadingPosition}
+                onHeadingLink={goToHeading}
+                annotations={annotations}
+                onAnnotationCreate={(annotation) => addAnnotation(moduleId, annotation)}
+                onAnnotationUpdate={(annotationId, changes) => updateAnnotation(moduleId, annotationId, changes)}
+                onAnnotationRemove={(annotationId) => removeAnnotation(moduleId, annotationId)}
+                bookmarkedHeadings={bookmarkedHeadings}
+                onHeadingBookmark={(sectionId) => toggleBookmark(moduleId, sectionId)}
+              />
+              {module.sections?.length > 0 && (
+                <aside className="hidden lg:block sticky top-20">
+                  <TableOfContents
+                    sections={module.sections}
+                    activeId={activeHeadingId}
+                    readSections={readSections}
+                    getHref={(sectionId) => `${tabUrl('content')}#${sectionId}`}
+                    onSelect={goToHeading}
+                  />
+                </aside>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === 'notes' && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-2xl font-semibold text-gray-900 dark:text-white">
+                Your Notes
+              </h2>
+              <Link to="/notes" className="text-sm text-primary-600 dark:text-primary-400 hover:underline">
+                All notes
+              </Link>
+            </div>
+            {annotations.length > 0 ? (
+              annotations.map(annotation => (
+                <AnnotationCard
+                  key={annotation.id}
+                  annotation={annotation}
+                  location={sectionTitle(annotation.headingId)}
+                  href={`${tabUrl('content')}${annotation.headingId ? `#${annotation.headingId}` : ''}`}
+                  onUpdate={(changes) => updateAnnotation(moduleId, annotation.id, changes)}
+                  onRemove={() => removeAnnotation(moduleId, annotation.id)}
+                />
+              ))
+            ) : (
+              <p className="text-gray-600 dark:text-gray-400">
+                Select text in the{' '}
+                <Link to={tabUrl('content')} className="text-primary-600 dark:text-primary-400 hover:underline">
+                  Full Content
+                </Link>{' '}
+                tab to highlight it or add a note. Your highlights and notes for this module are listed here.
+              </p>
+            )}
           </div>
         )}
 
@@ -273,7 +509,7 @@ const ModuleView = ({ curriculumData }) => {
         <div>
           {prevModule && (
             <Link
-              to={`/phase/${phaseId}/module/${prevModule.id}`}
+              to={`/phase/${phaseId}/module/${prevModule.id}${routeTab ? `/${routeTab}` : ''}`}
               className="flex items-center space-x-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 transition-colors"
             >
               <ChevronLeft className="h-4 w-4" />
@@ -284,7 +520,7 @@ const ModuleView = ({ curriculumData }) => {
         <div>
           {nextModule && (
             <Link
-              to={`/phase/${phaseId}/module/${nextModule.id}`}
+              to={`/phase/${phaseId}/module/${nextModule.id}${routeTab ? `/${routeTab}` : ''}`}
               className="flex items-center space-x-2 text-gray-600 dark:text-gray-400 hover:text-primary-600 transition-colors"
             >
               <span>Next: {nextModule.title}</span>
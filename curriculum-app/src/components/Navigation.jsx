@@ -7,17 +7,24 @@ import {
   Home,
   TrendingUp,
   Code,
+  Network,
   User,
   LogIn,
-  LogOut
+  LogOut,
+  Search,
+  StickyNote,
+  Star
 } from 'lucide-react';
+import SyncStatus from './SyncStatus';
 
 const Navigation = ({ 
   curriculumTitle, 
   isAuthenticated, 
   user, 
   onLogin, 
-  onLogout 
+  onLogout,
+  onAccount,
+  onSearch
 }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const location = useLocation();
@@ -27,6 +34,9 @@ const Navigation = ({
   const navigationItems = [
     { path: '/', label: 'Dashboard', icon: Home },
     { path: '/progress', label: 'Progress', icon: TrendingUp },
+    { path: '/map', label: 'Map', icon: Network },
+    { path: '/notes', label: 'Notes', icon: StickyNote },
+    { path: '/bookmarks', label: 'Bookmarks', icon: Star },
     { path: '/ide', label: 'Code IDE', icon: Code },
   ];
 
@@ -57,14 +67,29 @@ const Navigation = ({
                 <span>{label}</span>
               </Link>
             ))}
+
+            <button
+              onClick={onSearch}
+              title="Search (Ctrl+K)"
+              className="flex items-center space-x-2 px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-600 text-sm text-gray-500 dark:text-gray-400 hover:border-primary-500 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+            >
+              <Search className="h-4 w-4" />
+              <span>Search</span>
+              <kbd className="hidden lg:inline text-xs font-sans px-1.5 rounded bg-gray-100 dark:bg-gray-700">Ctrl K</kbd>
+            </button>
             
             {/* Authentication Section */}
             {isAuthenticated ? (
               <div className="flex items-center space-x-4">
-                <div className="flex items-center space-x-2 text-gray-700 dark:text-gray-300">
+                <SyncStatus />
+                <button
+                  onClick={onAccount}
+                  title="Account settings"
+                  className="flex items-center space-x-2 text-gray-700 dark:text-gray-300 hover:text-primary-600 dark:hover:text-primary-400 transition-colors"
+                >
                   <User className="h-4 w-4" />
                   <span className="text-sm">Hi, {user?.name?.split(' ')[0] || 'User'}</span>
-                </div>
+                </button>
                 <button
                   onClick={onLogout}
                   className="flex items-center space-x-2 text-red-600 dark:text-red-400 hover:text-red-700 dark:hover:text-red-300 transition-colors"
@@ -86,6 +111,14 @@ const Navigation = ({
 
           {/* Mobile Menu Button */}
           <div className="md:hidden flex items-center space-x-2">
+            {isAuthenticated && <SyncStatus showLabel={false} />}
+            <button
+              onClick={onSearch}
+              aria-label="Search"
+              className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-200"
+            >
+              <Search className="h-6 w-6" />
+            </button>
             <button
               onClick={toggleMenu}
               className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-200"
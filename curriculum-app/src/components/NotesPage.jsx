@@ -0,0 +1,133 @@
+import { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { StickyNote, Search } from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+import { listAnnotations } from '../utils/annotations';
+import { tokenize } from '../utils/search';
+import AnnotationCard from './AnnotationCard';
+
+const KINDS = [
+  { id: 'all', label: 'All' },
+  { id: 'notes', label: 'With notes' },
+  { id: 'highlights', label: 'Highlights only' }
+];
+
+// Every highlight and note across the curriculum, grouped by module in curriculum
+// order. The search matches the quoted text, the notes and the module and section
+// titles; every word has to appear.
+const NotesPage = ({ curriculumData }) => {
+  const { progress, updateAnnotation, removeAnnotation } = useProgress();
+  const [query, setQuery] = useState('');
+  const [kind, setKind] = useState('all');
+
+  const groups = useMemo(() => curriculumData.phases.flatMap(phase => phase.modules
+    .filter(module => Object.keys(progress[module.id]?.annotations || {}).length > 0)
+    .map(module => {
+      const sectionTitles = new Map((module.sections || []).map(section => [section.id, section.title]));
+      return {
+        phase,
+        module,
+        annotations: listAnnotations(progress[module.id].annotations, module.sections).map(annotation => ({
+          ...annotation,
+          sectionTitle: sectionTitles.get(annotation.headingId) || 'Introduction'
+        }))
+      };
+    })
+  ), [curriculumData, progress]);
+
+  const terms = tokenize(query);
+  const visibleGroups = groups
+    .map(group => ({
+      ...group,
+      annotations: group.annotations.filter(annotation => {
+        if (kind === 'notes' && !annotation.note) return false;
+        if (kind === 'highlights' && annotation.note) return false;
+        const haystack = [annotation.quote, annotation.note, annotation.sectionTitle, group.module.title]
+          .join(' ')
+          .toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+    }))
+    .filter(group => group.annotations.length > 0);
+  const total = groups.reduce((acc, group) => acc + group.annotations.length, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white flex items-center">
+            <StickyNote className="h-8 w-8 mr-3 text-primary-600" />
+            Notes
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mt-2">
+            Everything you have highlighted or written a note on, module by module.
+          </p>
+        </div>
+        {total > 0 && (
+          <div className="flex flex-col sm:flex-row gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search notes…"
+                className="w-full sm:w-64 pl-9 pr-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+            <select
+              value={kind}
+              onChange={(e) => setKind(e.target.value)}
+              className="text-sm px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {KINDS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Notes by module */}
+      {total === 0 ? (
+        <div className="glass-card rounded-xl p-8 text-center text-gray-600 dark:text-gray-400">
+          Select text in a module's Full Content tab to highlight it or add a note. Your highlights and notes from every module are collected here.
+        </div>
+      ) : visibleGroups.length === 0 ? (
+        <div className="glass-card rounded-xl p-8 text-center text-gray-600 dark:text-gray-400">
+          No notes match your search.
+        </div>
+      ) : (
+        visibleGroups.map(({ phase, module, annotations }) => {
+          const contentUrl = `/phase/${phase.id}/module/${module.id}/content`;
+          return (
+            <section key={module.id} className="space-y-3">
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">{phase.title}</div>
+                <Link
+                  to={`/phase/${phase.id}/module/${module.id}/notes`}
+                  className="text-xl font-semibold text-gray-900 dark:text-white hover:text-primary-600 dark:hover:text-primary-400"
+                >
+                  {module.title}
+                </Link>
+              </div>
+              {annotations.map(annotation => (
+                <AnnotationCard
+                  key={annotation.id}
+                  annotation={annotation}
+                  location={annotation.sectionTitle}
+                  href={`${contentUrl}${annotation.headingId ? `#${annotation.headingId}` : ''}`}
+                  onUpdate={(changes) => updateAnnotation(module.id, annotation.id, changes)}
+                  onRemove={() => removeAnnotation(module.id, annotation.id)}
+                />
+              ))}
+            </section>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default NotesPage;
@@ -1,3 +1,4 @@
+import { useMemo } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { 
@@ -8,14 +9,22 @@ import {
   BookOpen,
   Star,
   Target,
-  Users
+  Users,
+  Clock,
+  Lock
 } from 'lucide-react';
 import { useProgress } from '../context/ProgressContext';
+import { useAuth } from '../contexts/AuthContext';
+import { buildPrerequisiteGraph, getMissingPrerequisites } from '../utils/prerequisiteGraph';
+import TimeSpent from './TimeSpent';
+import { formatMinutes, formatSeconds } from '../utils/formatDuration';
 
 const PhaseView = ({ curriculumData }) => {
   const { phaseId } = useParams();
   const navigate = useNavigate();
-  const { getPhaseProgress, completedModules, bookmarks, toggleBookmark } = useProgress();
+  const { getPhaseProgress, getSectionProgress, getExerciseProgress, getModuleCompletion, getTimeProgress, completedModules, bookmarks, toggleBookmark } = useProgress();
+  const { settings, updateSettings } = useAuth();
+  const prerequisiteGraph = useMemo(() => buildPrerequisiteGraph(curriculumData), [curriculumData]);
 
   const phase = curriculumData.phases.find(p => p.id === phaseId);
   const phaseIndex = curriculumData.phases.findIndex(p => p.id === phaseId);
@@ -34,6 +43,7 @@ const PhaseView = ({ curriculumData }) => {
   }
 
   const phaseProgress = getPhaseProgress(phase.modules);
+  const phaseTime = getTimeProgress(phase.modules);
   const nextPhase = curriculumData.phases[phaseIndex + 1];
   const prevPhase = curriculumData.phases[phaseIndex - 1];
 
@@ -99,7 +109,7 @@ const PhaseView = ({ curriculumData }) => {
             </p>
             
             {/* Progress Stats */}
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
               <div className="flex items-center space-x-3">
                 <Target className="h-5 w-5 text-primary-600" />
                 <div>
@@ -119,8 +129,18 @@ const PhaseView = ({ curriculumData }) => {
                   <div className="text-sm text-gray-600 dark:text-gray-400">Modules</div>
                 </div>
               </div>
-              
 
+              <div className="flex items-center space-x-3">
+                <Clock className="h-5 w-5 text-purple-600" />
+                <div>
+                  <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                    {formatSeconds(phaseTime.spentSeconds)}
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-400">
+                    Spent{phaseTime.estimatedMinutes > 0 && ` of ~${formatMinutes(phaseTime.estimatedMinutes)}`}
+                  </div>
+                </div>
+              </div>
             </div>
 
             <div className="mt-6">
@@ -131,6 +151,16 @@ const PhaseView = ({ curriculumData }) => {
                 />
               </div>
             </div>
+
+            <label className="mt-4 inline-flex items-center space-x-2 text-sm text-gray-600 dark:text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.lockModules}
+                onChange={(e) => updateSettings({ lockModules: e.target.checked })}
+                className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>Lock modules until their prerequisites are complete</span>
+            </label>
           </div>
         </div>
       </motion.div>
@@ -138,17 +168,29 @@ const PhaseView = ({ curriculumData }) => {
       {/* Modules Grid */}
       {phase.modules.length > 0 ? (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-          {phase.modules.map((module, moduleIndex) => (
+          {phase.modules.map((module, moduleIndex) => {
+            const sectionProgress = getSectionProgress(module);
+            const exerciseProgress = getExerciseProgress(module);
+            const completion = getModuleCompletion(module);
+            const timeProgress = getTimeProgress([module]);
+            // Locking is only a hint: a locked module can still be opened
+            const missingPrerequisites = settings.lockModules && !completedModules.has(module.id)
+              ? getMissingPrerequisites(prerequisiteGraph, module.id, completedModules)
+              : [];
+            const isLocked = missingPrerequisites.length > 0;
+            return (
             <motion.div
               key={module.id}
               variants={itemVariants}
               whileHover={{ y: -5, transition: { duration: 0.2 } }}
-              className="glass-card rounded-xl p-6 hover:shadow-xl transition-all duration-300"
+              className={`glass-card rounded-xl p-6 hover:shadow-xl transition-all duration-300 ${isLocked ? 'opacity-60 hover:opacity-100' : ''}`}
             >
               <div className="flex items-start justify-between mb-4">
                 <div className="flex items-center space-x-3">
                   {completedModules.has(module.id) ? (
                     <CheckCircle className="h-6 w-6 text-green-500 flex-shrink-0" />
+                  ) : isLocked ? (
+                    <Lock className="h-6 w-6 text-gray-400 flex-shrink-0" />
                   ) : (
                     <Circle className="h-6 w-6 text-gray-400 flex-shrink-0" />
                   )}
@@ -176,11 +218,18 @@ const PhaseView = ({ curriculumData }) => {
                   {module.description}
                 </p>
 
-                {module.difficulty && (
-                  <div className="flex justify-end mb-4">
-                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(module.difficulty)}`}>
-                      {module.difficulty}
-                    </span>
+                {(module.difficulty || module.estimatedMinutes || timeProgress.spentSeconds > 0) && (
+                  <div className="flex items-center justify-between mb-4">
+                    <TimeSpent
+                      spentSeconds={timeProgress.spentSeconds}
+                      estimatedMinutes={timeProgress.estimatedMinutes}
+                      className="text-xs text-gray-500 dark:text-gray-400"
+                    />
+                    {module.difficulty && (
+                      <span className={`ml-auto px-2 py-1 rounded-full text-xs font-medium ${getDifficultyColor(module.difficulty)}`}>
+                        {module.difficulty}
+                      </span>
+                    )}
                   </div>
                 )}
 
@@ -206,10 +255,47 @@ const PhaseView = ({ curriculumData }) => {
                   </div>
                 )}
 
-
+                {/* Section Progress */}
+                {!completedModules.has(module.id) && completion > 0 && (
+                  <div>
+                    <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+                      <span>In progress</span>
+                      <span>
+                        {sectionProgress.read}/{sectionProgress.total} sections read
+                        {exerciseProgress.total > 0 && ` · ${exerciseProgress.passed}/${exerciseProgress.total} exercises`}
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+                      <div
+                        className="bg-gradient-to-r from-primary-500 to-blue-500 h-1.5 rounded-full"
+                        style={{ width: `${completion * 100}%` }}
+                      />
+                    </div>
+                  </div>
+                )}
               </Link>
+
+              {/* Missing Prerequisites */}
+              {isLocked && (
+                <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 text-sm">
+                  <div className="text-gray-600 dark:text-gray-400 mb-1">Complete first:</div>
+                  <ul className="space-y-1">
+                    {missingPrerequisites.map(prerequisite => (
+                      <li key={prerequisite.id}>
+                        <Link
+                          to={`/phase/${prerequisiteGraph.modules.get(prerequisite.id).phase.id}/module/${prerequisite.id}`}
+                          className="text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          {prerequisite.title}
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </motion.div>
-          ))}
+            );
+          })}
         </div>
       ) : (
         <motion.div variants={itemVariants} className="glass-card rounded-xl p-12 text-center">
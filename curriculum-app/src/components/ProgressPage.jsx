@@ -5,9 +5,20 @@ import {
   BookOpen, 
   Calendar,
   TrendingUp,
-  Zap
+  Zap,
+  HelpCircle,
+  Flame,
+  Trophy,
+  Clock
 } from 'lucide-react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { useProgress } from '../context/ProgressContext';
+import ProgressTransfer from './ProgressTransfer';
+import ActivityHeatmap from './ActivityHeatmap';
+import TimeSpent from './TimeSpent';
+import { getDailyActivity, getStreaks, getAverageSessionMinutes } from '../context/activityLog';
+import { formatMinutes, formatSeconds } from '../utils/formatDuration';
 import { 
   BarChart, 
   Bar, 
@@ -21,14 +32,47 @@ import {
   Cell,
   LineChart,
   Line,
-  Area,
-  AreaChart
+  Legend
 } from 'recharts';
 
+const ACTIVITY_RANGES = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 365, label: 'Year' }
+];
+
+const ACTIVITY_SERIES = [
+  { key: 'sectionsRead', name: 'Sections read', color: '#3b82f6' },
+  { key: 'modulesCompleted', name: 'Modules completed', color: '#10b981' },
+  { key: 'exercisesPassed', name: 'Exercises passed', color: '#8b5cf6' }
+];
+
+// Daily totals for the chart; a year is shown week by week
+const activityChartData = (entries, days) => {
+  const daily = getDailyActivity(entries, days);
+  const dayLabel = (day, options) => new Date(`${day.date}T00:00:00`).toLocaleDateString(undefined, options);
+
+  if (days <= 7) return daily.map(day => ({ ...day, label: dayLabel(day, { weekday: 'short' }) }));
+  if (days <= 31) return daily.map(day => ({ ...day, label: dayLabel(day, { month: 'short', day: 'numeric' }) }));
+
+  const weeks = [];
+  for (let i = daily.length; i > 0; i -= 7) {
+    const week = daily.slice(Math.max(0, i - 7), i);
+    weeks.unshift({
+      label: dayLabel(week[0], { month: 'short', day: 'numeric' }),
+      ...Object.fromEntries(ACTIVITY_SERIES.map(({ key }) => [key, week.reduce((acc, day) => acc + day[key], 0)]))
+    });
+  }
+  return weeks;
+};
+
+
 const ProgressPage = ({ curriculum }) => {
-  const { progress, getPhaseProgress, getOverallProgress, user } = useAuth();
+  const { user } = useAuth();
+  const { progress, activity, getPhaseProgress, getTotalProgress, getTimeProgress, getQuizResults } = useProgress();
   const [animatedProgress, setAnimatedProgress] = useState(0);
   const [selectedPhase, setSelectedPhase] = useState(null);
+  const [activityRange, setActivityRange] = useState(ACTIVITY_RANGES[0].days);
 
   if (!curriculum || !curriculum.phases) {
     return (
@@ -46,7 +90,8 @@ const ProgressPage = ({ curriculum }) => {
     );
   }
 
-  const overallProgress = getOverallProgress(curriculum.phases);
+  const overallProgress = getTotalProgress(curriculum.phases);
+  const totalTime = getTimeProgress(curriculum.phases.flatMap(phase => phase.modules));
 
   // Animate progress on mount
   useEffect(() => {
@@ -156,7 +201,7 @@ const ProgressPage = ({ curriculum }) => {
             {phaseProgress.completed}/{phaseProgress.total}
           </span>
           <div className="text-lg font-bold text-blue-600 dark:text-blue-400">
-            {phaseProgress.percentage}%
+            {Math.round(phaseProgress.percentage)}%
           </div>
         </div>
       </div>
@@ -172,6 +217,11 @@ const ProgressPage = ({ curriculum }) => {
         ></div>
       </div>
 
+      <TimeSpent
+        {...getTimeProgress(phase.modules)}
+        className="text-sm text-gray-600 dark:text-gray-400"
+      />
+
       {/* Module grid */}
       {selectedPhase === phase.id && (
         <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 animate-in slide-in-from-top duration-300">
@@ -195,6 +245,11 @@ const ProgressPage = ({ curriculum }) => {
                   <Circle size={16} className="text-gray-400 flex-shrink-0" />
                 )}
                 <span className="truncate">{module.title}</span>
+                {moduleProgress?.timeSpent > 0 && (
+                  <span className="ml-auto text-xs whitespace-nowrap opacity-75">
+                    {formatSeconds(moduleProgress.timeSpent)}
+                  </span>
+                )}
               </div>
             );
           })}
@@ -207,12 +262,12 @@ const ProgressPage = ({ curriculum }) => {
 
   // Chart data
   const phaseChartData = curriculum.phases.map((phase, index) => {
-    const phaseProgress = getPhaseProgress(phase.id, phase.modules);
+    const phaseProgress = getPhaseProgress(phase.modules);
     return {
       name: `Phase ${index}`,
       completed: phaseProgress.completed,
       total: phaseProgress.total,
-      percentage: phaseProgress.percentage
+      percentage: Math.round(phaseProgress.percentage)
     };
   });
 
@@ -221,11 +276,22 @@ const ProgressPage = ({ curriculum }) => {
     { name: 'Remaining', value: overallProgress.total - overallProgress.completed, color: '#6b7280' }
   ];
 
-  // Weekly progress - using real completion data where available
-  const weeklyProgressData = Array.from({ length: 7 }, (_, i) => ({
-    day: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'][i],
-    modules: i === 6 ? stats.completedToday : 0 // Only show real data for today, rest would need historical tracking
-  }));
+  // Latest score for every quiz that has been attempted, in curriculum order
+  const quizScores = curriculum.phases.flatMap(phase => phase.modules.flatMap(module =>
+    (module.quizzes || [])
+      .filter(quiz => getQuizResults(module.id)[quiz.id])
+      .map(quiz => ({ phase, module, quiz, result: getQuizResults(module.id)[quiz.id] }))
+  ));
+  const totalQuizzes = curriculum.phases.reduce((acc, phase) =>
+    acc + phase.modules.reduce((sum, module) => sum + (module.quizzes || []).length, 0), 0);
+  const averageQuizScore = quizScores.length > 0
+    ? Math.round(quizScores.reduce((acc, { result }) => acc + result.score / result.total, 0) / quizScores.length * 100)
+    : 0;
+
+  // Study history from the activity log
+  const activityData = activityChartData(activity, activityRange);
+  const streaks = getStreaks(activity);
+  const averageSessionMinutes = getAverageSessionMinutes(activity);
 
   return (
     <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-300">
@@ -265,6 +331,10 @@ const ProgressPage = ({ curriculum }) => {
                 <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
                   {overallProgress.completed} of {overallProgress.total} modules completed
                 </p>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+                  {formatSeconds(totalTime.spentSeconds)} spent
+                  {totalTime.estimatedMinutes > 0 && ` of ~${formatMinutes(totalTime.estimatedMinutes)} estimated`}
+                </p>
                 <div className="flex justify-center space-x-4 text-xs">
                   <span className="text-green-600 dark:text-green-400">
                     ✓ {overallProgress.completed} Done
@@ -391,45 +461,149 @@ const ProgressPage = ({ curriculum }) => {
                 </div>
               </div>
             </div>
+          </div>
+        </div>
 
-            {/* Weekly Activity */}
-            <div className="col-span-1 lg:col-span-2 xl:col-span-1 bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
-              <h4 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
-                This Week's Activity
-              </h4>
-              <ResponsiveContainer width="100%" height={200}>
-                <AreaChart data={weeklyProgressData}>
-                  <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
-                  <XAxis 
-                    dataKey="day" 
-                    tick={{ fontSize: 12, fill: 'currentColor' }}
-                    className="text-gray-600 dark:text-gray-400"
-                  />
-                  <YAxis 
-                    tick={{ fontSize: 12, fill: 'currentColor' }}
-                    className="text-gray-600 dark:text-gray-400"
-                  />
-                  <Tooltip 
-                    contentStyle={{ 
-                      backgroundColor: 'rgb(31 41 55)', 
-                      border: 'none', 
-                      borderRadius: '8px',
-                      color: 'white'
-                    }}
-                    formatter={(value) => [`${value} modules`, 'Completed']}
-                  />
-                  <Area 
-                    type="monotone" 
-                    dataKey="modules" 
-                    stroke="#3b82f6" 
-                    fill="#3b82f6" 
-                    fillOpacity={0.3}
-                    strokeWidth={2}
-                  />
-                </AreaChart>
-              </ResponsiveContainer>
+        {/* Study Activity Section */}
+        <div className="mb-8">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+              Study Activity
+            </h3>
+            <div className="flex rounded-lg border border-gray-200 dark:border-gray-700 overflow-hidden">
+              {ACTIVITY_RANGES.map(({ days, label }) => (
+                <button
+                  key={days}
+                  onClick={() => setActivityRange(days)}
+                  className={`px-3 py-1 text-sm transition-colors ${
+                    activityRange === days
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-white dark:bg-gray-800 text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
           </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-6 mb-6">
+            <StatsCard
+              icon={Flame}
+              title="Current Streak"
+              value={`${streaks.current} day${streaks.current === 1 ? '' : 's'}`}
+              subtitle="Days in a row with activity"
+              color="green"
+            />
+            <StatsCard
+              icon={Trophy}
+              title="Longest Streak"
+              value={`${streaks.longest} day${streaks.longest === 1 ? '' : 's'}`}
+              subtitle="Your best run"
+              color="purple"
+            />
+            <StatsCard
+              icon={Clock}
+              title="Average Session"
+              value={formatMinutes(averageSessionMinutes)}
+              subtitle="Per study session"
+              color="blue"
+            />
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6 mb-6">
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={activityData}>
+                <CartesianGrid strokeDasharray="3 3" className="opacity-30" />
+                <XAxis
+                  dataKey="label"
+                  tick={{ fontSize: 12, fill: 'currentColor' }}
+                  className="text-gray-600 dark:text-gray-400"
+                  minTickGap={8}
+                />
+                <YAxis
+                  allowDecimals={false}
+                  tick={{ fontSize: 12, fill: 'currentColor' }}
+                  className="text-gray-600 dark:text-gray-400"
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: 'rgb(31 41 55)',
+                    border: 'none',
+                    borderRadius: '8px',
+                    color: 'white'
+                  }}
+                />
+                <Legend wrapperStyle={{ fontSize: 12 }} />
+                {ACTIVITY_SERIES.map(({ key, name, color }) => (
+                  <Bar key={key} dataKey={key} name={name} stackId="activity" fill={color} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+            <h4 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+              Past Year
+            </h4>
+            <ActivityHeatmap entries={activity} />
+          </div>
+        </div>
+
+        {/* Quiz Scores Section */}
+        {totalQuizzes > 0 && (
+          <div className="mb-8">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100">
+                Quiz Scores
+              </h3>
+              <span className="text-sm text-gray-600 dark:text-gray-400">
+                {quizScores.length} of {totalQuizzes} quizzes taken
+                {quizScores.length > 0 && ` · ${averageQuizScore}% average`}
+              </span>
+            </div>
+            <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+              {quizScores.length > 0 ? (
+                <div className="space-y-4">
+                  {quizScores.map(({ phase, module, quiz, result }) => (
+                    <Link
+                      key={`${module.id}-${quiz.id}`}
+                      to={`/phase/${phase.id}/module/${module.id}`}
+                      className="flex items-center space-x-4 p-3 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+                    >
+                      <HelpCircle className="h-5 w-5 text-primary-600 flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                          {quiz.title || module.title}
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                          {module.title} · {new Date(result.submittedAt).toLocaleDateString()}
+                        </div>
+                      </div>
+                      <div className="w-32 bg-gray-200 dark:bg-gray-700 rounded-full h-2 flex-shrink-0">
+                        <div
+                          className={`h-2 rounded-full ${result.score === result.total ? 'bg-green-500' : 'bg-blue-500'}`}
+                          style={{ width: `${(result.score / result.total) * 100}%` }}
+                        />
+                      </div>
+                      <span className="w-12 text-right text-sm font-semibold text-gray-900 dark:text-gray-100">
+                        {result.score}/{result.total}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+                  No quizzes taken yet. You'll find them in the Full Content tab of a module.
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Backup & Restore */}
+        <div className="mb-8">
+          <ProgressTransfer />
         </div>
 
         {/* Phase Progress Section */}
@@ -439,7 +613,7 @@ const ProgressPage = ({ curriculum }) => {
           </h3>
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {curriculum.phases.map((phase, index) => {
-              const phaseProgress = getPhaseProgress(phase.id, phase.modules);
+              const phaseProgress = getPhaseProgress(phase.modules);
               return (
                 <PhaseCard
                   key={phase.id}
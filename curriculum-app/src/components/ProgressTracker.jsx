@@ -1,14 +1,14 @@
 import { CheckCircle, Circle, BookOpen, Clock, Trophy, Star } from 'lucide-react';
-import { useAuth } from '../contexts/AuthContext';
+import { useProgress } from '../context/ProgressContext';
 
 const ProgressTracker = ({ curriculum }) => {
-  const { progress, getPhaseProgress, getOverallProgress } = useAuth();
+  const { progress, getPhaseProgress, getTotalProgress } = useProgress();
 
   if (!curriculum || !curriculum.phases) {
     return null;
   }
 
-  const overallProgress = getOverallProgress(curriculum.phases);
+  const overallProgress = getTotalProgress(curriculum.phases);
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
@@ -19,7 +19,7 @@ const ProgressTracker = ({ curriculum }) => {
         </h2>
         <div className="text-right">
           <div className="text-3xl font-bold text-blue-600">
-            {overallProgress.percentage}%
+            {Math.round(overallProgress.percentage)}%
           </div>
           <div className="text-sm text-gray-600">
             {overallProgress.completed} of {overallProgress.total} modules
@@ -47,7 +47,7 @@ const ProgressTracker = ({ curriculum }) => {
       <div className="space-y-4">
         <h3 className="text-lg font-semibold text-gray-900 mb-3">Phase Progress</h3>
         {curriculum.phases.map((phase) => {
-          const phaseProgress = getPhaseProgress(phase.id, phase.modules);
+          const phaseProgress = getPhaseProgress(phase.modules);
           
           return (
             <div key={phase.id} className="border rounded-lg p-4">
@@ -58,7 +58,7 @@ const ProgressTracker = ({ curriculum }) => {
                     {phaseProgress.completed}/{phaseProgress.total}
                   </span>
                   <div className="text-sm font-medium text-blue-600">
-                    {phaseProgress.percentage}%
+                    {Math.round(phaseProgress.percentage)}%
                   </div>
                 </div>
               </div>
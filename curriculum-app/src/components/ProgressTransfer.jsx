@@ -0,0 +1,223 @@
+import { useState, useRef } from 'react';
+import { Download, Upload, X, CheckCircle, HardDrive } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useProgress } from '../context/ProgressContext';
+import {
+  createExport,
+  exportFileName,
+  parseExport,
+  importedProgress,
+  summarizeProgress
+} from '../context/progressTransfer';
+
+const SUMMARY_ROWS = [
+  { key: 'completedModules', label: 'Modules completed' },
+  { key: 'sectionsRead', label: 'Sections read' },
+  { key: 'quizzesTaken', label: 'Quizzes taken' },
+  { key: 'exercisesRun', label: 'Exercises attempted' },
+  { key: 'bookmarks', label: 'Bookmarks' },
+  { key: 'activity', label: 'Activity history entries' }
+];
+
+const downloadJson = (data, fileName) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Backup & restore card for the progress page: downloads everything as a JSON file
+// and imports one back after showing what would change
+const ProgressTransfer = () => {
+  const { settings, updateSettings } = useAuth();
+  const { progressDocument, importProgress, isLoading } = useProgress();
+  const fileInputRef = useRef(null);
+  // { fileName, exportedAt, progress, settings } read from the chosen file
+  const [pendingImport, setPendingImport] = useState(null);
+  const [replace, setReplace] = useState(false);
+  const [error, setError] = useState('');
+  const [imported, setImported] = useState(false);
+
+  const handleExport = () => {
+    downloadJson(createExport(progressDocument, settings), exportFileName());
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Let the same file be chosen again
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setImported(false);
+    try {
+      setPendingImport({ fileName: file.name, ...parseExport(await file.text()) });
+      setReplace(false);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  const handleImport = () => {
+    importProgress(pendingImport.progress, replace);
+    if (replace && pendingImport.settings) {
+      updateSettings(pendingImport.settings);
+    }
+    setPendingImport(null);
+    setImported(true);
+  };
+
+  const current = summarizeProgress(progressDocument);
+  const after = pendingImport && summarizeProgress(importedProgress(progressDocument, pendingImport.progress, replace));
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-lg border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h4 className="flex items-center text-lg font-semibold text-gray-900 dark:text-gray-100">
+            <HardDrive className="mr-2 text-blue-600 dark:text-blue-400" size={20} />
+            Backup &amp; Restore
+          </h4>
+          <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+            Download your progress, bookmarks, quiz results, activity history and settings as a file, or bring them into another browser.
+          </p>
+        </div>
+        <div className="flex space-x-3 flex-shrink-0">
+          <button
+            onClick={handleExport}
+            disabled={isLoading}
+            className="flex items-center space-x-2 bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Download className="h-4 w-4" />
+            <span>Export</span>
+          </button>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            disabled={isLoading}
+            className="flex items-center space-x-2 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 px-4 py-2 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Upload className="h-4 w-4" />
+            <span>Import</span>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="mt-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+      {imported && (
+        <div className="mt-4 flex items-center text-sm text-green-700 dark:text-green-400">
+          <CheckCircle className="mr-2" size={16} />
+          Progress imported.
+        </div>
+      )}
+
+      {/* Import preview */}
+      {pendingImport && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between p-6 border-b">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900">Import Progress</h2>
+                <p className="text-sm text-gray-600 truncate">
+                  {pendingImport.fileName}
+                  {pendingImport.exportedAt && ` · exported ${new Date(pendingImport.exportedAt).toLocaleDateString()}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setPendingImport(null)}
+                className="text-gray-400 hover:text-gray-600 transition-colors"
+              >
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <fieldset className="space-y-3">
+                {[
+                  { value: false, label: 'Merge', description: 'Keep everything here and add what the file has. Where both have a result, the newer one wins.' },
+                  { value: true, label: 'Replace', description: 'Swap the progress and settings here for the ones in the file.' }
+                ].map(option => (
+                  <label key={option.label} className="flex items-start space-x-3 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="importMode"
+                      checked={replace === option.value}
+                      onChange={() => setReplace(option.value)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900">{option.label}</span>
+                      <span className="block text-sm text-gray-600">{option.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </fieldset>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="font-medium pb-2"></th>
+                    <th className="font-medium pb-2 text-right">Now</th>
+                    <th className="font-medium pb-2 text-right">After import</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {SUMMARY_ROWS.map(({ key, label }) => (
+                    <tr key={key} className="border-t">
+                      <td className="py-2 text-gray-700">{label}</td>
+                      <td className="py-2 text-right text-gray-900">{current[key]}</td>
+                      <td className={`py-2 text-right font-semibold ${
+                        after[key] > current[key] ? 'text-green-700' : after[key] < current[key] ? 'text-red-600' : 'text-gray-900'
+                      }`}>
+                        {after[key]}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <p className="text-sm text-gray-600">
+                {replace
+                  ? pendingImport.settings
+                    ? 'Your settings will be replaced with the ones in the file.'
+                    : 'The file has no settings, so yours are kept.'
+                  : 'Your settings are kept.'}
+              </p>
+
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="flex-1 border border-gray-300 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleImport}
+                  className={`flex-1 text-white py-2 px-4 rounded-lg transition-colors ${
+                    replace ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+                  }`}
+                >
+                  {replace ? 'Replace Progress' : 'Merge Progress'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProgressTransfer;
@@ -0,0 +1,218 @@
+import { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import {
+  CheckCircle,
+  XCircle,
+  HelpCircle,
+  RotateCcw,
+  AlertTriangle
+} from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+
+// Prompts and explanations are short inline markdown, so drop the paragraph wrapper
+const inlineComponents = {
+  p: ({ children }) => <>{children}</>,
+  code: ({ children }) => (
+    <code className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-100 px-1.5 py-0.5 rounded text-sm font-mono">
+      {children}
+    </code>
+  )
+};
+
+const normaliseText = (text) => String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isCorrect = (question, answer) => {
+  switch (question.type) {
+    case 'single':
+    case 'true-false':
+      return answer === question.answer;
+    case 'multiple':
+      return Array.isArray(answer)
+        && answer.length === question.answer.length
+        && [...answer].sort((a, b) => a - b).every((value, index) => value === question.answer[index]);
+    case 'short-answer':
+      return typeof answer === 'string' && question.answer.some(accepted => normaliseText(accepted) === normaliseText(answer));
+    default:
+      return false;
+  }
+};
+
+const Quiz = ({ moduleId, quiz }) => {
+  const { getQuizResults, saveQuizResult } = useProgress();
+  const savedResult = quiz.id ? getQuizResults(moduleId)[quiz.id] : null;
+  const [answers, setAnswers] = useState(savedResult?.answers || {});
+  const [submitted, setSubmitted] = useState(Boolean(savedResult));
+
+  if (quiz.error) {
+    return (
+      <div className="mb-4 p-4 bg-amber-50 dark:bg-amber-900/30 border border-amber-200 dark:border-amber-700 rounded-lg">
+        <div className="flex items-center space-x-2 text-amber-800 dark:text-amber-200 text-sm">
+          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+          <span>This quiz could not be loaded: {quiz.error}</span>
+        </div>
+      </div>
+    );
+  }
+
+  const score = quiz.questions.filter(question => isCorrect(question, answers[question.id])).length;
+  const allAnswered = quiz.questions.every(question => {
+    const answer = answers[question.id];
+    return Array.isArray(answer) ? answer.length > 0 : answer !== undefined && answer !== '';
+  });
+
+  const setAnswer = (questionId, answer) => {
+    setAnswers(prev => ({ ...prev, [questionId]: answer }));
+  };
+
+  const toggleOption = (questionId, optionIndex) => {
+    const current = answers[questionId] || [];
+    setAnswer(questionId, current.includes(optionIndex)
+      ? current.filter(index => index !== optionIndex)
+      : [...current, optionIndex]);
+  };
+
+  const handleSubmit = () => {
+    setSubmitted(true);
+    saveQuizResult(moduleId, quiz.id, { answers, score, total: quiz.questions.length });
+  };
+
+  const handleRetry = () => {
+    setAnswers({});
+    setSubmitted(false);
+  };
+
+  const optionClass = (selected, correct) => {
+    if (submitted && correct) return 'border-green-400 bg-green-50 dark:bg-green-900/20 dark:border-green-700';
+    if (submitted && selected) return 'border-red-400 bg-red-50 dark:bg-red-900/20 dark:border-red-700';
+    if (selected) return 'border-primary-400 bg-primary-50 dark:bg-primary-900/20 dark:border-primary-700';
+    return 'border-gray-200 dark:border-gray-600 hover:border-primary-300 dark:hover:border-primary-700';
+  };
+
+  const renderChoices = (question) => {
+    const choices = question.type === 'true-false'
+      ? [{ label: 'True', value: true }, { label: 'False', value: false }]
+      : question.options.map((option, index) => ({ label: option, value: index }));
+
+    return (
+      <div className="space-y-2">
+        {choices.map(choice => {
+          const answer = answers[question.id];
+          const selected = question.type === 'multiple'
+            ? (answer || []).includes(choice.value)
+            : answer === choice.value;
+          const correct = question.type === 'multiple'
+            ? question.answer.includes(choice.value)
+            : question.answer === choice.value;
+
+          return (
+            <label
+              key={String(choice.value)}
+              className={`flex items-center space-x-3 p-3 rounded-lg border cursor-pointer transition-colors ${optionClass(selected, correct)}`}
+            >
+              <input
+                type={question.type === 'multiple' ? 'checkbox' : 'radio'}
+                name={`${quiz.id}-${question.id}`}
+                checked={selected}
+                disabled={submitted}
+                onChange={() => (question.type === 'multiple'
+                  ? toggleOption(question.id, choice.value)
+                  : setAnswer(question.id, choice.value))}
+                className="text-primary-600"
+              />
+              <span className="text-gray-700 dark:text-gray-200">{choice.label}</span>
+            </label>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className="mb-6 p-6 rounded-lg border border-primary-200 dark:border-primary-800 bg-gradient-to-r from-primary-50 to-blue-50 dark:from-primary-900/20 dark:to-blue-900/20">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <HelpCircle className="h-5 w-5 text-primary-600" />
+          <span className="font-semibold text-gray-900 dark:text-white">
+            {quiz.title || 'Quiz'}
+          </span>
+        </div>
+        {submitted && (
+          <span className="text-sm font-medium text-primary-700 dark:text-primary-300">
+            Score: {score}/{quiz.questions.length}
+          </span>
+        )}
+      </div>
+
+      {/* Questions */}
+      <ol className="space-y-6">
+        {quiz.questions.map((question, index) => {
+          const correct = isCorrect(question, answers[question.id]);
+          return (
+            <li key={question.id}>
+              <div className="font-medium text-gray-900 dark:text-white mb-3">
+                {index + 1}. <ReactMarkdown components={inlineComponents}>{question.prompt}</ReactMarkdown>
+                {question.type === 'multiple' && (
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">(select all that apply)</span>
+                )}
+              </div>
+
+              {question.type === 'short-answer' ? (
+                <input
+                  type="text"
+                  value={answers[question.id] || ''}
+                  disabled={submitted}
+                  onChange={(e) => setAnswer(question.id, e.target.value)}
+                  className={`w-full p-3 rounded-lg border bg-white dark:bg-gray-800 text-gray-900 dark:text-white ${
+                    submitted
+                      ? (correct ? 'border-green-400 dark:border-green-700' : 'border-red-400 dark:border-red-700')
+                      : 'border-gray-200 dark:border-gray-600'
+                  }`}
+                  placeholder="Your answer"
+                />
+              ) : renderChoices(question)}
+
+              {submitted && (
+                <div className={`mt-3 flex items-start space-x-2 text-sm ${correct ? 'text-green-700 dark:text-green-300' : 'text-red-700 dark:text-red-300'}`}>
+                  {correct ? <CheckCircle className="h-4 w-4 mt-0.5 flex-shrink-0" /> : <XCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />}
+                  <div>
+                    <span className="font-medium">{correct ? 'Correct. ' : 'Not quite. '}</span>
+                    {!correct && question.type === 'short-answer' && (
+                      <span>Expected: {question.answer[0]}. </span>
+                    )}
+                    {question.explanation && (
+                      <ReactMarkdown components={inlineComponents}>{question.explanation}</ReactMarkdown>
+                    )}
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {/* Actions */}
+      <div className="mt-6 flex justify-end">
+        {submitted ? (
+          <button
+            onClick={handleRetry}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+          >
+            <RotateCcw className="h-4 w-4" />
+            <span>Try Again</span>
+          </button>
+        ) : (
+          <button
+            onClick={handleSubmit}
+            disabled={!allAnswered}
+            className="px-4 py-2 rounded-lg bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Check Answers
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Quiz;
@@ -0,0 +1,127 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { Play, ExternalLink, X } from 'lucide-react';
+import {
+  RUNNER_MESSAGE_SOURCE,
+  buildRunnableDocument,
+  withConsoleBridge
+} from '../utils/snippetRunner';
+
+const levelColors = {
+  log: 'text-gray-100',
+  info: 'text-blue-300',
+  warn: 'text-amber-300',
+  error: 'text-red-400'
+};
+
+// A highlighted code block with Run and Open in IDE actions
+const RunnableCodeBlock = ({ language, label, code, moduleTitle, children }) => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [run, setRun] = useState(null);
+  const [output, setOutput] = useState([]);
+  const runCountRef = useRef(0);
+  const iframeRef = useRef(null);
+
+  // Only listen to the frame from the current run
+  useEffect(() => {
+    if (!run) return undefined;
+
+    const handleMessage = (event) => {
+      const { data } = event;
+      if (event.source !== iframeRef.current?.contentWindow) return;
+      if (data?.source !== RUNNER_MESSAGE_SOURCE || data.runId !== run.id) return;
+      setOutput(prev => [...prev, { level: data.level, text: data.text }]);
+    };
+
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, [run]);
+
+  const handleRun = () => {
+    runCountRef.current += 1;
+    const id = `run-${runCountRef.current}`;
+    setOutput([]);
+    setRun({ id, document: withConsoleBridge(buildRunnableDocument(language, code), id) });
+  };
+
+  const handleOpenInIDE = () => {
+    navigate('/ide', {
+      state: {
+        snippet: {
+          language,
+          code,
+          source: { title: moduleTitle, path: location.pathname }
+        }
+      }
+    });
+  };
+
+  // Plain JavaScript has nothing to show, so only its console output is displayed
+  const showPreview = language !== 'javascript';
+
+  return (
+    <div className="mb-4 rounded-lg overflow-hidden border border-gray-300 dark:border-gray-600">
+      <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-800 px-4 py-2 border-b border-gray-300 dark:border-gray-600">
+        <span className="text-xs font-mono text-gray-600 dark:text-gray-400">
+          {label.toUpperCase()}
+        </span>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleRun}
+            className="flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium text-white bg-green-600 hover:bg-green-700 transition-colors"
+          >
+            <Play className="h-3 w-3" />
+            <span>Run</span>
+          </button>
+          <button
+            onClick={handleOpenInIDE}
+            className="flex items-center space-x-1 px-2 py-1 rounded text-xs font-medium text-white bg-primary-600 hover:bg-primary-700 transition-colors"
+          >
+            <ExternalLink className="h-3 w-3" />
+            <span>Open in IDE</span>
+          </button>
+        </div>
+      </div>
+
+      {children}
+
+      {/* Output */}
+      {run && (
+        <div className="border-t border-gray-300 dark:border-gray-600">
+          <div className="flex items-center justify-between bg-gray-100 dark:bg-gray-800 px-4 py-1">
+            <span className="text-xs font-medium text-gray-600 dark:text-gray-400">Output</span>
+            <button
+              onClick={() => setRun(null)}
+              aria-label="Close output"
+              className="p-1 rounded text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </div>
+          <iframe
+            key={run.id}
+            ref={iframeRef}
+            srcDoc={run.document}
+            sandbox="allow-scripts"
+            title={`${label} output`}
+            className={showPreview ? 'w-full h-64 border-none bg-white' : 'hidden'}
+          />
+          <div className="bg-gray-900 px-4 py-3 font-mono text-sm max-h-48 overflow-y-auto">
+            {output.length > 0 ? (
+              output.map((line, index) => (
+                <div key={index} className={`whitespace-pre-wrap ${levelColors[line.level] || levelColors.log}`}>
+                  {line.text}
+                </div>
+              ))
+            ) : (
+              <div className="text-gray-500">No console output</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunnableCodeBlock;
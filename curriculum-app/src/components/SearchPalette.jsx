@@ -0,0 +1,246 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Search, X, FileText, Hash, Code, CornerDownLeft } from 'lucide-react';
+import { prepareIndex, searchDocuments, highlightTerms, tokenize } from '../utils/search';
+
+const Highlighted = ({ text, terms }) => (
+  <>
+    {highlightTerms(text, terms).map((part, index) => (
+      part.match
+        ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded-sm">{part.text}</mark>
+        : <span key={index}>{part.text}</span>
+    ))}
+  </>
+);
+
+// Command palette for searching every module's text, headings and code, opened with
+// Ctrl+K (Cmd+K on a Mac) or the search button in the navigation bar. The index is
+// only downloaded the first time the palette opens.
+const SearchPalette = ({ curriculumData, isOpen, onOpen, onClose }) => {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+  const [documents, setDocuments] = useState(null);
+  const [loadError, setLoadError] = useState(false);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ phaseId: '', difficulty: '', tag: '' });
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  // moduleId -> { module, phase }, and the values the filters offer
+  const { modulesById, difficulties, tags } = useMemo(() => {
+    const entries = curriculumData.phases.flatMap(phase => phase.modules.map(module => [module.id, { module, phase }]));
+    const modules = entries.map(([, { module }]) => module);
+    return {
+      modulesById: new Map(entries),
+      difficulties: [...new Set(modules.map(module => module.difficulty).filter(Boolean))],
+      tags: [...new Set(modules.flatMap(module => module.tags || []))].sort()
+    };
+  }, [curriculumData]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        onOpen();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    inputRef.current?.focus();
+    if (documents) return;
+    import('virtual:curriculum/search')
+      .then(({ searchIndex }) => setDocuments(prepareIndex(searchIndex)))
+      .catch(error => {
+        console.error('Error loading search index:', error);
+        setLoadError(true);
+      });
+  }, [isOpen, documents]);
+
+  const hasFilters = Boolean(filters.phaseId || filters.difficulty || filters.tag);
+  const terms = tokenize(query);
+
+  const results = useMemo(() => {
+    if (!documents) return [];
+    const includeModule = (moduleId) => {
+      const entry = modulesById.get(moduleId);
+      if (!entry) return false;
+      return (!filters.phaseId || entry.phase.id === filters.phaseId)
+        && (!filters.difficulty || entry.module.difficulty === filters.difficulty)
+        && (!filters.tag || (entry.module.tags || []).includes(filters.tag));
+    };
+    // With only filters set, list the modules they leave
+    if (tokenize(query).length === 0) {
+      return hasFilters
+        ? documents
+          .filter(document => document.headingId === null && includeModule(document.moduleId))
+          .map(document => ({ document, snippet: { text: modulesById.get(document.moduleId).module.description, isCode: false } }))
+        : [];
+    }
+    return searchDocuments(documents, query, includeModule);
+  }, [documents, query, filters, hasFilters, modulesById]);
+
+  useEffect(() => {
+    setSelectedIndex(0);
+  }, [query, filters]);
+
+  useEffect(() => {
+    listRef.current?.children[selectedIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [selectedIndex]);
+
+  if (!isOpen) return null;
+
+  const openResult = ({ document }) => {
+    const { phase } = modulesById.get(document.moduleId);
+    const heading = document.headingId ? `/content#${document.headingId}` : '';
+    navigate(`/phase/${phase.id}/module/${document.moduleId}${heading}`);
+    onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onClose();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelectedIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelectedIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[selectedIndex]) {
+      e.preventDefault();
+      openResult(results[selectedIndex]);
+    }
+  };
+
+  const selectClassName = 'text-sm px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-200 focus:outline-none focus:ring-2 focus:ring-primary-500';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 p-4 pt-[10vh]"
+      onMouseDown={(e) => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <div
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full flex flex-col max-h-[75vh]"
+        onKeyDown={handleKeyDown}
+      >
+        {/* Search Input */}
+        <div className="flex items-center px-4 border-b border-gray-200 dark:border-gray-700">
+          <Search className="h-5 w-5 text-gray-400 flex-shrink-0" />
+          <input
+            ref={inputRef}
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search modules, headings, text and code…"
+            className="flex-1 px-3 py-4 bg-transparent text-gray-900 dark:text-white placeholder-gray-400 focus:outline-none"
+          />
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700">
+          <select
+            value={filters.phaseId}
+            onChange={(e) => setFilters({ ...filters, phaseId: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">All phases</option>
+            {curriculumData.phases.map(phase => (
+              <option key={phase.id} value={phase.id}>{phase.title}</option>
+            ))}
+          </select>
+          <select
+            value={filters.difficulty}
+            onChange={(e) => setFilters({ ...filters, difficulty: e.target.value })}
+            className={selectClassName}
+          >
+            <option value="">Any difficulty</option>
+            {difficulties.map(difficulty => (
+              <option key={difficulty} value={difficulty}>{difficulty}</option>
+            ))}
+          </select>
+          {tags.length > 0 && (
+            <select
+              value={filters.tag}
+              onChange={(e) => setFilters({ ...filters, tag: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Any tag</option>
+              {tags.map(tag => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+          )}
+          {hasFilters && (
+            <button
+              onClick={() => setFilters({ phaseId: '', difficulty: '', tag: '' })}
+              className="text-sm text-primary-600 dark:text-primary-400 hover:underline"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {/* Results */}
+        <div className="overflow-y-auto">
+          {loadError ? (
+            <div className="p-6 text-sm text-red-600">The search index couldn't be loaded. Check your connection and try again.</div>
+          ) : !documents ? (
+            <div className="p-6 text-sm text-gray-500 dark:text-gray-400">Loading search index…</div>
+          ) : results.length === 0 ? (
+            <div className="p-6 text-sm text-gray-500 dark:text-gray-400">
+              {terms.length > 0 || hasFilters ? 'Nothing matches your search.' : 'Type to search every module. Use ↑ and ↓ to move through the results and Enter to open one.'}
+            </div>
+          ) : (
+            <ul ref={listRef} className="py-2">
+              {results.map((result, index) => {
+                const { document, snippet } = result;
+                const { module, phase } = modulesById.get(document.moduleId);
+                const Icon = document.headingId === null ? FileText : snippet.isCode ? Code : Hash;
+                return (
+                  <li key={`${document.moduleId}#${document.headingId}`}>
+                    <button
+                      onClick={() => openResult(result)}
+                      onMouseMove={() => setSelectedIndex(index)}
+                      className={`w-full text-left px-4 py-3 flex items-start space-x-3 ${
+                        index === selectedIndex ? 'bg-primary-50 dark:bg-primary-900/30' : ''
+                      }`}
+                    >
+                      <Icon className="h-4 w-4 mt-1 text-gray-400 flex-shrink-0" />
+                      <div className="flex-1 min-w-0">
+                        <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                          {[phase.title, document.headingId === null ? module.difficulty : module.title].filter(Boolean).join(' · ')}
+                        </div>
+                        <div className="font-medium text-gray-900 dark:text-white truncate">
+                          <Highlighted text={document.title} terms={terms} />
+                        </div>
+                        {snippet.text && (
+                          <div className={`text-sm text-gray-600 dark:text-gray-300 line-clamp-2 ${snippet.isCode ? 'font-mono text-xs' : ''}`}>
+                            <Highlighted text={snippet.text} terms={terms} />
+                          </div>
+                        )}
+                      </div>
+                      {index === selectedIndex && (
+                        <CornerDownLeft className="h-4 w-4 mt-1 text-gray-400 flex-shrink-0" />
+                      )}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPalette;
@@ -0,0 +1,66 @@
+import { CheckCircle, Circle, ListChecks } from 'lucide-react';
+
+// Top-level sections of a module, ticked off as they are read or by hand
+const SectionChecklist = ({ sections, readSections, onToggle }) => {
+  const readCount = sections.filter(section => readSections[section.id]).length;
+
+  const scrollToSection = (sectionId) => {
+    document.getElementById(sectionId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <ListChecks className="h-5 w-5 text-primary-600" />
+          <span className="font-semibold text-gray-900 dark:text-white">Sections</span>
+        </div>
+        <span className="text-sm text-gray-600 dark:text-gray-400">
+          {readCount}/{sections.length} read
+        </span>
+      </div>
+
+      {/* Progress Bar */}
+      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5 mb-3">
+        <div
+          className="bg-gradient-to-r from-primary-500 to-blue-500 h-1.5 rounded-full transition-all duration-500"
+          style={{ width: `${sections.length > 0 ? (readCount / sections.length) * 100 : 0}%` }}
+        ></div>
+      </div>
+
+      <ul className="space-y-1">
+        {sections.map(section => {
+          const isRead = Boolean(readSections[section.id]);
+          return (
+            <li key={section.id} className="flex items-center space-x-3">
+              <button
+                onClick={() => onToggle(section.id, !isRead)}
+                aria-label={isRead ? `Mark "${section.title}" unread` : `Mark "${section.title}" read`}
+                className="flex-shrink-0"
+              >
+                {isRead ? (
+                  <CheckCircle className="h-4 w-4 text-green-500" />
+                ) : (
+                  <Circle className="h-4 w-4 text-gray-400 hover:text-primary-500" />
+                )}
+              </button>
+              <button
+                onClick={() => scrollToSection(section.id)}
+                className={`flex-1 text-left text-sm truncate hover:text-primary-600 dark:hover:text-primary-400 ${
+                  isRead ? 'text-gray-500 dark:text-gray-400' : 'text-gray-700 dark:text-gray-200'
+                }`}
+              >
+                {section.title}
+              </button>
+              <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+                {section.readingMinutes} min
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default SectionChecklist;
@@ -0,0 +1,57 @@
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { useProgress } from '../context/ProgressContext';
+
+const pendingLabel = (pending) => `${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+
+const STATES = {
+  synced: {
+    icon: Cloud,
+    label: 'Synced',
+    className: 'text-green-600 dark:text-green-400',
+    title: () => 'All progress is saved'
+  },
+  syncing: {
+    icon: RefreshCw,
+    label: 'Syncing',
+    className: 'text-blue-600 dark:text-blue-400',
+    iconClassName: 'animate-spin',
+    title: pendingLabel
+  },
+  offline: {
+    icon: CloudOff,
+    label: 'Offline',
+    className: 'text-gray-500 dark:text-gray-400',
+    title: (pending) => `${pendingLabel(pending)}; they'll be sent when you're back online`
+  },
+  error: {
+    icon: AlertTriangle,
+    label: 'Sync error',
+    className: 'text-amber-600 dark:text-amber-400',
+    title: (pending) => `${pendingLabel(pending)}; retrying shortly`
+  }
+};
+
+// Whether progress has reached the server; hidden where progress stays in the browser
+const SyncStatus = ({ showLabel = true }) => {
+  const { syncsRemotely, syncStatus } = useProgress();
+  if (!syncsRemotely) return null;
+
+  const { icon: Icon, label, className, iconClassName = '', title } = STATES[syncStatus.state];
+
+  return (
+    <span
+      className={`flex items-center space-x-1 text-sm ${className}`}
+      title={title(syncStatus.pending)}
+    >
+      <Icon className={`h-4 w-4 ${iconClassName}`} />
+      {showLabel && <span>{label}</span>}
+      {syncStatus.pending > 0 && (
+        <span className="text-xs bg-gray-100 dark:bg-gray-700 rounded-full px-1.5">
+          {syncStatus.pending}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default SyncStatus;
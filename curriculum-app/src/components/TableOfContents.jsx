@@ -0,0 +1,41 @@
+import { List, CheckCircle } from 'lucide-react';
+
+// Sticky outline of a module's `##` and `###` sections beside its content. The section
+// being read is highlighted, and read sections are ticked.
+const TableOfContents = ({ sections, activeId, readSections = {}, getHref, onSelect }) => (
+  <nav className="p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 max-h-[calc(100vh-6rem)] overflow-y-auto">
+    <div className="flex items-center space-x-2 mb-3">
+      <List className="h-4 w-4 text-primary-600" />
+      <span className="text-sm font-semibold text-gray-900 dark:text-white">On this page</span>
+    </div>
+    <ul className="space-y-1 text-sm">
+      {sections.map(section => {
+        const isActive = section.id === activeId;
+        return (
+          <li key={section.id} className={section.level === 3 ? 'pl-4' : ''}>
+            <a
+              href={getHref(section.id)}
+              onClick={(e) => {
+                e.preventDefault();
+                onSelect(section.id);
+              }}
+              aria-current={isActive ? 'location' : undefined}
+              className={`flex items-center space-x-2 py-1 pl-2 border-l-2 transition-colors ${
+                isActive
+                  ? 'border-primary-500 text-primary-700 dark:text-primary-300 font-medium'
+                  : 'border-transparent text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200'
+              }`}
+            >
+              <span className="flex-1 truncate">{section.title}</span>
+              {readSections[section.id] && (
+                <CheckCircle className="h-3.5 w-3.5 text-green-500 flex-shrink-0" />
+              )}
+            </a>
+          </li>
+        );
+      })}
+    </ul>
+  </nav>
+);
+
+export default TableOfContents;
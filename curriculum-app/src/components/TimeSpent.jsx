@@ -0,0 +1,32 @@
+import { Clock } from 'lucide-react';
+import { formatMinutes, formatSeconds } from '../utils/formatDuration';
+
+// Reading time so far against the estimate, e.g. "12 min of ~45 min"
+const TimeSpent = ({ spentSeconds = 0, estimatedMinutes, showBar = false, className = '' }) => {
+  if (!spentSeconds && !estimatedMinutes) return null;
+
+  const estimate = estimatedMinutes ? `~${formatMinutes(estimatedMinutes)}` : null;
+  const label = spentSeconds > 0
+    ? `${formatSeconds(spentSeconds)} spent${estimate ? ` of ${estimate}` : ''}`
+    : estimate;
+  const share = estimatedMinutes ? Math.min(1, spentSeconds / 60 / estimatedMinutes) : 0;
+
+  return (
+    <span className={`inline-flex flex-col ${className}`} title="Active reading time">
+      <span className="flex items-center space-x-1">
+        <Clock className="h-4 w-4" />
+        <span>{label}</span>
+      </span>
+      {showBar && spentSeconds > 0 && estimatedMinutes > 0 && (
+        <span className="mt-1 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1">
+          <span
+            className={`block h-1 rounded-full ${share >= 1 ? 'bg-amber-500' : 'bg-primary-500'}`}
+            style={{ width: `${share * 100}%` }}
+          />
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default TimeSpent;
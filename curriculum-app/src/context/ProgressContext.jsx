@@ -1,4 +1,19 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import {
+  createEmptyProgress,
+  createModuleRecord,
+  mergeProgress,
+  hasProgress
+} from './progressStorage';
+import { importedProgress } from './progressTransfer';
+import { ACTIVITY_TYPES, SESSION_GAP_MINUTES, appendActivity, getActivityEntries } from './activityLog';
+import { useAuth } from '../contexts/AuthContext';
+import { storage } from '../storage';
+import { diffStores, applyChanges } from '../storage/changes';
+import { createProgressSync, discardNamespace } from './progressSync';
+import { GUEST_NAMESPACE, getNamespace } from '../utils/storageNamespace';
+import { createAnnotationId } from '../utils/annotations';
+import { bookmarkKey, createBookmark, createCollectionId, listBookmarks, listCollections } from './bookmarks';
 
 const ProgressContext = createContext();
 
@@ -10,121 +25,502 @@ export const useProgress = () => {
   return context;
 };
 
-const ProgressProvider = ({ children }) => {
-  const [progress, setProgress] = useState({});
-  const [completedModules, setCompletedModules] = useState(new Set());
-  const [bookmarks, setBookmarks] = useState(new Set());
+// Progress and bookmarks as the storage adapter keeps them, in one store
+const toStore = (progress, bookmarks) => ({
+  ...createEmptyProgress(),
+  ...progress,
+  bookmarks: bookmarks || {}
+});
 
-  // Load progress from localStorage on initial load
-  useEffect(() => {
-    const savedProgress = localStorage.getItem('curriculumProgress');
-    const savedCompleted = localStorage.getItem('completedModules');
-    const savedBookmarks = localStorage.getItem('bookmarks');
+// The single source of progress for every view: completion, timestamps, time spent,
+// sections read, where reading stopped, quiz and exercise results, highlights and
+// notes, bookmarks and the activity log. Each account, and the guest, has its own
+// progress. Edits are saved as field-level changes (see ../storage/changes) through a
+// queue that survives going offline, and shared with other open tabs, so nothing
+// saved elsewhere is overwritten.
+const ProgressProvider = ({ children }) => {
+  const { user } = useAuth();
+  const namespace = getNamespace(user);
+  // namespace is null until the first load finishes
+  const [scope, setScope] = useState({ namespace: null, store: createEmptyProgress() });
+  const scopeRef = useRef(scope);
+  scopeRef.current = scope;
+  // The store as last loaded or saved, to tell which parts need saving
+  const savedStoreRef = useRef(null);
+  // Updates made while a namespace is loading, replayed once it has
+  const pendingUpdatesRef = useRef([]);
+  const mergeGuestOnSignInRef = useRef(false);
+  const syncRef = useRef(null);
+  const [syncStatus, setSyncStatus] = useState({ state: 'synced', pending: 0 });
+  const { store } = scope;
+  const isLoaded = scope.namespace === namespace;
 
-    if (savedProgress) {
-      setProgress(JSON.parse(savedProgress));
-    }
-    if (savedCompleted) {
-      setCompletedModules(new Set(JSON.parse(savedCompleted)));
-    }
-    if (savedBookmarks) {
-      setBookmarks(new Set(JSON.parse(savedBookmarks)));
+  const setStore = (update) => {
+    if (scopeRef.current.namespace !== namespace) {
+      pendingUpdatesRef.current.push(update);
     }
+    setScope(prev => ({ ...prev, store: update(prev.store) }));
+  };
+
+  // Move the store onto a newer saved version, keeping edits not saved yet
+  const rebase = (base) => {
+    const saved = savedStoreRef.current;
+    savedStoreRef.current = base;
+    setScope(prev => ({ ...prev, store: applyChanges(base, diffStores(saved, prev.store)) }));
+  };
+
+  useEffect(() => {
+    const sync = createProgressSync({
+      onStatusChange: setSyncStatus,
+      onRemoteChanges: (changedNamespace, changes) => {
+        if (changedNamespace !== scopeRef.current.namespace || !savedStoreRef.current) return;
+        rebase(applyChanges(savedStoreRef.current, changes));
+      },
+      // Pick up what other devices saved, unless there's something left to send
+      onSynced: (syncedNamespace, { progress, bookmarks }) => {
+        if (syncedNamespace !== scopeRef.current.namespace) return;
+        if (savedStoreRef.current !== scopeRef.current.store) return;
+        rebase(toStore(progress, bookmarks));
+      }
+    });
+    syncRef.current = sync;
+    return () => sync.dispose();
   }, []);
 
-  // Save progress to localStorage whenever it changes
+  // Load the signed-in account's progress, or the guest's, bringing the guest's
+  // along on sign-up if asked to
   useEffect(() => {
-    localStorage.setItem('curriculumProgress', JSON.stringify(progress));
-  }, [progress]);
+    let cancelled = false;
 
+    Promise.all([
+      storage.loadProgress(namespace),
+      storage.loadBookmarks(namespace),
+      syncRef.current.pendingChanges(namespace)
+    ])
+      .then(([savedProgress, savedBookmarks, pendingChanges]) => {
+        if (cancelled) return;
+
+        const previous = scopeRef.current;
+        // Changes still queued from an earlier visit haven't been saved yet
+        let nextStore = applyChanges(toStore(savedProgress, savedBookmarks), pendingChanges);
+        savedStoreRef.current = nextStore;
+
+        if (mergeGuestOnSignInRef.current && previous.namespace === GUEST_NAMESPACE) {
+          nextStore = mergeProgress(nextStore, previous.store);
+          discardNamespace(GUEST_NAMESPACE, () => storage.clearProgress(GUEST_NAMESPACE)).catch(error => {
+            console.error('Error clearing guest progress:', error);
+          });
+        }
+        mergeGuestOnSignInRef.current = false;
+
+        nextStore = pendingUpdatesRef.current.reduce((acc, update) => update(acc), nextStore);
+        pendingUpdatesRef.current = [];
+        setScope({ namespace, store: nextStore });
+        // Send anything this account queued while someone else was signed in
+        syncRef.current.flush();
+      })
+      .catch(error => {
+        console.error('Error loading progress:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [namespace]);
+
+  // Pick up progress saved on other devices when coming back to the tab
   useEffect(() => {
-    localStorage.setItem('completedModules', JSON.stringify([...completedModules]));
-  }, [completedModules]);
+    if (!storage.isRemote || !isLoaded) return;
 
+    const handleVisibilityChange = () => {
+      if (document.visibilityState !== 'visible' || !navigator.onLine) return;
+      Promise.all([
+        storage.loadProgress(namespace),
+        storage.loadBookmarks(namespace),
+        syncRef.current.pendingChanges(namespace)
+      ])
+        .then(([savedProgress, savedBookmarks, pendingChanges]) => {
+          if (scopeRef.current.namespace !== namespace) return;
+          rebase(applyChanges(toStore(savedProgress, savedBookmarks), pendingChanges));
+        })
+        .catch(error => {
+          console.error('Error refreshing progress:', error);
+        });
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [namespace, isLoaded]);
+
+  // Save the fields that changed since the store was loaded or last saved
   useEffect(() => {
-    localStorage.setItem('bookmarks', JSON.stringify([...bookmarks]));
-  }, [bookmarks]);
+    const saved = savedStoreRef.current;
+    if (!isLoaded || !saved || saved === store) return;
+
+    const changes = diffStores(saved, store);
+    if (changes.length > 0) {
+      syncRef.current.record(namespace, changes);
+    }
+    savedStoreRef.current = store;
+  }, [store, isLoaded, namespace]);
+
+  const completedModules = useMemo(() => new Set(
+    Object.keys(store.modules).filter(moduleId => store.modules[moduleId].completed)
+  ), [store.modules]);
+
+  const bookmarkList = useMemo(() => listBookmarks(store.bookmarks), [store.bookmarks]);
+
+  // Ids of bookmarked modules, not counting bookmarked sections
+  const bookmarks = useMemo(() => new Set(
+    bookmarkList.filter(bookmark => !bookmark.headingId).map(bookmark => bookmark.moduleId)
+  ), [bookmarkList]);
+
+  const collections = useMemo(() => listCollections(store.collections), [store.collections]);
+
+  const activityEntries = useMemo(() => getActivityEntries(store), [store.activity]);
+
+  // Update one module's record. `describeActivity(previous, next)` may return an
+  // activity log entry for the change.
+  const updateModule = (moduleId, update, describeActivity) => {
+    setStore(prev => {
+      const previous = { ...createModuleRecord(), ...prev.modules[moduleId] };
+      const next = update(previous);
+      const nextStore = { ...prev, modules: { ...prev.modules, [moduleId]: next } };
+      const activity = describeActivity?.(previous, next);
+      return activity ? appendActivity(nextStore, { ...activity, moduleId }) : nextStore;
+    });
+  };
 
   const updateModuleProgress = (moduleId, sectionId, completed = true) => {
-    setProgress(prev => ({
-      ...prev,
-      [moduleId]: {
-        ...prev[moduleId],
-        [sectionId]: completed
+    updateModule(moduleId, record => {
+      const sections = { ...record.sections };
+      if (completed) {
+        sections[sectionId] = true;
+      } else {
+        delete sections[sectionId];
       }
-    }));
+      return { ...record, sections };
+    }, (previous) => (
+      completed && !previous.sections[sectionId] ? { type: ACTIVITY_TYPES.SECTION_READ, sectionId } : null
+    ));
   };
 
   const markModuleComplete = (moduleId) => {
-    setCompletedModules(prev => new Set([...prev, moduleId]));
+    updateModule(moduleId, record => ({
+      ...record,
+      completed: true,
+      completedAt: record.completedAt || new Date().toISOString()
+    }), (previous) => (previous.completed ? null : { type: ACTIVITY_TYPES.MODULE_COMPLETED }));
   };
 
   const markModuleIncomplete = (moduleId) => {
-    setCompletedModules(prev => {
-      const newSet = new Set(prev);
-      newSet.delete(moduleId);
-      return newSet;
-    });
+    updateModule(moduleId, record => ({ ...record, completed: false, completedAt: null }));
   };
 
-  const toggleBookmark = (moduleId) => {
-    setBookmarks(prev => {
-      const newSet = new Set(prev);
-      if (newSet.has(moduleId)) {
-        newSet.delete(moduleId);
+  // Opening a module again within a study session isn't logged twice
+  const recordModuleVisit = (moduleId) => {
+    updateModule(moduleId, record => ({ ...record, lastAccessed: new Date().toISOString() }), (previous) => (
+      previous.lastAccessed && Date.now() - new Date(previous.lastAccessed) < SESSION_GAP_MINUTES * 60 * 1000
+        ? null
+        : { type: ACTIVITY_TYPES.MODULE_OPENED }
+    ));
+  };
+
+  // Seconds of active reading, see hooks/useReadingTimer. Reading reported after a
+  // sign-in or sign-out is queued for `readerNamespace`, where it started, rather
+  // than added to the store now shown.
+  const recordTimeSpent = (moduleId, seconds, readerNamespace = namespace) => {
+    if (!(seconds > 0)) return;
+    const entry = { type: ACTIVITY_TYPES.TIME_SPENT, seconds };
+
+    if (readerNamespace !== namespace) {
+      const before = { modules: { [moduleId]: { timeSpent: 0 } }, activity: {} };
+      const after = appendActivity({ modules: { [moduleId]: { timeSpent: seconds } } }, { ...entry, moduleId });
+      syncRef.current.record(readerNamespace, diffStores(before, after));
+      return;
+    }
+    updateModule(moduleId, record => ({ ...record, timeSpent: record.timeSpent + seconds }), () => entry);
+  };
+
+  // Where reading stopped in a module: the section being read and how far the
+  // content was scrolled
+  const recordReadingPosition = (moduleId, { headingId, scrollTop }) => {
+    updateModule(moduleId, record => ({
+      ...record,
+      lastPosition: { headingId, scrollTop, at: new Date().toISOString() }
+    }));
+  };
+
+  // The most recent reading position in any module, as { moduleId, headingId,
+  // scrollTop, at }, or null before anything has been read
+  const getLastReadPosition = () => (
+    Object.entries(store.modules)
+      .filter(([, record]) => record.lastPosition?.at)
+      .map(([moduleId, record]) => ({ moduleId, ...record.lastPosition }))
+      .reduce((last, position) => (!last || position.at > last.at ? position : last), null)
+  );
+
+  // Bookmark a module, or one of its sections, or remove the bookmark
+  const toggleBookmark = (moduleId, headingId = null) => {
+    const key = bookmarkKey(moduleId, headingId);
+    setStore(prev => {
+      const nextBookmarks = { ...prev.bookmarks };
+      if (nextBookmarks[key]) {
+        delete nextBookmarks[key];
       } else {
-        newSet.add(moduleId);
+        nextBookmarks[key] = createBookmark(moduleId, headingId);
+      }
+      return { ...prev, bookmarks: nextBookmarks };
+    });
+  };
+
+  const isBookmarked = (moduleId, headingId = null) => Boolean(store.bookmarks[bookmarkKey(moduleId, headingId)]);
+
+  // Change a bookmark's note or collection
+  const updateBookmark = (key, changes) => {
+    setStore(prev => (prev.bookmarks[key] ? {
+      ...prev,
+      bookmarks: { ...prev.bookmarks, [key]: { ...prev.bookmarks[key], ...changes } }
+    } : prev));
+  };
+
+  const removeBookmark = (key) => {
+    setStore(prev => {
+      const nextBookmarks = { ...prev.bookmarks };
+      delete nextBookmarks[key];
+      return { ...prev, bookmarks: nextBookmarks };
+    });
+  };
+
+  // A new, empty collection of bookmarks; returns its id
+  const createCollection = (name) => {
+    const collectionId = createCollectionId();
+    setStore(prev => ({
+      ...prev,
+      collections: { ...prev.collections, [collectionId]: { name, createdAt: new Date().toISOString() } }
+    }));
+    return collectionId;
+  };
+
+  const renameCollection = (collectionId, name) => {
+    setStore(prev => (prev.collections[collectionId] ? {
+      ...prev,
+      collections: { ...prev.collections, [collectionId]: { ...prev.collections[collectionId], name } }
+    } : prev));
+  };
+
+  // The bookmarks in it are kept, outside any collection
+  const deleteCollection = (collectionId) => {
+    setStore(prev => {
+      const nextCollections = { ...prev.collections };
+      delete nextCollections[collectionId];
+      const nextBookmarks = Object.fromEntries(Object.entries(prev.bookmarks).map(([key, bookmark]) => (
+        [key, bookmark.collectionId === collectionId ? { ...bookmark, collectionId: null } : bookmark]
+      )));
+      return { ...prev, collections: nextCollections, bookmarks: nextBookmarks };
+    });
+  };
+
+  // Latest submission of a quiz: { answers, score, total, submittedAt }
+  const saveQuizResult = (moduleId, quizId, result) => {
+    updateModule(moduleId, record => ({
+      ...record,
+      quizzes: {
+        ...record.quizzes,
+        [quizId]: { ...result, submittedAt: new Date().toISOString() }
       }
-      return newSet;
+    }));
+  };
+
+  const getQuizResults = (moduleId) => {
+    return store.modules[moduleId]?.quizzes || {};
+  };
+
+  // Latest test run of an exercise: { code, passedCount, total, lastRunAt, completedAt }.
+  // completedAt is set the first time every test passes and kept after that.
+  const saveExerciseResult = (moduleId, exerciseId, { code, passedCount, total }) => {
+    updateModule(moduleId, record => {
+      const previous = record.exercises[exerciseId];
+      const now = new Date().toISOString();
+      return {
+        ...record,
+        exercises: {
+          ...record.exercises,
+          [exerciseId]: {
+            code,
+            passedCount,
+            total,
+            lastRunAt: now,
+            completedAt: previous?.completedAt || (passedCount === total ? now : null)
+          }
+        }
+      };
+    }, (previous, next) => (
+      !previous.exercises[exerciseId]?.completedAt && next.exercises[exerciseId].completedAt
+        ? { type: ACTIVITY_TYPES.EXERCISE_PASSED, exerciseId }
+        : null
+    ));
+  };
+
+  const getExerciseResults = (moduleId) => {
+    return store.modules[moduleId]?.exercises || {};
+  };
+
+  // A highlight or note on a module's content, anchored as described in
+  // utils/annotations; returns its id
+  const addAnnotation = (moduleId, { headingId, quote, prefix, suffix, color, note = '' }) => {
+    const annotationId = createAnnotationId();
+    const now = new Date().toISOString();
+    updateModule(moduleId, record => ({
+      ...record,
+      annotations: {
+        ...record.annotations,
+        [annotationId]: { headingId, quote, prefix, suffix, color, note, createdAt: now, updatedAt: now }
+      }
+    }));
+    return annotationId;
+  };
+
+  // Change an annotation's note or colour
+  const updateAnnotation = (moduleId, annotationId, changes) => {
+    updateModule(moduleId, record => (record.annotations[annotationId] ? {
+      ...record,
+      annotations: {
+        ...record.annotations,
+        [annotationId]: { ...record.annotations[annotationId], ...changes, updatedAt: new Date().toISOString() }
+      }
+    } : record));
+  };
+
+  const removeAnnotation = (moduleId, annotationId) => {
+    updateModule(moduleId, record => {
+      const annotations = { ...record.annotations };
+      delete annotations[annotationId];
+      return { ...record, annotations };
     });
   };
 
+  // The whole record for a module, with defaults for anything not yet tracked
   const getModuleProgress = (moduleId) => {
-    return progress[moduleId] || {};
+    return { ...createModuleRecord(), ...store.modules[moduleId] };
   };
 
+  // Top-level sections of a module that have been read, for partial progress
+  const getSectionProgress = (module) => {
+    const sections = (module.sections || []).filter(section => section.level === 2);
+    const readSections = store.modules[module.id]?.sections || {};
+    const read = sections.filter(section => readSections[section.id]).length;
+    return { read, total: sections.length };
+  };
+
+  const getExerciseProgress = (module) => {
+    const exercises = module.exercises || [];
+    const moduleResults = getExerciseResults(module.id);
+    const passed = exercises.filter(exercise => moduleResults[exercise.id]?.completedAt).length;
+    return { passed, total: exercises.length };
+  };
+
+  // Fraction of a module done: 1 once completed, otherwise the share of sections read
+  // and exercises passed
+  const getModuleCompletion = (module) => {
+    if (completedModules.has(module.id)) return 1;
+    const sections = getSectionProgress(module);
+    const exercises = getExerciseProgress(module);
+    const total = sections.total + exercises.total;
+    return total > 0 ? (sections.read + exercises.passed) / total : 0;
+  };
+
+  // Active reading time on a set of modules, against their estimated reading time
+  const getTimeProgress = (modules) => ({
+    spentSeconds: modules.reduce((acc, module) => acc + (store.modules[module.id]?.timeSpent || 0), 0),
+    estimatedMinutes: modules.reduce((acc, module) => acc + (module.estimatedMinutes || 0), 0)
+  });
+
   const getPhaseProgress = (phaseModules) => {
-    const completed = phaseModules.filter(module => 
+    const completed = phaseModules.filter(module =>
       completedModules.has(module.id)
     ).length;
+    const done = phaseModules.reduce((acc, module) => acc + getModuleCompletion(module), 0);
     return {
       completed,
       total: phaseModules.length,
-      percentage: phaseModules.length > 0 ? (completed / phaseModules.length) * 100 : 0
+      percentage: phaseModules.length > 0 ? (done / phaseModules.length) * 100 : 0
     };
   };
 
   const getTotalProgress = (allPhases) => {
-    const totalModules = allPhases.reduce((acc, phase) => acc + phase.modules.length, 0);
-    const completedCount = completedModules.size;
+    const allModules = allPhases.flatMap(phase => phase.modules);
+    const completedCount = allModules.filter(module => completedModules.has(module.id)).length;
+    const done = allModules.reduce((acc, module) => acc + getModuleCompletion(module), 0);
     return {
       completed: completedCount,
-      total: totalModules,
-      percentage: totalModules > 0 ? (completedCount / totalModules) * 100 : 0
+      total: allModules.length,
+      percentage: allModules.length > 0 ? (done / allModules.length) * 100 : 0
     };
   };
 
+  // Called before signing up so the guest's progress moves into the new account
+  const mergeGuestProgressOnSignIn = (merge = true) => {
+    mergeGuestOnSignInRef.current = merge;
+  };
+
   const resetProgress = () => {
-    setProgress({});
-    setCompletedModules(new Set());
-    setBookmarks(new Set());
-    localStorage.removeItem('curriculumProgress');
-    localStorage.removeItem('completedModules');
-    localStorage.removeItem('bookmarks');
+    setStore(() => createEmptyProgress());
+  };
+
+  // Bring in progress from an export (see progressTransfer), merged with what is
+  // here or replacing it
+  const importProgress = (incoming, replace = false) => {
+    setStore(prev => importedProgress(prev, incoming, replace));
   };
 
   const value = {
-    progress,
+    namespace,
+    isLoading: !isLoaded,
+    isGuest: namespace === GUEST_NAMESPACE,
+    hasAnyProgress: isLoaded && hasProgress(store),
+    // Guests' progress never leaves the browser, so there's nothing to show for them
+    syncsRemotely: storage.isRemote && namespace !== GUEST_NAMESPACE,
+    syncStatus,
+    progress: store.modules,
+    activity: activityEntries,
+    // The whole store, for exporting
+    progressDocument: store,
     completedModules,
     bookmarks,
+    bookmarkList,
+    collections,
     updateModuleProgress,
     markModuleComplete,
     markModuleIncomplete,
+    recordModuleVisit,
+    recordTimeSpent,
+    recordReadingPosition,
+    getLastReadPosition,
     toggleBookmark,
+    isBookmarked,
+    updateBookmark,
+    removeBookmark,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    saveQuizResult,
+    getQuizResults,
+    saveExerciseResult,
+    getExerciseResults,
+    addAnnotation,
+    updateAnnotation,
+    removeAnnotation,
     getModuleProgress,
+    getSectionProgress,
+    getExerciseProgress,
+    getModuleCompletion,
     getPhaseProgress,
     getTotalProgress,
-    resetProgress
+    getTimeProgress,
+    mergeGuestProgressOnSignIn,
+    resetProgress,
+    importProgress
   };
 
   return (
@@ -134,4 +530,4 @@ const ProgressProvider = ({ children }) => {
   );
 };
 
-export default ProgressProvider; 
\ No newline at end of file
+export default ProgressProvider;
@@ -0,0 +1,266 @@
+// The activity log kept in the progress store under `activity`, and the history,
+// streak and session figures the Progress page draws from it.
+//
+// Entries are keyed by an id that sorts by time and are never changed once written,
+// so logs from several devices merge by taking the union:
+//   activity: { [entryId]: { type, moduleId, at, ...details } }
+// where type is one of ACTIVITY_TYPES. Details are sectionId for section-read,
+// exerciseId for exercise-passed and seconds for time-spent.
+//
+// So the log doesn't grow forever, entries older than ACTIVITY_RETENTION_DAYS are
+// folded into day summaries, keyed `day-YYYY-MM-DD-<hash of the folded ids>`:
+//   { type: 'day-summary', at, folded: { [entryId]: { type, seconds? } } }
+// A summary keeps the id of every entry it folded, so an entry that comes back, say
+// from merging in an old backup, is dropped rather than counted again. Summaries
+// never change either: folding more of a day writes a new summary holding all of
+// them and removes the old ones. Devices folding the same entries write the same
+// key, and a day with several summaries counts each folded entry once.
+
+export const ACTIVITY_TYPES = {
+  MODULE_OPENED: 'module-opened',
+  SECTION_READ: 'section-read',
+  MODULE_COMPLETED: 'module-completed',
+  EXERCISE_PASSED: 'exercise-passed',
+  TIME_SPENT: 'time-spent',
+  DAY_SUMMARY: 'day-summary'
+};
+
+// Entries older than this are only kept as per-day totals
+export const ACTIVITY_RETENTION_DAYS = 90;
+
+// Activity further apart than this starts a new study session
+export const SESSION_GAP_MINUTES = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createEntryId = (date) => (
+  `${date.getTime().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+export const appendActivity = (progress, { type, moduleId, ...details }, date = new Date()) => ({
+  ...progress,
+  activity: compactActivity({
+    ...progress.activity,
+    [createEntryId(date)]: { type, moduleId, at: date.toISOString(), ...details }
+  }, date)
+});
+
+const isSummary = (entry) => entry.type === ACTIVITY_TYPES.DAY_SUMMARY;
+
+// Calendar day -> { summaryIds, folded }, the summaries of each day and every entry
+// they folded between them
+const summariesByDay = (activity) => {
+  const days = new Map();
+  Object.entries(activity).filter(([, entry]) => isSummary(entry)).forEach(([summaryId, summary]) => {
+    const dayKey = toDayKey(summary.at);
+    const day = days.get(dayKey) || { summaryIds: [], folded: {} };
+    days.set(dayKey, { summaryIds: [...day.summaryIds, summaryId], folded: { ...day.folded, ...summary.folded } });
+  });
+  return days;
+};
+
+// Every entry, oldest first. Each day with folded entries has a single summary
+// entry in their place, { type: 'day-summary', at, modulesOpened, sectionsRead,
+// modulesCompleted, exercisesPassed, count, seconds }.
+export const getActivityEntries = (progress) => {
+  const activity = progress.activity || {};
+  const days = summariesByDay(activity);
+  const foldedIds = new Set([...days.values()].flatMap(day => Object.keys(day.folded)));
+
+  const entries = Object.entries(activity)
+    .filter(([entryId, entry]) => !isSummary(entry) && !foldedIds.has(entryId))
+    .map(([, entry]) => entry);
+  days.forEach((day, dayKey) => entries.push(summarizeDay(dayKey, Object.values(day.folded))));
+  return entries.sort((a, b) => a.at.localeCompare(b.at));
+};
+
+// Calendar day in the learner's time zone, as YYYY-MM-DD
+export const toDayKey = (date) => {
+  const day = new Date(date);
+  return [
+    day.getFullYear(),
+    String(day.getMonth() + 1).padStart(2, '0'),
+    String(day.getDate()).padStart(2, '0')
+  ].join('-');
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const createDay = (date) => ({
+  date: toDayKey(date),
+  modulesOpened: 0,
+  sectionsRead: 0,
+  modulesCompleted: 0,
+  exercisesPassed: 0,
+  minutes: 0,
+  // Entries other than time spent
+  count: 0
+});
+
+const COUNTERS = {
+  [ACTIVITY_TYPES.MODULE_OPENED]: 'modulesOpened',
+  [ACTIVITY_TYPES.SECTION_READ]: 'sectionsRead',
+  [ACTIVITY_TYPES.MODULE_COMPLETED]: 'modulesCompleted',
+  [ACTIVITY_TYPES.EXERCISE_PASSED]: 'exercisesPassed'
+};
+
+// Local midnight at the start of a YYYY-MM-DD day
+const startOfDay = (dayKey) => {
+  const [year, month, date] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, date).toISOString();
+};
+
+// Totals for one day from the entries folded into its summaries
+const summarizeDay = (dayKey, folded) => {
+  const summary = {
+    type: ACTIVITY_TYPES.DAY_SUMMARY,
+    at: startOfDay(dayKey),
+    modulesOpened: 0,
+    sectionsRead: 0,
+    modulesCompleted: 0,
+    exercisesPassed: 0,
+    count: 0,
+    seconds: 0
+  };
+  folded.forEach(entry => {
+    if (entry.type === ACTIVITY_TYPES.TIME_SPENT) {
+      summary.seconds += entry.seconds || 0;
+    } else {
+      summary.count += 1;
+      if (COUNTERS[entry.type]) summary[COUNTERS[entry.type]] += 1;
+    }
+  });
+  return summary;
+};
+
+// Short hash of a summary's folded ids, so the same entries always get the same key
+const hashIds = (ids) => {
+  let hash = 0;
+  const text = [...ids].sort().join(',');
+  for (let i = 0; i < text.length; i++) {
+    hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+// The log with entries from before the retention window folded into day summaries,
+// and each day that has several summaries down to one. Entries a summary already
+// folded are dropped. Returns `activity` itself when there is nothing to fold.
+export const compactActivity = (activity = {}, today = new Date()) => {
+  const cutoff = toDayKey(addDays(today, -ACTIVITY_RETENTION_DAYS));
+  const days = summariesByDay(activity);
+  const stale = Object.entries(activity).filter(([, entry]) => !isSummary(entry) && toDayKey(entry.at) < cutoff);
+  const dayKeys = new Set([
+    ...stale.map(([, entry]) => toDayKey(entry.at)),
+    ...[...days].filter(([, day]) => day.summaryIds.length > 1).map(([dayKey]) => dayKey)
+  ]);
+  if (dayKeys.size === 0) return activity;
+
+  const compacted = { ...activity };
+  dayKeys.forEach(dayKey => {
+    const { summaryIds = [], folded = {} } = days.get(dayKey) || {};
+    const nextFolded = { ...folded };
+    stale.filter(([, entry]) => toDayKey(entry.at) === dayKey).forEach(([entryId, { type, seconds }]) => {
+      if (!nextFolded[entryId]) {
+        nextFolded[entryId] = type === ACTIVITY_TYPES.TIME_SPENT ? { type, seconds: seconds || 0 } : { type };
+      }
+      delete compacted[entryId];
+    });
+
+    summaryIds.forEach(summaryId => { delete compacted[summaryId]; });
+    compacted[`day-${dayKey}-${hashIds(Object.keys(nextFolded))}`] = {
+      type: ACTIVITY_TYPES.DAY_SUMMARY,
+      at: startOfDay(dayKey),
+      folded: nextFolded
+    };
+  });
+  return compacted;
+};
+
+// One record per day for the `days` days up to and including `today`, oldest first
+export const getDailyActivity = (entries, days, today = new Date()) => {
+  const dates = Array.from({ length: days }, (_, i) => createDay(addDays(today, i - days + 1)));
+  const byDate = Object.fromEntries(dates.map(day => [day.date, day]));
+
+  entries.forEach(entry => {
+    const day = byDate[toDayKey(entry.at)];
+    if (!day) return;
+    if (entry.type === ACTIVITY_TYPES.DAY_SUMMARY) {
+      Object.values(COUNTERS).concat('count').forEach(field => { day[field] += entry[field] || 0; });
+      day.minutes += (entry.seconds || 0) / 60;
+    } else if (entry.type === ACTIVITY_TYPES.TIME_SPENT) {
+      day.minutes += (entry.seconds || 0) / 60;
+    } else {
+      day.count += 1;
+      if (COUNTERS[entry.type]) day[COUNTERS[entry.type]] += 1;
+    }
+  });
+
+  return dates;
+};
+
+// Days in a row with any activity. The current streak still counts while today has
+// nothing yet, as long as yesterday did.
+export const getStreaks = (entries, today = new Date()) => {
+  const activeDays = new Set(entries.map(entry => toDayKey(entry.at)));
+
+  let current = 0;
+  let day = activeDays.has(toDayKey(today)) ? today : addDays(today, -1);
+  while (activeDays.has(toDayKey(day))) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...activeDays].sort().forEach(dayKey => {
+    const [year, month, date] = dayKey.split('-').map(Number);
+    const time = new Date(year, month - 1, date).getTime();
+    // Rounded, as days around a daylight saving change aren't 24 hours long
+    run = previous !== null && Math.round((time - previous) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  });
+
+  return { current, longest };
+};
+
+// Study sessions as { start, end, minutes }: runs of activity with no gap longer than
+// SESSION_GAP_MINUTES. A session lasts from its first entry to its last, or as long
+// as the time tracked in it if that is longer. Day summaries don't say when in the
+// day their activity happened, so sessions only cover ACTIVITY_RETENTION_DAYS.
+export const getStudySessions = (entries) => {
+  const sessions = [];
+  entries.forEach(entry => {
+    if (entry.type === ACTIVITY_TYPES.DAY_SUMMARY) return;
+    const at = new Date(entry.at).getTime();
+    const tracked = entry.type === ACTIVITY_TYPES.TIME_SPENT ? (entry.seconds || 0) / 60 : 0;
+    const session = sessions[sessions.length - 1];
+
+    if (session && at - session.end <= SESSION_GAP_MINUTES * 60 * 1000) {
+      session.end = at;
+      session.tracked += tracked;
+    } else {
+      sessions.push({ start: at, end: at, tracked });
+    }
+  });
+
+  return sessions.map(({ start, end, tracked }) => ({
+    start: new Date(start),
+    end: new Date(end),
+    minutes: Math.max((end - start) / 60000, tracked)
+  }));
+};
+
+// Sessions of a single entry with no time tracked have no length to count
+export const getAverageSessionMinutes = (entries) => {
+  const sessions = getStudySessions(entries).filter(session => session.minutes > 0);
+  return sessions.length > 0
+    ? sessions.reduce((acc, session) => acc + session.minutes, 0) / sessions.length
+    : 0;
+};
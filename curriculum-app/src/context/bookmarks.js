@@ -0,0 +1,41 @@
+// Bookmarks and the collections they are sorted into, as kept in the progress store
+// (see progressStorage):
+//   bookmarks: { [key]: { addedAt, moduleId, headingId, note, collectionId } }
+//   collections: { [collectionId]: { name, createdAt } }
+// A module is bookmarked under its id and one of its sections under
+// `<moduleId>#<headingId>`. Bookmarks saved before sections could be bookmarked are
+// only { addedAt }, keyed by module id.
+
+export const bookmarkKey = (moduleId, headingId = null) => (
+  headingId ? `${moduleId}#${headingId}` : moduleId
+);
+
+export const createBookmark = (moduleId, headingId = null) => ({
+  addedAt: new Date().toISOString(),
+  moduleId,
+  headingId,
+  note: '',
+  collectionId: null
+});
+
+export const createCollectionId = () => (
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// Every bookmark as { key, addedAt, moduleId, headingId, note, collectionId }
+export const listBookmarks = (bookmarks = {}) => Object.entries(bookmarks).map(([key, bookmark]) => {
+  const [moduleId, headingId = null] = key.split('#');
+  return {
+    key,
+    moduleId,
+    headingId,
+    note: '',
+    collectionId: null,
+    ...bookmark
+  };
+});
+
+// Collections as [{ id, name, createdAt }], in the order they were made
+export const listCollections = (collections = {}) => Object.entries(collections)
+  .map(([id, collection]) => ({ id, ...collection }))
+  .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
@@ -0,0 +1,219 @@
+// Persistence for the progress store, including the one-time migration from the
+// keys the old ProgressContext and AuthContext wrote separately.
+//
+// Each namespace (see utils/storageNamespace) has its own document under
+// `curriculumProgressStore:<namespace>`, shaped like:
+//   {
+//     version: 1,
+//     modules: { [moduleId]: module record, see createModuleRecord },
+//     bookmarks: { [key]: bookmark, see bookmarks },
+//     collections: { [collectionId]: { name, createdAt } },
+//     activity: { [entryId]: entry, see activityLog }
+//   }
+
+import { namespacedKey } from '../utils/storageNamespace';
+import { compactActivity } from './activityLog';
+
+export const STORAGE_KEY = 'curriculumProgressStore';
+export const SCHEMA_VERSION = 1;
+
+// Written by the old ProgressContext
+const LEGACY_SECTIONS_KEY = 'curriculumProgress';
+const LEGACY_COMPLETED_KEY = 'completedModules';
+const LEGACY_BOOKMARKS_KEY = 'bookmarks';
+const LEGACY_QUIZZES_KEY = 'quizResults';
+const LEGACY_EXERCISES_KEY = 'exerciseResults';
+// Written by the old AuthContext while someone was logged in
+const LEGACY_AUTH_PROGRESS_KEY = 'curriculum_progress';
+const LEGACY_AUTH_BOOKMARKS_KEY = 'curriculum_bookmarks';
+
+const LEGACY_KEYS = [
+  LEGACY_SECTIONS_KEY,
+  LEGACY_COMPLETED_KEY,
+  LEGACY_BOOKMARKS_KEY,
+  LEGACY_QUIZZES_KEY,
+  LEGACY_EXERCISES_KEY,
+  LEGACY_AUTH_PROGRESS_KEY,
+  LEGACY_AUTH_BOOKMARKS_KEY
+];
+
+export const createEmptyProgress = () => ({
+  version: SCHEMA_VERSION,
+  modules: {},
+  bookmarks: {},
+  collections: {},
+  activity: {}
+});
+
+export const createModuleRecord = () => ({
+  completed: false,
+  completedAt: null,
+  lastAccessed: null,
+  lastPosition: null, // { headingId, scrollTop, at }, where reading stopped
+  timeSpent: 0, // seconds
+  sections: {}, // { [sectionId]: true }
+  quizzes: {}, // { [quizId]: { answers, score, total, submittedAt } }
+  exercises: {}, // { [exerciseId]: { code, passedCount, total, lastRunAt, completedAt } }
+  annotations: {} // { [annotationId]: highlight or note, see utils/annotations }
+});
+
+const readJson = (key) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return null;
+  }
+};
+
+const earliest = (a, b) => (!a || (b && b < a) ? b : a);
+const latest = (a, b) => (!a || (b && b > a) ? b : a);
+
+// Keep whichever of two results for the same quiz or exercise is newer
+const mergeResults = (target = {}, source = {}, timestampKey) => {
+  const merged = { ...target };
+  Object.entries(source).forEach(([id, result]) => {
+    const existing = merged[id];
+    const newer = !existing || (result?.[timestampKey] || '') > (existing[timestampKey] || '')
+      ? result
+      : existing;
+    merged[id] = timestampKey === 'lastRunAt'
+      ? { ...newer, completedAt: earliest(existing?.completedAt || null, result?.completedAt || null) }
+      : newer;
+  });
+  return merged;
+};
+
+// The later of two reading positions
+const latestPosition = (a, b) => (!a || (b?.at && b.at > (a.at || '')) ? b || a : a);
+
+const mergeModuleRecords = (target, source) => ({
+  ...target,
+  completed: target.completed || Boolean(source.completed),
+  completedAt: earliest(target.completedAt, source.completedAt || null),
+  lastAccessed: latest(target.lastAccessed, source.lastAccessed || null),
+  lastPosition: latestPosition(target.lastPosition, source.lastPosition || null),
+  timeSpent: Math.max(target.timeSpent, Number(source.timeSpent) || 0),
+  sections: { ...target.sections, ...source.sections },
+  quizzes: mergeResults(target.quizzes, source.quizzes, 'submittedAt'),
+  exercises: mergeResults(target.exercises, source.exercises, 'lastRunAt'),
+  annotations: mergeResults(target.annotations, source.annotations, 'updatedAt')
+});
+
+// Combine two progress documents: completions, sections, annotations, bookmark
+// collections and activity are unioned, the earliest completion and bookmark dates win, and the newer quiz and
+// exercise results and annotation edits are kept
+export const mergeProgress = (target, source) => {
+  const merged = {
+    ...createEmptyProgress(),
+    ...target,
+    modules: { ...target.modules },
+    bookmarks: { ...target.bookmarks },
+    collections: { ...source.collections, ...target.collections },
+    // Summaries of the same day are combined, and entries they already folded dropped
+    activity: compactActivity({ ...target.activity, ...source.activity })
+  };
+
+  Object.entries(source.modules || {}).forEach(([moduleId, record]) => {
+    merged.modules[moduleId] = mergeModuleRecords(
+      { ...createModuleRecord(), ...merged.modules[moduleId] },
+      record || {}
+    );
+  });
+
+  Object.entries(source.bookmarks || {}).forEach(([moduleId, bookmark]) => {
+    merged.bookmarks[moduleId] = {
+      ...merged.bookmarks[moduleId],
+      ...bookmark,
+      addedAt: earliest(merged.bookmarks[moduleId]?.addedAt || null, bookmark?.addedAt || null)
+    };
+  });
+
+  return merged;
+};
+
+// Merge both old key sets into one document; where they disagree the module
+// counts as completed, and the earliest completion and bookmark dates win
+export const migrateLegacyProgress = () => {
+  const progress = createEmptyProgress();
+  const moduleRecord = (moduleId) => {
+    progress.modules[moduleId] = progress.modules[moduleId] || createModuleRecord();
+    return progress.modules[moduleId];
+  };
+  const addBookmark = (moduleId, addedAt = null) => {
+    progress.bookmarks[moduleId] = {
+      addedAt: earliest(progress.bookmarks[moduleId]?.addedAt || null, addedAt)
+    };
+  };
+
+  Object.entries(readJson(LEGACY_SECTIONS_KEY) || {}).forEach(([moduleId, sections]) => {
+    Object.entries(sections || {}).forEach(([sectionId, read]) => {
+      if (read) moduleRecord(moduleId).sections[sectionId] = true;
+    });
+  });
+
+  (readJson(LEGACY_COMPLETED_KEY) || []).forEach(moduleId => {
+    moduleRecord(moduleId).completed = true;
+  });
+
+  (readJson(LEGACY_BOOKMARKS_KEY) || []).forEach(moduleId => addBookmark(moduleId));
+
+  Object.entries(readJson(LEGACY_QUIZZES_KEY) || {}).forEach(([moduleId, quizzes]) => {
+    Object.assign(moduleRecord(moduleId).quizzes, quizzes);
+  });
+
+  Object.entries(readJson(LEGACY_EXERCISES_KEY) || {}).forEach(([moduleId, exercises]) => {
+    Object.assign(moduleRecord(moduleId).exercises, exercises);
+  });
+
+  Object.entries(readJson(LEGACY_AUTH_PROGRESS_KEY) || {}).forEach(([moduleId, saved]) => {
+    progress.modules[moduleId] = mergeModuleRecords(moduleRecord(moduleId), saved || {});
+  });
+
+  (readJson(LEGACY_AUTH_BOOKMARKS_KEY) || []).forEach(bookmark => {
+    if (bookmark?.id) addBookmark(bookmark.id, bookmark.addedAt || null);
+  });
+
+  return progress;
+};
+
+// Progress saved before stores were kept per account (the unscoped store and the
+// older key sets) belongs to whoever opens the app first, i.e. the account that
+// was signed in at the time, or the guest
+const migrateUnscopedProgress = (namespace) => {
+  const unscoped = readJson(STORAGE_KEY);
+  const hasLegacyKeys = LEGACY_KEYS.some(key => localStorage.getItem(key) !== null);
+  if (!unscoped && !hasLegacyKeys) return;
+
+  const migrated = mergeProgress(
+    { ...createEmptyProgress(), ...unscoped },
+    migrateLegacyProgress()
+  );
+  const existing = readJson(namespacedKey(STORAGE_KEY, namespace));
+  saveProgress(namespace, existing ? mergeProgress(existing, migrated) : migrated);
+  localStorage.removeItem(STORAGE_KEY);
+  LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+};
+
+export const loadProgress = (namespace) => {
+  migrateUnscopedProgress(namespace);
+  const saved = readJson(namespacedKey(STORAGE_KEY, namespace));
+  return saved ? { ...createEmptyProgress(), ...saved } : createEmptyProgress();
+};
+
+export const saveProgress = (namespace, progress) => {
+  try {
+    localStorage.setItem(namespacedKey(STORAGE_KEY, namespace), JSON.stringify(progress));
+  } catch (error) {
+    console.error('Error saving progress:', error);
+  }
+};
+
+export const clearProgress = (namespace) => {
+  localStorage.removeItem(namespacedKey(STORAGE_KEY, namespace));
+};
+
+export const hasProgress = (progress) => (
+  Object.keys(progress.modules).length > 0 || Object.keys(progress.bookmarks).length > 0
+);
@@ -0,0 +1,151 @@
+// Moves progress changes from this tab to the storage adapter and to the other open
+// tabs. Changes are queued in IndexedDB before they are written, so edits made
+// offline are sent once the backend can be reached again, even after a reload.
+
+import { storage } from '../storage';
+import { enqueueChanges, readQueue, removeFromQueue, clearQueue } from '../storage/syncQueue';
+
+const CHANNEL_NAME = 'curriculum-progress';
+// Only one tab writes the queue at a time, so no change is sent twice
+const LOCK_NAME = 'curriculum-progress-sync';
+const RETRY_SECONDS = 30;
+const BATCH_SIZE = 100;
+
+const withQueueLock = (run) => (navigator.locks ? navigator.locks.request(LOCK_NAME, run) : run());
+
+// Deletes a namespace's stored progress with remove() and drops the changes still
+// queued for it, which the next flush would otherwise write back. Holds the queue
+// lock, so no tab is partway through writing them in the meantime.
+export const discardNamespace = (namespace, remove) => withQueueLock(async () => {
+  await remove();
+  await clearQueue(namespace);
+});
+
+// Status is { state, pending }: state is 'synced', 'syncing', 'offline' (the backend
+// can't be reached; retrying) or 'error' (the backend failed or refused the changes),
+// and pending is the number of changes still queued.
+//
+// onRemoteChanges(namespace, changes)  another tab made changes
+// onSynced(namespace, { progress, bookmarks })  the queue is empty; this is what is
+//   stored now, including changes from other tabs and devices
+export const createProgressSync = ({ onStatusChange, onRemoteChanges, onSynced }) => {
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+  let status = { state: 'synced', pending: 0 };
+  // Resolves once every change recorded so far is in the queue
+  let enqueued = Promise.resolve();
+  let recording = 0;
+  let flushing = null;
+  let flushAgain = false;
+  let retryTimer = null;
+  let disposed = false;
+
+  const setStatus = (next) => {
+    status = { ...status, ...next };
+    if (!disposed) onStatusChange(status);
+  };
+
+  if (channel) {
+    channel.onmessage = ({ data }) => onRemoteChanges(data.namespace, data.changes);
+  }
+
+  // Write queued changes a batch at a time, oldest first. Changes made by an account
+  // that isn't signed in stay queued, and aren't counted, until it signs in again.
+  const writeQueue = async () => {
+    // Namespaces whose session has ended keep their changes until the next sign-in
+    const signedOut = new Set();
+    let lastWrite = null;
+
+    for (;;) {
+      const queue = (await readQueue()).filter(entry => storage.canApplyChanges(entry.namespace));
+      const entries = queue.filter(entry => !signedOut.has(entry.namespace));
+      if (entries.length === 0) {
+        return { state: signedOut.size > 0 ? 'error' : 'synced', pending: queue.length, lastWrite };
+      }
+
+      const { namespace } = entries[0];
+      const batch = entries.filter(entry => entry.namespace === namespace).slice(0, BATCH_SIZE);
+      setStatus({ state: 'syncing', pending: queue.length });
+
+      try {
+        const result = await storage.applyChanges(namespace, batch.map(entry => entry.change));
+        lastWrite = { namespace, result };
+      } catch (error) {
+        if (!error.status) return { state: 'offline', pending: queue.length };
+        if (error.status >= 500) return { state: 'error', pending: queue.length };
+        if (error.status === 401) {
+          signedOut.add(namespace);
+          continue;
+        }
+        // Refused as invalid; sending it again would fail the same way
+        console.error('Progress changes were rejected:', error);
+      }
+      await removeFromQueue(batch.map(entry => entry.key));
+    }
+  };
+
+  const flush = () => {
+    if (flushing) {
+      flushAgain = true;
+      return flushing;
+    }
+    clearTimeout(retryTimer);
+
+    flushing = withQueueLock(writeQueue)
+      .catch(error => {
+        console.error('Error syncing progress:', error);
+        return { state: 'error', pending: status.pending };
+      })
+      .then(({ state, pending, lastWrite }) => {
+        flushing = null;
+        setStatus({ state, pending });
+        if (disposed) return;
+
+        if (flushAgain) {
+          flushAgain = false;
+          flush();
+        } else if (state === 'offline' || state === 'error') {
+          retryTimer = setTimeout(flush, RETRY_SECONDS * 1000);
+        } else if (lastWrite && recording === 0) {
+          onSynced(lastWrite.namespace, lastWrite.result);
+        }
+      });
+    return flushing;
+  };
+
+  // Queue changes made in this tab and let the other tabs know
+  const record = (namespace, changes) => {
+    channel?.postMessage({ namespace, changes });
+    recording += 1;
+    enqueued = enqueued
+      .then(() => enqueueChanges(namespace, changes))
+      .catch(error => {
+        console.error('Error queueing progress changes:', error);
+      })
+      .finally(() => {
+        recording -= 1;
+        flush();
+      });
+  };
+
+  // Changes for a namespace that haven't reached the adapter yet
+  const pendingChanges = async (namespace) => {
+    await enqueued;
+    const queue = await readQueue();
+    return queue.filter(entry => entry.namespace === namespace).map(entry => entry.change);
+  };
+
+  const handleOnline = () => flush();
+  window.addEventListener('online', handleOnline);
+
+  // Send anything left over from the last visit
+  flush();
+
+  const dispose = () => {
+    disposed = true;
+    clearTimeout(retryTimer);
+    window.removeEventListener('online', handleOnline);
+    channel?.close();
+  };
+
+  return { record, flush, pendingChanges, dispose };
+};
@@ -0,0 +1,152 @@
+// Export and import of a learner's progress as a portable JSON file, for moving to
+// another browser or keeping a backup. The file is versioned:
+//   {
+//     format: 'curriculum-progress',
+//     version: 1,
+//     exportedAt,
+//     progress: the whole progress store (see progressStorage), bookmarks and
+//       activity log included,
+//     settings: { theme, notifications, autoSave, lockModules }
+//   }
+// Anything else kept in the progress store travels with it.
+
+import { SCHEMA_VERSION, createEmptyProgress, createModuleRecord, mergeProgress } from './progressStorage';
+
+export const EXPORT_FORMAT = 'curriculum-progress';
+export const EXPORT_VERSION = 1;
+
+export const createExport = (progress, settings) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  progress,
+  settings
+});
+
+export const exportFileName = (date = new Date()) => (
+  `curriculum-progress-${date.toISOString().slice(0, 10)}.json`
+);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDateOrNull = (value) => value === null || value === undefined
+  || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+
+const isActivityEntry = (entry) => (
+  isPlainObject(entry) && typeof entry.at === 'string' && !Number.isNaN(Date.parse(entry.at))
+);
+
+// The fields the Progress page, the Notes tab and the highlights render from
+const isQuizResult = (result) => (
+  isPlainObject(result) && Number.isFinite(result.score) && Number.isFinite(result.total)
+);
+const isAnnotation = (annotation) => (
+  isPlainObject(annotation)
+  && typeof annotation.quote === 'string'
+  && typeof annotation.createdAt === 'string'
+  && isDateOrNull(annotation.createdAt)
+);
+const RESULT_CHECKS = { quizzes: isQuizResult, exercises: isPlainObject, annotations: isAnnotation };
+
+// Why a module record can't be imported, or null if it can
+const checkModuleRecord = (record) => {
+  if (!isPlainObject(record)) return 'is not an object';
+  if (record.completed !== undefined && typeof record.completed !== 'boolean') return 'has an invalid completed flag';
+  if (!isDateOrNull(record.completedAt) || !isDateOrNull(record.lastAccessed)) return 'has an invalid date';
+  if (record.lastPosition != null && !(isPlainObject(record.lastPosition) && isDateOrNull(record.lastPosition.at))) {
+    return 'has an invalid reading position';
+  }
+  if (record.timeSpent !== undefined && !(Number.isFinite(record.timeSpent) && record.timeSpent >= 0)) {
+    return 'has an invalid time spent';
+  }
+  const invalidGroup = ['sections', 'quizzes', 'exercises', 'annotations'].find(key => (
+    record[key] !== undefined && !isPlainObject(record[key])
+  ));
+  if (invalidGroup) return `has invalid ${invalidGroup}`;
+  const invalidResult = Object.keys(RESULT_CHECKS).find(key => (
+    !Object.values(record[key] || {}).every(RESULT_CHECKS[key])
+  ));
+  return invalidResult ? `has invalid ${invalidResult}` : null;
+};
+
+// Parse and check an exported file; throws an Error with a message for the learner
+// when it can't be imported
+export const parseExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!isPlainObject(data) || data.format !== EXPORT_FORMAT) {
+    throw new Error('This file is not a curriculum progress export.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('This export has no valid version number.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error('This export was made by a newer version of the app. Update the app and try again.');
+  }
+
+  const { progress, settings } = data;
+  if (!isPlainObject(progress) || !isPlainObject(progress.modules)) {
+    throw new Error('This export has no progress in it.');
+  }
+  if (progress.version !== undefined && progress.version > SCHEMA_VERSION) {
+    throw new Error('This export was made by a newer version of the app. Update the app and try again.');
+  }
+  Object.entries(progress.modules).forEach(([moduleId, record]) => {
+    const problem = checkModuleRecord(record);
+    if (problem) throw new Error(`The progress for module ${moduleId} ${problem}.`);
+  });
+  if (progress.bookmarks !== undefined
+    && !(isPlainObject(progress.bookmarks) && Object.values(progress.bookmarks).every(isPlainObject))) {
+    throw new Error('The bookmarks in this export are invalid.');
+  }
+  if (progress.collections !== undefined
+    && !(isPlainObject(progress.collections) && Object.values(progress.collections).every(isPlainObject))) {
+    throw new Error('The bookmark collections in this export are invalid.');
+  }
+  if (progress.activity !== undefined
+    && !(isPlainObject(progress.activity) && Object.values(progress.activity).every(isActivityEntry))) {
+    throw new Error('The activity history in this export is invalid.');
+  }
+  if (settings !== undefined && !isPlainObject(settings)) {
+    throw new Error('The settings in this export are invalid.');
+  }
+
+  return {
+    exportedAt: isDateOrNull(data.exportedAt) ? data.exportedAt || null : null,
+    progress: {
+      ...createEmptyProgress(),
+      ...progress,
+      modules: Object.fromEntries(Object.entries(progress.modules).map(([moduleId, record]) => (
+        [moduleId, { ...createModuleRecord(), ...record }]
+      ))),
+      bookmarks: progress.bookmarks || {},
+      collections: progress.collections || {},
+      activity: progress.activity || {}
+    },
+    settings: settings || null
+  };
+};
+
+// The progress store after importing, either merged into the current one (see
+// mergeProgress) or replacing it
+export const importedProgress = (current, incoming, replace) => (
+  replace ? incoming : mergeProgress(current, incoming)
+);
+
+// Counts shown side by side in the import preview
+export const summarizeProgress = (progress) => {
+  const records = Object.values(progress.modules);
+  const count = (key) => records.reduce((acc, record) => acc + Object.keys(record[key] || {}).length, 0);
+  return {
+    completedModules: records.filter(record => record.completed).length,
+    sectionsRead: count('sections'),
+    quizzesTaken: count('quizzes'),
+    exercisesRun: count('exercises'),
+    bookmarks: Object.keys(progress.bookmarks || {}).length,
+    activity: Object.keys(progress.activity || {}).length
+  };
+};
@@ -1,232 +1,173 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
+import { storage } from '../storage';
+import { getNamespace } from '../utils/storageNamespace';
+import { discardNamespace } from '../context/progressSync';
 
-// Auth context for localStorage-based authentication
+// Auth context; accounts and settings are kept by the storage adapter
 const AuthContext = createContext();
 
+const DEFAULT_SETTINGS = {
+  theme: 'light',
+  notifications: true,
+  autoSave: true,
+  // Grey out modules in a phase until their prerequisites are complete
+  lockModules: false
+};
+
 const initialState = {
   user: null,
   isAuthenticated: false,
-  loading: true,
-  progress: {},
-  bookmarks: [],
-  settings: {
-    theme: 'light',
-    notifications: true,
-    autoSave: true
-  }
+  loading: false,
+  sessionExpiresAt: null,
+  settings: DEFAULT_SETTINGS,
+  // Namespace the current settings were loaded for; null while they load
+  settingsNamespace: null
 };
 
 function authReducer(state, action) {
   switch (action.type) {
-    case 'SET_LOADING':
-      return { ...state, loading: action.payload };
-    
     case 'LOGIN':
       return {
-        ...state,
+        ...initialState,
         user: action.payload.user,
         isAuthenticated: true,
-        progress: action.payload.progress || {},
-        bookmarks: action.payload.bookmarks || [],
-        settings: { ...state.settings, ...action.payload.settings }
+        sessionExpiresAt: action.payload.expiresAt
       };
-    
+
     case 'LOGOUT':
-      return {
-        ...initialState,
-        loading: false
-      };
-    
-    case 'UPDATE_PROGRESS':
-      const newProgress = { ...state.progress, ...action.payload };
-      return { ...state, progress: newProgress };
-    
-    case 'ADD_BOOKMARK':
-      const newBookmarks = [...state.bookmarks];
-      if (!newBookmarks.some(b => b.id === action.payload.id)) {
-        newBookmarks.push(action.payload);
-      }
-      return { ...state, bookmarks: newBookmarks };
-    
-    case 'REMOVE_BOOKMARK':
+      return initialState;
+
+    case 'REFRESH_SESSION':
+      return { ...state, sessionExpiresAt: action.payload };
+
+    case 'LOAD_SETTINGS':
       return {
         ...state,
-        bookmarks: state.bookmarks.filter(b => b.id !== action.payload)
+        settings: action.payload.settings,
+        settingsNamespace: action.payload.namespace
       };
-    
+
     case 'UPDATE_SETTINGS':
       const newSettings = { ...state.settings, ...action.payload };
       return { ...state, settings: newSettings };
-    
+
     default:
       return state;
   }
 }
 
+// Read the signed-in account synchronously so progress opens in the right namespace
+// on the first render
+const loadSession = (state) => {
+  try {
+    const session = storage.loadSession();
+    return session
+      ? { ...state, user: session.user, isAuthenticated: true, sessionExpiresAt: session.expiresAt }
+      : state;
+  } catch (error) {
+    console.error('Error loading user data:', error);
+    return state;
+  }
+};
+
 export function AuthProvider({ children }) {
-  const [state, dispatch] = useReducer(authReducer, initialState);
+  const [state, dispatch] = useReducer(authReducer, initialState, loadSession);
+  const namespace = getNamespace(state.user);
+  const loadedSettingsRef = useRef(null);
 
-  // Load user data from localStorage on initialization
+  // The session may have expired or been revoked since it was cached
   useEffect(() => {
-    const loadUserData = () => {
-      try {
-        const userData = localStorage.getItem('curriculum_user');
-        const progressData = localStorage.getItem('curriculum_progress');
-        const bookmarksData = localStorage.getItem('curriculum_bookmarks');
-        const settingsData = localStorage.getItem('curriculum_settings');
-
-        if (userData) {
-          const user = JSON.parse(userData);
-          const progress = progressData ? JSON.parse(progressData) : {};
-          const bookmarks = bookmarksData ? JSON.parse(bookmarksData) : [];
-          const settings = settingsData ? JSON.parse(settingsData) : {};
-
-          dispatch({
-            type: 'LOGIN',
-            payload: { user, progress, bookmarks, settings }
-          });
+    const wasAuthenticated = state.isAuthenticated;
+    storage.refreshSession()
+      .then(session => {
+        if (wasAuthenticated && !session) {
+          dispatch({ type: 'LOGOUT' });
         }
-      } catch (error) {
-        console.error('Error loading user data:', error);
-      } finally {
-        dispatch({ type: 'SET_LOADING', payload: false });
-      }
-    };
-
-    loadUserData();
+      })
+      .catch(error => {
+        console.error('Error checking session:', error);
+      });
   }, []);
 
-  // Save data to localStorage whenever state changes
+  // Load settings for the signed-in account, or the guest
   useEffect(() => {
-    if (!state.loading && state.isAuthenticated) {
-      try {
-        localStorage.setItem('curriculum_user', JSON.stringify(state.user));
-        localStorage.setItem('curriculum_progress', JSON.stringify(state.progress));
-        localStorage.setItem('curriculum_bookmarks', JSON.stringify(state.bookmarks));
-        localStorage.setItem('curriculum_settings', JSON.stringify(state.settings));
-      } catch (error) {
-        console.error('Error saving user data:', error);
-      }
-    }
-  }, [state.user, state.progress, state.bookmarks, state.settings, state.loading, state.isAuthenticated]);
-
-  const login = (userData) => {
-    const user = {
-      id: userData.email, // Use email as unique ID
-      name: userData.name,
-      email: userData.email,
-      joinDate: new Date().toISOString(),
-      lastActive: new Date().toISOString()
+    let cancelled = false;
+    storage.loadSettings(namespace)
+      .then(savedSettings => {
+        if (cancelled) return;
+        const settings = { ...DEFAULT_SETTINGS, ...savedSettings };
+        loadedSettingsRef.current = settings;
+        dispatch({ type: 'LOAD_SETTINGS', payload: { namespace, settings } });
+      })
+      .catch(error => {
+        console.error('Error loading settings:', error);
+      });
+    return () => {
+      cancelled = true;
     };
+  }, [namespace]);
 
-    dispatch({
-      type: 'LOGIN',
-      payload: { user, progress: {}, bookmarks: [], settings: {} }
+  // Save settings whenever they change. Progress and bookmarks are kept by
+  // ProgressContext; both they and settings stay behind on logout for the next
+  // sign-in.
+  useEffect(() => {
+    if (state.settingsNamespace !== namespace || state.settings === loadedSettingsRef.current) return;
+    storage.saveSettings(namespace, state.settings).catch(error => {
+      console.error('Error saving user data:', error);
     });
+  }, [state.settings, state.settingsNamespace, namespace]);
 
-    return Promise.resolve(user);
-  };
-
-  const logout = () => {
-    localStorage.removeItem('curriculum_user');
-    localStorage.removeItem('curriculum_progress');
-    localStorage.removeItem('curriculum_bookmarks');
-    localStorage.removeItem('curriculum_settings');
-    dispatch({ type: 'LOGOUT' });
+  // Sign out when the session expires
+  useEffect(() => {
+    if (!state.sessionExpiresAt) return;
+    const timer = setTimeout(() => {
+      logout();
+    }, Math.max(0, new Date(state.sessionExpiresAt) - Date.now()));
+    return () => clearTimeout(timer);
+  }, [state.sessionExpiresAt]);
+
+  const signUp = async (details) => {
+    const session = await storage.signUp(details);
+    dispatch({ type: 'LOGIN', payload: session });
+    return session.user;
   };
 
-  const updateProgress = (moduleId, progressData) => {
-    const progress = {
-      [moduleId]: {
-        ...progressData,
-        lastAccessed: new Date().toISOString()
-      }
-    };
-    dispatch({ type: 'UPDATE_PROGRESS', payload: progress });
+  const signIn = async (credentials) => {
+    const session = await storage.signIn(credentials);
+    dispatch({ type: 'LOGIN', payload: session });
+    return session.user;
   };
 
-  const markModuleComplete = (moduleId) => {
-    updateProgress(moduleId, {
-      completed: true,
-      completedAt: new Date().toISOString(),
-      timeSpent: (state.progress[moduleId]?.timeSpent || 0)
+  const logout = () => {
+    storage.signOut().catch(error => {
+      console.error('Error signing out:', error);
     });
+    dispatch({ type: 'LOGOUT' });
   };
 
-  const addBookmark = (module) => {
-    const bookmark = {
-      id: module.id,
-      title: module.title,
-      phaseId: module.phaseId,
-      addedAt: new Date().toISOString()
-    };
-    dispatch({ type: 'ADD_BOOKMARK', payload: bookmark });
+  const changePassword = async (currentPassword, newPassword) => {
+    const session = await storage.changePassword(currentPassword, newPassword);
+    dispatch({ type: 'REFRESH_SESSION', payload: session.expiresAt });
   };
 
-  const removeBookmark = (moduleId) => {
-    dispatch({ type: 'REMOVE_BOOKMARK', payload: moduleId });
+  // Removes the account along with its progress, its queued changes and its settings
+  const deleteAccount = async (password) => {
+    await discardNamespace(namespace, () => storage.deleteAccount(password));
+    dispatch({ type: 'LOGOUT' });
   };
 
   const updateSettings = (newSettings) => {
     dispatch({ type: 'UPDATE_SETTINGS', payload: newSettings });
   };
 
-  const getModuleProgress = (moduleId) => {
-    return state.progress[moduleId] || {
-      completed: false,
-      timeSpent: 0,
-      lastAccessed: null
-    };
-  };
-
-  const getPhaseProgress = (phaseId, modules) => {
-    if (!modules || modules.length === 0) return { completed: 0, total: 0, percentage: 0 };
-    
-    const completed = modules.filter(module => 
-      state.progress[module.id]?.completed
-    ).length;
-    
-    return {
-      completed,
-      total: modules.length,
-      percentage: Math.round((completed / modules.length) * 100)
-    };
-  };
-
-  const getOverallProgress = (phases) => {
-    if (!phases || phases.length === 0) return { completed: 0, total: 0, percentage: 0 };
-    
-    const totalModules = phases.reduce((sum, phase) => sum + (phase.modules?.length || 0), 0);
-    const completedModules = phases.reduce((sum, phase) => {
-      return sum + (phase.modules?.filter(module => 
-        state.progress[module.id]?.completed
-      ).length || 0);
-    }, 0);
-    
-    return {
-      completed: completedModules,
-      total: totalModules,
-      percentage: totalModules > 0 ? Math.round((completedModules / totalModules) * 100) : 0
-    };
-  };
-
-  const isBookmarked = (moduleId) => {
-    return state.bookmarks.some(bookmark => bookmark.id === moduleId);
-  };
-
   const value = {
     ...state,
-    login,
+    signUp,
+    signIn,
     logout,
-    updateProgress,
-    markModuleComplete,
-    addBookmark,
-    removeBookmark,
-    updateSettings,
-    getModuleProgress,
-    getPhaseProgress,
-    getOverallProgress,
-    isBookmarked
+    changePassword,
+    deleteAccount,
+    updateSettings
   };
 
   return (
@@ -242,4 +183,4 @@ export function useAuth() {
     throw new Error('useAuth must be used within an AuthProvider');
   }
   return context;
-} 
\ No newline at end of file
+}
@@ -0,0 +1,207 @@
+// Accounts and sessions for the local-only sign-in.
+//
+// Accounts live in localStorage.curriculum_users, keyed by email:
+//   {
+//     name, email, createdAt,
+//     password: { hash, salt, iterations },   // see utils/passwordHash
+//     failedAttempts, lockedUntil,             // lockout after repeated failures
+//     sessionToken                             // token of the current session, if any
+//   }
+// The session in localStorage.curriculum_session is { token, email, expiresAt } and
+// only counts while it matches the account's sessionToken and hasn't expired.
+
+import { hashPassword, verifyPassword, randomToken } from '../utils/passwordHash';
+import { AuthError } from '../storage/AuthError';
+
+const ACCOUNTS_KEY = 'curriculum_users';
+const SESSION_KEY = 'curriculum_session';
+// Sessions from before tokens were issued; they are swapped for a token session
+const LEGACY_SESSION_KEY = 'curriculum_user';
+
+export const MAX_FAILED_ATTEMPTS = 5;
+export const LOCKOUT_MINUTES = 15;
+export const SESSION_DAYS = 7;
+
+const readJson = (key, fallback) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+// Without a prototype, so looking up an email such as `toString` or `__proto__`
+// finds no account rather than a property every object has
+const readAccounts = () => Object.assign(Object.create(null), readJson(ACCOUNTS_KEY, {}));
+
+const writeAccounts = (accounts) => {
+  localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+};
+
+// Apply `update` to an existing account; returning null deletes it
+const updateAccount = (email, update) => {
+  const accounts = readAccounts();
+  if (!accounts[email]) return null;
+
+  const account = update(accounts[email]);
+  if (account) {
+    accounts[email] = account;
+  } else {
+    delete accounts[email];
+  }
+  writeAccounts(accounts);
+  return account;
+};
+
+export const toUser = (account) => ({
+  id: account.email, // Use email as unique ID
+  name: account.name,
+  email: account.email,
+  joinDate: account.createdAt,
+  lastActive: new Date().toISOString()
+});
+
+// Accounts created before passwords were hashed keep a plain string
+const isLegacyPassword = (password) => typeof password === 'string';
+
+const lockoutMessage = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+// Hash any passwords still stored in clear text
+export const upgradeLegacyPasswords = async () => {
+  const legacy = Object.values(readAccounts()).filter(account => isLegacyPassword(account.password));
+
+  for (const account of legacy) {
+    const password = await hashPassword(account.password);
+    updateAccount(account.email, current => (
+      isLegacyPassword(current.password) ? { ...current, password } : current
+    ));
+  }
+};
+
+export const createAccount = async ({ name, email, password }) => {
+  if (!/\S+@\S+\.\S+/.test(email || '')) {
+    throw new AuthError('Please enter a valid email address', 'email');
+  }
+  if (readAccounts()[email]) {
+    throw new AuthError('An account with this email already exists', 'email');
+  }
+
+  const account = {
+    name,
+    email,
+    createdAt: new Date().toISOString(),
+    password: await hashPassword(password),
+    failedAttempts: 0,
+    lockedUntil: null,
+    sessionToken: null
+  };
+  // Re-read in case the account was created while the password was hashing
+  const accounts = readAccounts();
+  if (accounts[email]) {
+    throw new AuthError('An account with this email already exists', 'email');
+  }
+  accounts[email] = account;
+  writeAccounts(accounts);
+  return account;
+};
+
+// Check a password, counting failures towards a lockout
+export const authenticate = async (email, password) => {
+  const account = readAccounts()[email];
+  if (!account) {
+    throw new AuthError('No account found with this email address', 'email');
+  }
+  if (account.lockedUntil && new Date(account.lockedUntil) > new Date()) {
+    throw new AuthError(lockoutMessage(account.lockedUntil), 'password');
+  }
+
+  const matches = isLegacyPassword(account.password)
+    ? account.password === password
+    : await verifyPassword(password, account.password);
+
+  if (!matches) {
+    const failedAttempts = (account.failedAttempts || 0) + 1;
+    const lockedUntil = failedAttempts >= MAX_FAILED_ATTEMPTS
+      ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+      : null;
+    updateAccount(email, current => ({
+      ...current,
+      failedAttempts: lockedUntil ? 0 : failedAttempts,
+      lockedUntil
+    }));
+    throw new AuthError(lockedUntil ? lockoutMessage(lockedUntil) : 'Incorrect password', 'password');
+  }
+
+  const upgraded = isLegacyPassword(account.password) ? await hashPassword(password) : account.password;
+  return updateAccount(email, current => ({
+    ...current,
+    password: upgraded,
+    failedAttempts: 0,
+    lockedUntil: null
+  }));
+};
+
+// Returns { user, expiresAt }
+export const startSession = (account) => {
+  const session = {
+    token: randomToken(),
+    email: account.email,
+    expiresAt: new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  };
+  updateAccount(account.email, current => ({ ...current, sessionToken: session.token }));
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return { user: toUser(account), expiresAt: session.expiresAt };
+};
+
+// The current session as { user, expiresAt }, or null once it has expired or been revoked
+export const loadSession = () => {
+  const legacyUser = readJson(LEGACY_SESSION_KEY, null);
+  localStorage.removeItem(LEGACY_SESSION_KEY);
+  if (legacyUser?.email && readAccounts()[legacyUser.email]) {
+    return startSession(readAccounts()[legacyUser.email]);
+  }
+
+  const session = readJson(SESSION_KEY, null);
+  if (!session) return null;
+
+  const account = readAccounts()[session.email];
+  const isValid = account
+    && account.sessionToken === session.token
+    && new Date(session.expiresAt) > new Date();
+  if (!isValid) {
+    localStorage.removeItem(SESSION_KEY);
+    return null;
+  }
+  return { user: toUser(account), expiresAt: session.expiresAt };
+};
+
+export const endSession = () => {
+  const session = readJson(SESSION_KEY, null);
+  if (session) {
+    updateAccount(session.email, current => ({ ...current, sessionToken: null }));
+  }
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Also starts a fresh session, so the old token stops working
+export const changePassword = async (email, currentPassword, newPassword) => {
+  try {
+    await authenticate(email, currentPassword);
+  } catch (error) {
+    throw new AuthError(error.message, 'currentPassword');
+  }
+  const password = await hashPassword(newPassword);
+  const account = updateAccount(email, current => ({ ...current, password }));
+  return startSession(account);
+};
+
+export const deleteAccount = async (email, password) => {
+  await authenticate(email, password);
+  updateAccount(email, () => null);
+  localStorage.removeItem(SESSION_KEY);
+};
@@ -1,5 +1,5 @@
 // Auto-generated curriculum data from markdown files
-// Generated on 2025-06-04T03:30:14.127Z
+// Generated on 2026-10-19T15:47:04.206Z
 
 export const curriculumData = {
   "title": "Comprehensive Coding Curriculum - Property Analysis Platform",
@@ -8,8 +8,9 @@ export const curriculumData = {
     {
       "id": "phase-0",
       "title": "Phase 0: Absolute Beginnings",
-      "description": "This phase covers the essential foundations needed to start your journey into property analysis web development. You'll set up your development environment, learn HTML and CSS fundamentals, and master version control with Git and GitHub. By the end of this phase, you'll have built and deployed your first property website.",
+      "description": "This phase covers the essential foundations needed to start your journey into property analysis web development. You'll set up your development environment, learn HTML and CSS fundamentals, and master version control with Git and GitHub. By the end of this phase, you'll have built and deployed your first website.",
       "color": "from-green-400 to-green-600",
+      "directory": "Phase-0-Absolute-Beginnings",
       "modules": [
         {
           "id": "core-syntax-overview",
@@ -17,19 +18,197 @@ export const curriculumData = {
           "description": "A quick-reference guide to the most important syntax and operators in the beginner web stack: JavaScript, CSS, and Git/bash. Use this to look up what a symbol means, see an example, and understand when to use it. For deeper learning, see the main modules (links at the end of each section).",
           "learningObjectives": [],
           "prerequisites": [],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "JavaScript: Core Syntax & Operators",
-            "CSS: Selectors, Combinators & Units",
-            "Git/Bash: Operators & Syntax",
-            "Other Syntax",
-            "Cross-References"
+            {
+              "id": "javascript-core-syntax--operators",
+              "title": "JavaScript: Core Syntax & Operators",
+              "level": 2,
+              "wordCount": 2344,
+              "readingMinutes": 12
+            },
+            {
+              "id": "assignment--comparison-operators",
+              "title": "Assignment & Comparison Operators",
+              "level": 3,
+              "wordCount": 405,
+              "readingMinutes": 2
+            },
+            {
+              "id": "logical--nullish-operators",
+              "title": "Logical & Nullish Operators",
+              "level": 3,
+              "wordCount": 239,
+              "readingMinutes": 1
+            },
+            {
+              "id": "arithmetic-operators",
+              "title": "Arithmetic Operators",
+              "level": 3,
+              "wordCount": 271,
+              "readingMinutes": 1
+            },
+            {
+              "id": "bitwise-operators",
+              "title": "Bitwise Operators",
+              "level": 3,
+              "wordCount": 250,
+              "readingMinutes": 1
+            },
+            {
+              "id": "other-operators--syntax",
+              "title": "Other Operators & Syntax",
+              "level": 3,
+              "wordCount": 256,
+              "readingMinutes": 1
+            },
+            {
+              "id": "ternary-operator",
+              "title": "Ternary Operator",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "control-flow",
+              "title": "Control Flow",
+              "level": 3,
+              "wordCount": 284,
+              "readingMinutes": 1
+            },
+            {
+              "id": "function-syntax",
+              "title": "Function Syntax",
+              "level": 3,
+              "wordCount": 260,
+              "readingMinutes": 1
+            },
+            {
+              "id": "object--array-syntax",
+              "title": "Object & Array Syntax",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "error-handling",
+              "title": "Error Handling",
+              "level": 3,
+              "wordCount": 26,
+              "readingMinutes": 1
+            },
+            {
+              "id": "asyncawait",
+              "title": "Async/Await",
+              "level": 3,
+              "wordCount": 87,
+              "readingMinutes": 1
+            },
+            {
+              "id": "es6-features",
+              "title": "ES6+ Features",
+              "level": 3,
+              "wordCount": 52,
+              "readingMinutes": 1
+            },
+            {
+              "id": "other-useful-syntax",
+              "title": "Other Useful Syntax",
+              "level": 3,
+              "wordCount": 40,
+              "readingMinutes": 1
+            },
+            {
+              "id": "css-selectors-combinators--units",
+              "title": "CSS: Selectors, Combinators & Units",
+              "level": 2,
+              "wordCount": 297,
+              "readingMinutes": 1
+            },
+            {
+              "id": "selectors--combinators",
+              "title": "Selectors & Combinators",
+              "level": 3,
+              "wordCount": 206,
+              "readingMinutes": 1
+            },
+            {
+              "id": "units",
+              "title": "Units",
+              "level": 3,
+              "wordCount": 91,
+              "readingMinutes": 1
+            },
+            {
+              "id": "gitbash-operators--syntax",
+              "title": "Git/Bash: Operators & Syntax",
+              "level": 2,
+              "wordCount": 218,
+              "readingMinutes": 1
+            },
+            {
+              "id": "chaining--pipes",
+              "title": "Chaining & Pipes",
+              "level": 3,
+              "wordCount": 96,
+              "readingMinutes": 1
+            },
+            {
+              "id": "redirection--wildcards",
+              "title": "Redirection & Wildcards",
+              "level": 3,
+              "wordCount": 122,
+              "readingMinutes": 1
+            },
+            {
+              "id": "other-syntax",
+              "title": "Other Syntax",
+              "level": 2,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "markdown",
+              "title": "Markdown",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "json",
+              "title": "JSON",
+              "level": 3,
+              "wordCount": 17,
+              "readingMinutes": 1
+            },
+            {
+              "id": "terminal-basics",
+              "title": "Terminal Basics",
+              "level": 3,
+              "wordCount": 19,
+              "readingMinutes": 1
+            },
+            {
+              "id": "cross-references",
+              "title": "Cross-References",
+              "level": 2,
+              "wordCount": 51,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "async",
             "await"
           ],
           "projects": [],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 20,
+          "contentHash": "1b602442c64a",
+          "contentPath": "Phase-0-Absolute-Beginnings/Core-Syntax-Overview.md"
         },
         {
           "id": "module-0-1-development-environment-setup",
@@ -46,21 +225,198 @@ export const curriculumData = {
             "Basic computer literacy and file management skills",
             "Chrome browser installed"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Understanding Development Tools",
-            "Section 2: Visual Studio Code Setup",
-            "Section 3: Chrome Browser and Developer Tools",
-            "Section 4: Git and GitHub Setup",
-            "Section 5: Project Organisation and Best Practices",
-            "Purpose",
-            "Features",
-            "Setup Instructions",
-            "Usage Examples",
-            "Contributing",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 121,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-understanding-development-tools",
+              "title": "Section 1: Understanding Development Tools",
+              "level": 2,
+              "wordCount": 247,
+              "readingMinutes": 1
+            },
+            {
+              "id": "why-these-specific-tools",
+              "title": "Why These Specific Tools?",
+              "level": 3,
+              "wordCount": 172,
+              "readingMinutes": 1
+            },
+            {
+              "id": "the-development-workflow",
+              "title": "The Development Workflow",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-visual-studio-code-setup",
+              "title": "Section 2: Visual Studio Code Setup",
+              "level": 2,
+              "wordCount": 311,
+              "readingMinutes": 2
+            },
+            {
+              "id": "installation-strategy",
+              "title": "Installation Strategy",
+              "level": 3,
+              "wordCount": 105,
+              "readingMinutes": 1
+            },
+            {
+              "id": "essential-extensions-explained",
+              "title": "Essential Extensions Explained",
+              "level": 3,
+              "wordCount": 120,
+              "readingMinutes": 1
+            },
+            {
+              "id": "workspace-configuration",
+              "title": "Workspace Configuration",
+              "level": 3,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-chrome-browser-and-developer-tools",
+              "title": "Section 3: Chrome Browser and Developer Tools",
+              "level": 2,
+              "wordCount": 187,
+              "readingMinutes": 1
+            },
+            {
+              "id": "why-chrome-for-development",
+              "title": "Why Chrome for Development",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-devtools",
+              "title": "Understanding DevTools",
+              "level": 3,
+              "wordCount": 92,
+              "readingMinutes": 1
+            },
+            {
+              "id": "devtools-keyboard-shortcuts",
+              "title": "DevTools Keyboard Shortcuts",
+              "level": 3,
+              "wordCount": 31,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-git-and-github-setup",
+              "title": "Section 4: Git and GitHub Setup",
+              "level": 2,
+              "wordCount": 255,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-version-control",
+              "title": "Understanding Version Control",
+              "level": 3,
+              "wordCount": 62,
+              "readingMinutes": 1
+            },
+            {
+              "id": "git-vs-github-distinction",
+              "title": "Git vs GitHub Distinction",
+              "level": 3,
+              "wordCount": 44,
+              "readingMinutes": 1
+            },
+            {
+              "id": "installation-and-configuration",
+              "title": "Installation and Configuration",
+              "level": 3,
+              "wordCount": 65,
+              "readingMinutes": 1
+            },
+            {
+              "id": "first-repository-workflow",
+              "title": "First Repository Workflow",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-project-organisation-and-best-practices",
+              "title": "Section 5: Project Organisation and Best Practices",
+              "level": 2,
+              "wordCount": 243,
+              "readingMinutes": 1
+            },
+            {
+              "id": "folder-structure-for-property-projects",
+              "title": "Folder Structure for Property Projects",
+              "level": 3,
+              "wordCount": 111,
+              "readingMinutes": 1
+            },
+            {
+              "id": "file-naming-conventions",
+              "title": "File Naming Conventions",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "documentation-strategy",
+              "title": "Documentation Strategy",
+              "level": 3,
+              "wordCount": 87,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 149,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-environment-verification",
+              "title": "Exercise 1: Environment Verification",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-first-project-setup",
+              "title": "Exercise 2: First Project Setup",
+              "level": 3,
+              "wordCount": 46,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-workflow-practice",
+              "title": "Exercise 3: Workflow Practice",
+              "level": 3,
+              "wordCount": 40,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 89,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 21,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Code Editor",
@@ -118,7 +474,13 @@ export const curriculumData = {
             "- **Backup strategy**: Separate projects reduce risk of data loss",
             "for scalable application development"
           ],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 10,
+          "contentHash": "fff7d6ef6d47",
+          "contentPath": "Phase-0-Absolute-Beginnings/Module-0.1-Development-Environment-Setup.md"
         },
         {
           "id": "module-0-2-html-fundamentals",
@@ -126,7 +488,7 @@ export const curriculumData = {
           "description": "Comprehensive module covering essential development concepts.",
           "learningObjectives": [
             "Understand HTML's role in structuring web content",
-            "Create semantic, accessible HTML for property websites",
+            "Create semantic, accessible HTML for websites",
             "Build forms for property search and contact functionality",
             "Implement proper document structure and organisation",
             "Apply best practices for HTML in professional property applications"
@@ -136,17 +498,235 @@ export const curriculumData = {
             "Basic understanding of file and folder organisation",
             "VS Code installed with Live Server extension"
           ],
+          "prerequisiteIds": [
+            "module-0-1-development-environment-setup"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Understanding HTML Structure",
-            "Section 2: Content Structure for Property Websites",
-            "Section 3: Images and Media for Property Content",
-            "Section 4: Forms for Property Websites",
-            "Section 5: Accessibility in Property Websites",
-            "Section 6: SEO Foundations for Property Websites",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-understanding-html-structure",
+              "title": "Section 1: Understanding HTML Structure",
+              "level": 2,
+              "wordCount": 299,
+              "readingMinutes": 1
+            },
+            {
+              "id": "the-building-blocks-of-html",
+              "title": "The Building Blocks of HTML",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "document-structure-foundation",
+              "title": "Document Structure Foundation",
+              "level": 3,
+              "wordCount": 118,
+              "readingMinutes": 1
+            },
+            {
+              "id": "semantic-html-giving-meaning-to-content",
+              "title": "Semantic HTML: Giving Meaning to Content",
+              "level": 3,
+              "wordCount": 118,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-content-structure-for-websites",
+              "title": "Section 2: Content Structure for Websites",
+              "level": 2,
+              "wordCount": 317,
+              "readingMinutes": 2
+            },
+            {
+              "id": "headings-creating-content-hierarchy",
+              "title": "Headings: Creating Content Hierarchy",
+              "level": 3,
+              "wordCount": 93,
+              "readingMinutes": 1
+            },
+            {
+              "id": "paragraphs-and-text-content",
+              "title": "Paragraphs and Text Content",
+              "level": 3,
+              "wordCount": 52,
+              "readingMinutes": 1
+            },
+            {
+              "id": "lists-organising-property-information",
+              "title": "Lists: Organising Property Information",
+              "level": 3,
+              "wordCount": 90,
+              "readingMinutes": 1
+            },
+            {
+              "id": "links-connecting-property-information",
+              "title": "Links: Connecting Property Information",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-images-and-media-for-property-content",
+              "title": "Section 3: Images and Media for Property Content",
+              "level": 2,
+              "wordCount": 123,
+              "readingMinutes": 1
+            },
+            {
+              "id": "image-integration-best-practices",
+              "title": "Image Integration Best Practices",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "responsive-image-strategy",
+              "title": "Responsive Image Strategy",
+              "level": 3,
+              "wordCount": 46,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-forms-for-websites",
+              "title": "Section 4: Forms for Websites",
+              "level": 2,
+              "wordCount": 226,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-form-purpose",
+              "title": "Understanding Form Purpose",
+              "level": 3,
+              "wordCount": 44,
+              "readingMinutes": 1
+            },
+            {
+              "id": "form-structure-and-organisation",
+              "title": "Form Structure and Organisation",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "input-types-for-property-data",
+              "title": "Input Types for Property Data",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "form-accessibility-and-usability",
+              "title": "Form Accessibility and Usability",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-accessibility-in-websites",
+              "title": "Section 5: Accessibility in Websites",
+              "level": 2,
+              "wordCount": 129,
+              "readingMinutes": 1
+            },
+            {
+              "id": "why-accessibility-matters",
+              "title": "Why Accessibility Matters",
+              "level": 3,
+              "wordCount": 40,
+              "readingMinutes": 1
+            },
+            {
+              "id": "implementing-accessible-html",
+              "title": "Implementing Accessible HTML",
+              "level": 3,
+              "wordCount": 46,
+              "readingMinutes": 1
+            },
+            {
+              "id": "testing-accessibility",
+              "title": "Testing Accessibility",
+              "level": 3,
+              "wordCount": 43,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-seo-foundations-for-websites",
+              "title": "Section 6: SEO Foundations for Websites",
+              "level": 2,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "htmls-role-in-search-engine-optimisation",
+              "title": "HTML's Role in Search Engine Optimisation",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "property-specific-seo-considerations",
+              "title": "Property-Specific SEO Considerations",
+              "level": 3,
+              "wordCount": 35,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 242,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-card-structure",
+              "title": "Exercise 1: Property Card Structure",
+              "level": 3,
+              "wordCount": 185,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-property-search-form",
+              "title": "Exercise 2: Property Search Form",
+              "level": 3,
+              "wordCount": 28,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-property-detail-page",
+              "title": "Exercise 3: Property Detail Page",
+              "level": 3,
+              "wordCount": 29,
+              "readingMinutes": 1
+            },
+            {
+              "id": "check-your-understanding",
+              "title": "Check Your Understanding",
+              "level": 2,
+              "wordCount": 196,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 96,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 30,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "DOCTYPE",
@@ -182,7 +762,25 @@ export const curriculumData = {
             "Radio buttons"
           ],
           "projects": [],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [
+            {
+              "id": "html-fundamentals",
+              "title": "HTML Fundamentals",
+              "questionCount": 4
+            }
+          ],
+          "exercises": [
+            {
+              "id": "property-card-structure",
+              "title": "Property card structure",
+              "testCount": 4
+            }
+          ],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 15,
+          "contentHash": "fbda6a7dc3f9",
+          "contentPath": "Phase-0-Absolute-Beginnings/Module-0.2-HTML-Fundamentals.md"
         },
         {
           "id": "module-0-3-css-fundamentals",
@@ -200,17 +798,228 @@ export const curriculumData = {
             "Understanding of HTML document structure and semantic elements",
             "Basic familiarity with property website requirements"
           ],
+          "prerequisiteIds": [
+            "module-0-2-html-fundamentals"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: CSS Fundamentals and Syntax",
-            "Section 2: Visual Design Principles for Property Websites",
-            "Section 3: Layout Techniques for Property Websites",
-            "Section 4: Responsive Design for Property Websites",
-            "Section 5: Styling Property-Specific Components",
-            "Section 6: CSS Organisation and Best Practices",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 107,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-css-fundamentals-and-syntax",
+              "title": "Section 1: CSS Fundamentals and Syntax",
+              "level": 2,
+              "wordCount": 225,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-css-structure",
+              "title": "Understanding CSS Structure",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "css-selectors-for-property-content",
+              "title": "CSS Selectors for Property Content",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "the-cascade-and-specificity",
+              "title": "The Cascade and Specificity",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-visual-design-principles-for-websites",
+              "title": "Section 2: Visual Design Principles for Websites",
+              "level": 2,
+              "wordCount": 234,
+              "readingMinutes": 1
+            },
+            {
+              "id": "typography-and-readability",
+              "title": "Typography and Readability",
+              "level": 3,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "colour-psychology-in-property-marketing",
+              "title": "Colour Psychology in Property Marketing",
+              "level": 3,
+              "wordCount": 85,
+              "readingMinutes": 1
+            },
+            {
+              "id": "visual-hierarchy-and-layout",
+              "title": "Visual Hierarchy and Layout",
+              "level": 3,
+              "wordCount": 54,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-layout-techniques-for-websites",
+              "title": "Section 3: Layout Techniques for Websites",
+              "level": 2,
+              "wordCount": 207,
+              "readingMinutes": 1
+            },
+            {
+              "id": "box-model-understanding",
+              "title": "Box Model Understanding",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "flexbox-for-component-layout",
+              "title": "Flexbox for Component Layout",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "css-grid-for-page-layout",
+              "title": "CSS Grid for Page Layout",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-responsive-design-for-websites",
+              "title": "Section 4: Responsive Design for Websites",
+              "level": 2,
+              "wordCount": 167,
+              "readingMinutes": 1
+            },
+            {
+              "id": "mobile-first-design-philosophy",
+              "title": "Mobile-First Design Philosophy",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "media-queries-and-breakpoints",
+              "title": "Media Queries and Breakpoints",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "responsive-images-and-media",
+              "title": "Responsive Images and Media",
+              "level": 3,
+              "wordCount": 38,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-styling-property-specific-components",
+              "title": "Section 5: Styling Property-Specific Components",
+              "level": 2,
+              "wordCount": 218,
+              "readingMinutes": 1
+            },
+            {
+              "id": "property-card-design",
+              "title": "Property Card Design",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "form-styling-and-user-experience",
+              "title": "Form Styling and User Experience",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation-and-interactive-elements",
+              "title": "Navigation and Interactive Elements",
+              "level": 3,
+              "wordCount": 62,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-css-organisation-and-best-practices",
+              "title": "Section 6: CSS Organisation and Best Practices",
+              "level": 2,
+              "wordCount": 119,
+              "readingMinutes": 1
+            },
+            {
+              "id": "css-architecture-for-maintainability",
+              "title": "CSS Architecture for Maintainability",
+              "level": 3,
+              "wordCount": 39,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-considerations",
+              "title": "Performance Considerations",
+              "level": 3,
+              "wordCount": 41,
+              "readingMinutes": 1
+            },
+            {
+              "id": "browser-compatibility",
+              "title": "Browser Compatibility",
+              "level": 3,
+              "wordCount": 39,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 101,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-card-component",
+              "title": "Exercise 1: Property Card Component",
+              "level": 3,
+              "wordCount": 36,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-responsive-property-gallery",
+              "title": "Exercise 2: Responsive Property Gallery",
+              "level": 3,
+              "wordCount": 35,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-complete-property-website-layout",
+              "title": "Exercise 3: Complete Property Website Layout",
+              "level": 3,
+              "wordCount": 30,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 97,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Readability",
@@ -241,7 +1050,13 @@ export const curriculumData = {
           "projects": [
             "- Consistent naming conventions across the project"
           ],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 10,
+          "contentHash": "d12fab1128d6",
+          "contentPath": "Phase-0-Absolute-Beginnings/Module-0.3-CSS-Fundamentals.md"
         },
         {
           "id": "module-0-4-version-control-git-github",
@@ -251,7 +1066,7 @@ export const curriculumData = {
             "Understand version control concepts and their importance in property development projects",
             "Use Git effectively for tracking changes and managing project history",
             "Collaborate with others using GitHub workflows",
-            "Deploy property websites using GitHub Pages",
+            "Deploy websites using GitHub Pages",
             "Implement best practices for professional development workflows"
           ],
           "prerequisites": [
@@ -260,21 +1075,235 @@ export const curriculumData = {
             "GitHub account created",
             "Basic command line familiarity"
           ],
+          "prerequisiteIds": [
+            "module-0-1-development-environment-setup"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Understanding Version Control",
-            "Section 2: Basic Git Workflow",
-            "Section 3: Branching and Collaboration",
-            "Section 4: GitHub Collaboration",
-            "Section 5: Deployment with GitHub Pages",
-            "Section 6: Best Practices for Property Development",
-            "Features",
-            "Setup",
-            "Contributing",
-            "Section 7: Troubleshooting Common Issues",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 118,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-understanding-version-control",
+              "title": "Section 1: Understanding Version Control",
+              "level": 2,
+              "wordCount": 198,
+              "readingMinutes": 1
+            },
+            {
+              "id": "why-version-control-matters-for-property-projects",
+              "title": "Why Version Control Matters for Property Projects",
+              "level": 3,
+              "wordCount": 102,
+              "readingMinutes": 1
+            },
+            {
+              "id": "git-vs-github-understanding-the-difference",
+              "title": "Git vs GitHub: Understanding the Difference",
+              "level": 3,
+              "wordCount": 96,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-basic-git-workflow",
+              "title": "Section 2: Basic Git Workflow",
+              "level": 2,
+              "wordCount": 293,
+              "readingMinutes": 1
+            },
+            {
+              "id": "the-git-mental-model",
+              "title": "The Git Mental Model",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "essential-git-commands-for-property-development",
+              "title": "Essential Git Commands for Property Development",
+              "level": 3,
+              "wordCount": 106,
+              "readingMinutes": 1
+            },
+            {
+              "id": "writing-effective-commit-messages",
+              "title": "Writing Effective Commit Messages",
+              "level": 3,
+              "wordCount": 121,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-branching-and-collaboration",
+              "title": "Section 3: Branching and Collaboration",
+              "level": 2,
+              "wordCount": 251,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-branches",
+              "title": "Understanding Branches",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "basic-branching-workflow",
+              "title": "Basic Branching Workflow",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "handling-merge-conflicts",
+              "title": "Handling Merge Conflicts",
+              "level": 3,
+              "wordCount": 106,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-github-collaboration",
+              "title": "Section 4: GitHub Collaboration",
+              "level": 2,
+              "wordCount": 228,
+              "readingMinutes": 1
+            },
+            {
+              "id": "repository-management",
+              "title": "Repository Management",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "pull-requests-and-code-review",
+              "title": "Pull Requests and Code Review",
+              "level": 3,
+              "wordCount": 90,
+              "readingMinutes": 1
+            },
+            {
+              "id": "issues-and-project-management",
+              "title": "Issues and Project Management",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-deployment-with-github-pages",
+              "title": "Section 5: Deployment with GitHub Pages",
+              "level": 2,
+              "wordCount": 146,
+              "readingMinutes": 1
+            },
+            {
+              "id": "setting-up-github-pages",
+              "title": "Setting Up GitHub Pages",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "continuous-deployment-workflow",
+              "title": "Continuous Deployment Workflow",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-best-practices-for-property-development",
+              "title": "Section 6: Best Practices for Property Development",
+              "level": 2,
+              "wordCount": 205,
+              "readingMinutes": 1
+            },
+            {
+              "id": "repository-organisation",
+              "title": "Repository Organisation",
+              "level": 3,
+              "wordCount": 50,
+              "readingMinutes": 1
+            },
+            {
+              "id": "gitignore-for-websites",
+              "title": ".gitignore for Websites",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "documentation-best-practices",
+              "title": "Documentation Best Practices",
+              "level": 3,
+              "wordCount": 110,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-7-troubleshooting-common-issues",
+              "title": "Section 7: Troubleshooting Common Issues",
+              "level": 2,
+              "wordCount": 152,
+              "readingMinutes": 1
+            },
+            {
+              "id": "common-git-problems-and-solutions",
+              "title": "Common Git Problems and Solutions",
+              "level": 3,
+              "wordCount": 99,
+              "readingMinutes": 1
+            },
+            {
+              "id": "github-specific-issues",
+              "title": "GitHub-Specific Issues",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 105,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-website-version-control",
+              "title": "Exercise 1: Property Website Version Control",
+              "level": 3,
+              "wordCount": 40,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-collaborative-development",
+              "title": "Exercise 2: Collaborative Development",
+              "level": 3,
+              "wordCount": 34,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-github-pages-deployment",
+              "title": "Exercise 3: GitHub Pages Deployment",
+              "level": 3,
+              "wordCount": 31,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 99,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 29,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Accidental deletions",
@@ -298,7 +1327,13 @@ export const curriculumData = {
             "- **Version control concepts** and their importance for managing property development projects",
             "- **Basic Git workflow** for tracking changes and managing project history"
           ],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 15,
+          "contentHash": "e74f7e2b4688",
+          "contentPath": "Phase-0-Absolute-Beginnings/Module-0.4-Version-Control-Git-GitHub.md"
         }
       ]
     },
@@ -307,6 +1342,7 @@ export const curriculumData = {
       "title": "Phase 1: Foundation Technologies",
       "description": "This phase introduces you to modern JavaScript development and the React ecosystem. You'll build upon your HTML and CSS foundation to create interactive property analysis applications. By the end of this phase, you'll be developing dynamic, component-based user interfaces for property management systems.",
       "color": "from-blue-400 to-blue-600",
+      "directory": "Phase-1-Foundation-Technologies",
       "modules": [
         {
           "id": "module-1-1-core-web-development-stack",
@@ -314,14 +1350,107 @@ export const curriculumData = {
           "description": "Comprehensive module covering essential development concepts.",
           "learningObjectives": [],
           "prerequisites": [],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Overview",
-            "JavaScript/ES6+ Fundamentals",
-            "React.js Ecosystem",
-            "Modern JavaScript Tooling",
-            "Practice Exercise: Build Property Analysis Dashboard",
-            "Summary",
-            "Additional Resources"
+            {
+              "id": "overview",
+              "title": "Overview",
+              "level": 2,
+              "wordCount": 35,
+              "readingMinutes": 1
+            },
+            {
+              "id": "javascriptes6-fundamentals",
+              "title": "JavaScript/ES6+ Fundamentals",
+              "level": 2,
+              "wordCount": 1811,
+              "readingMinutes": 9
+            },
+            {
+              "id": "modern-javascript-features",
+              "title": "Modern JavaScript Features",
+              "level": 3,
+              "wordCount": 1201,
+              "readingMinutes": 6
+            },
+            {
+              "id": "asynchronous-javascript",
+              "title": "Asynchronous JavaScript",
+              "level": 3,
+              "wordCount": 610,
+              "readingMinutes": 3
+            },
+            {
+              "id": "reactjs-ecosystem",
+              "title": "React.js Ecosystem",
+              "level": 2,
+              "wordCount": 1181,
+              "readingMinutes": 6
+            },
+            {
+              "id": "react-fundamentals",
+              "title": "React Fundamentals",
+              "level": 3,
+              "wordCount": 1181,
+              "readingMinutes": 6
+            },
+            {
+              "id": "modern-javascript-tooling",
+              "title": "Modern JavaScript Tooling",
+              "level": 2,
+              "wordCount": 419,
+              "readingMinutes": 2
+            },
+            {
+              "id": "nodejs-and-npm",
+              "title": "Node.js and NPM",
+              "level": 3,
+              "wordCount": 419,
+              "readingMinutes": 2
+            },
+            {
+              "id": "practice-exercise-build-property-analysis-dashboard",
+              "title": "Practice Exercise: Build Property Analysis Dashboard",
+              "level": 2,
+              "wordCount": 902,
+              "readingMinutes": 5
+            },
+            {
+              "id": "warm-up-property-price-helpers",
+              "title": "Warm-up: Property Price Helpers",
+              "level": 3,
+              "wordCount": 139,
+              "readingMinutes": 1
+            },
+            {
+              "id": "project-interactive-property-dashboard",
+              "title": "Project: Interactive Property Dashboard",
+              "level": 3,
+              "wordCount": 632,
+              "readingMinutes": 3
+            },
+            {
+              "id": "assessment-checklist",
+              "title": "Assessment Checklist",
+              "level": 3,
+              "wordCount": 131,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "additional-resources",
+              "title": "Additional Resources",
+              "level": 2,
+              "wordCount": 43,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Shorter syntax",
@@ -340,7 +1469,19 @@ export const curriculumData = {
           "projects": [
             "- ✅ **Development Tooling**: Node.js, NPM, Vite, and project organisation"
           ],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [
+            {
+              "id": "price-helpers",
+              "title": "Property price helpers",
+              "testCount": 4
+            }
+          ],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 25,
+          "contentHash": "977444889ab7",
+          "contentPath": "Phase-1-Foundation-Technologies/Module-1.1-Core-Web-Development-Stack.md"
         },
         {
           "id": "module-1-2-styling-and-ui-framework",
@@ -359,17 +1500,223 @@ export const curriculumData = {
             "Understanding of React component architecture",
             "Familiarity with modern development tools"
           ],
+          "prerequisiteIds": [
+            "module-1-1-core-web-development-stack"
+          ],
+          "prerequisitePhaseIds": [
+            "phase-0"
+          ],
           "sections": [
-            "Introduction",
-            "Section 1: Modern Styling Methodologies",
-            "Section 2: Tailwind CSS for Property Applications",
-            "Section 3: Component Libraries for Professional UIs",
-            "Section 4: Building Property-Specific Components",
-            "Section 5: Responsive Design for Property Platforms",
-            "Section 6: Design System Implementation",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-modern-styling-methodologies",
+              "title": "Section 1: Modern Styling Methodologies",
+              "level": 2,
+              "wordCount": 306,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-utility-first-css",
+              "title": "Understanding Utility-First CSS",
+              "level": 3,
+              "wordCount": 117,
+              "readingMinutes": 1
+            },
+            {
+              "id": "design-systems-for-property-platforms",
+              "title": "Design Systems for Property Platforms",
+              "level": 3,
+              "wordCount": 99,
+              "readingMinutes": 1
+            },
+            {
+              "id": "component-libraries-and-why-they-matter",
+              "title": "Component Libraries and Why They Matter",
+              "level": 3,
+              "wordCount": 90,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-tailwind-css-for-property-applications",
+              "title": "Section 2: Tailwind CSS for Property Applications",
+              "level": 2,
+              "wordCount": 294,
+              "readingMinutes": 1
+            },
+            {
+              "id": "tailwinds-philosophy-and-benefits",
+              "title": "Tailwind's Philosophy and Benefits",
+              "level": 3,
+              "wordCount": 112,
+              "readingMinutes": 1
+            },
+            {
+              "id": "responsive-design-with-tailwind",
+              "title": "Responsive Design with Tailwind",
+              "level": 3,
+              "wordCount": 97,
+              "readingMinutes": 1
+            },
+            {
+              "id": "tailwind-configuration-for-property-applications",
+              "title": "Tailwind Configuration for Property Applications",
+              "level": 3,
+              "wordCount": 85,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-component-libraries-for-professional-uis",
+              "title": "Section 3: Component Libraries for Professional UIs",
+              "level": 2,
+              "wordCount": 278,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-modern-component-libraries",
+              "title": "Understanding Modern Component Libraries",
+              "level": 3,
+              "wordCount": 100,
+              "readingMinutes": 1
+            },
+            {
+              "id": "choosing-the-right-component-library",
+              "title": "Choosing the Right Component Library",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "shadcnui-a-modern-approach",
+              "title": "shadcn/ui: A Modern Approach",
+              "level": 3,
+              "wordCount": 94,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-building-property-specific-components",
+              "title": "Section 4: Building Property-Specific Components",
+              "level": 2,
+              "wordCount": 241,
+              "readingMinutes": 1
+            },
+            {
+              "id": "property-card-design-patterns",
+              "title": "Property Card Design Patterns",
+              "level": 3,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "form-design-for-property-applications",
+              "title": "Form Design for Property Applications",
+              "level": 3,
+              "wordCount": 127,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-responsive-design-for-property-platforms",
+              "title": "Section 5: Responsive Design for Property Platforms",
+              "level": 2,
+              "wordCount": 212,
+              "readingMinutes": 1
+            },
+            {
+              "id": "mobile-first-property-experiences",
+              "title": "Mobile-First Property Experiences",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "responsive-dashboard-design",
+              "title": "Responsive Dashboard Design",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-considerations",
+              "title": "Performance Considerations",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-design-system-implementation",
+              "title": "Section 6: Design System Implementation",
+              "level": 2,
+              "wordCount": 194,
+              "readingMinutes": 1
+            },
+            {
+              "id": "creating-consistent-property-uis",
+              "title": "Creating Consistent Property UIs",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "documentation-and-team-adoption",
+              "title": "Documentation and Team Adoption",
+              "level": 3,
+              "wordCount": 59,
+              "readingMinutes": 1
+            },
+            {
+              "id": "evolution-and-maintenance",
+              "title": "Evolution and Maintenance",
+              "level": 3,
+              "wordCount": 61,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 116,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-card-component-system",
+              "title": "Exercise 1: Property Card Component System",
+              "level": 3,
+              "wordCount": 42,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-property-search-form",
+              "title": "Exercise 2: Property Search Form",
+              "level": 3,
+              "wordCount": 36,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-dashboard-layout-system",
+              "title": "Exercise 3: Dashboard Layout System",
+              "level": 3,
+              "wordCount": 38,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 101,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -384,7 +1731,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 15,
+          "contentHash": "d34fe37f120d",
+          "contentPath": "Phase-1-Foundation-Technologies/Module-1.2-Styling-and-UI-Framework.md"
         },
         {
           "id": "module-1-3-typescript-integration",
@@ -403,18 +1756,257 @@ export const curriculumData = {
             "Strong understanding of JavaScript ES6+ features",
             "Experience with React component development"
           ],
+          "prerequisiteIds": [
+            "module-1-1-core-web-development-stack",
+            "module-1-2-styling-and-ui-framework"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: TypeScript Fundamentals for Property Development",
-            "Section 2: Property Data Type Design",
-            "Section 3: React and TypeScript Integration",
-            "Section 4: Advanced TypeScript Patterns",
-            "Section 5: Error Handling and Type Safety",
-            "Section 6: Testing and Type Safety",
-            "Section 7: Performance and Build Optimization",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 106,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-typescript-fundamentals-for-property-development",
+              "title": "Section 1: TypeScript Fundamentals for Property Development",
+              "level": 2,
+              "wordCount": 292,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-static-type-checking",
+              "title": "Understanding Static Type Checking",
+              "level": 3,
+              "wordCount": 155,
+              "readingMinutes": 1
+            },
+            {
+              "id": "typescript-configuration-for-property-applications",
+              "title": "TypeScript Configuration for Property Applications",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "basic-types-for-property-data",
+              "title": "Basic Types for Property Data",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-property-data-type-design",
+              "title": "Section 2: Property Data Type Design",
+              "level": 2,
+              "wordCount": 205,
+              "readingMinutes": 1
+            },
+            {
+              "id": "modeling-property-information",
+              "title": "Modeling Property Information",
+              "level": 3,
+              "wordCount": 91,
+              "readingMinutes": 1
+            },
+            {
+              "id": "interface-design-patterns",
+              "title": "Interface Design Patterns",
+              "level": 3,
+              "wordCount": 54,
+              "readingMinutes": 1
+            },
+            {
+              "id": "type-safety-for-financial-calculations",
+              "title": "Type Safety for Financial Calculations",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-react-and-typescript-integration",
+              "title": "Section 3: React and TypeScript Integration",
+              "level": 2,
+              "wordCount": 174,
+              "readingMinutes": 1
+            },
+            {
+              "id": "typed-component-development",
+              "title": "Typed Component Development",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "custom-hooks-with-typescript",
+              "title": "Custom Hooks with TypeScript",
+              "level": 3,
+              "wordCount": 55,
+              "readingMinutes": 1
+            },
+            {
+              "id": "form-handling-with-types",
+              "title": "Form Handling with Types",
+              "level": 3,
+              "wordCount": 52,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-advanced-typescript-patterns",
+              "title": "Section 4: Advanced TypeScript Patterns",
+              "level": 2,
+              "wordCount": 164,
+              "readingMinutes": 1
+            },
+            {
+              "id": "generic-types-for-flexibility",
+              "title": "Generic Types for Flexibility",
+              "level": 3,
+              "wordCount": 65,
+              "readingMinutes": 1
+            },
+            {
+              "id": "utility-types-for-property-applications",
+              "title": "Utility Types for Property Applications",
+              "level": 3,
+              "wordCount": 54,
+              "readingMinutes": 1
+            },
+            {
+              "id": "advanced-type-patterns",
+              "title": "Advanced Type Patterns",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-error-handling-and-type-safety",
+              "title": "Section 5: Error Handling and Type Safety",
+              "level": 2,
+              "wordCount": 159,
+              "readingMinutes": 1
+            },
+            {
+              "id": "robust-error-handling",
+              "title": "Robust Error Handling",
+              "level": 3,
+              "wordCount": 58,
+              "readingMinutes": 1
+            },
+            {
+              "id": "type-guards-and-narrowing",
+              "title": "Type Guards and Narrowing",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "defensive-programming",
+              "title": "Defensive Programming",
+              "level": 3,
+              "wordCount": 48,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-testing-and-type-safety",
+              "title": "Section 6: Testing and Type Safety",
+              "level": 2,
+              "wordCount": 144,
+              "readingMinutes": 1
+            },
+            {
+              "id": "type-safe-testing",
+              "title": "Type-Safe Testing",
+              "level": 3,
+              "wordCount": 49,
+              "readingMinutes": 1
+            },
+            {
+              "id": "property-specific-testing-patterns",
+              "title": "Property-Specific Testing Patterns",
+              "level": 3,
+              "wordCount": 47,
+              "readingMinutes": 1
+            },
+            {
+              "id": "type-coverage-and-quality",
+              "title": "Type Coverage and Quality",
+              "level": 3,
+              "wordCount": 48,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-7-performance-and-build-optimization",
+              "title": "Section 7: Performance and Build Optimization",
+              "level": 2,
+              "wordCount": 145,
+              "readingMinutes": 1
+            },
+            {
+              "id": "typescript-performance",
+              "title": "TypeScript Performance",
+              "level": 3,
+              "wordCount": 48,
+              "readingMinutes": 1
+            },
+            {
+              "id": "development-experience",
+              "title": "Development Experience",
+              "level": 3,
+              "wordCount": 50,
+              "readingMinutes": 1
+            },
+            {
+              "id": "production-considerations",
+              "title": "Production Considerations",
+              "level": 3,
+              "wordCount": 47,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 126,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-data-modeling",
+              "title": "Exercise 1: Property Data Modeling",
+              "level": 3,
+              "wordCount": 44,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-property-analysis-calculator",
+              "title": "Exercise 2: Property Analysis Calculator",
+              "level": 3,
+              "wordCount": 44,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-property-search-interface",
+              "title": "Exercise 3: Property Search Interface",
+              "level": 3,
+              "wordCount": 38,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Financial accuracy",
@@ -423,7 +2015,13 @@ export const curriculumData = {
             "Team collaboration"
           ],
           "projects": [],
-          "difficulty": "Beginner"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Beginner",
+          "estimatedMinutes": 10,
+          "contentHash": "92fff226baee",
+          "contentPath": "Phase-1-Foundation-Technologies/Module-1.3-TypeScript-Integration.md"
         }
       ]
     },
@@ -432,6 +2030,7 @@ export const curriculumData = {
       "title": "Phase 2: React Development Mastery",
       "description": "This phase focuses on advanced React patterns and techniques essential for building complex property analysis applications. You'll master state management, performance optimisation, testing strategies, and professional development workflows.",
       "color": "from-purple-400 to-purple-600",
+      "directory": "Phase-2-React-Development-Mastery",
       "modules": [
         {
           "id": "module-2-1-advanced-react-patterns",
@@ -450,14 +2049,109 @@ export const curriculumData = {
             "Experience with TypeScript and modern JavaScript",
             "Familiarity with state management concepts"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [
+            "phase-1"
+          ],
           "sections": [
-            "Introduction",
-            "Section 1: Advanced State Management with Context",
-            "Section 2: Compound Components Pattern",
-            "Section 3: Advanced Form Patterns",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 140,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-advanced-state-management-with-context",
+              "title": "Section 1: Advanced State Management with Context",
+              "level": 2,
+              "wordCount": 2065,
+              "readingMinutes": 10
+            },
+            {
+              "id": "property-management-context",
+              "title": "Property Management Context",
+              "level": 3,
+              "wordCount": 1259,
+              "readingMinutes": 6
+            },
+            {
+              "id": "user-interface-state-management",
+              "title": "User Interface State Management",
+              "level": 3,
+              "wordCount": 806,
+              "readingMinutes": 4
+            },
+            {
+              "id": "section-2-compound-components-pattern",
+              "title": "Section 2: Compound Components Pattern",
+              "level": 2,
+              "wordCount": 981,
+              "readingMinutes": 5
+            },
+            {
+              "id": "property-card-system",
+              "title": "Property Card System",
+              "level": 3,
+              "wordCount": 981,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-3-advanced-form-patterns",
+              "title": "Section 3: Advanced Form Patterns",
+              "level": 2,
+              "wordCount": 1816,
+              "readingMinutes": 9
+            },
+            {
+              "id": "multi-step-property-form",
+              "title": "Multi-Step Property Form",
+              "level": 3,
+              "wordCount": 1816,
+              "readingMinutes": 9
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 103,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-filter-context",
+              "title": "Exercise 1: Property Filter Context",
+              "level": 3,
+              "wordCount": 38,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-real-time-property-updates",
+              "title": "Exercise 2: Real-time Property Updates",
+              "level": 3,
+              "wordCount": 34,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-property-analysis-workflow",
+              "title": "Exercise 3: Property Analysis Workflow",
+              "level": 3,
+              "wordCount": 31,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Scalability",
@@ -480,7 +2174,13 @@ export const curriculumData = {
             "Error Boundaries"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 30,
+          "contentHash": "011100686f92",
+          "contentPath": "Phase-2-React-Development-Mastery/Module-2.1-Advanced-React-Patterns.md"
         },
         {
           "id": "module-2-2-data-management-and-apis",
@@ -499,14 +2199,109 @@ export const curriculumData = {
             "Basic knowledge of asynchronous JavaScript (Promises, async/await)",
             "Familiarity with TypeScript interfaces and error handling"
           ],
+          "prerequisiteIds": [
+            "module-2-1-advanced-react-patterns"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Advanced API Integration Patterns",
-            "Section 2: Real-time Data Management",
-            "Section 3: Data Processing and Transformation",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-advanced-api-integration-patterns",
+              "title": "Section 1: Advanced API Integration Patterns",
+              "level": 2,
+              "wordCount": 1697,
+              "readingMinutes": 8
+            },
+            {
+              "id": "sophisticated-api-service-architecture",
+              "title": "Sophisticated API Service Architecture",
+              "level": 3,
+              "wordCount": 892,
+              "readingMinutes": 4
+            },
+            {
+              "id": "property-api-service-implementation",
+              "title": "Property API Service Implementation",
+              "level": 3,
+              "wordCount": 805,
+              "readingMinutes": 4
+            },
+            {
+              "id": "section-2-real-time-data-management",
+              "title": "Section 2: Real-time Data Management",
+              "level": 2,
+              "wordCount": 1097,
+              "readingMinutes": 5
+            },
+            {
+              "id": "websocket-integration-for-real-time-updates",
+              "title": "WebSocket Integration for Real-time Updates",
+              "level": 3,
+              "wordCount": 1097,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-3-data-processing-and-transformation",
+              "title": "Section 3: Data Processing and Transformation",
+              "level": 2,
+              "wordCount": 1184,
+              "readingMinutes": 6
+            },
+            {
+              "id": "advanced-data-processing-pipeline",
+              "title": "Advanced Data Processing Pipeline",
+              "level": 3,
+              "wordCount": 1184,
+              "readingMinutes": 6
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 98,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-advanced-api-integration",
+              "title": "Exercise 1: Advanced API Integration",
+              "level": 3,
+              "wordCount": 34,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-real-time-property-dashboard",
+              "title": "Exercise 2: Real-time Property Dashboard",
+              "level": 3,
+              "wordCount": 32,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-data-processing-pipeline",
+              "title": "Exercise 3: Data Processing Pipeline",
+              "level": 3,
+              "wordCount": 32,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "API Integration",
@@ -516,7 +2311,13 @@ export const curriculumData = {
             "Error Resilience"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 25,
+          "contentHash": "973dd7f624ee",
+          "contentPath": "Phase-2-React-Development-Mastery/Module-2.2-Data-Management-and-APIs.md"
         },
         {
           "id": "module-2-3-advanced-ui-patterns",
@@ -535,16 +2336,208 @@ export const curriculumData = {
             "Understanding of React state management and component lifecycle",
             "Familiarity with CSS animations and transitions"
           ],
+          "prerequisiteIds": [
+            "module-2-1-advanced-react-patterns",
+            "module-2-2-data-management-and-apis"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Complex Interactive Components",
-            "Section 2: Modal and Dialogue Systems",
-            "Section 3: Drag and Drop Interfaces",
-            "Section 4: Performance Optimisation for Complex UIs",
-            "Section 5: Advanced Animation and Transitions",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-complex-interactive-components",
+              "title": "Section 1: Complex Interactive Components",
+              "level": 2,
+              "wordCount": 404,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-component-composition-patterns",
+              "title": "Understanding Component Composition Patterns",
+              "level": 3,
+              "wordCount": 142,
+              "readingMinutes": 1
+            },
+            {
+              "id": "render-props-and-function-children",
+              "title": "Render Props and Function Children",
+              "level": 3,
+              "wordCount": 149,
+              "readingMinutes": 1
+            },
+            {
+              "id": "state-management-in-complex-components",
+              "title": "State Management in Complex Components",
+              "level": 3,
+              "wordCount": 113,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-modal-and-dialogue-systems",
+              "title": "Section 2: Modal and Dialogue Systems",
+              "level": 2,
+              "wordCount": 269,
+              "readingMinutes": 1
+            },
+            {
+              "id": "building-flexible-modal-architecture",
+              "title": "Building Flexible Modal Architecture",
+              "level": 3,
+              "wordCount": 113,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-content-loading",
+              "title": "Dynamic Content Loading",
+              "level": 3,
+              "wordCount": 83,
+              "readingMinutes": 1
+            },
+            {
+              "id": "modal-composition-patterns",
+              "title": "Modal Composition Patterns",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-drag-and-drop-interfaces",
+              "title": "Section 3: Drag and Drop Interfaces",
+              "level": 2,
+              "wordCount": 273,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-drag-and-drop-use-cases",
+              "title": "Understanding Drag and Drop Use Cases",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "implementing-accessible-drag-and-drop",
+              "title": "Implementing Accessible Drag and Drop",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-considerations",
+              "title": "Performance Considerations",
+              "level": 3,
+              "wordCount": 65,
+              "readingMinutes": 1
+            },
+            {
+              "id": "drag-and-drop-state-management",
+              "title": "Drag and Drop State Management",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-performance-optimisation-for-complex-uis",
+              "title": "Section 4: Performance Optimisation for Complex UIs",
+              "level": 2,
+              "wordCount": 238,
+              "readingMinutes": 1
+            },
+            {
+              "id": "virtual-scrolling-and-windowing",
+              "title": "Virtual Scrolling and Windowing",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "optimising-re-renders",
+              "title": "Optimising Re-renders",
+              "level": 3,
+              "wordCount": 97,
+              "readingMinutes": 1
+            },
+            {
+              "id": "image-and-asset-optimisation",
+              "title": "Image and Asset Optimisation",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-advanced-animation-and-transitions",
+              "title": "Section 5: Advanced Animation and Transitions",
+              "level": 2,
+              "wordCount": 166,
+              "readingMinutes": 1
+            },
+            {
+              "id": "meaningful-motion-in-property-uis",
+              "title": "Meaningful Motion in Property UIs",
+              "level": 3,
+              "wordCount": 62,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-conscious-animations",
+              "title": "Performance-Conscious Animations",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "micro-interactions",
+              "title": "Micro-interactions",
+              "level": 3,
+              "wordCount": 51,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 110,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-advanced-property-card-system",
+              "title": "Exercise 1: Advanced Property Card System",
+              "level": 3,
+              "wordCount": 40,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-modal-management-system",
+              "title": "Exercise 2: Modal Management System",
+              "level": 3,
+              "wordCount": 33,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-property-organisation-interface",
+              "title": "Exercise 3: Property Organisation Interface",
+              "level": 3,
+              "wordCount": 37,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 33,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "UI State",
@@ -562,7 +2555,13 @@ export const curriculumData = {
             "Meaningful Animation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 10,
+          "contentHash": "c6625d2d700b",
+          "contentPath": "Phase-2-React-Development-Mastery/Module-2.3-Advanced-UI-Patterns.md"
         },
         {
           "id": "module-2-4-testing-and-quality-assurance",
@@ -581,17 +2580,237 @@ export const curriculumData = {
             "Completion of Module 2.3: Advanced UI Patterns",
             "Basic understanding of testing concepts and methodologies"
           ],
+          "prerequisiteIds": [
+            "module-2-1-advanced-react-patterns",
+            "module-2-2-data-management-and-apis",
+            "module-2-3-advanced-ui-patterns"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Testing Strategy and Philosophy",
-            "Section 2: Unit Testing Strategies",
-            "Section 3: Integration Testing",
-            "Section 4: End-to-End Testing",
-            "Section 5: Code Quality and Automation",
-            "Section 6: Testing Complex Scenarios",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-testing-strategy-and-philosophy",
+              "title": "Section 1: Testing Strategy and Philosophy",
+              "level": 2,
+              "wordCount": 387,
+              "readingMinutes": 2
+            },
+            {
+              "id": "the-testing-pyramid-for-property-applications",
+              "title": "The Testing Pyramid for Property Applications",
+              "level": 3,
+              "wordCount": 180,
+              "readingMinutes": 1
+            },
+            {
+              "id": "test-driven-development-for-property-features",
+              "title": "Test-Driven Development for Property Features",
+              "level": 3,
+              "wordCount": 131,
+              "readingMinutes": 1
+            },
+            {
+              "id": "testing-in-agile-property-development",
+              "title": "Testing in Agile Property Development",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-unit-testing-strategies",
+              "title": "Section 2: Unit Testing Strategies",
+              "level": 2,
+              "wordCount": 305,
+              "readingMinutes": 2
+            },
+            {
+              "id": "testing-custom-hooks",
+              "title": "Testing Custom Hooks",
+              "level": 3,
+              "wordCount": 107,
+              "readingMinutes": 1
+            },
+            {
+              "id": "component-testing-approaches",
+              "title": "Component Testing Approaches",
+              "level": 3,
+              "wordCount": 92,
+              "readingMinutes": 1
+            },
+            {
+              "id": "testing-business-logic",
+              "title": "Testing Business Logic",
+              "level": 3,
+              "wordCount": 106,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-integration-testing",
+              "title": "Section 3: Integration Testing",
+              "level": 2,
+              "wordCount": 260,
+              "readingMinutes": 1
+            },
+            {
+              "id": "component-integration-testing",
+              "title": "Component Integration Testing",
+              "level": 3,
+              "wordCount": 98,
+              "readingMinutes": 1
+            },
+            {
+              "id": "api-integration-testing",
+              "title": "API Integration Testing",
+              "level": 3,
+              "wordCount": 101,
+              "readingMinutes": 1
+            },
+            {
+              "id": "state-management-integration",
+              "title": "State Management Integration",
+              "level": 3,
+              "wordCount": 61,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-end-to-end-testing",
+              "title": "Section 4: End-to-End Testing",
+              "level": 2,
+              "wordCount": 222,
+              "readingMinutes": 1
+            },
+            {
+              "id": "critical-user-workflows",
+              "title": "Critical User Workflows",
+              "level": 3,
+              "wordCount": 85,
+              "readingMinutes": 1
+            },
+            {
+              "id": "browser-and-device-testing",
+              "title": "Browser and Device Testing",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-management-in-e2e-tests",
+              "title": "Data Management in E2E Tests",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-code-quality-and-automation",
+              "title": "Section 5: Code Quality and Automation",
+              "level": 2,
+              "wordCount": 295,
+              "readingMinutes": 1
+            },
+            {
+              "id": "static-analysis-and-linting",
+              "title": "Static Analysis and Linting",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "pre-commit-hooks-and-cicd",
+              "title": "Pre-commit Hooks and CI/CD",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "code-review-and-quality-standards",
+              "title": "Code Review and Quality Standards",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-monitoring-and-testing",
+              "title": "Performance Monitoring and Testing",
+              "level": 3,
+              "wordCount": 55,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-testing-complex-scenarios",
+              "title": "Section 6: Testing Complex Scenarios",
+              "level": 2,
+              "wordCount": 163,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-user-collaboration-testing",
+              "title": "Multi-User Collaboration Testing",
+              "level": 3,
+              "wordCount": 61,
+              "readingMinutes": 1
+            },
+            {
+              "id": "large-dataset-testing",
+              "title": "Large Dataset Testing",
+              "level": 3,
+              "wordCount": 49,
+              "readingMinutes": 1
+            },
+            {
+              "id": "error-recovery-testing",
+              "title": "Error Recovery Testing",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 115,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-comprehensive-unit-testing-suite",
+              "title": "Exercise 1: Comprehensive Unit Testing Suite",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-integration-testing-strategy",
+              "title": "Exercise 2: Integration Testing Strategy",
+              "level": 3,
+              "wordCount": 35,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-end-to-end-testing-framework",
+              "title": "Exercise 3: End-to-End Testing Framework",
+              "level": 3,
+              "wordCount": 35,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 120,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Financial Accuracy",
@@ -611,15 +2830,22 @@ export const curriculumData = {
             "Complex Scenarios"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "05dce503c322",
+          "contentPath": "Phase-2-React-Development-Mastery/Module-2.4-Testing-and-Quality-Assurance.md"
         }
       ]
     },
     {
       "id": "phase-3",
-      "title": "Phase 3: Geographic Information Systems",
+      "title": "Phase 3: Geographic Information Systems (GIS)",
       "description": "This phase covers mapping technologies, spatial data processing, and GIS integration for property analysis platforms.",
       "color": "from-teal-400 to-teal-600",
+      "directory": "Phase-3-Geographic-Information-Systems",
       "modules": [
         {
           "id": "module-3-1-mapping-technologies",
@@ -638,17 +2864,242 @@ export const curriculumData = {
             "Basic knowledge of geographic concepts and coordinate systems",
             "Familiarity with asynchronous programming and API integration"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [
+            "phase-2"
+          ],
           "sections": [
-            "Introduction",
-            "Section 1: Understanding Web Mapping Architecture",
-            "Section 2: Mapbox GL JS for Property Applications",
-            "Section 3: Leaflet for Flexible Mapping Solutions",
-            "Section 4: Coordinate Systems and Projections",
-            "Section 5: Performance Optimization for Property Mapping",
-            "Section 6: Mobile Mapping Considerations",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 112,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-understanding-web-mapping-architecture",
+              "title": "Section 1: Understanding Web Mapping Architecture",
+              "level": 2,
+              "wordCount": 276,
+              "readingMinutes": 1
+            },
+            {
+              "id": "evolution-of-web-mapping",
+              "title": "Evolution of Web Mapping",
+              "level": 3,
+              "wordCount": 120,
+              "readingMinutes": 1
+            },
+            {
+              "id": "mapping-technology-landscape",
+              "title": "Mapping Technology Landscape",
+              "level": 3,
+              "wordCount": 90,
+              "readingMinutes": 1
+            },
+            {
+              "id": "choosing-the-right-mapping-technology",
+              "title": "Choosing the Right Mapping Technology",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-mapbox-gl-js-for-property-applications",
+              "title": "Section 2: Mapbox GL JS for Property Applications",
+              "level": 2,
+              "wordCount": 326,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-vector-tiles",
+              "title": "Understanding Vector Tiles",
+              "level": 3,
+              "wordCount": 94,
+              "readingMinutes": 1
+            },
+            {
+              "id": "map-initialization-and-configuration",
+              "title": "Map Initialization and Configuration",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "layer-management-for-property-data",
+              "title": "Layer Management for Property Data",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "user-interaction-patterns",
+              "title": "User Interaction Patterns",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-leaflet-for-flexible-mapping-solutions",
+              "title": "Section 3: Leaflet for Flexible Mapping Solutions",
+              "level": 2,
+              "wordCount": 334,
+              "readingMinutes": 2
+            },
+            {
+              "id": "leaflets-design-philosophy",
+              "title": "Leaflet's Design Philosophy",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "integration-with-react-applications",
+              "title": "Integration with React Applications",
+              "level": 3,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "leaflet-plugin-ecosystem-for-property-applications",
+              "title": "Leaflet Plugin Ecosystem for Property Applications",
+              "level": 3,
+              "wordCount": 83,
+              "readingMinutes": 1
+            },
+            {
+              "id": "custom-control-development",
+              "title": "Custom Control Development",
+              "level": 3,
+              "wordCount": 87,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-coordinate-systems-and-projections",
+              "title": "Section 4: Coordinate Systems and Projections",
+              "level": 2,
+              "wordCount": 249,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-spatial-reference-systems",
+              "title": "Understanding Spatial Reference Systems",
+              "level": 3,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "coordinate-transformation-in-property-applications",
+              "title": "Coordinate Transformation in Property Applications",
+              "level": 3,
+              "wordCount": 92,
+              "readingMinutes": 1
+            },
+            {
+              "id": "proj4js-for-coordinate-transformations",
+              "title": "Proj4js for Coordinate Transformations",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-performance-optimization-for-property-mapping",
+              "title": "Section 5: Performance Optimization for Property Mapping",
+              "level": 2,
+              "wordCount": 245,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-loading-strategies",
+              "title": "Data Loading Strategies",
+              "level": 3,
+              "wordCount": 85,
+              "readingMinutes": 1
+            },
+            {
+              "id": "rendering-performance",
+              "title": "Rendering Performance",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "memory-management",
+              "title": "Memory Management",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-mobile-mapping-considerations",
+              "title": "Section 6: Mobile Mapping Considerations",
+              "level": 2,
+              "wordCount": 237,
+              "readingMinutes": 1
+            },
+            {
+              "id": "touch-interface-design",
+              "title": "Touch Interface Design",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-on-mobile-devices",
+              "title": "Performance on Mobile Devices",
+              "level": 3,
+              "wordCount": 81,
+              "readingMinutes": 1
+            },
+            {
+              "id": "offline-mapping-capabilities",
+              "title": "Offline Mapping Capabilities",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 141,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-interactive-property-map",
+              "title": "Exercise 1: Interactive Property Map",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-multi-source-data-integration",
+              "title": "Exercise 2: Multi-Source Data Integration",
+              "level": 3,
+              "wordCount": 46,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-mobile-optimized-property-search",
+              "title": "Exercise 3: Mobile-Optimized Property Search",
+              "level": 3,
+              "wordCount": 42,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 111,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -667,7 +3118,13 @@ export const curriculumData = {
             "Mathematical transformations that convert spherical Earth coordinates to flat map representations with known distortion characteristics.",
             "- **Coordinate systems and projections** for accurate spatial data representation and transformation"
           ],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "0ccd86558202",
+          "contentPath": "Phase-3-Geographic-Information-Systems/Module-3.1-Mapping-Technologies.md"
         },
         {
           "id": "module-3-2-spatial-data-processing",
@@ -686,17 +3143,242 @@ export const curriculumData = {
             "Experience with JavaScript data processing and API integration",
             "Familiarity with property industry data requirements and workflows"
           ],
+          "prerequisiteIds": [
+            "module-3-1-mapping-technologies"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Fundamentals of Spatial Data Processing",
-            "Section 2: Turf.js for Property Analysis",
-            "Section 3: GeoJSON and Vector Data Management",
-            "Section 4: ArcGIS Services Integration",
-            "Section 5: Spatial Queries and Analysis",
-            "Section 6: Real-time Spatial Data Processing",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 102,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-fundamentals-of-spatial-data-processing",
+              "title": "Section 1: Fundamentals of Spatial Data Processing",
+              "level": 2,
+              "wordCount": 261,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-spatial-data-types",
+              "title": "Understanding Spatial Data Types",
+              "level": 3,
+              "wordCount": 116,
+              "readingMinutes": 1
+            },
+            {
+              "id": "spatial-relationships-and-operations",
+              "title": "Spatial Relationships and Operations",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-quality-and-processing-considerations",
+              "title": "Data Quality and Processing Considerations",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-turfjs-for-property-analysis",
+              "title": "Section 2: Turf.js for Property Analysis",
+              "level": 2,
+              "wordCount": 227,
+              "readingMinutes": 1
+            },
+            {
+              "id": "geometric-operations-for-property-analysis",
+              "title": "Geometric Operations for Property Analysis",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "advanced-spatial-analysis-patterns",
+              "title": "Advanced Spatial Analysis Patterns",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-optimization-for-large-datasets",
+              "title": "Performance Optimization for Large Datasets",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-geojson-and-vector-data-management",
+              "title": "Section 3: GeoJSON and Vector Data Management",
+              "level": 2,
+              "wordCount": 226,
+              "readingMinutes": 1
+            },
+            {
+              "id": "geojson-structure-and-optimization",
+              "title": "GeoJSON Structure and Optimization",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-transformation-and-normalization",
+              "title": "Data Transformation and Normalization",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "vector-data-processing-pipelines",
+              "title": "Vector Data Processing Pipelines",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-arcgis-services-integration",
+              "title": "Section 4: ArcGIS Services Integration",
+              "level": 2,
+              "wordCount": 289,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-arcgis-rest-services",
+              "title": "Understanding ArcGIS REST Services",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "authentication-and-service-management",
+              "title": "Authentication and Service Management",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "government-data-integration-patterns",
+              "title": "Government Data Integration Patterns",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "custom-service-development",
+              "title": "Custom Service Development",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-spatial-queries-and-analysis",
+              "title": "Section 5: Spatial Queries and Analysis",
+              "level": 2,
+              "wordCount": 274,
+              "readingMinutes": 1
+            },
+            {
+              "id": "query-design-for-property-applications",
+              "title": "Query Design for Property Applications",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "buffer-and-proximity-analysis",
+              "title": "Buffer and Proximity Analysis",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "overlay-operations-for-site-analysis",
+              "title": "Overlay Operations for Site Analysis",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-optimization-for-complex-queries",
+              "title": "Performance Optimization for Complex Queries",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-real-time-spatial-data-processing",
+              "title": "Section 6: Real-time Spatial Data Processing",
+              "level": 2,
+              "wordCount": 218,
+              "readingMinutes": 1
+            },
+            {
+              "id": "streaming-data-integration",
+              "title": "Streaming Data Integration",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "change-detection-and-updates",
+              "title": "Change Detection and Updates",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "real-time-analysis-capabilities",
+              "title": "Real-time Analysis Capabilities",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 138,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-analysis-toolkit",
+              "title": "Exercise 1: Property Analysis Toolkit",
+              "level": 3,
+              "wordCount": 48,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-government-data-integration",
+              "title": "Exercise 2: Government Data Integration",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-real-time-spatial-processing",
+              "title": "Exercise 3: Real-time Spatial Processing",
+              "level": 3,
+              "wordCount": 45,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 116,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 30,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -711,7 +3393,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "904789945932",
+          "contentPath": "Phase-3-Geographic-Information-Systems/Module-3.2-Spatial-Data-Processing.md"
         },
         {
           "id": "module-3-3-web-mapping-services",
@@ -730,17 +3418,249 @@ export const curriculumData = {
             "Experience with server-side JavaScript and proxy development",
             "Familiarity with government data standards and property industry requirements"
           ],
+          "prerequisiteIds": [
+            "module-3-2-spatial-data-processing"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Web Mapping Service Standards",
-            "Section 2: Government Data Integration Architecture",
-            "Section 3: Proxy Services and CORS Solutions",
-            "Section 4: WMS Layer Integration",
-            "Section 5: WFS Data Processing",
-            "Section 6: Advanced Integration Patterns",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 105,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-web-mapping-service-standards",
+              "title": "Section 1: Web Mapping Service Standards",
+              "level": 2,
+              "wordCount": 283,
+              "readingMinutes": 1
+            },
+            {
+              "id": "understanding-ogc-standards",
+              "title": "Understanding OGC Standards",
+              "level": 3,
+              "wordCount": 144,
+              "readingMinutes": 1
+            },
+            {
+              "id": "service-capabilities-and-metadata",
+              "title": "Service Capabilities and Metadata",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "version-compatibility-and-evolution",
+              "title": "Version Compatibility and Evolution",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-government-data-integration-architecture",
+              "title": "Section 2: Government Data Integration Architecture",
+              "level": 2,
+              "wordCount": 225,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-source-assessment-and-planning",
+              "title": "Data Source Assessment and Planning",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-source-integration-patterns",
+              "title": "Multi-Source Integration Patterns",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "authentication-and-access-management",
+              "title": "Authentication and Access Management",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-proxy-services-and-cors-solutions",
+              "title": "Section 3: Proxy Services and CORS Solutions",
+              "level": 2,
+              "wordCount": 278,
+              "readingMinutes": 1
+            },
+            {
+              "id": "cross-origin-request-challenges",
+              "title": "Cross-Origin Request Challenges",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "proxy-server-architecture",
+              "title": "Proxy Server Architecture",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "cloudflare-workers-for-global-proxy-services",
+              "title": "Cloudflare Workers for Global Proxy Services",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "security-and-compliance-considerations",
+              "title": "Security and Compliance Considerations",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-wms-layer-integration",
+              "title": "Section 4: WMS Layer Integration",
+              "level": 2,
+              "wordCount": 286,
+              "readingMinutes": 1
+            },
+            {
+              "id": "layer-discovery-and-configuration",
+              "title": "Layer Discovery and Configuration",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-layer-management",
+              "title": "Dynamic Layer Management",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "custom-styling-and-branding",
+              "title": "Custom Styling and Branding",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "caching-and-performance-optimization",
+              "title": "Caching and Performance Optimization",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-wfs-data-processing",
+              "title": "Section 5: WFS Data Processing",
+              "level": 2,
+              "wordCount": 230,
+              "readingMinutes": 1
+            },
+            {
+              "id": "vector-data-retrieval",
+              "title": "Vector Data Retrieval",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "real-time-data-processing",
+              "title": "Real-time Data Processing",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-transformation-and-standardization",
+              "title": "Data Transformation and Standardization",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-advanced-integration-patterns",
+              "title": "Section 6: Advanced Integration Patterns",
+              "level": 2,
+              "wordCount": 293,
+              "readingMinutes": 1
+            },
+            {
+              "id": "service-orchestration",
+              "title": "Service Orchestration",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "microservice-architecture",
+              "title": "Microservice Architecture",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "monitoring-and-observability",
+              "title": "Monitoring and Observability",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "disaster-recovery-and-resilience",
+              "title": "Disaster Recovery and Resilience",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 158,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-government-wms-integration",
+              "title": "Exercise 1: Government WMS Integration",
+              "level": 3,
+              "wordCount": 52,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-multi-source-data-pipeline",
+              "title": "Exercise 2: Multi-Source Data Pipeline",
+              "level": 3,
+              "wordCount": 56,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-enterprise-integration-architecture",
+              "title": "Exercise 3: Enterprise Integration Architecture",
+              "level": 3,
+              "wordCount": 50,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 142,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -755,7 +3675,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "28abb5f78502",
+          "contentPath": "Phase-3-Geographic-Information-Systems/Module-3.3-Web-Mapping-Services.md"
         },
         {
           "id": "module-3-4-advanced-gis-features",
@@ -774,17 +3700,256 @@ export const curriculumData = {
             "Experience with canvas and image processing in web applications",
             "Familiarity with property industry analysis requirements and workflows"
           ],
+          "prerequisiteIds": [
+            "module-3-3-web-mapping-services"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Automated Screenshot and Image Generation",
-            "Section 2: Advanced Spatial Querying",
-            "Section 3: Comprehensive Spatial Analysis Workflows",
-            "Section 4: Performance Optimization for Complex Operations",
-            "Section 5: Integration with Business Intelligence",
-            "Section 6: Regulatory and Compliance Applications",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 104,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-automated-screenshot-and-image-generation",
+              "title": "Section 1: Automated Screenshot and Image Generation",
+              "level": 2,
+              "wordCount": 355,
+              "readingMinutes": 2
+            },
+            {
+              "id": "map-screenshot-technology",
+              "title": "Map Screenshot Technology",
+              "level": 3,
+              "wordCount": 119,
+              "readingMinutes": 1
+            },
+            {
+              "id": "html-to-canvas-conversion",
+              "title": "HTML to Canvas Conversion",
+              "level": 3,
+              "wordCount": 83,
+              "readingMinutes": 1
+            },
+            {
+              "id": "batch-processing-and-automation",
+              "title": "Batch Processing and Automation",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "integration-with-reporting-workflows",
+              "title": "Integration with Reporting Workflows",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-advanced-spatial-querying",
+              "title": "Section 2: Advanced Spatial Querying",
+              "level": 2,
+              "wordCount": 315,
+              "readingMinutes": 2
+            },
+            {
+              "id": "complex-query-construction",
+              "title": "Complex Query Construction",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-optimization-for-large-datasets",
+              "title": "Performance Optimization for Large Datasets",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "real-time-query-processing",
+              "title": "Real-time Query Processing",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-query-builder-interfaces",
+              "title": "Dynamic Query Builder Interfaces",
+              "level": 3,
+              "wordCount": 81,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-comprehensive-spatial-analysis-workflows",
+              "title": "Section 3: Comprehensive Spatial Analysis Workflows",
+              "level": 2,
+              "wordCount": 293,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-factor-suitability-analysis",
+              "title": "Multi-factor Suitability Analysis",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "market-area-analysis",
+              "title": "Market Area Analysis",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "development-feasibility-analysis",
+              "title": "Development Feasibility Analysis",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "environmental-and-risk-assessment",
+              "title": "Environmental and Risk Assessment",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-performance-optimization-for-complex-operations",
+              "title": "Section 4: Performance Optimization for Complex Operations",
+              "level": 2,
+              "wordCount": 306,
+              "readingMinutes": 2
+            },
+            {
+              "id": "computational-efficiency",
+              "title": "Computational Efficiency",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "scalability-architecture",
+              "title": "Scalability Architecture",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "user-experience-optimization",
+              "title": "User Experience Optimization",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "caching-and-precomputation",
+              "title": "Caching and Precomputation",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-integration-with-business-intelligence",
+              "title": "Section 5: Integration with Business Intelligence",
+              "level": 2,
+              "wordCount": 219,
+              "readingMinutes": 1
+            },
+            {
+              "id": "analytics-integration",
+              "title": "Analytics Integration",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dashboard-integration",
+              "title": "Dashboard Integration",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "decision-support-systems",
+              "title": "Decision Support Systems",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-regulatory-and-compliance-applications",
+              "title": "Section 6: Regulatory and Compliance Applications",
+              "level": 2,
+              "wordCount": 202,
+              "readingMinutes": 1
+            },
+            {
+              "id": "automated-compliance-checking",
+              "title": "Automated Compliance Checking",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "documentation-generation",
+              "title": "Documentation Generation",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "regulatory-change-management",
+              "title": "Regulatory Change Management",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 156,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-automated-reporting-system",
+              "title": "Exercise 1: Automated Reporting System",
+              "level": 3,
+              "wordCount": 54,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-advanced-spatial-analysis-platform",
+              "title": "Exercise 2: Advanced Spatial Analysis Platform",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-enterprise-decision-support-system",
+              "title": "Exercise 3: Enterprise Decision Support System",
+              "level": 3,
+              "wordCount": 49,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 115,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -799,7 +3964,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "29b9e4a1f3fb",
+          "contentPath": "Phase-3-Geographic-Information-Systems/Module-3.4-Advanced-GIS-Features.md"
         }
       ]
     },
@@ -808,6 +3979,7 @@ export const curriculumData = {
       "title": "Phase 4: 3D Visualisation and Graphics",
       "description": "This phase covers Three.js fundamentals, realistic 3D environments, and integration with GIS data for immersive property visualisation.",
       "color": "from-orange-400 to-orange-600",
+      "directory": "Phase-4-3D-Visualisation-and-Graphics",
       "modules": [
         {
           "id": "module-4-1-three-js-fundamentals",
@@ -826,17 +3998,263 @@ export const curriculumData = {
             "Basic knowledge of linear algebra and 3D coordinate systems",
             "Familiarity with property industry visualization requirements"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [
+            "phase-3"
+          ],
           "sections": [
-            "Introduction",
-            "Section 1: Understanding 3D Graphics for Property Applications",
-            "Section 2: Scene Setup and Basic Rendering",
-            "Section 3: 3D Geometry and Mesh Creation",
-            "Section 4: Materials and Textures for Realistic Visualization",
-            "Section 5: Lighting Systems for Property Visualization",
-            "Section 6: Camera Controls and User Interaction",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 118,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-understanding-3d-graphics-for-property-applications",
+              "title": "Section 1: Understanding 3D Graphics for Property Applications",
+              "level": 2,
+              "wordCount": 314,
+              "readingMinutes": 2
+            },
+            {
+              "id": "3d-graphics-concepts",
+              "title": "3D Graphics Concepts",
+              "level": 3,
+              "wordCount": 154,
+              "readingMinutes": 1
+            },
+            {
+              "id": "property-visualization-requirements",
+              "title": "Property Visualization Requirements",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "threejs-architecture",
+              "title": "Three.js Architecture",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-scene-setup-and-basic-rendering",
+              "title": "Section 2: Scene Setup and Basic Rendering",
+              "level": 2,
+              "wordCount": 319,
+              "readingMinutes": 2
+            },
+            {
+              "id": "creating-3d-scenes-for-property-visualization",
+              "title": "Creating 3D Scenes for Property Visualization",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "camera-configuration",
+              "title": "Camera Configuration",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "renderer-setup-and-optimization",
+              "title": "Renderer Setup and Optimization",
+              "level": 3,
+              "wordCount": 81,
+              "readingMinutes": 1
+            },
+            {
+              "id": "basic-geometry-creation",
+              "title": "Basic Geometry Creation",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-3d-geometry-and-mesh-creation",
+              "title": "Section 3: 3D Geometry and Mesh Creation",
+              "level": 2,
+              "wordCount": 338,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-threejs-geometry",
+              "title": "Understanding Three.js Geometry",
+              "level": 3,
+              "wordCount": 87,
+              "readingMinutes": 1
+            },
+            {
+              "id": "building-footprint-extrusion",
+              "title": "Building Footprint Extrusion",
+              "level": 3,
+              "wordCount": 85,
+              "readingMinutes": 1
+            },
+            {
+              "id": "procedural-geometry-generation",
+              "title": "Procedural Geometry Generation",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "advanced-geometry-techniques",
+              "title": "Advanced Geometry Techniques",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-materials-and-textures-for-realistic-visualization",
+              "title": "Section 4: Materials and Textures for Realistic Visualization",
+              "level": 2,
+              "wordCount": 324,
+              "readingMinutes": 2
+            },
+            {
+              "id": "material-systems-in-threejs",
+              "title": "Material Systems in Three.js",
+              "level": 3,
+              "wordCount": 87,
+              "readingMinutes": 1
+            },
+            {
+              "id": "texture-mapping-for-building-surfaces",
+              "title": "Texture Mapping for Building Surfaces",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "architectural-material-libraries",
+              "title": "Architectural Material Libraries",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-material-systems",
+              "title": "Dynamic Material Systems",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-lighting-systems-for-property-visualization",
+              "title": "Section 5: Lighting Systems for Property Visualization",
+              "level": 2,
+              "wordCount": 313,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-lighting-in-3d-property-scenes",
+              "title": "Understanding Lighting in 3D Property Scenes",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "sun-and-sky-lighting",
+              "title": "Sun and Sky Lighting",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "architectural-lighting-design",
+              "title": "Architectural Lighting Design",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "shadow-and-ambient-occlusion",
+              "title": "Shadow and Ambient Occlusion",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-camera-controls-and-user-interaction",
+              "title": "Section 6: Camera Controls and User Interaction",
+              "level": 2,
+              "wordCount": 331,
+              "readingMinutes": 2
+            },
+            {
+              "id": "camera-control-systems",
+              "title": "Camera Control Systems",
+              "level": 3,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "responsive-camera-behavior",
+              "title": "Responsive Camera Behavior",
+              "level": 3,
+              "wordCount": 81,
+              "readingMinutes": 1
+            },
+            {
+              "id": "interactive-selection-and-highlighting",
+              "title": "Interactive Selection and Highlighting",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-optimization-for-interaction",
+              "title": "Performance Optimization for Interaction",
+              "level": 3,
+              "wordCount": 86,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 168,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-visualization-scene",
+              "title": "Exercise 1: Property Visualization Scene",
+              "level": 3,
+              "wordCount": 59,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-interactive-building-explorer",
+              "title": "Exercise 2: Interactive Building Explorer",
+              "level": 3,
+              "wordCount": 49,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-urban-development-visualization",
+              "title": "Exercise 3: Urban Development Visualization",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 121,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -851,7 +4269,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "740e10e3c20d",
+          "contentPath": "Phase-4-3D-Visualisation-and-Graphics/Module-4.1-Three.js-Fundamentals.md"
         },
         {
           "id": "module-4-2-react-three-fiber",
@@ -870,17 +4294,270 @@ export const curriculumData = {
             "Experience with modern JavaScript and ES6+ features",
             "Familiarity with React state management and performance optimization"
           ],
+          "prerequisiteIds": [
+            "module-4-1-three-js-fundamentals"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: React Three Fiber Fundamentals",
-            "Section 2: Building Property Visualization Components",
-            "Section 3: Hooks and State Management",
-            "Section 4: Animation and Performance",
-            "Section 5: Integration with Property Application Architecture",
-            "Section 6: Advanced Patterns and Best Practices",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 111,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-react-three-fiber-fundamentals",
+              "title": "Section 1: React Three Fiber Fundamentals",
+              "level": 2,
+              "wordCount": 377,
+              "readingMinutes": 2
+            },
+            {
+              "id": "declarative-3d-programming",
+              "title": "Declarative 3D Programming",
+              "level": 3,
+              "wordCount": 138,
+              "readingMinutes": 1
+            },
+            {
+              "id": "canvas-and-scene-setup",
+              "title": "Canvas and Scene Setup",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "component-architecture-for-3d-property-elements",
+              "title": "Component Architecture for 3D Property Elements",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "state-management-integration",
+              "title": "State Management Integration",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-building-property-visualization-components",
+              "title": "Section 2: Building Property Visualization Components",
+              "level": 2,
+              "wordCount": 303,
+              "readingMinutes": 2
+            },
+            {
+              "id": "property-building-components",
+              "title": "Property Building Components",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "site-and-landscape-components",
+              "title": "Site and Landscape Components",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-property-data-integration",
+              "title": "Dynamic Property Data Integration",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "component-performance-optimization",
+              "title": "Component Performance Optimization",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-hooks-and-state-management",
+              "title": "Section 3: Hooks and State Management",
+              "level": 2,
+              "wordCount": 297,
+              "readingMinutes": 1
+            },
+            {
+              "id": "useframe-for-animation-and-updates",
+              "title": "useFrame for Animation and Updates",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "usethree-for-scene-access",
+              "title": "useThree for Scene Access",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "custom-hooks-for-property-visualization",
+              "title": "Custom Hooks for Property Visualization",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "state-synchronization-patterns",
+              "title": "State Synchronization Patterns",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-animation-and-performance",
+              "title": "Section 4: Animation and Performance",
+              "level": 2,
+              "wordCount": 304,
+              "readingMinutes": 2
+            },
+            {
+              "id": "animation-systems-in-react-three-fiber",
+              "title": "Animation Systems in React Three Fiber",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-optimization-strategies",
+              "title": "Performance Optimization Strategies",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "suspense-and-lazy-loading",
+              "title": "Suspense and Lazy Loading",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "device-adaptation",
+              "title": "Device Adaptation",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-integration-with-property-application-architecture",
+              "title": "Section 5: Integration with Property Application Architecture",
+              "level": 2,
+              "wordCount": 302,
+              "readingMinutes": 2
+            },
+            {
+              "id": "component-library-development",
+              "title": "Component Library Development",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-layer-integration",
+              "title": "Data Layer Integration",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "ui-framework-integration",
+              "title": "UI Framework Integration",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "testing-strategies",
+              "title": "Testing Strategies",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-advanced-patterns-and-best-practices",
+              "title": "Section 6: Advanced Patterns and Best Practices",
+              "level": 2,
+              "wordCount": 294,
+              "readingMinutes": 1
+            },
+            {
+              "id": "render-optimization-patterns",
+              "title": "Render Optimization Patterns",
+              "level": 3,
+              "wordCount": 76,
+              "readingMinutes": 1
+            },
+            {
+              "id": "architectural-patterns",
+              "title": "Architectural Patterns",
+              "level": 3,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "error-handling-and-resilience",
+              "title": "Error Handling and Resilience",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "development-workflow",
+              "title": "Development Workflow",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 165,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-react-property-visualization-components",
+              "title": "Exercise 1: React Property Visualization Components",
+              "level": 3,
+              "wordCount": 59,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-integrated-property-application",
+              "title": "Exercise 2: Integrated Property Application",
+              "level": 3,
+              "wordCount": 56,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-performance-optimized-property-platform",
+              "title": "Exercise 3: Performance-Optimized Property Platform",
+              "level": 3,
+              "wordCount": 50,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 132,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 30,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -895,7 +4572,13 @@ export const curriculumData = {
             "Navigation"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "659e7cdca914",
+          "contentPath": "Phase-4-3D-Visualisation-and-Graphics/Module-4.2-React-Three-Fiber.md"
         },
         {
           "id": "module-4-3-realistic-3d-environments",
@@ -914,17 +4597,270 @@ export const curriculumData = {
             "Experience with texture mapping and advanced material systems",
             "Familiarity with performance optimization techniques for 3D graphics"
           ],
+          "prerequisiteIds": [
+            "module-4-2-react-three-fiber"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Terrain Generation and Landscape Modeling",
-            "Section 2: Urban Environment Construction",
-            "Section 3: Environmental Effects and Atmosphere",
-            "Section 4: Performance Optimization for Large Environments",
-            "Section 5: Integration with Geographic Data",
-            "Section 6: Advanced Environmental Features",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 107,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-terrain-generation-and-landscape-modeling",
+              "title": "Section 1: Terrain Generation and Landscape Modeling",
+              "level": 2,
+              "wordCount": 370,
+              "readingMinutes": 2
+            },
+            {
+              "id": "digital-elevation-model-integration",
+              "title": "Digital Elevation Model Integration",
+              "level": 3,
+              "wordCount": 138,
+              "readingMinutes": 1
+            },
+            {
+              "id": "procedural-terrain-enhancement",
+              "title": "Procedural Terrain Enhancement",
+              "level": 3,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-resolution-terrain-systems",
+              "title": "Multi-resolution Terrain Systems",
+              "level": 3,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "integration-with-property-data",
+              "title": "Integration with Property Data",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-urban-environment-construction",
+              "title": "Section 2: Urban Environment Construction",
+              "level": 2,
+              "wordCount": 296,
+              "readingMinutes": 1
+            },
+            {
+              "id": "building-generation-and-placement",
+              "title": "Building Generation and Placement",
+              "level": 3,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "infrastructure-modeling",
+              "title": "Infrastructure Modeling",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "neighborhood-character-representation",
+              "title": "Neighborhood Character Representation",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-urban-elements",
+              "title": "Dynamic Urban Elements",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-environmental-effects-and-atmosphere",
+              "title": "Section 3: Environmental Effects and Atmosphere",
+              "level": 2,
+              "wordCount": 300,
+              "readingMinutes": 2
+            },
+            {
+              "id": "realistic-sky-and-atmospheric-rendering",
+              "title": "Realistic Sky and Atmospheric Rendering",
+              "level": 3,
+              "wordCount": 84,
+              "readingMinutes": 1
+            },
+            {
+              "id": "weather-and-seasonal-effects",
+              "title": "Weather and Seasonal Effects",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "water-and-fluid-simulation",
+              "title": "Water and Fluid Simulation",
+              "level": 3,
+              "wordCount": 72,
+              "readingMinutes": 1
+            },
+            {
+              "id": "particle-systems-for-environmental-effects",
+              "title": "Particle Systems for Environmental Effects",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-performance-optimization-for-large-environments",
+              "title": "Section 4: Performance Optimization for Large Environments",
+              "level": 2,
+              "wordCount": 274,
+              "readingMinutes": 1
+            },
+            {
+              "id": "level-of-detail-management",
+              "title": "Level of Detail Management",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "occlusion-culling-and-frustum-culling",
+              "title": "Occlusion Culling and Frustum Culling",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "memory-management-for-large-datasets",
+              "title": "Memory Management for Large Datasets",
+              "level": 3,
+              "wordCount": 70,
+              "readingMinutes": 1
+            },
+            {
+              "id": "parallel-processing-and-web-workers",
+              "title": "Parallel Processing and Web Workers",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-integration-with-geographic-data",
+              "title": "Section 5: Integration with Geographic Data",
+              "level": 2,
+              "wordCount": 275,
+              "readingMinutes": 1
+            },
+            {
+              "id": "coordinate-system-integration",
+              "title": "Coordinate System Integration",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "satellite-imagery-integration",
+              "title": "Satellite Imagery Integration",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "lidar-data-integration",
+              "title": "LiDAR Data Integration",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "real-time-data-integration",
+              "title": "Real-time Data Integration",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-advanced-environmental-features",
+              "title": "Section 6: Advanced Environmental Features",
+              "level": 2,
+              "wordCount": 263,
+              "readingMinutes": 1
+            },
+            {
+              "id": "procedural-content-generation",
+              "title": "Procedural Content Generation",
+              "level": 3,
+              "wordCount": 71,
+              "readingMinutes": 1
+            },
+            {
+              "id": "environmental-simulation-systems",
+              "title": "Environmental Simulation Systems",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "virtual-reality-and-immersive-environments",
+              "title": "Virtual Reality and Immersive Environments",
+              "level": 3,
+              "wordCount": 65,
+              "readingMinutes": 1
+            },
+            {
+              "id": "future-technology-integration",
+              "title": "Future Technology Integration",
+              "level": 3,
+              "wordCount": 61,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 166,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-comprehensive-terrain-system",
+              "title": "Exercise 1: Comprehensive Terrain System",
+              "level": 3,
+              "wordCount": 58,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-urban-environment-platform",
+              "title": "Exercise 2: Urban Environment Platform",
+              "level": 3,
+              "wordCount": 53,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-integrated-environmental-system",
+              "title": "Exercise 3: Integrated Environmental System",
+              "level": 3,
+              "wordCount": 55,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 127,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -941,7 +4877,13 @@ export const curriculumData = {
           "projects": [
             "Managing different map projections and coordinate systems used by various environmental data sources."
           ],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "86ebb47f3472",
+          "contentPath": "Phase-4-3D-Visualisation-and-Graphics/Module-4.3-Realistic-3D-Environments.md"
         },
         {
           "id": "module-4-4-integration-with-gis-data",
@@ -960,17 +4902,270 @@ export const curriculumData = {
             "Experience with spatial data processing and transformation",
             "Familiarity with property industry data standards and workflows"
           ],
+          "prerequisiteIds": [
+            "module-4-3-realistic-3d-environments"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Coordinate System Integration",
-            "Section 2: Data Transformation and Optimization",
-            "Section 3: Real-time Data Synchronization",
-            "Section 4: Large-scale Data Integration",
-            "Section 5: Advanced Integration Patterns",
-            "Section 6: Quality Assurance and Validation",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 119,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-coordinate-system-integration",
+              "title": "Section 1: Coordinate System Integration",
+              "level": 2,
+              "wordCount": 351,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-spatial-reference-systems-in-3d-context",
+              "title": "Understanding Spatial Reference Systems in 3D Context",
+              "level": 3,
+              "wordCount": 136,
+              "readingMinutes": 1
+            },
+            {
+              "id": "transformation-pipeline-architecture",
+              "title": "Transformation Pipeline Architecture",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dynamic-coordinate-handling",
+              "title": "Dynamic Coordinate Handling",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "accuracy-validation",
+              "title": "Accuracy Validation",
+              "level": 3,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-data-transformation-and-optimization",
+              "title": "Section 2: Data Transformation and Optimization",
+              "level": 2,
+              "wordCount": 309,
+              "readingMinutes": 2
+            },
+            {
+              "id": "vector-data-to-3d-geometry-conversion",
+              "title": "Vector Data to 3D Geometry Conversion",
+              "level": 3,
+              "wordCount": 81,
+              "readingMinutes": 1
+            },
+            {
+              "id": "geometry-optimization-for-real-time-rendering",
+              "title": "Geometry Optimization for Real-time Rendering",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "texture-and-material-generation",
+              "title": "Texture and Material Generation",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-resolution-data-handling",
+              "title": "Multi-resolution Data Handling",
+              "level": 3,
+              "wordCount": 77,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-real-time-data-synchronization",
+              "title": "Section 3: Real-time Data Synchronization",
+              "level": 2,
+              "wordCount": 276,
+              "readingMinutes": 1
+            },
+            {
+              "id": "live-data-pipeline-architecture",
+              "title": "Live Data Pipeline Architecture",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "event-driven-updates",
+              "title": "Event-driven Updates",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "websocket-integration",
+              "title": "WebSocket Integration",
+              "level": 3,
+              "wordCount": 66,
+              "readingMinutes": 1
+            },
+            {
+              "id": "caching-and-performance",
+              "title": "Caching and Performance",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-large-scale-data-integration",
+              "title": "Section 4: Large-scale Data Integration",
+              "level": 2,
+              "wordCount": 269,
+              "readingMinutes": 1
+            },
+            {
+              "id": "scalability-architecture",
+              "title": "Scalability Architecture",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "streaming-and-pagination",
+              "title": "Streaming and Pagination",
+              "level": 3,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "data-quality-management",
+              "title": "Data Quality Management",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "performance-monitoring",
+              "title": "Performance Monitoring",
+              "level": 3,
+              "wordCount": 63,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-5-advanced-integration-patterns",
+              "title": "Section 5: Advanced Integration Patterns",
+              "level": 2,
+              "wordCount": 280,
+              "readingMinutes": 1
+            },
+            {
+              "id": "multi-source-data-fusion",
+              "title": "Multi-source Data Fusion",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "analytical-integration",
+              "title": "Analytical Integration",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "temporal-data-integration",
+              "title": "Temporal Data Integration",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "cross-platform-integration",
+              "title": "Cross-platform Integration",
+              "level": 3,
+              "wordCount": 69,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-6-quality-assurance-and-validation",
+              "title": "Section 6: Quality Assurance and Validation",
+              "level": 2,
+              "wordCount": 265,
+              "readingMinutes": 1
+            },
+            {
+              "id": "integration-testing",
+              "title": "Integration Testing",
+              "level": 3,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "visual-validation",
+              "title": "Visual Validation",
+              "level": 3,
+              "wordCount": 65,
+              "readingMinutes": 1
+            },
+            {
+              "id": "user-acceptance-testing",
+              "title": "User Acceptance Testing",
+              "level": 3,
+              "wordCount": 61,
+              "readingMinutes": 1
+            },
+            {
+              "id": "continuous-validation",
+              "title": "Continuous Validation",
+              "level": 3,
+              "wordCount": 64,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 174,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-comprehensive-data-integration-pipeline",
+              "title": "Exercise 1: Comprehensive Data Integration Pipeline",
+              "level": 3,
+              "wordCount": 60,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-large-scale-property-visualization-platform",
+              "title": "Exercise 2: Large-scale Property Visualization Platform",
+              "level": 3,
+              "wordCount": 55,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-advanced-analytical-visualization-system",
+              "title": "Exercise 3: Advanced Analytical Visualization System",
+              "level": 3,
+              "wordCount": 59,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 131,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Introduction",
@@ -988,7 +5183,13 @@ export const curriculumData = {
             "- Implement coordinate transformation and projection systems for accurate 3D positioning",
             "Working with projected coordinates that may be more appropriate for local property analysis while ensuring accurate 3D representation."
           ],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "7557445ed27f",
+          "contentPath": "Phase-4-3D-Visualisation-and-Graphics/Module-4.4-Integration-with-GIS-Data.md"
         }
       ]
     },
@@ -997,6 +5198,7 @@ export const curriculumData = {
       "title": "Phase 5: Database Systems and Backend",
       "description": "This phase covers comprehensive backend development for property management platforms, including database design, API development, data management, and performance optimization using Supabase and PostgreSQL.",
       "color": "from-red-400 to-red-600",
+      "directory": "Phase-5-Database-Systems-and-Backend",
       "modules": [
         {
           "id": "module-5-1-supabase-and-postgresql",
@@ -1015,15 +5217,170 @@ export const curriculumData = {
             "Familiarity with JavaScript/TypeScript",
             "Basic understanding of authentication concepts"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Database Design and Schema",
-            "Section 2: Supabase Authentication",
-            "Section 3: Advanced PostgreSQL Features",
-            "Section 4: Performance Optimization",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 93,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-database-design-and-schema",
+              "title": "Section 1: Database Design and Schema",
+              "level": 2,
+              "wordCount": 403,
+              "readingMinutes": 2
+            },
+            {
+              "id": "understanding-property-data-relationships",
+              "title": "Understanding Property Data Relationships",
+              "level": 3,
+              "wordCount": 39,
+              "readingMinutes": 1
+            },
+            {
+              "id": "schema-design-principles",
+              "title": "Schema Design Principles",
+              "level": 3,
+              "wordCount": 198,
+              "readingMinutes": 1
+            },
+            {
+              "id": "real-world-schema-example",
+              "title": "Real-World Schema Example",
+              "level": 3,
+              "wordCount": 166,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-supabase-authentication",
+              "title": "Section 2: Supabase Authentication",
+              "level": 2,
+              "wordCount": 407,
+              "readingMinutes": 2
+            },
+            {
+              "id": "authentication-architecture",
+              "title": "Authentication Architecture",
+              "level": 3,
+              "wordCount": 134,
+              "readingMinutes": 1
+            },
+            {
+              "id": "database-triggers-for-user-management",
+              "title": "Database Triggers for User Management",
+              "level": 3,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "row-level-security-rls",
+              "title": "Row Level Security (RLS)",
+              "level": 3,
+              "wordCount": 159,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-advanced-postgresql-features",
+              "title": "Section 3: Advanced PostgreSQL Features",
+              "level": 2,
+              "wordCount": 360,
+              "readingMinutes": 2
+            },
+            {
+              "id": "jsonb-operations-for-property-data",
+              "title": "JSONB Operations for Property Data",
+              "level": 3,
+              "wordCount": 108,
+              "readingMinutes": 1
+            },
+            {
+              "id": "full-text-search-for-property-attributes",
+              "title": "Full-Text Search for Property Attributes",
+              "level": 3,
+              "wordCount": 126,
+              "readingMinutes": 1
+            },
+            {
+              "id": "spatial-data-with-postgis",
+              "title": "Spatial Data with PostGIS",
+              "level": 3,
+              "wordCount": 126,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-performance-optimization",
+              "title": "Section 4: Performance Optimization",
+              "level": 2,
+              "wordCount": 187,
+              "readingMinutes": 1
+            },
+            {
+              "id": "indexing-strategies",
+              "title": "Indexing Strategies",
+              "level": 3,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "query-optimization-techniques",
+              "title": "Query Optimization Techniques",
+              "level": 3,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 100,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-database-schema-design",
+              "title": "Exercise 1: Database Schema Design",
+              "level": 3,
+              "wordCount": 28,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-authentication-implementation",
+              "title": "Exercise 2: Authentication Implementation",
+              "level": 3,
+              "wordCount": 25,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-advanced-queries",
+              "title": "Exercise 3: Advanced Queries",
+              "level": 3,
+              "wordCount": 24,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-rls-implementation",
+              "title": "Exercise 4: RLS Implementation",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 27,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "PostgreSQL Foundation",
@@ -1042,7 +5399,13 @@ export const curriculumData = {
           "projects": [
             "- Project and property tracking"
           ],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 10,
+          "contentHash": "1c3b5b6cd5e3",
+          "contentPath": "Phase-5-Database-Systems-and-Backend/Module-5.1-Supabase-and-PostgreSQL.md"
         },
         {
           "id": "module-5-2-api-development",
@@ -1062,15 +5425,151 @@ export const curriculumData = {
             "Familiarity with Supabase and PostgreSQL (Module 5.1)",
             "Basic understanding of serverless computing concepts"
           ],
+          "prerequisiteIds": [
+            "module-5-1-supabase-and-postgresql"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: API Architecture and Design",
-            "Section 2: Supabase Edge Functions",
-            "Section 3: Real-time Subscriptions",
-            "Section 4: Error Handling and Logging",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 92,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-api-architecture-and-design",
+              "title": "Section 1: API Architecture and Design",
+              "level": 2,
+              "wordCount": 215,
+              "readingMinutes": 1
+            },
+            {
+              "id": "restful-api-design-for-property-platforms",
+              "title": "RESTful API Design for Property Platforms",
+              "level": 3,
+              "wordCount": 101,
+              "readingMinutes": 1
+            },
+            {
+              "id": "requestresponse-patterns",
+              "title": "Request/Response Patterns",
+              "level": 3,
+              "wordCount": 114,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-supabase-edge-functions",
+              "title": "Section 2: Supabase Edge Functions",
+              "level": 2,
+              "wordCount": 733,
+              "readingMinutes": 4
+            },
+            {
+              "id": "setting-up-edge-functions",
+              "title": "Setting Up Edge Functions",
+              "level": 3,
+              "wordCount": 350,
+              "readingMinutes": 2
+            },
+            {
+              "id": "complex-business-logic-implementation",
+              "title": "Complex Business Logic Implementation",
+              "level": 3,
+              "wordCount": 383,
+              "readingMinutes": 2
+            },
+            {
+              "id": "section-3-real-time-subscriptions",
+              "title": "Section 3: Real-time Subscriptions",
+              "level": 2,
+              "wordCount": 458,
+              "readingMinutes": 2
+            },
+            {
+              "id": "websocket-implementation",
+              "title": "WebSocket Implementation",
+              "level": 3,
+              "wordCount": 363,
+              "readingMinutes": 2
+            },
+            {
+              "id": "database-triggers-for-real-time-updates",
+              "title": "Database Triggers for Real-time Updates",
+              "level": 3,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-error-handling-and-logging",
+              "title": "Section 4: Error Handling and Logging",
+              "level": 2,
+              "wordCount": 524,
+              "readingMinutes": 3
+            },
+            {
+              "id": "comprehensive-error-handling",
+              "title": "Comprehensive Error Handling",
+              "level": 3,
+              "wordCount": 244,
+              "readingMinutes": 1
+            },
+            {
+              "id": "logging-and-monitoring",
+              "title": "Logging and Monitoring",
+              "level": 3,
+              "wordCount": 280,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-property-search-api",
+              "title": "Exercise 1: Property Search API",
+              "level": 3,
+              "wordCount": 21,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-analysis-engine",
+              "title": "Exercise 2: Analysis Engine",
+              "level": 3,
+              "wordCount": 25,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-real-time-collaboration",
+              "title": "Exercise 3: Real-time Collaboration",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-api-documentation",
+              "title": "Exercise 4: API Documentation",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 68,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 32,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Scalability",
@@ -1087,7 +5586,13 @@ export const curriculumData = {
             "Performance"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 15,
+          "contentHash": "38db27f37041",
+          "contentPath": "Phase-5-Database-Systems-and-Backend/Module-5.2-API-Development.md"
         },
         {
           "id": "module-5-3-data-migration-and-management",
@@ -1107,15 +5612,144 @@ export const curriculumData = {
             "Familiarity with data formats (CSV, JSON, XML)",
             "Basic understanding of ETL (Extract, Transform, Load) processes"
           ],
+          "prerequisiteIds": [
+            "module-5-1-supabase-and-postgresql"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Database Migration Strategies",
-            "Section 2: Data Import and Transformation",
-            "Section 3: Backup and Recovery",
-            "Section 4: Data Integrity and Monitoring",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 103,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-database-migration-strategies",
+              "title": "Section 1: Database Migration Strategies",
+              "level": 2,
+              "wordCount": 724,
+              "readingMinutes": 4
+            },
+            {
+              "id": "migration-file-structure",
+              "title": "Migration File Structure",
+              "level": 3,
+              "wordCount": 338,
+              "readingMinutes": 2
+            },
+            {
+              "id": "advanced-migration-patterns",
+              "title": "Advanced Migration Patterns",
+              "level": 3,
+              "wordCount": 293,
+              "readingMinutes": 1
+            },
+            {
+              "id": "rollback-strategies",
+              "title": "Rollback Strategies",
+              "level": 3,
+              "wordCount": 93,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-data-import-and-transformation",
+              "title": "Section 2: Data Import and Transformation",
+              "level": 2,
+              "wordCount": 994,
+              "readingMinutes": 5
+            },
+            {
+              "id": "csv-import-with-validation",
+              "title": "CSV Import with Validation",
+              "level": 3,
+              "wordCount": 994,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-3-backup-and-recovery",
+              "title": "Section 3: Backup and Recovery",
+              "level": 2,
+              "wordCount": 863,
+              "readingMinutes": 4
+            },
+            {
+              "id": "automated-backup-strategies",
+              "title": "Automated Backup Strategies",
+              "level": 3,
+              "wordCount": 345,
+              "readingMinutes": 2
+            },
+            {
+              "id": "point-in-time-recovery",
+              "title": "Point-in-Time Recovery",
+              "level": 3,
+              "wordCount": 518,
+              "readingMinutes": 3
+            },
+            {
+              "id": "section-4-data-integrity-and-monitoring",
+              "title": "Section 4: Data Integrity and Monitoring",
+              "level": 2,
+              "wordCount": 452,
+              "readingMinutes": 2
+            },
+            {
+              "id": "automated-data-validation",
+              "title": "Automated Data Validation",
+              "level": 3,
+              "wordCount": 452,
+              "readingMinutes": 2
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 97,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-migration-strategy",
+              "title": "Exercise 1: Migration Strategy",
+              "level": 3,
+              "wordCount": 29,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-data-import-pipeline",
+              "title": "Exercise 2: Data Import Pipeline",
+              "level": 3,
+              "wordCount": 28,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-backup-and-recovery",
+              "title": "Exercise 3: Backup and Recovery",
+              "level": 3,
+              "wordCount": 19,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-data-monitoring",
+              "title": "Exercise 4: Data Monitoring",
+              "level": 3,
+              "wordCount": 21,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 30,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Legacy System Integration",
@@ -1131,7 +5765,13 @@ export const curriculumData = {
             "Performance"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 20,
+          "contentHash": "d08e87dd1515",
+          "contentPath": "Phase-5-Database-Systems-and-Backend/Module-5.3-Data-Migration-and-Management.md"
         },
         {
           "id": "module-5-4-caching-and-performance",
@@ -1151,15 +5791,145 @@ export const curriculumData = {
             "Familiarity with JavaScript/TypeScript async patterns",
             "Basic understanding of memory management and data structures"
           ],
+          "prerequisiteIds": [
+            "module-5-1-supabase-and-postgresql",
+            "module-5-2-api-development"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Database Query Optimization",
-            "Section 2: Application-Level Caching",
-            "Section 3: Connection Pooling and Resource Management",
-            "Section 4: Performance Monitoring and Analysis",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-database-query-optimization",
+              "title": "Section 1: Database Query Optimization",
+              "level": 2,
+              "wordCount": 624,
+              "readingMinutes": 3
+            },
+            {
+              "id": "index-strategy-for-property-data",
+              "title": "Index Strategy for Property Data",
+              "level": 3,
+              "wordCount": 201,
+              "readingMinutes": 1
+            },
+            {
+              "id": "query-optimization-techniques",
+              "title": "Query Optimization Techniques",
+              "level": 3,
+              "wordCount": 239,
+              "readingMinutes": 1
+            },
+            {
+              "id": "spatial-query-optimization",
+              "title": "Spatial Query Optimization",
+              "level": 3,
+              "wordCount": 184,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-application-level-caching",
+              "title": "Section 2: Application-Level Caching",
+              "level": 2,
+              "wordCount": 926,
+              "readingMinutes": 5
+            },
+            {
+              "id": "redis-caching-implementation",
+              "title": "Redis Caching Implementation",
+              "level": 3,
+              "wordCount": 926,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-3-connection-pooling-and-resource-management",
+              "title": "Section 3: Connection Pooling and Resource Management",
+              "level": 2,
+              "wordCount": 864,
+              "readingMinutes": 4
+            },
+            {
+              "id": "database-connection-optimization",
+              "title": "Database Connection Optimization",
+              "level": 3,
+              "wordCount": 864,
+              "readingMinutes": 4
+            },
+            {
+              "id": "section-4-performance-monitoring-and-analysis",
+              "title": "Section 4: Performance Monitoring and Analysis",
+              "level": 2,
+              "wordCount": 762,
+              "readingMinutes": 4
+            },
+            {
+              "id": "query-performance-monitoring",
+              "title": "Query Performance Monitoring",
+              "level": 3,
+              "wordCount": 224,
+              "readingMinutes": 1
+            },
+            {
+              "id": "application-performance-monitoring",
+              "title": "Application Performance Monitoring",
+              "level": 3,
+              "wordCount": 538,
+              "readingMinutes": 3
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-query-optimization",
+              "title": "Exercise 1: Query Optimization",
+              "level": 3,
+              "wordCount": 20,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-caching-strategy",
+              "title": "Exercise 2: Caching Strategy",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-connection-management",
+              "title": "Exercise 3: Connection Management",
+              "level": 3,
+              "wordCount": 19,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-performance-monitoring",
+              "title": "Exercise 4: Performance Monitoring",
+              "level": 3,
+              "wordCount": 17,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 78,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 34,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Large Datasets",
@@ -1175,7 +5945,13 @@ export const curriculumData = {
             "Resource Management"
           ],
           "projects": [],
-          "difficulty": "Intermediate"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Intermediate",
+          "estimatedMinutes": 20,
+          "contentHash": "ba804c0b696d",
+          "contentPath": "Phase-5-Database-Systems-and-Backend/Module-5.4-Caching-and-Performance.md"
         }
       ]
     },
@@ -1184,6 +5960,7 @@ export const curriculumData = {
       "title": "Phase 6: Build Tools and Development Workflow",
       "description": "This phase covers modern build tools, comprehensive testing strategies, and professional development workflows essential for maintaining large-scale property management platforms. Focus on automation, quality assurance, and sustainable development practices.",
       "color": "from-indigo-400 to-indigo-600",
+      "directory": "Phase-6-Build-Tools-and-Development-Workflow",
       "modules": [
         {
           "id": "module-6-1-modern-build-tools",
@@ -1203,15 +5980,156 @@ export const curriculumData = {
             "Basic knowledge of React development patterns",
             "Understanding of HTTP protocols and CORS concepts"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Vite Configuration and Setup",
-            "Section 2: Package Management and Dependencies",
-            "Section 3: Code Quality and Automation",
-            "Section 4: Development Workflow Optimization",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 113,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-vite-configuration-and-setup",
+              "title": "Section 1: Vite Configuration and Setup",
+              "level": 2,
+              "wordCount": 698,
+              "readingMinutes": 3
+            },
+            {
+              "id": "advanced-vite-configuration",
+              "title": "Advanced Vite Configuration",
+              "level": 3,
+              "wordCount": 492,
+              "readingMinutes": 2
+            },
+            {
+              "id": "environment-specific-configuration",
+              "title": "Environment-Specific Configuration",
+              "level": 3,
+              "wordCount": 206,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-2-package-management-and-dependencies",
+              "title": "Section 2: Package Management and Dependencies",
+              "level": 2,
+              "wordCount": 791,
+              "readingMinutes": 4
+            },
+            {
+              "id": "advanced-npm-configuration",
+              "title": "Advanced NPM Configuration",
+              "level": 3,
+              "wordCount": 232,
+              "readingMinutes": 1
+            },
+            {
+              "id": "dependency-optimization-strategies",
+              "title": "Dependency Optimization Strategies",
+              "level": 3,
+              "wordCount": 559,
+              "readingMinutes": 3
+            },
+            {
+              "id": "section-3-code-quality-and-automation",
+              "title": "Section 3: Code Quality and Automation",
+              "level": 2,
+              "wordCount": 457,
+              "readingMinutes": 2
+            },
+            {
+              "id": "eslint-configuration-for-property-platforms",
+              "title": "ESLint Configuration for Property Platforms",
+              "level": 3,
+              "wordCount": 236,
+              "readingMinutes": 1
+            },
+            {
+              "id": "prettier-configuration",
+              "title": "Prettier Configuration",
+              "level": 3,
+              "wordCount": 74,
+              "readingMinutes": 1
+            },
+            {
+              "id": "automated-quality-checks",
+              "title": "Automated Quality Checks",
+              "level": 3,
+              "wordCount": 147,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-development-workflow-optimization",
+              "title": "Section 4: Development Workflow Optimization",
+              "level": 2,
+              "wordCount": 543,
+              "readingMinutes": 3
+            },
+            {
+              "id": "hot-module-replacement-for-property-components",
+              "title": "Hot Module Replacement for Property Components",
+              "level": 3,
+              "wordCount": 258,
+              "readingMinutes": 1
+            },
+            {
+              "id": "development-scripts-and-automation",
+              "title": "Development Scripts and Automation",
+              "level": 3,
+              "wordCount": 285,
+              "readingMinutes": 1
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-vite-configuration",
+              "title": "Exercise 1: Vite Configuration",
+              "level": 3,
+              "wordCount": 29,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-development-workflow",
+              "title": "Exercise 2: Development Workflow",
+              "level": 3,
+              "wordCount": 26,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-bundle-optimization",
+              "title": "Exercise 3: Bundle Optimization",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-quality-automation",
+              "title": "Exercise 4: Quality Automation",
+              "level": 3,
+              "wordCount": 17,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 73,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Lightning Fast Development",
@@ -1227,7 +6145,13 @@ export const curriculumData = {
             "Performance"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 20,
+          "contentHash": "8ae8bbaab372",
+          "contentPath": "Phase-6-Build-Tools-and-Development-Workflow/Module-6.1-Modern-Build-Tools.md"
         },
         {
           "id": "module-6-2-testing-infrastructure",
@@ -1247,15 +6171,145 @@ export const curriculumData = {
             "Familiarity with property analysis workflows",
             "Basic understanding of testing concepts (unit, integration, e2e)"
           ],
+          "prerequisiteIds": [],
+          "prerequisitePhaseIds": [
+            "phase-1",
+            "phase-2"
+          ],
           "sections": [
-            "Introduction",
-            "Section 1: Unit Testing Strategy",
-            "Section 2: Integration Testing",
-            "Section 3: End-to-End Testing",
-            "Section 4: Performance Testing",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 103,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-unit-testing-strategy",
+              "title": "Section 1: Unit Testing Strategy",
+              "level": 2,
+              "wordCount": 961,
+              "readingMinutes": 5
+            },
+            {
+              "id": "testing-property-analysis-functions",
+              "title": "Testing Property Analysis Functions",
+              "level": 3,
+              "wordCount": 573,
+              "readingMinutes": 3
+            },
+            {
+              "id": "testing-react-components-with-property-data",
+              "title": "Testing React Components with Property Data",
+              "level": 3,
+              "wordCount": 388,
+              "readingMinutes": 2
+            },
+            {
+              "id": "section-2-integration-testing",
+              "title": "Section 2: Integration Testing",
+              "level": 2,
+              "wordCount": 1333,
+              "readingMinutes": 7
+            },
+            {
+              "id": "testing-government-api-integrations",
+              "title": "Testing Government API Integrations",
+              "level": 3,
+              "wordCount": 656,
+              "readingMinutes": 3
+            },
+            {
+              "id": "database-integration-testing",
+              "title": "Database Integration Testing",
+              "level": 3,
+              "wordCount": 677,
+              "readingMinutes": 3
+            },
+            {
+              "id": "section-3-end-to-end-testing",
+              "title": "Section 3: End-to-End Testing",
+              "level": 2,
+              "wordCount": 749,
+              "readingMinutes": 4
+            },
+            {
+              "id": "property-analysis-workflow-testing",
+              "title": "Property Analysis Workflow Testing",
+              "level": 3,
+              "wordCount": 514,
+              "readingMinutes": 3
+            },
+            {
+              "id": "visual-regression-testing",
+              "title": "Visual Regression Testing",
+              "level": 3,
+              "wordCount": 235,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-4-performance-testing",
+              "title": "Section 4: Performance Testing",
+              "level": 2,
+              "wordCount": 368,
+              "readingMinutes": 2
+            },
+            {
+              "id": "load-testing-for-property-data",
+              "title": "Load Testing for Property Data",
+              "level": 3,
+              "wordCount": 368,
+              "readingMinutes": 2
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-testing-strategy-implementation",
+              "title": "Exercise 1: Testing Strategy Implementation",
+              "level": 3,
+              "wordCount": 33,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-mock-data-management",
+              "title": "Exercise 2: Mock Data Management",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-visual-testing-setup",
+              "title": "Exercise 3: Visual Testing Setup",
+              "level": 3,
+              "wordCount": 19,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-performance-test-suite",
+              "title": "Exercise 4: Performance Test Suite",
+              "level": 3,
+              "wordCount": 20,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 75,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Financial Accuracy",
@@ -1271,7 +6325,13 @@ export const curriculumData = {
             "Performance Testing"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 20,
+          "contentHash": "0f820bb272bd",
+          "contentPath": "Phase-6-Build-Tools-and-Development-Workflow/Module-6.2-Testing-Infrastructure.md"
         },
         {
           "id": "module-6-3-documentation-and-maintenance",
@@ -1291,31 +6351,131 @@ export const curriculumData = {
             "Familiarity with build tools and automation (Module 6.1)",
             "Experience with property management workflows"
           ],
+          "prerequisiteIds": [
+            "module-5-2-api-development",
+            "module-6-1-modern-build-tools"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: API Documentation",
-            "Authentication",
-            "Rate Limiting",
-            "Error Handling",
-            "Search Examples",
-            "Required Fields",
-            "Optional Financial Data",
-            "Analysis Types",
-            "Calculation Accuracy",
-            "Section 2: Code Documentation Standards",
-            "Section 3: User Documentation",
-            "Table of Contents",
-            "Getting Started",
-            "Property Search and Selection",
-            "Financial Analysis",
-            "Risk Assessment",
-            "Report Generation",
-            "Advanced Features",
-            "Troubleshooting",
-            "Section 4: Maintenance and Updates",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 110,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-api-documentation",
+              "title": "Section 1: API Documentation",
+              "level": 2,
+              "wordCount": 2477,
+              "readingMinutes": 12
+            },
+            {
+              "id": "openapi-specification-for-property-apis",
+              "title": "OpenAPI Specification for Property APIs",
+              "level": 3,
+              "wordCount": 1208,
+              "readingMinutes": 6
+            },
+            {
+              "id": "automated-documentation-generation",
+              "title": "Automated Documentation Generation",
+              "level": 3,
+              "wordCount": 1269,
+              "readingMinutes": 6
+            },
+            {
+              "id": "section-2-code-documentation-standards",
+              "title": "Section 2: Code Documentation Standards",
+              "level": 2,
+              "wordCount": 1186,
+              "readingMinutes": 6
+            },
+            {
+              "id": "tsdoc-documentation-patterns",
+              "title": "TSDoc Documentation Patterns",
+              "level": 3,
+              "wordCount": 1186,
+              "readingMinutes": 6
+            },
+            {
+              "id": "section-3-user-documentation",
+              "title": "Section 3: User Documentation",
+              "level": 2,
+              "wordCount": 1343,
+              "readingMinutes": 7
+            },
+            {
+              "id": "property-analysis-user-guide",
+              "title": "Property Analysis User Guide",
+              "level": 3,
+              "wordCount": 1343,
+              "readingMinutes": 7
+            },
+            {
+              "id": "section-4-maintenance-and-updates",
+              "title": "Section 4: Maintenance and Updates",
+              "level": 2,
+              "wordCount": 750,
+              "readingMinutes": 4
+            },
+            {
+              "id": "changelog-management",
+              "title": "Changelog Management",
+              "level": 3,
+              "wordCount": 750,
+              "readingMinutes": 4
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 79,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-api-documentation",
+              "title": "Exercise 1: API Documentation",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-component-documentation",
+              "title": "Exercise 2: Component Documentation",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-user-guide-creation",
+              "title": "Exercise 3: User Guide Creation",
+              "level": 3,
+              "wordCount": 21,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-maintenance-automation",
+              "title": "Exercise 4: Maintenance Automation",
+              "level": 3,
+              "wordCount": 17,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 67,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Regulatory Compliance",
@@ -1324,55 +6484,20 @@ export const curriculumData = {
             "User Training",
             "Maintenance",
             "Knowledge Transfer",
-            "Browser",
-            "Internet Connection",
-            "Screen Resolution",
-            "Properties",
-            "Analysis",
-            "Reports",
-            "Data",
-            "Settings",
-            "Location",
-            "Property Type",
-            "Price Range",
-            "Zoning",
-            "Land Area",
-            "Property Markers",
-            "Zoning Overlay",
-            "Infrastructure",
-            "Environmental",
-            "Gross Rental Yield",
-            "Net Rental Yield",
-            "Cash-on-Cash Return",
-            "Optimistic",
-            "Conservative",
-            "Stress Test",
-            "Initial Rental Yield",
-            "Annual Cash Flow",
-            "Break-Even Year",
-            "Total Return (10 years)",
-            "IRR (Internal Rate of Return)",
-            "Investment Analysis",
-            "Due Diligence",
-            "Market Comparison",
-            "Development Feasibility",
-            "PDF",
-            "Excel",
-            "PowerPoint",
-            "Word",
             "API Documentation",
             "Code Documentation",
             "User Documentation",
             "Maintenance Automation",
             "Knowledge Management"
           ],
-          "projects": [
-            "- `projectId`: Valid project UUID",
-            "- Climate change projections",
-            "- Infrastructure projects impact",
-            "- Reduce projection period"
-          ],
-          "difficulty": "Advanced"
+          "projects": [],
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 35,
+          "contentHash": "ad1f877addcb",
+          "contentPath": "Phase-6-Build-Tools-and-Development-Workflow/Module-6.3-Documentation-and-Maintenance.md"
         }
       ]
     },
@@ -1381,6 +6506,7 @@ export const curriculumData = {
       "title": "Phase 7: Cloud Deployment and DevOps",
       "description": "This phase covers cloud platforms, performance monitoring, CI/CD pipelines, and production deployment strategies.",
       "color": "from-pink-400 to-pink-600",
+      "directory": "Phase-7-Cloud-Deployment-and-DevOps",
       "modules": [
         {
           "id": "module-7-1-cloud-platforms",
@@ -1400,14 +6526,131 @@ export const curriculumData = {
             "Familiarity with API development and proxy configurations",
             "Basic understanding of DNS and CDN concepts"
           ],
+          "prerequisiteIds": [
+            "module-6-1-modern-build-tools",
+            "module-5-1-supabase-and-postgresql"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Vercel Deployment Strategy",
-            "Section 2: Cloudflare Workers for Edge Computing",
-            "Section 3: Supabase Cloud Production Setup",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 116,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-vercel-deployment-strategy",
+              "title": "Section 1: Vercel Deployment Strategy",
+              "level": 2,
+              "wordCount": 1289,
+              "readingMinutes": 6
+            },
+            {
+              "id": "advanced-vercel-configuration",
+              "title": "Advanced Vercel Configuration",
+              "level": 3,
+              "wordCount": 216,
+              "readingMinutes": 1
+            },
+            {
+              "id": "serverless-functions-for-property-apis",
+              "title": "Serverless Functions for Property APIs",
+              "level": 3,
+              "wordCount": 344,
+              "readingMinutes": 2
+            },
+            {
+              "id": "environment-specific-deployments",
+              "title": "Environment-Specific Deployments",
+              "level": 3,
+              "wordCount": 729,
+              "readingMinutes": 4
+            },
+            {
+              "id": "section-2-cloudflare-workers-for-edge-computing",
+              "title": "Section 2: Cloudflare Workers for Edge Computing",
+              "level": 2,
+              "wordCount": 974,
+              "readingMinutes": 5
+            },
+            {
+              "id": "global-property-api-proxy",
+              "title": "Global Property API Proxy",
+              "level": 3,
+              "wordCount": 861,
+              "readingMinutes": 4
+            },
+            {
+              "id": "cloudflare-workers-deployment",
+              "title": "Cloudflare Workers Deployment",
+              "level": 3,
+              "wordCount": 113,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-3-supabase-cloud-production-setup",
+              "title": "Section 3: Supabase Cloud Production Setup",
+              "level": 2,
+              "wordCount": 1143,
+              "readingMinutes": 6
+            },
+            {
+              "id": "production-database-configuration",
+              "title": "Production Database Configuration",
+              "level": 3,
+              "wordCount": 1143,
+              "readingMinutes": 6
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 93,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-vercel-deployment-setup",
+              "title": "Exercise 1: Vercel Deployment Setup",
+              "level": 3,
+              "wordCount": 27,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-cloudflare-workers-implementation",
+              "title": "Exercise 2: Cloudflare Workers Implementation",
+              "level": 3,
+              "wordCount": 24,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-supabase-production-configuration",
+              "title": "Exercise 3: Supabase Production Configuration",
+              "level": 3,
+              "wordCount": 24,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-multi-environment-cicd",
+              "title": "Exercise 4: Multi-Environment CI/CD",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 83,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 33,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Vercel",
@@ -1423,7 +6666,13 @@ export const curriculumData = {
             "Performance Optimization"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 20,
+          "contentHash": "088e2cd233c3",
+          "contentPath": "Phase-7-Cloud-Deployment-and-DevOps/Module-7.1-Cloud-Platforms.md"
         },
         {
           "id": "module-7-2-performance-and-monitoring",
@@ -1443,14 +6692,117 @@ export const curriculumData = {
             "Familiarity with property platform architecture and workflows",
             "Basic understanding of metrics, logging, and observability concepts"
           ],
+          "prerequisiteIds": [
+            "module-7-1-cloud-platforms",
+            "module-5-4-caching-and-performance"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: Application Performance Monitoring",
-            "Section 2: Error Tracking and Alerting",
-            "Section 3: Performance Dashboards",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 119,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-application-performance-monitoring",
+              "title": "Section 1: Application Performance Monitoring",
+              "level": 2,
+              "wordCount": 2341,
+              "readingMinutes": 12
+            },
+            {
+              "id": "real-user-monitoring-rum-implementation",
+              "title": "Real User Monitoring (RUM) Implementation",
+              "level": 3,
+              "wordCount": 1148,
+              "readingMinutes": 6
+            },
+            {
+              "id": "server-side-performance-monitoring",
+              "title": "Server-Side Performance Monitoring",
+              "level": 3,
+              "wordCount": 1193,
+              "readingMinutes": 6
+            },
+            {
+              "id": "section-2-error-tracking-and-alerting",
+              "title": "Section 2: Error Tracking and Alerting",
+              "level": 2,
+              "wordCount": 1231,
+              "readingMinutes": 6
+            },
+            {
+              "id": "comprehensive-error-tracking-system",
+              "title": "Comprehensive Error Tracking System",
+              "level": 3,
+              "wordCount": 1231,
+              "readingMinutes": 6
+            },
+            {
+              "id": "section-3-performance-dashboards",
+              "title": "Section 3: Performance Dashboards",
+              "level": 2,
+              "wordCount": 1144,
+              "readingMinutes": 6
+            },
+            {
+              "id": "real-time-performance-dashboard",
+              "title": "Real-Time Performance Dashboard",
+              "level": 3,
+              "wordCount": 1144,
+              "readingMinutes": 6
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 95,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-rum-implementation",
+              "title": "Exercise 1: RUM Implementation",
+              "level": 3,
+              "wordCount": 28,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-health-check-system",
+              "title": "Exercise 2: Health Check System",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-performance-dashboard",
+              "title": "Exercise 3: Performance Dashboard",
+              "level": 3,
+              "wordCount": 21,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-alerting-strategy",
+              "title": "Exercise 4: Alerting Strategy",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 80,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 30,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Financial Accuracy",
@@ -1466,7 +6818,13 @@ export const curriculumData = {
             "Alerting Systems"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 30,
+          "contentHash": "c07602b58188",
+          "contentPath": "Phase-7-Cloud-Deployment-and-DevOps/Module-7.2-Performance-and-Monitoring.md"
         },
         {
           "id": "module-7-3-ci-cd-and-automation",
@@ -1486,14 +6844,118 @@ export const curriculumData = {
             "Familiarity with performance monitoring (Module 7.2)",
             "Basic understanding of Git workflows and branching strategies"
           ],
+          "prerequisiteIds": [
+            "module-7-1-cloud-platforms",
+            "module-6-2-testing-infrastructure",
+            "module-7-2-performance-and-monitoring"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: GitHub Actions CI/CD Pipeline",
-            "Section 2: Advanced Deployment Strategies",
-            "Section 3: Monitoring and Alerting Integration",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 103,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-github-actions-cicd-pipeline",
+              "title": "Section 1: GitHub Actions CI/CD Pipeline",
+              "level": 2,
+              "wordCount": 2145,
+              "readingMinutes": 11
+            },
+            {
+              "id": "comprehensive-pipeline-configuration",
+              "title": "Comprehensive Pipeline Configuration",
+              "level": 3,
+              "wordCount": 1371,
+              "readingMinutes": 7
+            },
+            {
+              "id": "infrastructure-as-code-with-terraform",
+              "title": "Infrastructure as Code with Terraform",
+              "level": 3,
+              "wordCount": 774,
+              "readingMinutes": 4
+            },
+            {
+              "id": "section-2-advanced-deployment-strategies",
+              "title": "Section 2: Advanced Deployment Strategies",
+              "level": 2,
+              "wordCount": 1242,
+              "readingMinutes": 6
+            },
+            {
+              "id": "blue-green-deployment-implementation",
+              "title": "Blue-Green Deployment Implementation",
+              "level": 3,
+              "wordCount": 1242,
+              "readingMinutes": 6
+            },
+            {
+              "id": "section-3-monitoring-and-alerting-integration",
+              "title": "Section 3: Monitoring and Alerting Integration",
+              "level": 2,
+              "wordCount": 1101,
+              "readingMinutes": 6
+            },
+            {
+              "id": "deployment-monitoring-and-alerting",
+              "title": "Deployment Monitoring and Alerting",
+              "level": 3,
+              "wordCount": 1101,
+              "readingMinutes": 6
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 82,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-cicd-pipeline-setup",
+              "title": "Exercise 1: CI/CD Pipeline Setup",
+              "level": 3,
+              "wordCount": 23,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-blue-green-deployment",
+              "title": "Exercise 2: Blue-Green Deployment",
+              "level": 3,
+              "wordCount": 19,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-infrastructure-as-code",
+              "title": "Exercise 3: Infrastructure as Code",
+              "level": 3,
+              "wordCount": 18,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-monitoring-integration",
+              "title": "Exercise 4: Monitoring Integration",
+              "level": 3,
+              "wordCount": 22,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 83,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 31,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Compliance Requirements",
@@ -1509,7 +6971,13 @@ export const curriculumData = {
             "Quality Assurance"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 25,
+          "contentHash": "75b4ef8af8c4",
+          "contentPath": "Phase-7-Cloud-Deployment-and-DevOps/Module-7.3-CI-CD-and-Automation.md"
         }
       ]
     },
@@ -1518,6 +6986,7 @@ export const curriculumData = {
       "title": "Phase 8: Advanced Integration Patterns",
       "description": "This final phase covers advanced integration patterns essential for enterprise property management platforms. Focus on government data integration, automated document generation, advanced analytics, and real-time collaboration features that enable sophisticated property analysis workflows.",
       "color": "from-yellow-400 to-yellow-600",
+      "directory": "Phase-8-Advanced-Integration-Patterns",
       "modules": [
         {
           "id": "module-8-1-government-api-integration",
@@ -1537,14 +7006,116 @@ export const curriculumData = {
             "Familiarity with data validation and transformation",
             "Experience with error handling and resilience patterns"
           ],
+          "prerequisiteIds": [
+            "module-5-2-api-development"
+          ],
+          "prerequisitePhaseIds": [],
           "sections": [
-            "Introduction",
-            "Section 1: NSW ePlanning Portal Integration",
-            "Section 2: NSW Spatial Services Integration",
-            "Section 3: Data Aggregation and Validation",
-            "Practical Exercises",
-            "Summary",
-            "Navigation"
+            {
+              "id": "introduction",
+              "title": "Introduction",
+              "level": 2,
+              "wordCount": 106,
+              "readingMinutes": 1
+            },
+            {
+              "id": "section-1-nsw-eplanning-portal-integration",
+              "title": "Section 1: NSW ePlanning Portal Integration",
+              "level": 2,
+              "wordCount": 1378,
+              "readingMinutes": 7
+            },
+            {
+              "id": "authentication-and-authorization",
+              "title": "Authentication and Authorization",
+              "level": 3,
+              "wordCount": 415,
+              "readingMinutes": 2
+            },
+            {
+              "id": "property-information-api-integration",
+              "title": "Property Information API Integration",
+              "level": 3,
+              "wordCount": 963,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-2-nsw-spatial-services-integration",
+              "title": "Section 2: NSW Spatial Services Integration",
+              "level": 2,
+              "wordCount": 1034,
+              "readingMinutes": 5
+            },
+            {
+              "id": "spatial-data-access-and-processing",
+              "title": "Spatial Data Access and Processing",
+              "level": 3,
+              "wordCount": 1034,
+              "readingMinutes": 5
+            },
+            {
+              "id": "section-3-data-aggregation-and-validation",
+              "title": "Section 3: Data Aggregation and Validation",
+              "level": 2,
+              "wordCount": 2195,
+              "readingMinutes": 11
+            },
+            {
+              "id": "comprehensive-property-data-service",
+              "title": "Comprehensive Property Data Service",
+              "level": 3,
+              "wordCount": 2195,
+              "readingMinutes": 11
+            },
+            {
+              "id": "practical-exercises",
+              "title": "Practical Exercises",
+              "level": 2,
+              "wordCount": 110,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-1-eplanning-api-integration",
+              "title": "Exercise 1: ePlanning API Integration",
+              "level": 3,
+              "wordCount": 32,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-2-spatial-services-integration",
+              "title": "Exercise 2: Spatial Services Integration",
+              "level": 3,
+              "wordCount": 27,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-3-data-aggregation-system",
+              "title": "Exercise 3: Data Aggregation System",
+              "level": 3,
+              "wordCount": 27,
+              "readingMinutes": 1
+            },
+            {
+              "id": "exercise-4-real-time-synchronization",
+              "title": "Exercise 4: Real-time Synchronization",
+              "level": 3,
+              "wordCount": 24,
+              "readingMinutes": 1
+            },
+            {
+              "id": "summary",
+              "title": "Summary",
+              "level": 2,
+              "wordCount": 89,
+              "readingMinutes": 1
+            },
+            {
+              "id": "navigation",
+              "title": "Navigation",
+              "level": 2,
+              "wordCount": 33,
+              "readingMinutes": 1
+            }
           ],
           "topics": [
             "Data Accuracy",
@@ -1560,7 +7131,13 @@ export const curriculumData = {
             "Performance and Reliability"
           ],
           "projects": [],
-          "difficulty": "Advanced"
+          "tags": [],
+          "quizzes": [],
+          "exercises": [],
+          "difficulty": "Advanced",
+          "estimatedMinutes": 30,
+          "contentHash": "ccc6214ca5c2",
+          "contentPath": "Phase-8-Advanced-Integration-Patterns/Module-8.1-Government-API-Integration.md"
         }
       ]
     }
@@ -0,0 +1,86 @@
+import { useEffect, useRef } from 'react';
+
+// Stop counting after this long without a scroll, key press or pointer movement
+export const IDLE_SECONDS = 120;
+const TICK_SECONDS = 5;
+// Report at least this often during a long stretch of reading
+const REPORT_SECONDS = 300;
+
+const INTERACTION_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'wheel', 'touchstart'];
+
+// Count the time a module is actually being read: the page has to be visible and
+// the reader active within IDLE_SECONDS. Each stretch of reading is reported as
+// onTime(moduleId, seconds, namespace) when it ends (the tab is hidden, the reader
+// goes idle or leaves the module, or someone signs in or out), and every
+// REPORT_SECONDS while it lasts. `namespace` is the one the reading started in, so
+// time read before a sign-out isn't credited to whoever comes after.
+const useReadingTimer = (moduleId, onTime, namespace) => {
+  const onTimeRef = useRef(onTime);
+  onTimeRef.current = onTime;
+
+  useEffect(() => {
+    if (!moduleId) return;
+
+    let unreported = 0;
+    let lastTick = Date.now();
+    let lastInteraction = Date.now();
+    let wasActive = true;
+
+    const isActive = (now) => (
+      document.visibilityState === 'visible' && now - lastInteraction < IDLE_SECONDS * 1000
+    );
+
+    const report = () => {
+      const seconds = Math.round(unreported);
+      unreported = 0;
+      if (seconds > 0) onTimeRef.current(moduleId, seconds, namespace);
+    };
+
+    // Add the time since the last tick, up to the moment the reader went idle
+    const tick = () => {
+      const now = Date.now();
+      if (wasActive) {
+        const end = Math.min(now, lastInteraction + IDLE_SECONDS * 1000);
+        unreported += Math.max(0, end - lastTick) / 1000;
+      }
+      lastTick = now;
+
+      const active = isActive(now);
+      if ((wasActive && !active) || unreported >= REPORT_SECONDS) report();
+      wasActive = active;
+    };
+
+    const handleInteraction = () => {
+      const now = Date.now();
+      if (!wasActive) {
+        // Back from being idle: start counting from here
+        lastTick = now;
+      }
+      lastInteraction = now;
+      wasActive = isActive(now);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        handleInteraction();
+      } else {
+        tick();
+        report();
+      }
+    };
+
+    const timer = setInterval(tick, TICK_SECONDS * 1000);
+    INTERACTION_EVENTS.forEach(event => window.addEventListener(event, handleInteraction, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      tick();
+      report();
+      clearInterval(timer);
+      INTERACTION_EVENTS.forEach(event => window.removeEventListener(event, handleInteraction));
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [moduleId, namespace]);
+};
+
+export default useReadingTimer;
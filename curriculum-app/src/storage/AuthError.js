@@ -0,0 +1,8 @@
+// A sign-in or account error meant for the user; `field` is the form field it belongs to
+export class AuthError extends Error {
+  constructor(message, field = 'general') {
+    super(message);
+    this.name = 'AuthError';
+    this.field = field;
+  }
+}
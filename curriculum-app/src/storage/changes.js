@@ -0,0 +1,89 @@
+// Field-level changes to a progress store ({ ...progress, bookmarks }), so edits can
+// be queued, replayed on another tab or device, and merged rather than overwriting
+// the whole document.
+//
+// A change is { id, path, op, value, at }:
+//   path  keys into the store, e.g. ['modules', '1.1', 'sections', 'closures']
+//   op    'set' | 'delete' | 'add' ('add' increments a counter such as timeSpent)
+//   at    milliseconds since the epoch, for last-writer-wins on the server
+//
+// Changes go at most MAX_DEPTH keys deep, so a section flag or a whole quiz result
+// is one field, and concurrent edits to different fields never conflict.
+
+const MAX_DEPTH = 4;
+// Shallower limits under some top-level keys; activity log entries never change once
+// written, so each one is a single field
+const DEPTH_BY_ROOT = { activity: 2 };
+// Counters merged by adding up the increments from every device
+const ADDITIVE_FIELDS = ['timeSpent'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const createChangeId = () => (
+  globalThis.crypto?.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+);
+
+// The changes that turn `previous` into `next`
+export const diffStores = (previous, next, at = Date.now()) => {
+  const changes = [];
+  const push = (path, op, value) => {
+    changes.push({ id: createChangeId(), path, op, value, at });
+  };
+
+  const walk = (before, after, path) => {
+    if (before === after) return;
+
+    const canDescend = path.length < (DEPTH_BY_ROOT[path[0]] || MAX_DEPTH)
+      && isPlainObject(after)
+      && (before === undefined || isPlainObject(before));
+    if (canDescend) {
+      new Set([...Object.keys(before || {}), ...Object.keys(after)]).forEach(key => {
+        walk(before?.[key], after[key], [...path, key]);
+      });
+      return;
+    }
+
+    if (after === undefined) {
+      push(path, 'delete');
+    } else if (JSON.stringify(before) === JSON.stringify(after)) {
+      return;
+    } else if (ADDITIVE_FIELDS.includes(path[path.length - 1])
+      && (before === undefined || typeof before === 'number') && typeof after === 'number') {
+      // A counter that didn't exist yet counts up from 0, so two devices that
+      // start one each keep both their increments
+      push(path, 'add', after - (before || 0));
+    } else {
+      push(path, 'set', after);
+    }
+  };
+
+  walk(previous, next, []);
+  return changes;
+};
+
+const updateIn = (target, [key, ...rest], update) => {
+  const current = isPlainObject(target) ? target : {};
+  if (rest.length > 0) {
+    return { ...current, [key]: updateIn(current[key], rest, update) };
+  }
+
+  const next = { ...current };
+  const value = update(current[key]);
+  if (value === undefined) {
+    delete next[key];
+  } else {
+    next[key] = value;
+  }
+  return next;
+};
+
+// Apply changes in order; returns `store` itself when there are none
+export const applyChanges = (store, changes) => changes.reduce((acc, change) => (
+  updateIn(acc, change.path, current => {
+    if (change.op === 'delete') return undefined;
+    if (change.op === 'add') return (Number(current) || 0) + change.value;
+    return change.value;
+  })
+), store);
@@ -0,0 +1,178 @@
+// Talks to a backend speaking the REST contract documented in server/index.js.
+// The session token is cached in localStorage so the app knows who is signed in
+// before the first request. Guests aren't known to the server, so the guest
+// namespace stays in this browser through the local adapter. For accounts, the
+// local adapter keeps a copy of the last progress and bookmarks the server sent, so
+// they can still be loaded offline.
+
+import localAdapter from './localAdapter';
+import { AuthError } from './AuthError';
+import { GUEST_NAMESPACE, getNamespace } from '../utils/storageNamespace';
+
+const SESSION_KEY = 'curriculum_remote_session';
+
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cache { token, user, expiresAt } from the server and return what the app needs
+const writeSession = ({ token, user, expiresAt }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ token, user, expiresAt }));
+  return { user, expiresAt };
+};
+
+const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+const createHttpAdapter = (baseUrl) => {
+  const request = async (method, path, body) => {
+    const session = readSession();
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session && { Authorization: `Bearer ${session.token}` })
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (response.status === 204) return null;
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      if (response.status === 401) clearSession();
+      const error = data.field
+        ? new AuthError(data.error, data.field)
+        : new Error(data.error || `${method} ${path} failed with ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  };
+
+  const isLocal = (namespace) => namespace === GUEST_NAMESPACE;
+
+  // Requests carry the current session, so an account's changes can only be sent
+  // while that account is the one signed in
+  const canApplyChanges = (namespace) => {
+    const session = readSession();
+    return isLocal(namespace) || (!!session && getNamespace(session.user) === namespace);
+  };
+
+  // Falls back to the offline copy only when the server can't be reached
+  const loadDocument = async (namespace, path, loadCopy, saveCopy) => {
+    try {
+      const data = await request('GET', path);
+      await saveCopy(namespace, data);
+      return data;
+    } catch (error) {
+      if (error.status) throw error;
+      return loadCopy(namespace);
+    }
+  };
+
+  const loadSession = () => {
+    const session = readSession();
+    if (!session || new Date(session.expiresAt) <= new Date()) {
+      clearSession();
+      return null;
+    }
+    return { user: session.user, expiresAt: session.expiresAt };
+  };
+
+  return {
+    isRemote: true,
+
+    loadSession,
+
+    // Resolves null once the server has rejected the token; while the server can't
+    // be reached the cached session is kept
+    refreshSession: async () => {
+      const session = readSession();
+      if (!session) return null;
+      try {
+        const data = await request('GET', '/api/auth/session');
+        return writeSession({ ...data, token: session.token });
+      } catch (error) {
+        return error.status === 401 ? null : loadSession();
+      }
+    },
+
+    signUp: async (details) => writeSession(await request('POST', '/api/auth/signup', details)),
+
+    signIn: async (credentials) => writeSession(await request('POST', '/api/auth/signin', credentials)),
+
+    signOut: async () => {
+      try {
+        await request('POST', '/api/auth/signout');
+      } finally {
+        clearSession();
+      }
+    },
+
+    changePassword: async (currentPassword, newPassword) => writeSession(
+      await request('POST', '/api/auth/password', { currentPassword, newPassword })
+    ),
+
+    deleteAccount: async (password) => {
+      const { user } = readSession() || {};
+      await request('DELETE', '/api/account', { password });
+      clearSession();
+      if (user) await localAdapter.clearProgress(getNamespace(user));
+    },
+
+    loadProgress: (namespace) => (
+      isLocal(namespace)
+        ? localAdapter.loadProgress(namespace)
+        : loadDocument(namespace, '/api/progress', localAdapter.loadProgress, localAdapter.saveProgress)
+    ),
+
+    saveProgress: (namespace, progress) => (
+      isLocal(namespace) ? localAdapter.saveProgress(namespace, progress) : request('PUT', '/api/progress', progress)
+    ),
+
+    loadBookmarks: (namespace) => (
+      isLocal(namespace)
+        ? localAdapter.loadBookmarks(namespace)
+        : loadDocument(namespace, '/api/bookmarks', localAdapter.loadBookmarks, localAdapter.saveBookmarks)
+    ),
+
+    saveBookmarks: (namespace, bookmarks) => (
+      isLocal(namespace) ? localAdapter.saveBookmarks(namespace, bookmarks) : request('PUT', '/api/bookmarks', bookmarks)
+    ),
+
+    applyChanges: async (namespace, changes) => {
+      if (isLocal(namespace)) return localAdapter.applyChanges(namespace, changes);
+      if (!canApplyChanges(namespace)) {
+        const error = new Error(`Changes for ${namespace} need that account to be signed in`);
+        error.status = 401;
+        throw error;
+      }
+      const { progress, bookmarks } = await request('POST', '/api/sync', { changes });
+      await localAdapter.saveProgress(namespace, progress);
+      await localAdapter.saveBookmarks(namespace, bookmarks);
+      return { progress, bookmarks };
+    },
+
+    canApplyChanges,
+
+    clearProgress: async (namespace) => {
+      if (!isLocal(namespace)) await request('DELETE', '/api/progress');
+      await localAdapter.clearProgress(namespace);
+    },
+
+    loadSettings: (namespace) => (
+      isLocal(namespace) ? localAdapter.loadSettings(namespace) : request('GET', '/api/settings')
+    ),
+
+    saveSettings: (namespace, settings) => (
+      isLocal(namespace) ? localAdapter.saveSettings(namespace, settings) : request('PUT', '/api/settings', settings)
+    )
+  };
+};
+
+export default createHttpAdapter;
@@ -0,0 +1,34 @@
+// Where accounts, progress, bookmarks and settings are kept. The default is this
+// browser's localStorage; set VITE_STORAGE_BACKEND=http and VITE_API_URL to use a
+// server implementing the REST contract in server/index.js instead.
+//
+// Every adapter implements:
+//   isRemote                                      true when progress leaves this browser
+//   loadSession()                                 the cached session { user, expiresAt } or null; synchronous
+//   refreshSession()                              checks the session with the backend; resolves the same
+//   signUp({ name, email, password })             resolves { user, expiresAt }
+//   signIn({ email, password })                   resolves { user, expiresAt }
+//   signOut()
+//   changePassword(currentPassword, newPassword)  resolves { user, expiresAt } for the new session
+//   deleteAccount(password)                       also removes the account's progress and settings
+//   loadProgress(namespace) / saveProgress(namespace, progress)
+//   loadBookmarks(namespace) / saveBookmarks(namespace, bookmarks)
+//   applyChanges(namespace, changes)              applies changes from ./changes to the stored
+//                                                 progress and bookmarks; resolves { progress, bookmarks }
+//   canApplyChanges(namespace)                    whether applyChanges can write to the namespace now;
+//                                                 synchronous
+//   clearProgress(namespace)                      progress and bookmarks
+//   loadSettings(namespace) / saveSettings(namespace, settings)
+// Everything but loadSession returns a promise. Errors meant for the sign-in and
+// account forms are AuthErrors.
+
+import localAdapter from './localAdapter';
+import createHttpAdapter from './httpAdapter';
+
+export { AuthError } from './AuthError';
+
+const DEFAULT_API_URL = 'http://localhost:8787';
+
+export const storage = import.meta.env.VITE_STORAGE_BACKEND === 'http'
+  ? createHttpAdapter(import.meta.env.VITE_API_URL || DEFAULT_API_URL)
+  : localAdapter;
@@ -0,0 +1,106 @@
+// The default adapter: accounts, progress, bookmarks and settings are all kept in
+// this browser's localStorage.
+
+import {
+  createAccount,
+  authenticate,
+  startSession,
+  loadSession,
+  endSession,
+  changePassword,
+  deleteAccount,
+  upgradeLegacyPasswords
+} from '../contexts/accountStorage';
+import {
+  loadProgress as loadStoredProgress,
+  saveProgress as saveStoredProgress,
+  clearProgress
+} from '../context/progressStorage';
+import { getNamespace, namespacedKey } from '../utils/storageNamespace';
+import { applyChanges } from './changes';
+
+// Stored per namespace as curriculum_settings:<namespace>
+const SETTINGS_KEY = 'curriculum_settings';
+
+const signedInUser = () => {
+  const session = loadSession();
+  if (!session) throw new Error('Not signed in');
+  return session.user;
+};
+
+const localAdapter = {
+  isRemote: false,
+
+  loadSession,
+
+  // Nothing to check against, but this is a good moment to hash any passwords
+  // older versions stored in clear text
+  refreshSession: async () => {
+    await upgradeLegacyPasswords();
+    return loadSession();
+  },
+
+  signUp: async (details) => startSession(await createAccount(details)),
+
+  signIn: async ({ email, password }) => startSession(await authenticate(email, password)),
+
+  signOut: async () => endSession(),
+
+  changePassword: async (currentPassword, newPassword) => (
+    changePassword(signedInUser().email, currentPassword, newPassword)
+  ),
+
+  deleteAccount: async (password) => {
+    const user = signedInUser();
+    await deleteAccount(user.email, password);
+    clearProgress(getNamespace(user));
+    localStorage.removeItem(namespacedKey(SETTINGS_KEY, getNamespace(user)));
+  },
+
+  // Progress and bookmarks share one document per namespace
+  loadProgress: async (namespace) => {
+    const { bookmarks, ...progress } = loadStoredProgress(namespace);
+    return progress;
+  },
+
+  saveProgress: async (namespace, progress) => {
+    saveStoredProgress(namespace, { ...loadStoredProgress(namespace), ...progress });
+  },
+
+  loadBookmarks: async (namespace) => loadStoredProgress(namespace).bookmarks,
+
+  saveBookmarks: async (namespace, bookmarks) => {
+    saveStoredProgress(namespace, { ...loadStoredProgress(namespace), bookmarks });
+  },
+
+  // Applied to what is stored now rather than what this tab last read, so tabs
+  // open side by side don't overwrite each other
+  applyChanges: async (namespace, changes) => {
+    const { bookmarks, ...progress } = applyChanges(loadStoredProgress(namespace), changes);
+    saveStoredProgress(namespace, { ...progress, bookmarks });
+    return { progress, bookmarks };
+  },
+
+  // Every namespace is in this browser
+  canApplyChanges: () => true,
+
+  clearProgress: async (namespace) => clearProgress(namespace),
+
+  loadSettings: async (namespace) => {
+    // Settings from before they were kept per namespace belong to whoever loads first
+    const unscopedSettings = localStorage.getItem(SETTINGS_KEY);
+    if (unscopedSettings) {
+      localStorage.setItem(namespacedKey(SETTINGS_KEY, namespace), unscopedSettings);
+      localStorage.removeItem(SETTINGS_KEY);
+    }
+
+    const settingsData = localStorage.getItem(namespacedKey(SETTINGS_KEY, namespace));
+    return settingsData ? JSON.parse(settingsData) : {};
+  },
+
+  saveSettings: async (namespace, settings) => {
+    localStorage.setItem(namespacedKey(SETTINGS_KEY, namespace), JSON.stringify(settings));
+  }
+};
+
+export default localAdapter;
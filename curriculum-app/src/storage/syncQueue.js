@@ -0,0 +1,83 @@
+// Progress changes waiting to be written to the storage adapter, kept in IndexedDB so
+// edits made offline survive a reload. Entries are { namespace, change } and come
+// back in the order they were queued. Falls back to memory where IndexedDB isn't
+// available (private windows in some browsers).
+
+const DB_NAME = 'curriculum-sync';
+const STORE_NAME = 'changes';
+
+let databasePromise = null;
+const memoryQueue = [];
+let memoryKey = 0;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      if (!globalThis.indexedDB) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Error opening the sync queue:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+const transact = (db, mode, run) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(STORE_NAME, mode);
+  const result = run(transaction.objectStore(STORE_NAME));
+  transaction.oncomplete = () => resolve(result?.result);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+export const enqueueChanges = async (namespace, changes) => {
+  const db = await openDatabase();
+  if (!db) {
+    changes.forEach(change => memoryQueue.push({ key: ++memoryKey, namespace, change }));
+    return;
+  }
+  await transact(db, 'readwrite', store => {
+    changes.forEach(change => store.add({ namespace, change }));
+  });
+};
+
+// Every queued entry as { key, namespace, change }, oldest first
+export const readQueue = async () => {
+  const db = await openDatabase();
+  if (!db) return [...memoryQueue];
+
+  const [values, keys] = await Promise.all([
+    transact(db, 'readonly', store => store.getAll()),
+    transact(db, 'readonly', store => store.getAllKeys())
+  ]);
+  return values.map((entry, index) => ({ key: keys[index], ...entry }));
+};
+
+export const removeFromQueue = async (keys) => {
+  const db = await openDatabase();
+  if (!db) {
+    keys.forEach(key => {
+      const index = memoryQueue.findIndex(entry => entry.key === key);
+      if (index !== -1) memoryQueue.splice(index, 1);
+    });
+    return;
+  }
+  await transact(db, 'readwrite', store => {
+    keys.forEach(key => store.delete(key));
+  });
+};
+
+// Drop everything queued for a namespace
+export const clearQueue = async (namespace) => {
+  const queue = await readQueue();
+  await removeFromQueue(queue.filter(entry => entry.namespace === namespace).map(entry => entry.key));
+};
@@ -0,0 +1,138 @@
+// Learners' highlights and notes on module content. Each one is kept in the module's
+// progress record (see context/progressStorage) under an id:
+//   { headingId, quote, prefix, suffix, color, note, createdAt, updatedAt }
+// It is anchored by the `##` or `###` section it is in and the quoted text, with a
+// little of the text either side, rather than by its position in the DOM, so it is
+// found again after the markdown around it has been edited.
+
+export const ANNOTATION_COLORS = ['yellow', 'green', 'blue', 'pink'];
+export const DEFAULT_ANNOTATION_COLOR = ANNOTATION_COLORS[0];
+
+// Characters of text kept either side of a quote to tell repeated quotes apart
+const CONTEXT_LENGTH = 32;
+// The headings module.sections lists
+const SECTION_HEADINGS = ['H2', 'H3'];
+
+export const createAnnotationId = () => (
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+// A module record's annotations as [{ id, ...annotation }], in the order of the
+// module's sections and then oldest first; ones before the first section lead
+export const listAnnotations = (annotations = {}, sections = []) => {
+  const sectionOrder = new Map(sections.map((section, index) => [section.id, index]));
+  const position = (annotation) => (annotation.headingId ? sectionOrder.get(annotation.headingId) ?? sections.length : -1);
+  return Object.entries(annotations)
+    .map(([id, annotation]) => ({ id, ...annotation }))
+    .sort((a, b) => position(a) - position(b) || a.createdAt.localeCompare(b.createdAt));
+};
+
+// The rendered content as one string, with where each text node and section starts
+const readContentText = (element) => {
+  const nodes = [];
+  const headings = [];
+  let text = '';
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    } else if (SECTION_HEADINGS.includes(node.tagName) && node.id) {
+      headings.push({ id: node.id, start: text.length });
+    }
+  }
+  return { text, nodes, headings };
+};
+
+// Offset into the content text of a DOM boundary point
+const toTextOffset = (content, node, offset) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const entry = content.nodes.find(candidate => candidate.node === node);
+    if (entry) return entry.start + offset;
+  }
+  // A point between elements is where the next text starts
+  const boundary = document.createRange();
+  boundary.setStart(node, offset);
+  const next = content.nodes.find(entry => boundary.comparePoint(entry.node, 0) >= 0);
+  return next ? next.start : content.text.length;
+};
+
+const toDomRange = (content, start, end) => {
+  const startEntry = content.nodes.find(entry => start < entry.start + entry.node.length);
+  const endEntry = [...content.nodes].reverse().find(entry => end > entry.start);
+  if (!startEntry || !endEntry) return null;
+  const range = document.createRange();
+  range.setStart(startEntry.node, Math.max(0, start - startEntry.start));
+  range.setEnd(endEntry.node, Math.min(endEntry.node.length, end - endEntry.start));
+  return range;
+};
+
+// The anchor for a selected range of `element`, or null if nothing but whitespace
+// is selected
+export const describeRange = (element, range) => {
+  const content = readContentText(element);
+  let start = toTextOffset(content, range.startContainer, range.startOffset);
+  let end = toTextOffset(content, range.endContainer, range.endOffset);
+  while (start < end && /\s/.test(content.text[start])) start += 1;
+  while (end > start && /\s/.test(content.text[end - 1])) end -= 1;
+  if (start === end) return null;
+
+  return {
+    headingId: content.headings.filter(heading => heading.start <= start).pop()?.id || null,
+    quote: content.text.slice(start, end),
+    prefix: content.text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: content.text.slice(end, end + CONTEXT_LENGTH)
+  };
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const sharedPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) length += 1;
+  return length;
+};
+
+const sharedSuffixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[a.length - 1 - length] === b[b.length - 1 - length]) length += 1;
+  return length;
+};
+
+// Where an annotation's quote is in the content now, as { start, end }, or null when
+// the text is gone. A match in its own section beats one elsewhere, and then the
+// match whose surrounding text is most like what was saved wins. Whitespace may
+// differ, as it does when a paragraph is rewrapped.
+const findQuote = (content, annotation) => {
+  const { text, headings } = content;
+  const headingIndex = headings.findIndex(heading => heading.id === annotation.headingId);
+  // Without a heading the quote was in the introduction, before the first section;
+  // a heading that no longer exists gives no section to prefer
+  const [sectionStart, sectionEnd] = headingIndex !== -1
+    ? [headings[headingIndex].start, headings[headingIndex + 1]?.start ?? text.length]
+    : annotation.headingId ? [0, 0] : [0, headings[0]?.start ?? text.length];
+
+  const pattern = new RegExp(annotation.quote.trim().split(/\s+/).map(escapeRegExp).join('\\s+'), 'g');
+  let best = null;
+  for (const match of text.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    const score = (start >= sectionStart && end <= sectionEnd ? CONTEXT_LENGTH * 2 + 1 : 0)
+      + sharedSuffixLength(text.slice(Math.max(0, start - CONTEXT_LENGTH), start), annotation.prefix || '')
+      + sharedPrefixLength(text.slice(end, end + CONTEXT_LENGTH), annotation.suffix || '');
+    if (!best || score > best.score) best = { start, end, score };
+  }
+  return best;
+};
+
+// DOM ranges for the annotations found in `element`, as a Map of id -> Range
+export const locateAnnotations = (element, annotations) => {
+  const content = readContentText(element);
+  const ranges = new Map();
+  annotations.forEach(annotation => {
+    const found = annotation.quote?.trim() && findQuote(content, annotation);
+    const range = found && toDomRange(content, found.start, found.end);
+    if (range) ranges.set(annotation.id, range);
+  });
+  return ranges;
+};
@@ -0,0 +1,99 @@
+// Runs an exercise's hidden tests against the learner's code in a sandboxed iframe.
+// Tests are async functions run one after another once the page has loaded, with
+// an `assert` helper in scope, so they can call the learner's functions or
+// inspect the document their HTML produced.
+
+import { buildRunnableDocument, insertIntoHead } from './snippetRunner';
+
+const EXERCISE_MESSAGE_SOURCE = 'exercise-runner';
+const TEST_TIMEOUT_MS = 5000;
+
+// `<` is escaped so test code can't close the script element it's embedded in
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const buildTestHarness = (tests, runId) => `<script>
+(function () {
+  var tests = ${toScriptJson(tests)};
+  var show = function (value) {
+    try { return JSON.stringify(value); } catch (e) { return String(value); }
+  };
+  var assert = function (condition, message) {
+    if (!condition) throw new Error(message || 'Assertion failed');
+  };
+  assert.equal = function (actual, expected, message) {
+    if (actual !== expected) throw new Error(message || 'Expected ' + show(expected) + ' but got ' + show(actual));
+  };
+  assert.deepEqual = function (actual, expected, message) {
+    if (show(actual) !== show(expected)) throw new Error(message || 'Expected ' + show(expected) + ' but got ' + show(actual));
+  };
+  var AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+  window.addEventListener('load', async function () {
+    var results = [];
+    for (var i = 0; i < tests.length; i++) {
+      try {
+        await new AsyncFunction('assert', tests[i].code)(assert);
+        results.push({ name: tests[i].name, passed: true });
+      } catch (error) {
+        results.push({ name: tests[i].name, passed: false, message: error && error.message ? error.message : String(error) });
+      }
+    }
+    parent.postMessage({ source: '${EXERCISE_MESSAGE_SOURCE}', runId: ${JSON.stringify(runId)}, results: results, loadError: window.__loadError || null }, '*');
+  });
+})();
+</script>`;
+
+// Remember the first error thrown while the learner's code loads, e.g. a syntax error
+const LOAD_ERROR_LISTENER = `<script>
+window.addEventListener('error', function (event) {
+  if (!window.__loadError) window.__loadError = event.message;
+});
+</script>`;
+
+const buildExerciseDocument = (exercise, code, runId) => {
+  const page = buildRunnableDocument(exercise.language, code);
+  const harness = buildTestHarness(exercise.tests, runId);
+  const bodyEnd = page.toLowerCase().lastIndexOf('</body>');
+  const withHarness = bodyEnd === -1
+    ? page + harness
+    : page.slice(0, bodyEnd) + harness + '\n' + page.slice(bodyEnd);
+  return insertIntoHead(withHarness, LOAD_ERROR_LISTENER);
+};
+
+let runCount = 0;
+
+// Resolves with { results: [{ name, passed, message }], loadError }
+export const runExerciseTests = (exercise, code) => new Promise((resolve) => {
+  runCount += 1;
+  const runId = `exercise-run-${runCount}`;
+  const iframe = document.createElement('iframe');
+  iframe.sandbox = 'allow-scripts';
+  iframe.style.display = 'none';
+  iframe.srcdoc = buildExerciseDocument(exercise, code, runId);
+
+  const finish = (outcome) => {
+    clearTimeout(timer);
+    window.removeEventListener('message', handleMessage);
+    iframe.remove();
+    resolve(outcome);
+  };
+
+  const handleMessage = (event) => {
+    const { data } = event;
+    if (event.source !== iframe.contentWindow) return;
+    if (data?.source !== EXERCISE_MESSAGE_SOURCE || data.runId !== runId) return;
+    finish({ results: data.results, loadError: data.loadError });
+  };
+
+  // Loops in the learner's code are guarded, so this is for tests that never settle,
+  // such as awaiting a promise the learner's code never resolves
+  const timer = setTimeout(() => {
+    finish({
+      results: exercise.tests.map(test => ({ name: test.name, passed: false, message: `Timed out after ${TEST_TIMEOUT_MS / 1000}s` })),
+      loadError: null
+    });
+  }, TEST_TIMEOUT_MS);
+
+  window.addEventListener('message', handleMessage);
+  document.body.appendChild(iframe);
+});
@@ -0,0 +1,9 @@
+// Durations for display: "45 min", "3h 20m"
+export const formatMinutes = (minutes) => {
+  if (minutes < 1) return '0 min';
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  const rounded = Math.round(minutes);
+  return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+};
+
+export const formatSeconds = (seconds) => formatMinutes(seconds / 60);
@@ -0,0 +1,33 @@
+// Heading ids for the markdown viewer. The slugger is the one the curriculum scripts
+// use for the section data and the search index (scripts/curriculumHeadings.js), so
+// section progress, bookmarks and links refer to the ids headings render with.
+import { createSlugger } from 'virtual:curriculum/headings';
+
+const nodeText = (node) => {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  return (node.children || []).map(nodeText).join('');
+};
+
+// Remark plugin that gives every heading an id attribute
+export const remarkHeadingIds = () => (tree) => {
+  const slugger = createSlugger();
+  const visit = (node) => {
+    if (node.type === 'heading') {
+      node.data = node.data || {};
+      node.data.hProperties = { ...node.data.hProperties, id: slugger.slug(nodeText(node)) };
+      return;
+    }
+    (node.children || []).forEach(visit);
+  };
+  visit(tree);
+};
+
+// A heading id from a URL hash, percent-decoded. A hash that isn't valid percent
+// encoding, such as `#100%`, is used as it is rather than throwing.
+export const safeDecode = (hash) => {
+  try {
+    return decodeURIComponent(hash);
+  } catch (error) {
+    return hash;
+  }
+};
@@ -0,0 +1,178 @@
+// Guards against endless loops in learner code. Sandboxed iframes usually share the
+// app's thread, so a `while (true)` would freeze the whole app before any timeout
+// could fire. Every `while` and `for (;;)` condition is prefixed with a call to
+// `__loopGuard()`, which throws once the page has been busy for LOOP_TIME_LIMIT_MS
+// without getting back to the event loop.
+
+const LOOP_TIME_LIMIT_MS = 1000;
+
+// Defines __loopGuard; goes at the start of <head>, before any guarded script.
+// `started` is cleared by a timer, which can only run once the page stops being busy.
+export const LOOP_GUARD_SCRIPT = `<script>
+(function () {
+  var started = 0;
+  window.__loopGuard = function () {
+    var now = Date.now();
+    if (!started) {
+      started = now;
+      setTimeout(function () { started = 0; }, 0);
+    }
+    if (now - started > ${LOOP_TIME_LIMIT_MS}) {
+      throw new Error('Stopped a loop that ran for over ${LOOP_TIME_LIMIT_MS / 1000}s. Is it endless?');
+    }
+    return true;
+  };
+})();
+</script>`;
+
+// After these a `/` starts a regular expression rather than dividing
+const REGEX_PRECEDING_WORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await'];
+const REGEX_PRECEDING_CHARS = '(,=:[!&|?{};+-*%<>~^';
+const isIdentifierChar = (char) => /[\w$]/.test(char || '');
+
+// Index just past the string starting at i. Strings end at a line break too, so a
+// stray quote (say, an apostrophe in JSX text) can't hide the rest of the code.
+const skipQuoted = (code, i, quote) => {
+  let j = i + 1;
+  while (j < code.length && code[j] !== quote && code[j] !== '\n') {
+    if (code[j] === '\\') j += 1;
+    j += 1;
+  }
+  return j + 1;
+};
+
+// Index just past the regular expression literal starting at i, flags included
+const skipRegex = (code, i) => {
+  let j = i + 1;
+  let inClass = false;
+  while (j < code.length && code[j] !== '\n' && (inClass || code[j] !== '/')) {
+    if (code[j] === '\\') j += 1;
+    else if (code[j] === '[') inClass = true;
+    else if (code[j] === ']') inClass = false;
+    j += 1;
+  }
+  j += 1;
+  while (isIdentifierChar(code[j])) j += 1;
+  return j;
+};
+
+// Where each loop condition starts and ends, for a loop header from `(` at `open`
+// to `)` at `close` with top-level semicolons at `semicolons`. for...in and for...of
+// loops walk a finite collection and are left alone.
+const conditionOf = ({ keyword, open, semicolons }, close) => {
+  if (keyword === 'while') return { start: open + 1, end: close };
+  if (semicolons.length !== 2) return null;
+  return { start: semicolons[0] + 1, end: semicolons[1] };
+};
+
+// The JavaScript source with every loop condition guarded. This is a scan rather than
+// a parse: it only needs to tell code apart from strings, comments and regular
+// expressions, and a loop it misreads is merely left unguarded.
+export const guardLoops = (code) => {
+  const insertions = [];
+  // Open brackets: { type: '(' | '{' | '${', loop }
+  const stack = [];
+  let lastToken = '';
+  let pendingLoop = null;
+  let i = 0;
+
+  const scanTemplate = (from) => {
+    let j = from;
+    while (j < code.length && code[j] !== '`') {
+      if (code[j] === '\\') {
+        j += 2;
+      } else if (code[j] === '$' && code[j + 1] === '{') {
+        stack.push({ type: '${' });
+        lastToken = '{';
+        return j + 2;
+      } else {
+        j += 1;
+      }
+    }
+    lastToken = 'template';
+    return j + 1;
+  };
+
+  while (i < code.length) {
+    const char = code[i];
+    const next = code[i + 1];
+
+    // Whitespace and comments keep a `while` or `for` waiting for its `(`
+    if (/\s/.test(char)) {
+      i += 1;
+      continue;
+    }
+    if (char === '/' && next === '/') {
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+      continue;
+    }
+    if (char === '/' && next === '*') {
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 2;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      i = skipQuoted(code, i, char);
+      lastToken = 'string';
+    } else if (char === '`') {
+      i = scanTemplate(i + 1);
+    } else if (char === '/' && (!lastToken || REGEX_PRECEDING_CHARS.includes(lastToken) || REGEX_PRECEDING_WORDS.includes(lastToken))) {
+      i = skipRegex(code, i);
+      lastToken = 'regex';
+    } else if (isIdentifierChar(char)) {
+      let end = i;
+      while (isIdentifierChar(code[end])) end += 1;
+      const word = code.slice(i, end);
+      pendingLoop = (word === 'while' || word === 'for') && code[i - 1] !== '.' ? word : null;
+      lastToken = word;
+      i = end;
+      continue;
+    } else if (char === '(') {
+      stack.push({ type: '(', loop: pendingLoop && { keyword: pendingLoop, open: i, semicolons: [] } });
+      lastToken = char;
+      i += 1;
+    } else if (char === ')') {
+      const { loop } = stack.pop() || {};
+      const condition = loop && conditionOf(loop, i);
+      if (condition && code.slice(condition.start, condition.end).trim()) {
+        insertions.push([condition.start, '__loopGuard() && ('], [condition.end, ')']);
+      } else if (condition) {
+        insertions.push([condition.start, '__loopGuard()']);
+      }
+      lastToken = char;
+      i += 1;
+    } else if (char === '{') {
+      stack.push({ type: '{' });
+      lastToken = char;
+      i += 1;
+    } else if (char === '}') {
+      const opener = stack.pop();
+      i = opener?.type === '${' ? scanTemplate(i + 1) : i + 1;
+      if (opener?.type !== '${') lastToken = char;
+    } else {
+      if (char === ';') stack[stack.length - 1]?.loop?.semicolons.push(i);
+      lastToken = char;
+      i += 1;
+    }
+    pendingLoop = null;
+  }
+
+  return insertions
+    .sort((a, b) => b[0] - a[0])
+    .reduce((guarded, [index, text]) => guarded.slice(0, index) + text + guarded.slice(index), code);
+};
+
+// Inline scripts an HTML page runs, or transpiles and runs, which get their loops guarded
+const GUARDED_SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/babel'];
+
+// A snippet with its loops guarded: the whole of a script, or each inline script of a page
+export const guardSnippetLoops = (language, code) => {
+  if (language === 'javascript' || language === 'jsx') return guardLoops(code);
+  if (language !== 'html') return code;
+  return code.replace(/(<script\b([^>]*)>)([\s\S]*?)(<\/script>)/gi, (match, open, attributes, body, close) => {
+    const type = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1].toLowerCase() || '';
+    return GUARDED_SCRIPT_TYPES.includes(type) ? open + guardLoops(body) + close : match;
+  });
+};
@@ -0,0 +1,49 @@
+// Password hashing with PBKDF2 (SHA-256) through WebCrypto. Each password gets its
+// own random salt, and the iteration count is stored with the hash so it can be
+// raised later without breaking existing accounts.
+
+export const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+export const randomToken = (byteLength = 32) => (
+  toBase64(crypto.getRandomValues(new Uint8Array(byteLength)))
+);
+
+const deriveHash = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+  return new Uint8Array(bits);
+};
+
+// Resolves with { hash, salt, iterations }, all safe to store
+export const hashPassword = async (password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveHash(password, salt, PBKDF2_ITERATIONS);
+  return { hash: toBase64(hash), salt: toBase64(salt), iterations: PBKDF2_ITERATIONS };
+};
+
+export const verifyPassword = async (password, { hash, salt, iterations }) => {
+  const expected = fromBase64(hash);
+  const actual = await deriveHash(password, fromBase64(salt), iterations);
+
+  // Compare every byte so the time taken doesn't depend on where they differ
+  let difference = expected.length ^ actual.length;
+  for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+    difference |= expected[i] ^ actual[i];
+  }
+  return difference === 0;
+};
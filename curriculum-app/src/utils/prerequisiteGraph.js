@@ -0,0 +1,100 @@
+// The prerequisite graph between modules, built from the `prerequisiteIds` and
+// `prerequisitePhaseIds` the curriculum generator resolves from each module's
+// "## Prerequisites" section. A phase prerequisite stands for every module in it.
+
+// { modules: Map id -> { module, phase, order }, prerequisites: Map id -> [id],
+//   dependents: Map id -> [id] }, where order is the module's place in the curriculum
+export const buildPrerequisiteGraph = (curriculumData) => {
+  const modules = new Map();
+  const moduleIdsByPhase = new Map();
+  curriculumData.phases.forEach(phase => {
+    moduleIdsByPhase.set(phase.id, phase.modules.map(module => module.id));
+    phase.modules.forEach(module => modules.set(module.id, { module, phase, order: modules.size }));
+  });
+
+  const prerequisites = new Map();
+  const dependents = new Map([...modules.keys()].map(id => [id, []]));
+  modules.forEach(({ module }, id) => {
+    const ids = [
+      ...(module.prerequisiteIds || []),
+      ...(module.prerequisitePhaseIds || []).flatMap(phaseId => moduleIdsByPhase.get(phaseId) || [])
+    ];
+    const resolved = [...new Set(ids)].filter(prerequisiteId => prerequisiteId !== id && modules.has(prerequisiteId));
+    prerequisites.set(id, resolved);
+    resolved.forEach(prerequisiteId => dependents.get(prerequisiteId).push(id));
+  });
+
+  return { modules, prerequisites, dependents };
+};
+
+// Prerequisites of a module that aren't complete yet, in curriculum order
+export const getMissingPrerequisites = (graph, moduleId, completedModules) => (
+  (graph.prerequisites.get(moduleId) || [])
+    .filter(id => !completedModules.has(id))
+    .sort((a, b) => graph.modules.get(a).order - graph.modules.get(b).order)
+    .map(id => graph.modules.get(id).module)
+);
+
+export const isModuleUnlocked = (graph, moduleId, completedModules) => (
+  getMissingPrerequisites(graph, moduleId, completedModules).length === 0
+);
+
+// Every module a module depends on, directly or through other prerequisites
+export const getPrerequisiteClosure = (graph, moduleId) => {
+  const closure = new Set();
+  const visit = (id) => {
+    (graph.prerequisites.get(id) || []).forEach(prerequisiteId => {
+      if (closure.has(prerequisiteId)) return;
+      closure.add(prerequisiteId);
+      visit(prerequisiteId);
+    });
+  };
+  visit(moduleId);
+  return closure;
+};
+
+// When each module was last worked on, from the activity log and the module records
+const lastActiveTimes = (activity, progress) => {
+  const times = new Map();
+  const touch = (moduleId, at) => {
+    const time = new Date(at).getTime();
+    if (moduleId && time > (times.get(moduleId) || 0)) times.set(moduleId, time);
+  };
+  activity.forEach(entry => touch(entry.moduleId, entry.at));
+  Object.entries(progress).forEach(([moduleId, record]) => {
+    if (record.lastAccessed) touch(moduleId, record.lastAccessed);
+  });
+  return times;
+};
+
+// The module to study next, as { module, phase, reason, after }, or null once every
+// module is complete. Only unlocked, incomplete modules are suggested, in this order:
+//   'in-progress' - the one worked on most recently, if it has been started
+//   'unlocked'    - one the most recently completed module (`after`) leads on to
+//   'next'        - the first one in curriculum order
+// If everything left is locked, the earliest incomplete module is suggested anyway.
+export const recommendNextModule = (graph, { completedModules, progress = {}, activity = [] }) => {
+  const incomplete = [...graph.modules.values()].filter(({ module }) => !completedModules.has(module.id));
+  if (incomplete.length === 0) return null;
+
+  const unlocked = incomplete.filter(({ module }) => isModuleUnlocked(graph, module.id, completedModules));
+  if (unlocked.length === 0) return { ...incomplete[0], reason: 'next', after: null };
+
+  const activeAt = lastActiveTimes(activity, progress);
+  const byRecency = (a, b) => (activeAt.get(b.module.id) || 0) - (activeAt.get(a.module.id) || 0);
+
+  const started = unlocked.filter(({ module }) => activeAt.has(module.id)).sort(byRecency);
+  if (started.length > 0) return { ...started[0], reason: 'in-progress', after: null };
+
+  const recentlyCompleted = [...completedModules]
+    .filter(id => graph.modules.has(id))
+    .map(id => graph.modules.get(id))
+    .sort(byRecency);
+  for (const completed of recentlyCompleted) {
+    const dependents = graph.dependents.get(completed.module.id);
+    const next = unlocked.find(({ module }) => dependents.includes(module.id));
+    if (next) return { ...next, reason: 'unlocked', after: completed.module };
+  }
+
+  return { ...unlocked[0], reason: 'next', after: null };
+};
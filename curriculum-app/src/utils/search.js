@@ -0,0 +1,106 @@
+// Ranking and snippets for the search palette, over the index built by
+// scripts/curriculumSearch.js. Every word of the query has to appear somewhere in a
+// result; matches in a heading count for more than matches in its text, and
+// matches in code count for least.
+
+const MAX_RESULTS = 50;
+const SNIPPET_LENGTH = 160;
+// Occurrences past this many in one field don't add to the score
+const MAX_COUNTED_OCCURRENCES = 5;
+
+const WEIGHTS = {
+  title: 8,
+  titleWordStart: 4,
+  text: 1,
+  code: 0.5,
+  phraseInTitle: 10,
+  phraseInText: 3,
+  // The module's own entry, so a module outranks one of its sections on a tie
+  module: 1
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const tokenize = (query) => [...new Set(query.toLowerCase().split(/\s+/).filter(Boolean))];
+
+const countOccurrences = (haystack, needle) => {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index !== -1 && count < MAX_COUNTED_OCCURRENCES) {
+    count += 1;
+    index = haystack.indexOf(needle, index + needle.length);
+  }
+  return count;
+};
+
+// Lower-cased copies of the searchable fields, made once when the index loads
+export const prepareIndex = (searchIndex) => searchIndex.documents.map(document => ({
+  ...document,
+  titleLower: document.title.toLowerCase(),
+  textLower: document.text.toLowerCase(),
+  codeLower: document.code.toLowerCase()
+}));
+
+const scoreDocument = (document, terms, phrase) => {
+  let score = 0;
+  for (const term of terms) {
+    const inTitle = document.titleLower.includes(term);
+    const termScore = (inTitle ? WEIGHTS.title : 0)
+      + (inTitle && new RegExp(`(^|\\W)${escapeRegExp(term)}`).test(document.titleLower) ? WEIGHTS.titleWordStart : 0)
+      + countOccurrences(document.textLower, term) * WEIGHTS.text
+      + countOccurrences(document.codeLower, term) * WEIGHTS.code;
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  if (terms.length > 1) {
+    if (document.titleLower.includes(phrase)) score += WEIGHTS.phraseInTitle;
+    if (document.textLower.includes(phrase)) score += WEIGHTS.phraseInText;
+  }
+  return document.headingId === null ? score + WEIGHTS.module : score;
+};
+
+// Split text into [{ text, match }] parts, marking every occurrence of a term
+export const highlightTerms = (text, terms) => {
+  if (terms.length === 0 || !text) return [{ text, match: false }];
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).filter(Boolean).map(part => ({
+    text: part,
+    match: terms.includes(part.toLowerCase())
+  }));
+};
+
+// About SNIPPET_LENGTH characters around the first match, from the text or else the code
+const createSnippet = (document, terms) => {
+  const [field, fieldLower] = terms.some(term => document.textLower.includes(term)) || !document.code
+    ? [document.text, document.textLower]
+    : [document.code, document.codeLower];
+  const positions = terms.map(term => fieldLower.indexOf(term)).filter(position => position !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  const start = Math.max(0, first - SNIPPET_LENGTH / 3);
+  const end = Math.min(field.length, start + SNIPPET_LENGTH);
+  // Start and end on word boundaries
+  const from = start > 0 ? field.indexOf(' ', start) + 1 || start : 0;
+  const to = end < field.length ? field.lastIndexOf(' ', end) : end;
+  return {
+    text: `${from > 0 ? '…' : ''}${field.slice(from, to > from ? to : end)}${end < field.length ? '…' : ''}`,
+    isCode: field === document.code
+  };
+};
+
+// Ranked results as { document, score, snippet }. `includeModule(moduleId)` applies
+// the phase, difficulty and tag filters.
+export const searchDocuments = (documents, query, includeModule = () => true) => {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  const phrase = terms.join(' ');
+
+  return documents
+    .filter(document => includeModule(document.moduleId))
+    .map(document => ({ document, score: scoreDocument(document, terms, phrase) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map(result => ({ ...result, snippet: createSnippet(result.document, terms) }));
+};
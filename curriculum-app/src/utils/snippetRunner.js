@@ -0,0 +1,171 @@
+// Turns code blocks from module markdown into standalone HTML documents, for the
+// inline runner in MarkdownViewer and for opening a snippet in CodeIDE.
+
+import { LOOP_GUARD_SCRIPT, guardSnippetLoops } from './loopGuard';
+
+export const RUNNER_MESSAGE_SOURCE = 'snippet-runner';
+
+// Fence languages that can run in the browser, mapped to how they are wrapped
+const SNIPPET_LANGUAGES = {
+  html: 'html',
+  js: 'javascript',
+  javascript: 'javascript',
+  css: 'css',
+  jsx: 'jsx'
+};
+
+const REACT_SCRIPTS = [
+  'https://unpkg.com/react@18/umd/react.development.js',
+  'https://unpkg.com/react-dom@18/umd/react-dom.development.js',
+  'https://unpkg.com/@babel/standalone@7/babel.min.js'
+];
+
+export const getSnippetLanguage = (fenceLanguage) => SNIPPET_LANGUAGES[fenceLanguage?.toLowerCase()] || null;
+
+// Keep a `</script>` inside the snippet from closing the wrapping script element
+const escapeScript = (code) => code.replace(/<\/script/gi, '<\\/script');
+
+const wrapDocument = (title, head, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+${head}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Plain elements for a stylesheet snippet to style
+const CSS_SPECIMEN = `    <div class="container">
+        <h1 class="title">Heading</h1>
+        <p>A paragraph of text with <a href="#">a link</a> in it.</p>
+        <div class="card">
+            <h3>Card</h3>
+            <p>Content inside a card.</p>
+            <button class="button">Button</button>
+        </div>
+        <ul>
+            <li>First item</li>
+            <li>Second item</li>
+        </ul>
+    </div>`;
+
+// Same on-page console as the IDE's JavaScript template
+const JAVASCRIPT_CONSOLE = `    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 20px; }
+        #console { font-family: 'Courier New', monospace; white-space: pre-wrap; }
+        .error { color: #dc2626; }
+    </style>`;
+
+const JAVASCRIPT_CONSOLE_SCRIPT = `        // Wrapped so these names can't clash with the snippet's own top-level declarations
+        (() => {
+            const consoleElement = document.getElementById('console');
+            const print = (className, args) => {
+                const line = document.createElement('div');
+                line.className = className;
+                line.textContent = args.map(arg => typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)).join(' ');
+                consoleElement.appendChild(line);
+            };
+            const originalLog = console.log;
+            const originalError = console.error;
+            console.log = (...args) => { print('log', args); originalLog.apply(console, args); };
+            console.error = (...args) => { print('error', args); originalError.apply(console, args); };
+            window.addEventListener('error', (event) => print('error', [event.message]));
+        })();`;
+
+// Module syntax doesn't run in a plain script, so map React imports onto the UMD globals
+const prepareJsx = (code) => {
+  let componentName = null;
+
+  const body = code
+    .replace(/^import\s+(?:React\s*,?\s*)?(\{[^}]*\})?\s*from\s+['"]react(-dom(\/client)?)?['"];?\s*$/gm, (match, names, dom) => (
+      names ? `const ${names} = ${dom ? 'ReactDOM' : 'React'};` : ''
+    ))
+    .replace(/^import\s.*$/gm, line => `// ${line} (not available in the preview)`)
+    .replace(/^export\s+default\s+function\s+(\w+)/m, (match, name) => {
+      componentName = name;
+      return `function ${name}`;
+    })
+    .replace(/^export\s+default\s+(\w+);?\s*$/m, (match, name) => {
+      componentName = name;
+      return '';
+    })
+    .replace(/^export\s+(?=(const|let|function|class)\s)/gm, '');
+
+  const render = componentName
+    ? `\nReactDOM.createRoot(document.getElementById('root')).render(<${componentName} />);`
+    : '';
+  return body + render;
+};
+
+// A complete, readable document for the snippet
+export const buildSnippetDocument = (language, code) => {
+  switch (language) {
+    case 'html':
+      if (/<html[\s>]|<!doctype/i.test(code)) return code;
+      return wrapDocument('HTML Snippet', '', code);
+    case 'css':
+      return wrapDocument('CSS Snippet', `    <style>\n${code}\n    </style>`, CSS_SPECIMEN);
+    case 'javascript':
+      return wrapDocument(
+        'JavaScript Snippet',
+        JAVASCRIPT_CONSOLE,
+        `    <div id="console"></div>\n\n    <script>\n${JAVASCRIPT_CONSOLE_SCRIPT}\n    </script>\n    <script>\n${escapeScript(code)}\n    </script>`
+      );
+    case 'jsx':
+      return wrapDocument(
+        'React Snippet',
+        REACT_SCRIPTS.map(src => `    <script src="${src}"></script>`).join('\n'),
+        `    <div id="root"></div>\n\n    <script type="text/babel" data-presets="react">\n${escapeScript(prepareJsx(code))}\n    </script>`
+      );
+    default:
+      return code;
+  }
+};
+
+// Add markup at the start of <head>, so its scripts run before the page's own
+export const insertIntoHead = (documentHtml, markup) => {
+  const head = documentHtml.match(/<head(\s[^>]*)?>/i);
+  if (!head) return markup + documentHtml;
+  const insertAt = head.index + head[0].length;
+  return documentHtml.slice(0, insertAt) + '\n' + markup + documentHtml.slice(insertAt);
+};
+
+// The document to run a snippet in, with endless loops stopped rather than freezing
+// the app. Only for running: the snippet shown or opened in the IDE stays as written.
+export const buildRunnableDocument = (language, code) => insertIntoHead(
+  buildSnippetDocument(language, guardSnippetLoops(language, code)),
+  LOOP_GUARD_SCRIPT
+);
+
+// Forward console output and uncaught errors to the parent window, tagged with runId
+export const withConsoleBridge = (documentHtml, runId) => {
+  const bridge = `<script>
+(function () {
+  var format = function (arg) {
+    if (arg instanceof Error) return arg.name + ': ' + arg.message;
+    if (typeof arg === 'object' && arg !== null) {
+      try { return JSON.stringify(arg, null, 2); } catch (e) { return String(arg); }
+    }
+    return String(arg);
+  };
+  var send = function (level, args) {
+    parent.postMessage({ source: '${RUNNER_MESSAGE_SOURCE}', runId: ${JSON.stringify(runId)}, level: level, text: args.map(format).join(' ') }, '*');
+  };
+  ['log', 'info', 'warn', 'error'].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () {
+      send(level, Array.prototype.slice.call(arguments));
+      original.apply(console, arguments);
+    };
+  });
+  window.addEventListener('error', function (event) { send('error', [event.message]); });
+  window.addEventListener('unhandledrejection', function (event) { send('error', ['Unhandled rejection:', event.reason]); });
+})();
+</script>`;
+
+  return insertIntoHead(documentHtml, bridge);
+};
@@ -0,0 +1,8 @@
+// Progress and settings are stored per account, so several learners can share one
+// browser. Anyone not signed in uses the guest namespace.
+
+export const GUEST_NAMESPACE = 'guest';
+
+export const getNamespace = (user) => (user ? `user:${user.id}` : GUEST_NAMESPACE);
+
+export const namespacedKey = (key, namespace) => `${key}:${namespace}`;
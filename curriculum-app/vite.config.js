@@ -1,8 +1,13 @@
+import { createRequire } from 'module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The curriculum scripts are CommonJS node scripts; load them as-is rather than through the config bundler
+const require = createRequire(import.meta.url)
+const curriculumPlugin = require('./scripts/curriculumPlugin.js')
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), curriculumPlugin()],
   server: {
     port: 3001,
     open: true
@@ -11,4 +16,4 @@ export default defineConfig({
     outDir: 'dist',
     sourcemap: true
   }
-}) 
\ No newline at end of file
+})